@@ -4,6 +4,8 @@ const admin = require("firebase-admin");
 const User = require("../models/User");
 const Chat = require("../models/Chat");
 const Message = require("../models/Message");
+const LiveStream = require("../models/LiveStream");
+const { getPerks } = require("../services/perk_service");
 
 /**
  * Socket.IO Configuration and Event Handlers
@@ -392,17 +394,57 @@ const initializeSocket = (server) => {
     // ========== LIVE STREAMING EVENTS ==========
 
     // Handle joining a live stream room
-    socket.on("live:join", (data) => {
+    socket.on("live:join", async (data) => {
       const { liveStreamId } = data;
+
+      // Same gate as POST /live/:id/join: removed users stay out, and
+      // private lives need an invite or a ticket (bought over REST)
+      try {
+        const liveStream = await LiveStream.findById(liveStreamId).select(
+          "streaming private authorId privateViewersId paidViewersId removedUsersId"
+        );
+        if (!liveStream || !liveStream.streaming) {
+          socket.emit("error", { message: "Live stream not found or ended" });
+          return;
+        }
+        if (liveStream.removedUsersId.includes(socket.userId)) {
+          socket.emit("error", {
+            message: "You have been removed from this live stream",
+            code: "LIVE_REMOVED",
+          });
+          return;
+        }
+        if (!liveStream.hasPrivateAccess(socket.userId)) {
+          socket.emit("error", {
+            message: "A ticket is required to join this private live",
+            code: "PRIVATE_LIVE_TICKET_REQUIRED",
+          });
+          return;
+        }
+      } catch (error) {
+        console.error("Error joining live stream:", error);
+        socket.emit("error", { message: "Failed to join live stream" });
+        return;
+      }
+
       socket.join(`live:${liveStreamId}`);
       console.log(
         `🎥 LIVE: User ${socket.userId} joined live stream ${liveStreamId}`
       );
 
+      // Members' entrance effect plays for the room
+      let entranceEffect = null;
+      try {
+        ({ entranceEffect } = await getPerks(socket.userId));
+      } catch (error) {
+        console.error("Entrance effect lookup error:", error.message);
+      }
+
       // Notify other viewers
       socket.to(`live:${liveStreamId}`).emit("live:viewer:joined", {
         userId: socket.userId,
         userName: socket.displayName,
+        entranceEffect,
       });
     });
 
@@ -453,12 +495,46 @@ const initializeSocket = (server) => {
     });
 
     // Handle host actions (mute, remove, etc.)
-    socket.on("live:host:action", (data) => {
+    socket.on("live:host:action", async (data) => {
       const { liveStreamId, action, targetUserId, targetSeatIndex } = data;
       console.log(
         `🎥 LIVE: Host action ${action} on user ${targetUserId} in live stream ${liveStreamId}`
       );
 
+      // Users with the antiKick perk can't be removed
+      if (action === "removed" && targetUserId) {
+        try {
+          if ((await getPerks(targetUserId)).antiKick) {
+            socket.emit("live:host:action:rejected", {
+              liveStreamId,
+              action,
+              targetUserId,
+              code: "USER_KICK_PROTECTED",
+            });
+            return;
+          }
+        } catch (error) {
+          console.error("Anti-kick lookup error:", error.message);
+        }
+      }
+
+      // A removed user's sockets stop getting the room's events (once the
+      // removal is recorded on the live by its host)
+      if (action === "removed" && targetUserId) {
+        try {
+          const removed = await LiveStream.exists({
+            _id: liveStreamId,
+            authorId: socket.userId,
+            removedUsersId: targetUserId,
+          });
+          if (removed) {
+            io.in(`user_${targetUserId}`).socketsLeave(`live:${liveStreamId}`);
+          }
+        } catch (error) {
+          console.error("Live removal error:", error.message);
+        }
+      }
+
       // Notify the target user
       if (targetUserId) {
         io.to(`user_${targetUserId}`).emit("live:host:action", {
@@ -502,6 +578,12 @@ const emitToUser = (userId, event, data) => {
   }
 };
 
+const emitToLive = (liveStreamId, event, data) => {
+  if (io) {
+    io.to(`live:${liveStreamId}`).emit(event, data);
+  }
+};
+
 const emitNewMessage = (message) => {
   if (io) {
     io.to(`chat_${message.chatId}`).emit("new_message", {
@@ -568,6 +650,7 @@ module.exports = {
   initializeSocket,
   emitToChat,
   emitToUser,
+  emitToLive,
   emitNewMessage,
   emitMessageUpdate,
   emitChatUpdate,
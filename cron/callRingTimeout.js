@@ -0,0 +1,43 @@
+const { expireStaleCalls } = require("../services/call_service");
+const { defineJob, scheduleJob } = require("../services/job_runner");
+
+/**
+ * Call Ring Timeout Cron Job
+ * Runs every minute to mark calls nobody answered as missed (and notify the
+ * callees) when the in-process ring timer was missed, and to close answered
+ * calls that were never hung up.
+ */
+
+async function expireCalls() {
+  const { missed, ended } = await expireStaleCalls();
+
+  if (missed || ended) {
+    console.log(`📞 Stale calls closed - Missed: ${missed}, Ended: ${ended}`);
+  }
+  return {
+    processed: missed + ended,
+    succeeded: missed + ended,
+    missed,
+    ended,
+  };
+}
+
+const callRingTimeoutJob = defineJob({
+  name: "call_ring_timeout",
+  description: "Mark unanswered calls as missed and close abandoned calls",
+  schedule: "* * * * *",
+  handler: expireCalls,
+});
+
+/**
+ * Schedule the job to run every minute
+ */
+function startCallRingTimeoutJob() {
+  scheduleJob(callRingTimeoutJob);
+  console.log("✅ Call ring timeout cron job scheduled (runs every minute)");
+}
+
+module.exports = {
+  startCallRingTimeoutJob,
+  expireCalls,
+};
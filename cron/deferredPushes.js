@@ -0,0 +1,36 @@
+const { sendDeferredPushes } = require("../services/push_dispatcher");
+const { defineJob, scheduleJob } = require("../services/job_runner");
+
+/**
+ * Deferred Pushes Cron Job
+ * Runs every 10 minutes to send the pushes held back by users' quiet hours
+ * once those hours are over.
+ */
+
+async function sendDeferred() {
+  const result = await sendDeferredPushes();
+  console.log(
+    `🔔 Deferred pushes complete! Sent: ${result.sent}, Dropped: ${result.dropped}, Errors: ${result.failed}`
+  );
+  return result;
+}
+
+const deferredPushesJob = defineJob({
+  name: "deferred_pushes",
+  description: "Send pushes deferred by quiet hours once they end",
+  schedule: "*/10 * * * *",
+  handler: sendDeferred,
+});
+
+/**
+ * Schedule the job to run every 10 minutes
+ */
+function startDeferredPushesJob() {
+  scheduleJob(deferredPushesJob);
+  console.log("✅ Deferred pushes cron job scheduled (runs every 10 minutes)");
+}
+
+module.exports = {
+  startDeferredPushesJob,
+  sendDeferred,
+};
@@ -6,9 +6,10 @@
  * This prevents accumulation of dead party streams
  */
 
-const cron = require("node-cron");
 const LiveStream = require("../models/LiveStream");
 const AudioChatUser = require("../models/AudioChatUser");
+const { finishLive } = require("../services/live_service");
+const { defineJob, scheduleJob } = require("../services/job_runner");
 
 // Constants
 const HEARTBEAT_CHECK_INTERVAL = "*/5 * * * *"; // Every 5 minutes
@@ -21,8 +22,10 @@ const CLEANUP_THRESHOLD_MINUTES = 20; // Clean up if 20+ min old
  * - It's still marked as streaming (true)
  * - No heartbeat for 15+ minutes
  * - It's a party live (video or audio)
+ * @returns {Promise<{checked: number, failed: number}>}
  */
 const checkAndMarkGhosts = async () => {
+  let failed = 0;
   try {
     const fifteenMinutesAgo = new Date(Date.now() - 15 * 60 * 1000);
 
@@ -45,21 +48,27 @@ const checkAndMarkGhosts = async () => {
 
         console.log(`[Ghost Check] Marked live ${live._id} as ghost`);
       } catch (error) {
+        failed++;
         console.error(`[Ghost Check] Error marking live ${live._id}:`, error.message);
       }
     }
 
     console.log(`[Ghost Check] Checked ${ghostLives.length} potential ghost lives`);
+    return { checked: ghostLives.length, failed };
   } catch (error) {
     console.error("[Ghost Check] Error in checkAndMarkGhosts:", error.message);
+    throw error;
   }
 };
 
 /**
  * Remove ghost lives and their associated data
  * Also removes seat records to free up resources
+ * @returns {Promise<{cleaned: number, failed: number}>}
  */
 const removeGhostLives = async () => {
+  let cleaned = 0;
+  let failed = 0;
   try {
     const cleanupThreshold = new Date(Date.now() - CLEANUP_THRESHOLD_MINUTES * 60 * 1000);
 
@@ -78,8 +87,16 @@ const removeGhostLives = async () => {
         });
 
         // Mark as not streaming instead of deleting (keep for records)
-        live.streaming = false;
-        live.save();
+        const ended = await LiveStream.findOneAndUpdate(
+          { _id: live._id, streaming: true },
+          { $set: { streaming: false } },
+          { new: true }
+        );
+        if (ended) {
+          // The host stopped at the last heartbeat
+          await finishLive(ended, { endedAt: live.lastHeartbeat || new Date() });
+        }
+        cleaned++;
 
         console.log(
           `[Cleanup] Removed ghost live ${live._id} (${
@@ -87,6 +104,7 @@ const removeGhostLives = async () => {
           }, created ${live.createdAt.toISOString()})`
         );
       } catch (error) {
+        failed++;
         console.error(`[Cleanup] Error cleaning up live ${live._id}:`, error.message);
       }
     }
@@ -106,35 +124,40 @@ const removeGhostLives = async () => {
     });
 
     console.log(`[Status] Active parties: ${activeParties}, Ghost parties: ${ghostParties}`);
+    return { cleaned, failed };
   } catch (error) {
     console.error("[Cleanup] Error in removeGhostLives:", error.message);
+    throw error;
   }
 };
 
+/**
+ * Mark ghosts, then clean up old ones (the job handler)
+ */
+const runGhostCleanup = async () => {
+  const checked = await checkAndMarkGhosts();
+  const removed = await removeGhostLives();
+  return {
+    processed: checked.checked,
+    succeeded: removed.cleaned,
+    failed: checked.failed + removed.failed,
+  };
+};
+
+const ghostCleanupJob = defineJob({
+  name: "ghost_live_cleanup",
+  description: "Mark party lives without heartbeats as ghosts and end old ones",
+  schedule: HEARTBEAT_CHECK_INTERVAL,
+  handler: runGhostCleanup,
+});
+
 /**
  * Start the ghost cleanup job
  * Should be called during server initialization
  */
 const startGhostCleanupJob = () => {
-  try {
-    // Run ghost check and cleanup every 5 minutes
-    const job = cron.schedule(HEARTBEAT_CHECK_INTERVAL, async () => {
-      console.log("[Ghost Cleanup] Running scheduled ghost live cleanup...");
-
-      // 1. Check and mark ghost lives
-      await checkAndMarkGhosts();
-
-      // 2. Remove old ghost lives
-      await removeGhostLives();
-    });
-
-    console.log("✅ Ghost cleanup cron job started (every 5 minutes)");
-
-    // Return job for testing/stopping if needed
-    return job;
-  } catch (error) {
-    console.error("❌ Failed to start ghost cleanup job:", error);
-  }
+  scheduleJob(ghostCleanupJob);
+  console.log("✅ Ghost cleanup cron job started (every 5 minutes)");
 };
 
 /**
@@ -142,8 +165,7 @@ const startGhostCleanupJob = () => {
  */
 const triggerGhostCleanup = async () => {
   console.log("[Manual Trigger] Running ghost cleanup manually...");
-  await checkAndMarkGhosts();
-  await removeGhostLives();
+  return runGhostCleanup();
 };
 
 module.exports = {
@@ -0,0 +1,34 @@
+const { computeTrending } = require("../services/hashtag_service");
+const { defineJob, scheduleJob } = require("../services/job_runner");
+
+/**
+ * Hashtag Trending Cron Job
+ * Runs every 15 minutes to refresh hashtag window counts and rank the
+ * trending list by usage velocity.
+ */
+
+async function computeTrendingHashtags() {
+  const { scored, trending } = await computeTrending();
+  console.log(`#️⃣ Hashtag trending computed - Rising: ${scored}, Trending: ${trending}`);
+  return { processed: scored, succeeded: scored, scored, trending };
+}
+
+const hashtagTrendingJob = defineJob({
+  name: "hashtag_trending",
+  description: "Refresh hashtag window counts and the trending list",
+  schedule: "*/15 * * * *",
+  handler: computeTrendingHashtags,
+});
+
+/**
+ * Schedule the job to run every 15 minutes
+ */
+function startHashtagTrendingJob() {
+  scheduleJob(hashtagTrendingJob);
+  console.log("✅ Hashtag trending cron job scheduled (runs every 15 minutes)");
+}
+
+module.exports = {
+  startHashtagTrendingJob,
+  computeTrendingHashtags,
+};
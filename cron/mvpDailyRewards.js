@@ -1,82 +1,86 @@
-const cron = require("node-cron");
+const moment = require("moment");
 const User = require("../models/User");
-const Transaction = require("../models/Transaction");
+const { grantReward } = require("../services/reward_service");
+const { getRewards } = require("../services/pricing_service");
+const { defineJob, scheduleJob } = require("../services/job_runner");
 
 /**
  * MVP Daily Rewards Cron Job
- * Runs every day at midnight (00:00) to credit rewards to active MVP users
+ * Runs every day at midnight (00:00) to credit rewards to active MVP users.
+ * Each grant is keyed mvp_daily:<userId>:<date>, so a day is paid once.
  */
 
-const MVP_DAILY_REWARD = {
-    coins: 1000,
-    exp: 100,
-};
-
-async function creditMVPDailyRewards() {
-    try {
-        console.log("🎁 Starting MVP Daily Rewards distribution...");
-
-        const now = new Date();
-
-        // Find all users with active MVP subscriptions
-        const mvpUsers = await User.find({
-            "gamification.isMVP": true,
-            "gamification.mvpExpiresAt": { $gt: now },
-        });
-
-        console.log(`📊 Found ${mvpUsers.length} active MVP users`);
-
-        let successCount = 0;
-        let errorCount = 0;
+/**
+ * Credit one day's MVP rewards
+ * @param {Object} [slot]
+ * @param {Date} [slot.scheduledFor] - Day being paid (defaults to today)
+ * @param {string} [slot.slotKey] - YYYY-MM-DD of that day
+ */
+async function creditMVPDailyRewards({
+    scheduledFor = moment().startOf("day").toDate(),
+    slotKey = moment(scheduledFor).format("YYYY-MM-DD"),
+} = {}) {
+    console.log(`🎁 Starting MVP Daily Rewards distribution for ${slotKey}...`);
 
-        for (const user of mvpUsers) {
-            try {
-                // Credit coins
-                await user.addCoins(MVP_DAILY_REWARD.coins);
+    // Amounts from the price catalogue
+    const { mvpDaily } = await getRewards();
 
-                // Add experience (MVP already gets 2x boost in addExperience, but we'll grant a base amount)
-                user.gamification.experiencePoints += MVP_DAILY_REWARD.exp;
-                await user.save();
+    // Users whose MVP was active on that day
+    const mvpUsers = User.find({
+        "gamification.isMVP": true,
+        "gamification.mvpExpiresAt": { $gt: scheduledFor },
+    })
+        .select("displayName")
+        .lean()
+        .cursor();
 
-                // Create transaction record for coins
-                await Transaction.create({
-                    receiver: user._id,
-                    type: "reward",
-                    currency: "coins",
-                    amount: MVP_DAILY_REWARD.coins,
-                    status: "completed",
-                    metadata: {
-                        source: "mvp_daily_reward",
-                        creditedAt: now,
-                    },
-                });
+    const counts = { processed: 0, succeeded: 0, skipped: 0, failed: 0 };
 
-                successCount++;
-                console.log(`✅ Credited rewards to ${user.displayName} (MVP)`);
-            } catch (error) {
-                errorCount++;
-                console.error(`❌ Error rewarding MVP user ${user._id}:`, error);
+    for await (const user of mvpUsers) {
+        counts.processed++;
+        try {
+            // Experience is a flat daily amount, not boosted like earned XP
+            const { duplicate } = await grantReward({
+                userId: user._id,
+                source: "mvp_daily_reward",
+                amounts: { coins: mvpDaily.coins, xp: mvpDaily.xp },
+                applyXpBoost: false,
+                description: "MVP daily reward",
+                idempotencyKey: `mvp_daily:${user._id}:${slotKey}`,
+                metadata: { rewardDate: slotKey },
+            });
+            if (duplicate) {
+                counts.skipped++;
+                continue;
             }
-        }
 
-        console.log(
-            `🎉 MVP Daily Rewards distribution complete! Success: ${successCount}, Errors: ${errorCount}`
-        );
-    } catch (error) {
-        console.error("❌ MVP Daily Rewards cron job error:", error);
+            counts.succeeded++;
+            console.log(`✅ Credited rewards to ${user.displayName} (MVP)`);
+        } catch (error) {
+            counts.failed++;
+            console.error(`❌ Error rewarding MVP user ${user._id}:`, error);
+        }
     }
+
+    console.log(
+        `🎉 MVP Daily Rewards distribution complete! Success: ${counts.succeeded}, Already paid: ${counts.skipped}, Errors: ${counts.failed}`
+    );
+    return counts;
 }
 
+const mvpDailyRewardsJob = defineJob({
+    name: "mvp_daily_rewards",
+    description: "Credit daily coins and experience to active MVP users",
+    schedule: "0 0 * * *",
+    period: "daily",
+    handler: creditMVPDailyRewards,
+});
+
 /**
- * Schedule the cron job to run daily at midnight (00:00)
+ * Schedule the job to run daily at midnight (00:00)
  */
 function startMVPDailyRewardsJob() {
-    // Run at midnight every day (00:00)
-    cron.schedule("0 0 * * *", async () => {
-        console.log("⏰ MVP Daily Rewards cron job triggered at", new Date());
-        await creditMVPDailyRewards();
-    });
-
+    scheduleJob(mvpDailyRewardsJob);
     console.log("✅ MVP Daily Rewards cron job scheduled (runs at 00:00 daily)");
 }
 
@@ -0,0 +1,45 @@
+const { settleDueBattles } = require("../services/pk_battle_service");
+const { defineJob, scheduleJob } = require("../services/job_runner");
+
+/**
+ * PK Battle Settle Cron Job
+ * Runs every minute to close PK battles whose in-process timers were missed
+ * (e.g. the server restarted mid-battle).
+ */
+
+async function settlePKBattles() {
+  const { expired, ended, finished } = await settleDueBattles();
+
+  if (expired || ended || finished) {
+    console.log(
+      `⚔️ PK battles settled - Expired invites: ${expired}, Ended: ${ended}, Finished: ${finished}`
+    );
+  }
+  return {
+    processed: expired + ended + finished,
+    succeeded: expired + ended + finished,
+    expired,
+    ended,
+    finished,
+  };
+}
+
+const pkBattleSettleJob = defineJob({
+  name: "pk_battle_settle",
+  description: "Close PK battles whose timers were missed",
+  schedule: "* * * * *",
+  handler: settlePKBattles,
+});
+
+/**
+ * Schedule the job to run every minute
+ */
+function startPKBattleSettleJob() {
+  scheduleJob(pkBattleSettleJob);
+  console.log("✅ PK battle settle cron job scheduled (runs every minute)");
+}
+
+module.exports = {
+  startPKBattleSettleJob,
+  settlePKBattles,
+};
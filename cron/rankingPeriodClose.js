@@ -0,0 +1,80 @@
+const Ranking = require("../models/Ranking");
+const { getRewards } = require("../services/pricing_service");
+const { defineJob, scheduleJob } = require("../services/job_runner");
+
+/**
+ * Ranking Period Close Cron Job
+ * Runs every day at 00:05 to freeze ranks and rewards of ended ranking
+ * periods (daily, weekly, monthly), so claims pay the final standings.
+ * Each run closes every ended period still open, so a missed day is closed
+ * by the next run.
+ */
+
+async function closeEndedRankingPeriods() {
+  console.log("🏆 Closing ended ranking periods...");
+
+  const now = new Date();
+
+  // Every (type, period, periodStart) bucket that has ended but isn't frozen
+  const openPeriods = await Ranking.aggregate([
+    {
+      $match: {
+        isFinal: false,
+        period: { $ne: "alltime" },
+        periodEnd: { $lt: now },
+      },
+    },
+    {
+      $group: {
+        _id: { type: "$type", period: "$period", periodStart: "$periodStart" },
+      },
+    },
+  ]);
+
+  // Periods are paid from the catalogue in force when they close
+  const { ranking: rewardTiers } = await getRewards();
+  const counts = { processed: 0, succeeded: 0, skipped: 0, failed: 0 };
+
+  for (const { _id: bucket } of openPeriods) {
+    counts.processed++;
+    try {
+      const ranked = await Ranking.closePeriod(
+        bucket.type,
+        bucket.period,
+        bucket.periodStart,
+        rewardTiers
+      );
+      counts.succeeded++;
+      console.log(
+        `✅ Closed ${bucket.type} ${bucket.period} ranking starting ${bucket.periodStart.toISOString()} (${ranked} users)`
+      );
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ Error closing ${bucket.type} ${bucket.period} ranking:`, error);
+    }
+  }
+
+  console.log(`🎉 Ranking period close complete! Closed: ${counts.succeeded}, Errors: ${counts.failed}`);
+  return counts;
+}
+
+const rankingPeriodCloseJob = defineJob({
+  name: "ranking_period_close",
+  description: "Freeze ranks and rewards of ended ranking periods",
+  schedule: "5 0 * * *",
+  period: "daily",
+  handler: closeEndedRankingPeriods,
+});
+
+/**
+ * Schedule the job to run daily just after midnight (00:05)
+ */
+function startRankingPeriodCloseJob() {
+  scheduleJob(rankingPeriodCloseJob);
+  console.log("✅ Ranking period close cron job scheduled (runs at 00:05 daily)");
+}
+
+module.exports = {
+  startRankingPeriodCloseJob,
+  closeEndedRankingPeriods,
+};
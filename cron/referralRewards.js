@@ -0,0 +1,45 @@
+const { processPendingReferrals } = require("../services/referral_service");
+const { defineJob, scheduleJob } = require("../services/job_runner");
+
+/**
+ * Referral Rewards Cron Job
+ * Runs every hour to pay referrals whose invitee reached the reward
+ * milestone, and to drop ones that never will.
+ */
+
+async function processReferralRewards() {
+  console.log("🎟️ Processing pending referrals...");
+
+  const { rewarded, expired, failed } = await processPendingReferrals();
+
+  console.log(
+    `🎉 Referral processing complete! Rewarded: ${rewarded}, Expired: ${expired}, Failed: ${failed}`
+  );
+  return {
+    processed: rewarded + expired + failed,
+    succeeded: rewarded + expired,
+    failed,
+    rewarded,
+    expired,
+  };
+}
+
+const referralRewardsJob = defineJob({
+  name: "referral_rewards",
+  description: "Pay referrals that reached the milestone and drop expired ones",
+  schedule: "0 * * * *",
+  handler: processReferralRewards,
+});
+
+/**
+ * Schedule the job to run at the start of every hour
+ */
+function startReferralRewardsJob() {
+  scheduleJob(referralRewardsJob);
+  console.log("✅ Referral rewards cron job scheduled (runs hourly)");
+}
+
+module.exports = {
+  startReferralRewardsJob,
+  processReferralRewards,
+};
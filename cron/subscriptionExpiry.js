@@ -0,0 +1,36 @@
+const { sweepSubscriptions } = require("../services/subscription_service");
+const { defineJob, scheduleJob } = require("../services/job_runner");
+
+/**
+ * Subscription Expiry Cron Job
+ * Runs every 10 minutes to send "expiring soon" notices and end VIP, MVP
+ * and Guardian subscriptions past their end date.
+ */
+
+async function expireSubscriptions() {
+  const result = await sweepSubscriptions();
+  console.log(
+    `🎫 Subscription sweep complete! Notices: ${result.noticesSent}, Expired: ${result.expired}, Errors: ${result.failed}`
+  );
+  return result;
+}
+
+const subscriptionExpiryJob = defineJob({
+  name: "subscription_expiry",
+  description: "Send expiring-soon notices and expire ended subscriptions",
+  schedule: "*/10 * * * *",
+  handler: expireSubscriptions,
+});
+
+/**
+ * Schedule the job to run every 10 minutes
+ */
+function startSubscriptionExpiryJob() {
+  scheduleJob(subscriptionExpiryJob);
+  console.log("✅ Subscription expiry cron job scheduled (runs every 10 minutes)");
+}
+
+module.exports = {
+  startSubscriptionExpiryJob,
+  expireSubscriptions,
+};
@@ -1,115 +1,108 @@
-const cron = require("node-cron");
+const moment = require("moment");
 const User = require("../models/User");
-const Transaction = require("../models/Transaction");
+const { grantReward } = require("../services/reward_service");
+const { getRewards } = require("../services/pricing_service");
+const { defineJob, scheduleJob } = require("../services/job_runner");
 
 /**
  * VIP Daily Coins Cron Job
- * Runs every day at midnight (00:00) to credit coins to active VIP users
+ * Runs every day at midnight (00:00) to credit coins to active VIP users.
+ * Each grant is keyed vip_daily:<userId>:<date>, so a day is paid once
+ * however many times (or on however many servers) it runs.
  */
 
-const VIP_DAILY_COINS = {
-  normal: 3500,
-  super: 16000,
-  diamond: 35000,
-};
-
-async function creditVIPDailyCoins() {
-  try {
-    console.log("🎁 Starting VIP Daily Coins distribution...");
-
-    const now = new Date();
+/**
+ * Credit one day's VIP coins
+ * @param {Object} [slot]
+ * @param {Date} [slot.scheduledFor] - Day being paid (defaults to today)
+ * @param {string} [slot.slotKey] - YYYY-MM-DD of that day
+ */
+async function creditVIPDailyCoins({
+  scheduledFor = moment().startOf("day").toDate(),
+  slotKey = moment(scheduledFor).format("YYYY-MM-DD"),
+} = {}) {
+  console.log(`🎁 Starting VIP Daily Coins distribution for ${slotKey}...`);
+
+  // Amounts per tier from the price catalogue
+  const { vipDailyCoins } = await getRewards();
+
+  // Users whose VIP was active on that day
+  const vipUsers = User.find({
+    $or: [
+      { "gamification.isNormalVip": true },
+      { "gamification.isSuperVip": true },
+      { "gamification.isDiamondVip": true },
+    ],
+    "gamification.vipExpiresAt": { $gt: scheduledFor },
+  })
+    .select("displayName gamification")
+    .lean()
+    .cursor();
+
+  const counts = { processed: 0, succeeded: 0, skipped: 0, failed: 0 };
+
+  for await (const user of vipUsers) {
+    counts.processed++;
+    try {
+      // Determine VIP tier and coins to credit
+      let coinsToCredit = 0;
+      let vipTier = "";
+
+      if (user.gamification.isDiamondVip) {
+        coinsToCredit = vipDailyCoins.diamond;
+        vipTier = "Diamond VIP";
+      } else if (user.gamification.isSuperVip) {
+        coinsToCredit = vipDailyCoins.super;
+        vipTier = "Super VIP";
+      } else if (user.gamification.isNormalVip) {
+        coinsToCredit = vipDailyCoins.normal;
+        vipTier = "Normal VIP";
+      }
 
-    // Find all users with active VIP subscriptions
-    const vipUsers = await User.find({
-      $or: [
-        {
-          "gamification.isNormalVip": true,
-          "gamification.vipExpiresAt": { $gt: now },
+      // Credit coins to user
+      const { duplicate } = await grantReward({
+        userId: user._id,
+        source: "vip_daily_reward",
+        amounts: { coins: coinsToCredit },
+        description: `${vipTier} daily coins`,
+        idempotencyKey: `vip_daily:${user._id}:${slotKey}`,
+        metadata: {
+          vipTier: vipTier,
+          rewardDate: slotKey,
         },
-        {
-          "gamification.isSuperVip": true,
-          "gamification.vipExpiresAt": { $gt: now },
-        },
-        {
-          "gamification.isDiamondVip": true,
-          "gamification.vipExpiresAt": { $gt: now },
-        },
-      ],
-    });
-
-    console.log(`📊 Found ${vipUsers.length} active VIP users`);
-
-    let successCount = 0;
-    let errorCount = 0;
-
-    for (const user of vipUsers) {
-      try {
-        // Determine VIP tier and coins to credit
-        let coinsToCredit = 0;
-        let vipTier = "";
-
-        if (user.gamification.isDiamondVip) {
-          coinsToCredit = VIP_DAILY_COINS.diamond;
-          vipTier = "Diamond VIP";
-        } else if (user.gamification.isSuperVip) {
-          coinsToCredit = VIP_DAILY_COINS.super;
-          vipTier = "Super VIP";
-        } else if (user.gamification.isNormalVip) {
-          coinsToCredit = VIP_DAILY_COINS.normal;
-          vipTier = "Normal VIP";
-        }
-
-        if (coinsToCredit === 0) {
-          console.log(`⚠️ User ${user._id} has no valid VIP tier`);
-          continue;
-        }
-
-        // Credit coins to user
-        await user.addCoins(coinsToCredit);
-
-        // Create transaction record
-        await Transaction.create({
-          receiver: user._id,
-          type: "reward",
-          currency: "coins",
-          amount: coinsToCredit,
-          status: "completed",
-          metadata: {
-            source: "vip_daily_reward",
-            vipTier: vipTier,
-            creditedAt: now,
-          },
-        });
-
-        successCount++;
-        console.log(
-          `✅ Credited ${coinsToCredit} coins to ${user.displayName} (${vipTier})`
-        );
-      } catch (error) {
-        errorCount++;
-        console.error(`❌ Error crediting coins to user ${user._id}:`, error);
+      });
+      if (duplicate) {
+        counts.skipped++;
+        continue;
       }
-    }
 
-    console.log(
-      `🎉 VIP Daily Coins distribution complete! Success: ${successCount}, Errors: ${errorCount}`
-    );
-  } catch (error) {
-    console.error("❌ VIP Daily Coins cron job error:", error);
+      counts.succeeded++;
+      console.log(`✅ Credited ${coinsToCredit} coins to ${user.displayName} (${vipTier})`);
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ Error crediting coins to user ${user._id}:`, error);
+    }
   }
+
+  console.log(
+    `🎉 VIP Daily Coins distribution complete! Success: ${counts.succeeded}, Already paid: ${counts.skipped}, Errors: ${counts.failed}`
+  );
+  return counts;
 }
 
+const vipDailyCoinsJob = defineJob({
+  name: "vip_daily_coins",
+  description: "Credit daily coins to active VIP users",
+  schedule: "0 0 * * *",
+  period: "daily",
+  handler: creditVIPDailyCoins,
+});
+
 /**
- * Schedule the cron job to run daily at midnight (00:00)
- * Cron format: second minute hour day month weekday
+ * Schedule the job to run daily at midnight (00:00)
  */
 function startVIPDailyCoinsJob() {
-  // Run at midnight every day (00:00)
-  cron.schedule("0 0 * * *", async () => {
-    console.log("⏰ VIP Daily Coins cron job triggered at", new Date());
-    await creditVIPDailyCoins();
-  });
-
+  scheduleJob(vipDailyCoinsJob);
   console.log("✅ VIP Daily Coins cron job scheduled (runs at 00:00 daily)");
 }
 
@@ -118,4 +111,3 @@ module.exports = {
   startVIPDailyCoinsJob,
   creditVIPDailyCoins, // For manual testing
 };
-
@@ -0,0 +1,50 @@
+const { reconcilePendingTransactions } = require("../services/wallet_service");
+const { reconcileEscrows } = require("../services/withdrawal_service");
+const { defineJob, scheduleJob } = require("../services/job_runner");
+
+/**
+ * Wallet Reconcile Cron Job
+ * Runs every 5 minutes to settle ledger rows left pending by a balance
+ * change that was interrupted (crash, lost database connection), then the
+ * withdrawals whose escrow debit was interrupted.
+ */
+
+async function reconcileWallets() {
+  const ledger = await reconcilePendingTransactions();
+  const escrows = await reconcileEscrows();
+  console.log(
+    `💰 Wallet reconcile complete! Completed: ${ledger.completed}, Voided: ${ledger.voided}, ` +
+      `Withdrawals opened: ${escrows.opened}, dropped: ${escrows.dropped}, ` +
+      `Errors: ${ledger.failed + escrows.failed}`
+  );
+  return {
+    processed: ledger.processed + escrows.processed,
+    succeeded: ledger.succeeded + escrows.succeeded,
+    skipped: ledger.skipped + escrows.skipped,
+    failed: ledger.failed + escrows.failed,
+    completed: ledger.completed,
+    voided: ledger.voided,
+    withdrawalsOpened: escrows.opened,
+    withdrawalsDropped: escrows.dropped,
+  };
+}
+
+const walletReconcileJob = defineJob({
+  name: "wallet_reconcile",
+  description: "Settle ledger rows and withdrawal escrows left pending by interrupted balance changes",
+  schedule: "*/5 * * * *",
+  handler: reconcileWallets,
+});
+
+/**
+ * Schedule the job to run every 5 minutes
+ */
+function startWalletReconcileJob() {
+  scheduleJob(walletReconcileJob);
+  console.log("✅ Wallet reconcile cron job scheduled (runs every 5 minutes)");
+}
+
+module.exports = {
+  startWalletReconcileJob,
+  reconcileWallets,
+};
@@ -1,5 +1,6 @@
 const rateLimit = require("express-rate-limit");
 const { validateChatFileType } = require("../config/cloudinary");
+const { BASE_PERKS, getPerks } = require("../services/perk_service");
 
 /**
  * Chat-specific middleware for validation and rate limiting
@@ -8,7 +9,9 @@ const { validateChatFileType } = require("../config/cloudinary");
 // Rate limiter for sending messages
 const messageSendLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
-  max: 30, // 30 messages per minute per user
+  // Messages per minute per user (raised by the messagesPerMinute perk)
+  max: async (req) =>
+    req.user ? (await getPerks(req.user._id)).messagesPerMinute : BASE_PERKS.messagesPerMinute,
   message: {
     success: false,
     message: "Too many messages sent. Please slow down.",
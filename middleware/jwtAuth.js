@@ -105,6 +105,18 @@ const authenticateJWT = async (req, res, next) => {
       });
     }
 
+    if (user.isBlocked) {
+      return res.status(403).json({
+        success: false,
+        message: "User account is blocked.",
+        code: "USER_BLOCKED",
+      });
+    }
+
+    user.recordActiveDay().catch((error) => {
+      console.error("Record active day error:", error.message);
+    });
+
     // Attach user info to request
     req.user = user;
     req.tokenPayload = decoded;
@@ -156,7 +168,10 @@ const optionalJWTAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, JWT_SECRET);
       const user = await User.findById(decoded.userId);
 
-      if (user && user.isActive) {
+      if (user && user.isActive && !user.isBlocked) {
+        user.recordActiveDay().catch((error) => {
+          console.error("Record active day error:", error.message);
+        });
         req.user = user;
         req.tokenPayload = decoded;
         // Also set req.firebaseUser for compatibility
@@ -1,4 +1,5 @@
 const Subscription = require("../models/Subscription");
+const { getPerks } = require("../services/perk_service");
 
 /**
  * Middleware to require any active subscription
@@ -106,3 +107,43 @@ exports.requireVipTier = (minTier) => {
         }
     };
 };
+
+/**
+ * Middleware to attach the user's current perks as req.perks
+ */
+exports.loadPerks = async (req, res, next) => {
+    try {
+        req.perks = await getPerks(req.user._id);
+        next();
+    } catch (error) {
+        console.error("Load perks middleware error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+};
+
+/**
+ * Middleware to require a perk (see PERK_CATALOGUE in services/perk_service)
+ * With `appliesTo`, only requests it returns true for need the perk.
+ * Attaches the user's perks as req.perks.
+ */
+exports.requirePerk = (perk, appliesTo = () => true) => {
+    return async (req, res, next) => {
+        try {
+            req.perks = await getPerks(req.user._id);
+
+            if (appliesTo(req) && !req.perks[perk]) {
+                return res.status(403).json({
+                    success: false,
+                    message: "Your membership doesn't include this feature",
+                    code: "PERK_REQUIRED",
+                    data: { perk }
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error("Perk middleware error:", error);
+            res.status(500).json({ success: false, message: "Internal server error" });
+        }
+    };
+};
@@ -72,10 +72,21 @@ const auditLogSchema = new mongoose.Schema(
         "user_unblock",
         // Notifications
         "notifications_update",
+        // Economy
+        "vip_purchase",
+        "mvp_purchase",
+        "guardian_purchase",
         // Admin
         "admin_action",
         "role_change",
         "permission_change",
+        "balance_adjust",
+        "live_force_end",
+        "report_review",
+        "content_moderate",
+        "withdrawal_review",
+        // Errors (global error handler)
+        "error",
       ],
     },
 
@@ -90,6 +101,12 @@ const auditLogSchema = new mongoose.Schema(
         "data",
         "post",
         "comment",
+        "live_stream",
+        "report",
+        "transaction",
+        "withdrawal",
+        "job",
+        "pricing",
       ],
     },
 
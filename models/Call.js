@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+
+// Statuses in which a call is still going on
+const OPEN_STATUSES = ["ringing", "answered"];
+
+/**
+ * Call Model
+ * One audio/video call started from a chat. The finished document is the
+ * call's history record.
+ *
+ * Lifecycle: ringing -> answered -> ended
+ *                   \-> missed (nobody answered in time, or the caller hung up)
+ *                   \-> rejected (every callee declined)
+ */
+const callParticipantSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["invited", "joined", "rejected"],
+      default: "invited",
+    },
+    joinedAt: Date,
+    respondedAt: Date,
+  },
+  { _id: false }
+);
+
+const callSchema = new mongoose.Schema(
+  {
+    chat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Chat",
+      required: true,
+      index: true,
+    },
+    caller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Callees (the caller is not listed here)
+    participants: [callParticipantSchema],
+
+    type: {
+      type: String,
+      enum: ["audio", "video"],
+      required: true,
+    },
+    // RTC channel name
+    roomId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["ringing", "answered", "missed", "rejected", "ended"],
+      default: "ringing",
+      index: true,
+    },
+
+    // Timeline
+    ringExpiresAt: {
+      type: Date,
+      required: true,
+    },
+    answeredAt: Date,
+    endedAt: Date,
+    endedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Seconds between answer and hang up (0 for unanswered calls)
+    duration: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+callSchema.index({ caller: 1, createdAt: -1 });
+callSchema.index({ "participants.user": 1, createdAt: -1 });
+callSchema.index({ status: 1, ringExpiresAt: 1 });
+
+// Whether a user is the caller or an invited callee
+callSchema.methods.isParticipant = function (userId) {
+  const id = userId.toString();
+  return (
+    this.caller.toString() === id ||
+    this.participants.some((p) => p.user.toString() === id)
+  );
+};
+
+// Whether a user may (still) join the call's room
+callSchema.methods.canJoin = function (userId) {
+  const id = userId.toString();
+  if (!OPEN_STATUSES.includes(this.status)) return false;
+  if (this.caller.toString() === id) return true;
+  return this.participants.some(
+    (p) => p.user.toString() === id && p.status !== "rejected"
+  );
+};
+
+// Calls a user made or received, newest first
+callSchema.statics.findForUser = function (userId, filter = {}) {
+  return this.find({
+    ...filter,
+    $or: [{ caller: userId }, { "participants.user": userId }],
+  }).sort({ createdAt: -1 });
+};
+
+const Call = mongoose.model("Call", callSchema);
+Call.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = Call;
@@ -134,7 +134,7 @@ const chatSchema = new Schema(
       },
       type: {
         type: String,
-        enum: ["text", "image", "video", "audio", "lottie", "svga", "file"],
+        enum: ["text", "image", "video", "audio", "lottie", "svga", "file", "system"],
       },
       senderId: {
         type: Schema.Types.ObjectId,
@@ -28,6 +28,13 @@ const coinPackageSchema = new mongoose.Schema(
       min: 0,
     },
 
+    // Local currency prices for Paystack (e.g. { GHS: 180, NGN: 24000 })
+    localPrices: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+
     // Display Information
     displayName: {
       type: String,
@@ -105,6 +112,12 @@ coinPackageSchema.statics.getByProductId = async function (productId) {
   return this.findOne({ productId, isActive: true });
 };
 
+// Static method to get package by store-specific product ID
+coinPackageSchema.statics.getByStoreProductId = async function (store, storeProductId) {
+  const field = store === "app_store" ? "appStoreProductId" : "googlePlayProductId";
+  return this.findOne({ [field]: storeProductId, isActive: true });
+};
+
 // Static method to seed default packages
 coinPackageSchema.statics.seedDefaultPackages = async function () {
   const defaultPackages = [
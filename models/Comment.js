@@ -35,6 +35,20 @@ const commentSchema = new mongoose.Schema(
       maxlength: [2000, "Comment content cannot exceed 2000 characters"],
     },
 
+    // Users mentioned with @username (only those the author may mention)
+    mentions: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        username: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+
     // Reply System
     parentCommentId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -35,18 +35,8 @@ const fanClubSchema = new mongoose.Schema({
     type: Number,
     default: 100,
   },
-  joinFee: {
-    type: Number,
-    default: 100, // Coins to join
-  },
-  renewalFee: {
-    type: Number,
-    default: 300, // Monthly renewal fee
-  },
-  nameChangeFee: {
-    type: Number,
-    default: 10000, // Fee to change club name
-  },
+  // Join, renewal and name change fees are in the price catalogue
+  // (pricing_service, prices.fanClub)
   privileges: {
     sortPriority: { type: Boolean, default: true },
     exclusiveBadge: { type: Boolean, default: true },
@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+
+// Content types a hashtag can be used on
+const HASHTAG_SOURCES = ["posts", "stories", "lives"];
+
+/**
+ * Hashtag Model
+ * One document per tag (stored lowercase, without "#"). Counters hold how
+ * many posts/stories/lives used the tag (edited or deleted posts give theirs
+ * back); `buckets` hold hourly usage for the sliding windows the trending
+ * job scores on.
+ */
+const usageBucketSchema = new mongoose.Schema(
+  {
+    // Start of the hour
+    hour: {
+      type: Date,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const hashtagSchema = new mongoose.Schema(
+  {
+    tag: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      maxlength: [30, "Tag cannot exceed 30 characters"],
+    },
+
+    // Content using the tag
+    counts: {
+      posts: { type: Number, default: 0, min: 0 },
+      stories: { type: Number, default: 0, min: 0 },
+      lives: { type: Number, default: 0, min: 0 },
+    },
+    totalUses: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      index: true,
+    },
+
+    // Hourly usage, oldest first, trimmed to the longest window
+    buckets: [usageBucketSchema],
+
+    // Uses per sliding window, refreshed by the trending job
+    windowCounts: {
+      lastHour: { type: Number, default: 0 },
+      lastDay: { type: Number, default: 0 },
+      lastWeek: { type: Number, default: 0 },
+    },
+
+    // Trending
+    trendingScore: {
+      type: Number,
+      default: 0,
+    },
+    trendingRank: {
+      type: Number,
+      default: null,
+    },
+    trendingComputedAt: Date,
+
+    // Hidden from trending and search by moderators
+    isBlocked: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+hashtagSchema.index({ trendingRank: 1 });
+hashtagSchema.index({ isBlocked: 1, totalUses: -1 });
+
+// Current trending list, best first
+hashtagSchema.statics.getTrending = function (limit = 20) {
+  return this.find({ trendingRank: { $ne: null }, isBlocked: false })
+    .sort({ trendingRank: 1 })
+    .limit(limit)
+    .select("-buckets");
+};
+
+const Hashtag = mongoose.model("Hashtag", hashtagSchema);
+Hashtag.HASHTAG_SOURCES = HASHTAG_SOURCES;
+
+module.exports = Hashtag;
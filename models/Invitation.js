@@ -30,10 +30,29 @@ const invitationSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        // pending: waiting for the invitee to reach the reward milestone
+        // rewarded: both parties paid
+        // rejected: failed anti-abuse checks or never reached the milestone
+        status: {
+          type: String,
+          enum: ["pending", "rewarded", "rejected"],
+          default: "pending",
+        },
+        rejectionReason: {
+          type: String,
+          default: null,
+        },
+        // Signup fingerprint, used to spot self-referrals
+        deviceId: String,
+        ipAddress: String,
         rewardClaimed: {
           type: Boolean,
           default: false,
         },
+        rewardedAt: {
+          type: Date,
+          default: null,
+        },
       },
     ],
     totalInvites: {
@@ -50,6 +69,8 @@ const invitationSchema = new mongoose.Schema(
 
 invitationSchema.index({ userId: 1 });
 invitationSchema.index({ referralCode: 1 });
+invitationSchema.index({ "invitedUsers.invitedUserId": 1 });
+invitationSchema.index({ "invitedUsers.status": 1 });
 
 // Generate unique referral code
 invitationSchema.statics.generateReferralCode = function () {
@@ -61,4 +82,16 @@ invitationSchema.statics.generateReferralCode = function () {
   return code;
 };
 
+// Get a user's invitation, creating it with a fresh referral code if needed
+invitationSchema.statics.getOrCreateForUser = async function (userId) {
+  let invitation = await this.findOne({ userId });
+  if (invitation) return invitation;
+
+  let code = this.generateReferralCode();
+  while (await this.findOne({ referralCode: code })) {
+    code = this.generateReferralCode();
+  }
+  return this.create({ userId, referralCode: code });
+};
+
 module.exports = mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+/**
+ * Job Lock Model
+ * A lease per job name, so only one server instance runs a job at a time.
+ * The owner renews the lease while the job runs; a lease that isn't
+ * renewed (the owner crashed) expires and another instance can take it.
+ * Owners are unique per acquisition, so a lease is never re-entered - not
+ * even by another run on the same instance.
+ */
+const jobLockSchema = new mongoose.Schema(
+  {
+    // Job name
+    _id: {
+      type: String,
+    },
+    // "<hostname>:<pid>:<uuid>" of the acquisition holding the lease
+    owner: {
+      type: String,
+      required: true,
+    },
+    lockedUntil: {
+      type: Date,
+      required: true,
+    },
+    acquiredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+/**
+ * Take the lease if nobody holds it
+ * @returns {Promise<boolean>} whether this owner now holds it
+ */
+jobLockSchema.statics.acquire = async function (name, owner, leaseMs) {
+  const now = new Date();
+  try {
+    await this.findOneAndUpdate(
+      { _id: name, lockedUntil: { $lte: now } },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + leaseMs), acquiredAt: now } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collided with a lease held by someone else
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Extend a lease this owner holds
+ * @returns {Promise<boolean>} false if the lease was lost
+ */
+jobLockSchema.statics.renew = async function (name, owner, leaseMs) {
+  const result = await this.updateOne(
+    { _id: name, owner },
+    { $set: { lockedUntil: new Date(Date.now() + leaseMs) } }
+  );
+  return result.matchedCount > 0;
+};
+
+jobLockSchema.statics.release = function (name, owner) {
+  return this.updateOne({ _id: name, owner }, { $set: { lockedUntil: new Date() } });
+};
+
+const JobLock = mongoose.model("JobLock", jobLockSchema);
+
+module.exports = JobLock;
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+
+// How long run records are kept
+const RETENTION_DAYS = 30;
+
+/**
+ * Job Run Model
+ * One execution of a scheduled job: when it ran, which slot it covered,
+ * how it ended and what it did.
+ *
+ * Lifecycle: running -> succeeded
+ *                   \-> partial (some items failed; their keys let a rerun finish them)
+ *                   \-> failed (the job itself threw)
+ */
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+    },
+    // Slot the run covers (e.g. the day for daily jobs)
+    scheduledFor: {
+      type: Date,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ["schedule", "catch_up", "manual"],
+      required: true,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "partial", "failed"],
+      default: "running",
+    },
+    // Server instance holding the job's lock
+    instanceId: String,
+
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: Date,
+    durationMs: Number,
+
+    counts: {
+      processed: { type: Number, default: 0 },
+      succeeded: { type: Number, default: 0 },
+      // Already done by an earlier run (idempotency key existed)
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    // Job-specific summary
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobRunSchema.index({ job: 1, scheduledFor: -1 });
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Latest run that got through a slot (failed runs leave the slot missed;
+// partial ones are retried through findUnfinishedSlots)
+jobRunSchema.statics.findLastCompleted = function (job) {
+  return this.findOne({ job, status: { $in: ["succeeded", "partial"] }, trigger: { $ne: "manual" } })
+    .sort({ scheduledFor: -1 })
+    .lean();
+};
+
+// Slots since a date whose runs ended partial and that no run has since
+// finished (a manual run that succeeds counts)
+jobRunSchema.statics.findUnfinishedSlots = async function (job, since) {
+  const runs = await this.find({
+    job,
+    scheduledFor: { $gte: since },
+    status: { $in: ["succeeded", "partial"] },
+  })
+    .select("scheduledFor status")
+    .lean();
+
+  const finished = new Set(
+    runs.filter((run) => run.status === "succeeded").map((run) => run.scheduledFor.getTime())
+  );
+  const unfinished = new Set(
+    runs
+      .filter((run) => run.status === "partial" && !finished.has(run.scheduledFor.getTime()))
+      .map((run) => run.scheduledFor.getTime())
+  );
+  return [...unfinished].map((time) => new Date(time));
+};
+
+const JobRun = mongoose.model("JobRun", jobRunSchema);
+
+module.exports = JobRun;
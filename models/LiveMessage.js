@@ -37,6 +37,12 @@ const liveMessageSchema = new mongoose.Schema(
       default: "",
     },
 
+    // Author's live chat colour (a membership perk), e.g. "#48C9B0"
+    chatColor: {
+      type: String,
+      default: null,
+    },
+
     // Message Type
     messageType: {
       type: String,
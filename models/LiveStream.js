@@ -71,10 +71,17 @@ const liveStreamSchema = new mongoose.Schema(
         type: String,
       },
     ],
+    // Ticket price is the coin value of this gift (no price = invite only)
     privateLivePrice: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Gift",
     },
+    // Viewers who bought a ticket (invited viewers are in privateViewersId)
+    paidViewersId: [
+      {
+        type: String,
+      },
+    ],
 
     // Viewers and Statistics
     viewersCount: {
@@ -335,6 +342,16 @@ liveStreamSchema.methods.addViewer = function (userId, userUid) {
   }
 };
 
+// Whether a user can enter without buying a ticket
+liveStreamSchema.methods.hasPrivateAccess = function (userId) {
+  return (
+    !this.private ||
+    this.authorId === userId ||
+    this.privateViewersId.includes(userId) ||
+    this.paidViewersId.includes(userId)
+  );
+};
+
 // Method to remove viewer
 liveStreamSchema.methods.removeViewer = function (userId, userUid) {
   this.viewersId = this.viewersId.filter((id) => id !== userId);
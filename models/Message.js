@@ -389,6 +389,16 @@ const messageSchema = new Schema(
       },
     ], // Users who have deleted this message for themselves
 
+    // Story this message replies to (for story replies sent to the author)
+    storyReply: {
+      storyId: {
+        type: Schema.Types.ObjectId,
+        ref: "Story",
+      },
+      mediaType: String,
+      thumbnailUrl: String,
+    },
+
     // System Message Data (for system messages)
     systemData: {
       type: Schema.Types.Mixed,
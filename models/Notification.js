@@ -23,6 +23,7 @@ const notificationSchema = new mongoose.Schema(
         "live",
         "system",
         "chat",
+        "call",
       ],
       required: true,
     },
@@ -47,11 +48,20 @@ const notificationSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Set while the push waits for the user's quiet hours to end
+    pushDeferredAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
 notificationSchema.index({ userId: 1, createdAt: -1 });
 notificationSchema.index({ userId: 1, isRead: 1 });
+notificationSchema.index(
+  { pushDeferredAt: 1 },
+  { partialFilterExpression: { pushDeferredAt: { $type: "date" } } }
+);
 
 module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+
+// Statuses in which a live is taken by a battle
+const OPEN_STATUSES = ["invited", "active", "punishment"];
+
+/**
+ * PK Battle Model
+ * A timed gift battle between two live hosts. The finished document is the
+ * battle's result record.
+ *
+ * Lifecycle: invited -> active -> punishment (optional) -> ended
+ *                    \-> declined | cancelled | expired
+ */
+const pkBattleSchema = new mongoose.Schema(
+  {
+    // Host who sent the invite and their live
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    requesterLive: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LiveStream",
+      required: true,
+    },
+
+    // Host who was invited and their live
+    receiver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    receiverLive: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LiveStream",
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["invited", "declined", "cancelled", "expired", "active", "punishment", "ended"],
+      default: "invited",
+      index: true,
+    },
+
+    durationSeconds: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    punishmentSeconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Gift coins received by each side during the battle window
+    scores: {
+      requester: { type: Number, default: 0 },
+      receiver: { type: Number, default: 0 },
+    },
+
+    // Result
+    winner: {
+      type: String,
+      enum: ["requester", "receiver", "draw", null],
+      default: null,
+    },
+    winnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    endReason: {
+      type: String,
+      enum: ["timeout", "live_ended", null],
+      default: null,
+    },
+
+    // Timeline
+    inviteExpiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: Date,
+    startedAt: Date,
+    endsAt: Date,
+    punishmentEndsAt: Date,
+    endedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pkBattleSchema.index({ requesterLive: 1, status: 1 });
+pkBattleSchema.index({ receiverLive: 1, status: 1 });
+pkBattleSchema.index({ status: 1, endsAt: 1 });
+
+// Find the open battle a live is part of
+pkBattleSchema.statics.findOpenForLive = function (liveStreamId, statuses) {
+  return this.findOne({
+    status: { $in: statuses || OPEN_STATUSES },
+    $or: [{ requesterLive: liveStreamId }, { receiverLive: liveStreamId }],
+  }).sort({ createdAt: -1 });
+};
+
+// Which side ('requester' | 'receiver') a live is on
+pkBattleSchema.methods.sideOf = function (liveStreamId) {
+  const id = liveStreamId.toString();
+  if (this.requesterLive.toString() === id) return "requester";
+  if (this.receiverLive.toString() === id) return "receiver";
+  return null;
+};
+
+const PKBattle = mongoose.model("PKBattle", pkBattleSchema);
+PKBattle.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = PKBattle;
@@ -163,6 +163,7 @@ const postSchema = new mongoose.Schema(
     ],
 
     // Content Metadata
+    // Tags the author picked plus the hashtags written in the content
     tags: [
       {
         type: String,
@@ -171,6 +172,11 @@ const postSchema = new mongoose.Schema(
         maxlength: [30, "Tag cannot exceed 30 characters"],
       },
     ],
+    // Just the tags the author picked (unset on posts from before it was kept)
+    customTags: {
+      type: [String],
+      default: undefined,
+    },
 
     mentions: [
       {
@@ -239,6 +245,17 @@ const postSchema = new mongoose.Schema(
       default: "approved",
     },
 
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    moderatedAt: {
+      type: Date,
+      default: null,
+    },
+
     // Analytics
     analytics: {
       impressions: {
@@ -257,6 +274,15 @@ const postSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Video posts only
+      watchTimeMs: {
+        type: Number,
+        default: 0,
+      },
+      completedViews: {
+        type: Number,
+        default: 0,
+      },
     },
 
     // Soft Delete
@@ -369,12 +395,6 @@ postSchema.methods.unlike = function (userId) {
   return this.save();
 };
 
-postSchema.methods.incrementViews = function () {
-  this.views += 1;
-  this.analytics.impressions += 1;
-  return this.save();
-};
-
 postSchema.methods.incrementShares = function () {
   this.shares += 1;
   this.analytics.engagement += 1;
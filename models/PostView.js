@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// How long view records are kept (and so how far back analytics can chart)
+const RETENTION_DAYS = 90;
+
+/**
+ * Post View Model
+ * One document per viewer, post and dedupe window. The first impression in
+ * a window counts as a view; later ones only add impressions and watch
+ * time. Lifetime totals live on the post itself.
+ */
+const postViewSchema = new mongoose.Schema(
+  {
+    postId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    // Post author, so creator analytics don't need a join
+    postAuthor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    viewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Whether the viewer followed the author when the window started
+    isFollower: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Start of the dedupe window
+    windowStart: {
+      type: Date,
+      required: true,
+    },
+    // UTC day of the first impression (for daily series)
+    day: {
+      type: Date,
+      required: true,
+    },
+
+    impressions: {
+      type: Number,
+      default: 0,
+    },
+    // Video posts only
+    watchTimeMs: {
+      type: Number,
+      default: 0,
+    },
+    completed: {
+      type: Boolean,
+      default: false,
+    },
+
+    firstViewedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastViewedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+postViewSchema.index({ postId: 1, viewer: 1, windowStart: 1 }, { unique: true });
+postViewSchema.index({ postId: 1, day: 1 });
+postViewSchema.index({ postAuthor: 1, day: 1 });
+postViewSchema.index({ firstViewedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const PostView = mongoose.model("PostView", postViewSchema);
+
+PostView.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = PostView;
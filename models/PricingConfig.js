@@ -0,0 +1,265 @@
+const mongoose = require("mongoose");
+
+// What a promotion can discount
+const PROMOTION_PRODUCTS = ["vip", "mvp", "guardian", "fanclub"];
+
+const coins = { type: Number, required: true, min: 0 };
+
+/**
+ * Pricing Config Model
+ * One version of the price catalogue: what VIP, MVP, Guardian and fan clubs
+ * cost, and what the daily, VIP/MVP daily and ranking rewards pay.
+ *
+ * The version in force is the latest one whose effectiveFrom has passed.
+ * Versions still waiting for their effectiveFrom can be edited or deleted;
+ * once in force a version is kept as history and changes go in a new one.
+ *
+ * Overrides replace prices for users in a region (profile country) or using
+ * a currency (preferences.currency). Promotions take a percentage off prices
+ * between two dates. Neither applies to rewards.
+ */
+const mvpPackageSchema = new mongoose.Schema(
+  {
+    durationDays: { type: Number, required: true, min: 1 },
+    months: { type: Number, required: true, min: 1 },
+    cost: coins,
+  },
+  { _id: false }
+);
+
+const dailyRewardSchema = new mongoose.Schema(
+  {
+    day: { type: Number, required: true, min: 1, max: 7 },
+    coins,
+    diamonds: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+const rankingRewardSchema = new mongoose.Schema(
+  {
+    // Ranks up to and including this one get the coins (below the previous tier)
+    upToRank: { type: Number, required: true, min: 1 },
+    coins,
+  },
+  { _id: false }
+);
+
+const overrideSchema = new mongoose.Schema(
+  {
+    // ISO country code, matched against profile.location.country
+    region: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    // Matched against profile.preferences.currency
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    // Part of the prices section, e.g. { vip: { diamond: 200000 } }
+    prices: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    discountPercent: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 100,
+    },
+    // Empty means every product
+    products: {
+      type: [{ type: String, enum: PROMOTION_PRODUCTS }],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const pricingConfigSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    effectiveFrom: {
+      type: Date,
+      required: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+
+    // What users pay, in coins
+    prices: {
+      // Monthly
+      vip: {
+        normal: coins,
+        super: coins,
+        diamond: coins,
+      },
+      // Monthly
+      guardian: {
+        silver: coins,
+        gold: coins,
+        king: coins,
+      },
+      // MVP is sold by duration (longer packages are discounted)
+      mvpPackages: {
+        type: [mvpPackageSchema],
+        required: true,
+      },
+      fanClub: {
+        joinFee: coins,
+        renewalFee: coins,
+        nameChangeFee: coins,
+      },
+    },
+
+    // What the system pays
+    rewards: {
+      vipDailyCoins: {
+        normal: coins,
+        super: coins,
+        diamond: coins,
+      },
+      mvpDaily: {
+        coins,
+        xp: coins,
+      },
+      // 7-day login cycle
+      dailyLogin: {
+        type: [dailyRewardSchema],
+        required: true,
+      },
+      dailyLoginXp: coins,
+      // Ascending by upToRank; ranks past the last tier get nothing
+      ranking: {
+        type: [rankingRewardSchema],
+        required: true,
+      },
+    },
+
+    overrides: {
+      type: [overrideSchema],
+      default: [],
+    },
+    promotions: {
+      type: [promotionSchema],
+      default: [],
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pricingConfigSchema.index({ effectiveFrom: -1, version: -1 });
+
+pricingConfigSchema.path("rewards.dailyLogin").validate(function (days) {
+  const numbers = days.map((reward) => reward.day).sort((a, b) => a - b);
+  return numbers.length === 7 && numbers.every((day, index) => day === index + 1);
+}, "Daily login rewards need one entry for each day 1-7");
+
+pricingConfigSchema.path("prices.mvpPackages").validate(function (packages) {
+  const durations = packages.map((mvpPackage) => mvpPackage.durationDays);
+  return packages.length > 0 && new Set(durations).size === durations.length;
+}, "MVP packages need at least one package and unique durations");
+
+pricingConfigSchema.path("promotions").validate(function (promotions) {
+  return promotions.every((promotion) => promotion.endsAt > promotion.startsAt);
+}, "A promotion must end after it starts");
+
+pricingConfigSchema.path("overrides").validate(function (overrides) {
+  return overrides.every((override) => override.region || override.currency);
+}, "An override needs a region or a currency");
+
+// Override prices must name prices that exist and be non-negative amounts
+// (an override of mvpPackages replaces the whole list)
+function isPricePatch(base, patch) {
+  if (Array.isArray(base)) {
+    return (
+      Array.isArray(patch) &&
+      patch.length > 0 &&
+      patch.every((item) =>
+        Object.keys(base[0] || {}).every((key) => Number.isFinite(item?.[key]) && item[key] >= 0)
+      )
+    );
+  }
+  if (typeof base === "number") {
+    return Number.isFinite(patch) && patch >= 0;
+  }
+  return (
+    patch !== null &&
+    typeof patch === "object" &&
+    !Array.isArray(patch) &&
+    Object.entries(patch).every(([key, value]) => base?.[key] !== undefined && isPricePatch(base[key], value))
+  );
+}
+
+pricingConfigSchema.path("overrides").validate(function (overrides) {
+  const prices = this.toObject ? this.toObject().prices : this.prices;
+  return overrides.every((override) => isPricePatch(prices, override.prices));
+}, "Override prices must match the prices section and be non-negative");
+
+pricingConfigSchema.pre("validate", function (next) {
+  if (this.rewards?.ranking) {
+    this.rewards.ranking.sort((a, b) => a.upToRank - b.upToRank);
+  }
+  next();
+});
+
+// Version in force at a time
+pricingConfigSchema.statics.findEffective = function (at = new Date()) {
+  return this.findOne({ effectiveFrom: { $lte: at } })
+    .sort({ effectiveFrom: -1, version: -1 })
+    .lean();
+};
+
+// Next version waiting to take effect after a time
+pricingConfigSchema.statics.findNextScheduled = function (after = new Date()) {
+  return this.findOne({ effectiveFrom: { $gt: after } })
+    .sort({ effectiveFrom: 1 })
+    .select("version effectiveFrom")
+    .lean();
+};
+
+const PricingConfig = mongoose.model("PricingConfig", pricingConfigSchema);
+
+PricingConfig.PROMOTION_PRODUCTS = PROMOTION_PRODUCTS;
+
+module.exports = PricingConfig;
@@ -25,6 +25,11 @@ const profileVisitSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // Only invisible-mode visits so far: not shown to the visited user
+  hidden: {
+    type: Boolean,
+    default: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -35,7 +40,9 @@ const profileVisitSchema = new mongoose.Schema({
 profileVisitSchema.index({ visitor: 1, visited: 1 }, { unique: true });
 
 // Static method to record a visit
-profileVisitSchema.statics.recordVisit = async function(visitorId, visitedId) {
+// Invisible visits never change what the visited user sees: they only count
+// towards a row that's already hidden (or start one).
+profileVisitSchema.statics.recordVisit = async function(visitorId, visitedId, { invisible = false } = {}) {
   // Don't record self-visits
   if (visitorId.toString() === visitedId.toString()) {
     return null;
@@ -44,17 +51,21 @@ profileVisitSchema.statics.recordVisit = async function(visitorId, visitedId) {
   const visit = await this.findOne({ visitor: visitorId, visited: visitedId });
 
   if (visit) {
+    if (invisible && !visit.hidden) {
+      return visit;
+    }
     visit.visitCount++;
     visit.lastVisitAt = Date.now();
+    visit.hidden = invisible;
     return visit.save();
   } else {
-    return this.create({ visitor: visitorId, visited: visitedId });
+    return this.create({ visitor: visitorId, visited: visitedId, hidden: invisible });
   }
 };
 
 // Static method to get visitors for a user
 profileVisitSchema.statics.getVisitors = async function(userId, limit = 50) {
-  return this.find({ visited: userId })
+  return this.find({ visited: userId, hidden: { $ne: true } })
     .sort({ lastVisitAt: -1 })
     .limit(limit)
     .populate('visitor', 'displayName photoURL profile.username');
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const moment = require('moment');
+const { grantReward } = require('../services/reward_service');
 
 /**
  * Ranking Schema
@@ -19,7 +21,7 @@ const rankingSchema = new mongoose.Schema({
   },
   period: {
     type: String,
-    enum: ['daily', 'weekly'],
+    enum: ['daily', 'weekly', 'monthly', 'alltime'],
     required: true,
     index: true,
   },
@@ -43,6 +45,14 @@ const rankingSchema = new mongoose.Schema({
     type: Date,
     required: true,
   },
+  // Set when the period closes; rank and rewardCoins are frozen from then on
+  isFinal: {
+    type: Boolean,
+    default: false,
+  },
+  finalizedAt: {
+    type: Date,
+  },
   // Reward info
   rewardCoins: {
     type: Number,
@@ -68,12 +78,87 @@ const rankingSchema = new mongoose.Schema({
 // Compound indexes for efficient queries
 rankingSchema.index({ type: 1, period: 1, periodStart: 1, score: -1 });
 rankingSchema.index({ user: 1, type: 1, period: 1, periodStart: 1 }, { unique: true });
+rankingSchema.index({ isFinal: 1, periodEnd: 1 });
 
 rankingSchema.pre('save', function (next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// All-time rankings live in a single bucket
+const ALLTIME_START = new Date(0);
+const ALLTIME_END = new Date('9999-12-31T23:59:59.999Z');
+
+// Static method to get the date range of the period containing `date`
+rankingSchema.statics.getPeriodRange = function (period, date = new Date()) {
+  if (period === 'alltime') {
+    return { periodStart: ALLTIME_START, periodEnd: ALLTIME_END };
+  }
+
+  // Weeks start on Monday
+  const unit = { daily: 'day', weekly: 'isoWeek', monthly: 'month' }[period];
+  return {
+    periodStart: moment(date).startOf(unit).toDate(),
+    periodEnd: moment(date).endOf(unit).toDate(),
+  };
+};
+
+// Static method to add score to every current period for a user
+rankingSchema.statics.addScore = async function (userId, type, amount, date = new Date()) {
+  if (!(amount > 0)) return;
+
+  const periods = this.schema.path('period').enumValues;
+
+  await Promise.all(
+    periods.map(async (period) => {
+      const { periodStart, periodEnd } = this.getPeriodRange(period, date);
+      const filter = { user: userId, type, period, periodStart };
+      const update = {
+        $inc: { score: amount },
+        $set: { updatedAt: new Date() },
+        $setOnInsert: { periodEnd },
+      };
+
+      try {
+        await this.updateOne(filter, update, { upsert: true });
+      } catch (error) {
+        // Two first-scores raced on the unique index; the row exists now
+        if (error.code !== 11000) throw error;
+        await this.updateOne(filter, update);
+      }
+    })
+  );
+};
+
+// Static method to freeze ranks and rewards for a finished period
+// rewardTiers: the price catalogue's ranking rewards (see calculateReward)
+rankingSchema.statics.closePeriod = async function (type, period, periodStart, rewardTiers) {
+  const rankings = await this.find({ type, period, periodStart, isFinal: false })
+    .sort({ score: -1, updatedAt: 1 })
+    .select('_id');
+
+  if (rankings.length === 0) return 0;
+
+  const finalizedAt = new Date();
+  await this.bulkWrite(
+    rankings.map((ranking, index) => ({
+      updateOne: {
+        filter: { _id: ranking._id },
+        update: {
+          $set: {
+            rank: index + 1,
+            rewardCoins: this.calculateReward(index + 1, rewardTiers),
+            isFinal: true,
+            finalizedAt,
+          },
+        },
+      },
+    }))
+  );
+
+  return rankings.length;
+};
+
 // Static method to get top rankings
 rankingSchema.statics.getTopRankings = async function (type, period, periodStart, limit = 40) {
   return this.find({
@@ -81,41 +166,24 @@ rankingSchema.statics.getTopRankings = async function (type, period, periodStart
     period,
     periodStart,
   })
-    .sort({ score: -1 })
+    .sort({ score: -1, updatedAt: 1 })
     .limit(limit)
     .populate('user', 'displayName photoURL profile.username gamification');
 };
 
 // Static method to calculate rewards based on rank
-rankingSchema.statics.calculateReward = function (rank) {
-  const rewardMap = {
-    1: 500,
-    2: 300,
-    3: 100,
-    4: 80,
-    5: 70,
-    6: 60,
-    7: 50,
-    8: 45,
-    9: 40,
-    10: 35,
-  };
-  
-  if (rank <= 10) {
-    return rewardMap[rank];
-  } else if (rank <= 20) {
-    return 30;
-  } else if (rank <= 30) {
-    return 20;
-  } else if (rank <= 40) {
-    return 10;
-  }
-  
-  return 0;
+// tiers: [{ upToRank, coins }] ascending (the price catalogue's rewards.ranking);
+// ranks past the last tier get nothing
+rankingSchema.statics.calculateReward = function (rank, tiers) {
+  return tiers.find((tier) => rank <= tier.upToRank)?.coins || 0;
 };
 
 // Instance method to claim reward
 rankingSchema.methods.claimReward = async function () {
+  if (!this.isFinal) {
+    throw new Error('Ranking period has not ended yet');
+  }
+  
   if (this.rewardClaimed) {
     throw new Error('Reward already claimed');
   }
@@ -124,18 +192,36 @@ rankingSchema.methods.claimReward = async function () {
     throw new Error('No reward available for this rank');
   }
   
-  const user = await mongoose.model('User').findById(this.user);
-  if (!user) {
-    throw new Error('User not found');
+  // Mark as claimed first so concurrent claims can't both pay out
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, isFinal: true, rewardClaimed: false },
+    { $set: { rewardClaimed: true, rewardClaimedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new Error('Reward already claimed');
   }
   
   // Award coins
-  await user.addCoins(this.rewardCoins);
+  try {
+    await grantReward({
+      userId: this.user,
+      source: 'ranking_reward',
+      amounts: { coins: this.rewardCoins },
+      description: `${this.type} ${this.period} ranking reward (rank ${this.rank})`,
+      idempotencyKey: `ranking:${this._id}`,
+      metadata: { rankingId: this._id },
+    });
+  } catch (error) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { rewardClaimed: false, rewardClaimedAt: null } }
+    );
+    throw error;
+  }
   
-  // Mark as claimed
   this.rewardClaimed = true;
-  this.rewardClaimedAt = new Date();
-  await this.save();
+  this.rewardClaimedAt = claimed.rewardClaimedAt;
   
   return this.rewardCoins;
 };
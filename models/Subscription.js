@@ -1,8 +1,19 @@
 const mongoose = require("mongoose");
 
+// Tiers per subscription type, lowest first
+const SUBSCRIPTION_TIERS = {
+    vip: ["normal", "super", "diamond"],
+    mvp: ["premium"],
+    guardian: ["silver", "gold", "king"],
+};
+
 /**
  * Subscription Model
- * Tracks all user subscriptions (VIP, MVP, Guardian)
+ * Tracks all user subscriptions (VIP, MVP, Guardian). The source of truth
+ * for membership; the user's gamification flags are derived from it.
+ *
+ * One active subscription per type: buying the same tier again extends it,
+ * buying a higher tier replaces it (status "upgraded") with a new one.
  */
 const subscriptionSchema = new mongoose.Schema(
     {
@@ -28,7 +39,7 @@ const subscriptionSchema = new mongoose.Schema(
 
         status: {
             type: String,
-            enum: ["active", "expired", "cancelled", "pending"],
+            enum: ["active", "expired", "cancelled", "pending", "upgraded"],
             default: "active",
             index: true,
         },
@@ -54,6 +65,42 @@ const subscriptionSchema = new mongoose.Schema(
             required: true,
         },
 
+        // Coins paid for the current term, renewals included
+        pricePaid: {
+            type: Number,
+            default: null,
+        },
+
+        // Subscription this one replaced, and the credit it gave
+        upgradedFrom: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Subscription",
+            default: null,
+        },
+        proratedCredit: {
+            type: Number,
+            default: 0,
+        },
+
+        renewals: [
+            {
+                months: Number,
+                charged: Number,
+                previousEndDate: Date,
+                renewedAt: { type: Date, default: Date.now },
+            },
+        ],
+
+        // "Expiring soon" notice for the current endDate
+        expiryNoticeSentAt: {
+            type: Date,
+            default: null,
+        },
+        expiredAt: {
+            type: Date,
+            default: null,
+        },
+
         externalTransactionId: {
             type: String,
             default: null,
@@ -78,12 +125,55 @@ const subscriptionSchema = new mongoose.Schema(
 
 // Index for checking active subscriptions efficiently
 subscriptionSchema.index({ userId: 1, type: 1, status: 1, endDate: -1 });
+// Expiry sweep
+subscriptionSchema.index({ status: 1, endDate: 1 });
+// One active subscription per type: concurrent first purchases can't both land
+subscriptionSchema.index(
+    { userId: 1, type: 1 },
+    { unique: true, partialFilterExpression: { status: "active" } }
+);
 
 // Instance method to check if subscription is currently valid
 subscriptionSchema.methods.isValid = function () {
     return this.status === "active" && this.endDate > new Date();
 };
 
+// A user's current subscription per type ({ vip, mvp, guardian })
+subscriptionSchema.statics.findActiveByType = async function (userId, now = new Date()) {
+    const subscriptions = await this.find({
+        userId,
+        status: "active",
+        endDate: { $gt: now },
+    })
+        .sort({ endDate: 1 })
+        .lean();
+
+    // Latest-ending wins; older data with several is merged at startup
+    // (subscription_service.ensureSubscriptionIndexes)
+    const byType = {};
+    for (const subscription of subscriptions) {
+        byType[subscription.type] = subscription;
+    }
+    return byType;
+};
+
+// Legacy user.gamification membership fields for a set of active subscriptions
+subscriptionSchema.statics.deriveUserFlags = function ({ vip, mvp, guardian } = {}) {
+    return {
+        isNormalVip: vip?.tier === "normal",
+        isSuperVip: vip?.tier === "super",
+        isDiamondVip: vip?.tier === "diamond",
+        vipExpiresAt: vip?.endDate || null,
+        isMVP: Boolean(mvp),
+        mvpExpiresAt: mvp?.endDate || null,
+        guardianType: guardian?.tier || null,
+        guardianExpiresAt: guardian?.endDate || null,
+        guardingUserId: guardian?.targetUserId || null,
+    };
+};
+
 const Subscription = mongoose.model("Subscription", subscriptionSchema);
 
+Subscription.SUBSCRIPTION_TIERS = SUBSCRIPTION_TIERS;
+
 module.exports = Subscription;
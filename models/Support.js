@@ -48,11 +48,27 @@ const supportSchema = new mongoose.Schema(
       enum: ["pending", "reviewed", "resolved"],
       default: "pending",
     },
+    // Admin review
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    resolutionNote: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
   },
   { timestamps: true }
 );
 
 supportSchema.index({ type: 1, createdAt: -1 });
 supportSchema.index({ userId: 1, type: 1 });
+supportSchema.index({ type: 1, status: 1, createdAt: -1 });
 
 module.exports = mongoose.model("Support", supportSchema);
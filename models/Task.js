@@ -31,14 +31,16 @@ const taskSchema = new mongoose.Schema({
     action: {
       type: String,
       required: true,
-      // Examples: 'post_create', 'live_start', 'gift_send', 'follow_user', etc.
+      // One of APP_EVENTS in services/event_bus.js:
+      // 'post_create', 'comment_create', 'gift_send', 'live_minutes',
+      // 'party_seat_join', 'story_create'
     },
     target: {
       type: Number,
       required: true,
       min: 1,
     },
-    // Optional: specific conditions
+    // Optional: specific conditions (see services/task_engine.js)
     conditions: {
       type: mongoose.Schema.Types.Mixed,
     },
@@ -84,11 +86,18 @@ taskSchema.pre('save', function (next) {
   next();
 });
 
+taskSchema.index({ 'requirement.action': 1, isActive: 1 });
+
 // Static method to get active tasks by type
 taskSchema.statics.getActiveTasksByType = function (type) {
   return this.find({ type, isActive: true }).sort({ sortOrder: 1 });
 };
 
+// Static method to get active tasks tracking an action
+taskSchema.statics.getActiveTasksByAction = function (action) {
+  return this.find({ 'requirement.action': action, isActive: true });
+};
+
 const Task = mongoose.model('Task', taskSchema);
 
 module.exports = Task;
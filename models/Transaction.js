@@ -1,5 +1,18 @@
 const mongoose = require("mongoose");
 
+// Balances a user can hold and spend ("xp" rows record experience grants)
+const WALLET_CURRENCIES = ["coins", "diamonds", "points"];
+
+// What granted a "reward" transaction
+const REWARD_SOURCES = [
+  "daily_reward",
+  "vip_daily_reward",
+  "mvp_daily_reward",
+  "ranking_reward",
+  "task_reward",
+  "invitation",
+];
+
 /**
  * Transaction Model
  * Tracks all coin/diamond transactions (purchases, gifts, earnings, etc.)
@@ -21,6 +34,9 @@ const transactionSchema = new mongoose.Schema(
         "purchase", // Buying coins/diamonds with real money
         "gift_sent", // Sending a gift
         "gift_received", // Receiving a gift
+        "agency_commission", // Agency's cut of a host's gift earnings
+        "live_ticket", // Paying to enter a private live
+        "live_ticket_earning", // Host's share of a private live ticket
         "vip_purchase", // Buying VIP membership
         "mvp_purchase", // Buying MVP membership
         "guardian_purchase", // Buying Guardian status
@@ -36,7 +52,7 @@ const transactionSchema = new mongoose.Schema(
     // Currency type
     currency: {
       type: String,
-      enum: ["coins", "diamonds", "points"],
+      enum: [...WALLET_CURRENCIES, "xp"],
       required: true,
     },
 
@@ -46,10 +62,13 @@ const transactionSchema = new mongoose.Schema(
       required: true,
     },
 
-    // Balance after transaction
+    // Balance after transaction (set once the balance change is applied)
     balanceAfter: {
       type: Number,
-      required: true,
+      default: null,
+      required: function () {
+        return this.status === "completed";
+      },
     },
 
     // Related user (for gifts, guardian purchases, etc.)
@@ -62,7 +81,7 @@ const transactionSchema = new mongoose.Schema(
     // Related entity (gift, live stream, etc.)
     relatedEntityType: {
       type: String,
-      enum: ["gift", "live_stream", "post", "chat", "vip", "mvp", "guardian", null],
+      enum: ["gift", "live_stream", "post", "chat", "vip", "mvp", "guardian", "withdrawal", "invitation", null],
       default: null,
     },
     relatedEntityId: {
@@ -74,10 +93,22 @@ const transactionSchema = new mongoose.Schema(
     payment: {
       method: {
         type: String,
-        enum: ["stripe", "paypal", "apple_pay", "google_pay", "admin", null],
+        enum: [
+          "stripe",
+          "paypal",
+          "apple_pay",
+          "google_pay",
+          "google_play",
+          "app_store",
+          "paystack",
+          "ancient_flip_pay",
+          "admin",
+          null,
+        ],
         default: null,
       },
       transactionId: String, // External payment provider transaction ID
+      productId: String, // Store product ID (for in-app purchases)
       amount: Number, // Real money amount
       currency: String, // USD, EUR, etc.
       status: {
@@ -87,12 +118,26 @@ const transactionSchema = new mongoose.Schema(
       },
     },
 
+    // What granted it (reward transactions)
+    source: {
+      type: String,
+      enum: [...REWARD_SOURCES, null],
+      default: null,
+    },
+
     // Description
     description: {
       type: String,
       maxlength: 500,
     },
 
+    // Set by jobs and other retried writers; a second entry with the same
+    // key is rejected (e.g. "vip_daily:<userId>:<date>:coins")
+    idempotencyKey: {
+      type: String,
+      default: undefined,
+    },
+
     // Metadata (flexible field for additional data)
     metadata: {
       type: mongoose.Schema.Types.Mixed,
@@ -123,6 +168,21 @@ transactionSchema.index({ userId: 1, createdAt: -1 });
 transactionSchema.index({ userId: 1, type: 1, createdAt: -1 });
 transactionSchema.index({ userId: 1, currency: 1, createdAt: -1 });
 transactionSchema.index({ "payment.transactionId": 1 });
+// A store transaction can only ever be credited once
+transactionSchema.index(
+  { "payment.method": 1, "payment.transactionId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      type: "purchase",
+      "payment.transactionId": { $type: "string" },
+    },
+  }
+);
+transactionSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: "string" } } }
+);
 transactionSchema.index({ status: 1, createdAt: -1 });
 
 // Static method to get user's transaction history
@@ -130,7 +190,7 @@ transactionSchema.statics.getUserTransactions = async function (
   userId,
   { type, currency, limit = 50, skip = 0 } = {}
 ) {
-  const query = { userId, status: "completed" };
+  const query = { userId, status: "completed", currency: { $in: WALLET_CURRENCIES } };
 
   if (type) query.type = type;
   if (currency) query.currency = currency;
@@ -148,6 +208,7 @@ transactionSchema.statics.getUserBalanceSummary = async function (userId) {
   const transactions = await this.find({
     userId,
     status: "completed",
+    currency: { $in: WALLET_CURRENCIES },
   }).sort({ createdAt: -1 });
 
   // Get latest balance for each currency
@@ -174,54 +235,10 @@ transactionSchema.statics.getUserBalanceSummary = async function (userId) {
   };
 };
 
-// Static method to create a transaction
-transactionSchema.statics.createTransaction = async function (data) {
-  const User = mongoose.model("User");
-
-  // Get current user balance
-  const user = await User.findById(data.userId);
-  if (!user) {
-    throw new Error("User not found");
-  }
-
-  let currentBalance = 0;
-  switch (data.currency) {
-    case "coins":
-      currentBalance = user.gamification?.coins || 0;
-      break;
-    case "diamonds":
-      currentBalance = user.gamification?.diamonds || 0;
-      break;
-    case "points":
-      currentBalance = user.gamification?.points || 0;
-      break;
-  }
-
-  // Calculate new balance
-  const newBalance = currentBalance + data.amount;
-
-  // Prevent negative balance (unless it's an admin adjustment)
-  if (newBalance < 0 && data.type !== "admin_adjustment") {
-    throw new Error("Insufficient balance");
-  }
-
-  // Create transaction
-  const transaction = await this.create({
-    ...data,
-    balanceAfter: newBalance,
-    status: data.status || "completed",
-  });
-
-  // Update user balance
-  const updateField = `gamification.${data.currency}`;
-  await User.findByIdAndUpdate(data.userId, {
-    [updateField]: newBalance,
-  });
-
-  return transaction;
-};
-
 const Transaction = mongoose.model("Transaction", transactionSchema);
 
+Transaction.WALLET_CURRENCIES = WALLET_CURRENCIES;
+Transaction.REWARD_SOURCES = REWARD_SOURCES;
+
 module.exports = Transaction;
 
@@ -233,6 +233,21 @@ const userSchema = new mongoose.Schema(
             type: Boolean,
             default: false,
           },
+          // No push notifications between start and end ("HH:mm", user's timezone)
+          quietHours: {
+            enabled: {
+              type: Boolean,
+              default: false,
+            },
+            start: {
+              type: String,
+              default: "22:00",
+            },
+            end: {
+              type: String,
+              default: "07:00",
+            },
+          },
         },
         privacy: {
           profileVisible: {
@@ -285,6 +300,16 @@ const userSchema = new mongoose.Schema(
       default: 1,
     },
 
+    // Distinct (UTC) days with an authenticated request
+    activeDayCount: {
+      type: Number,
+      default: 0,
+    },
+    lastActiveDay: {
+      type: String, // YYYY-MM-DD
+      default: null,
+    },
+
     // Device Information (for security and analytics)
     devices: [
       {
@@ -294,11 +319,14 @@ const userSchema = new mongoose.Schema(
           enum: ["ios", "android", "web", "desktop"],
         },
         deviceName: String,
+        appVersion: String,
+        locale: String,
         lastUsed: {
           type: Date,
           default: Date.now,
         },
         pushToken: String, // For push notifications
+        pushTokenUpdatedAt: Date,
       },
     ],
 
@@ -480,6 +508,19 @@ const userSchema = new mongoose.Schema(
       },
     },
 
+    // Ledger rows whose balance change is applied but not yet marked
+    // completed (see wallet_service); set in the same update as the balance
+    walletPendingTransactions: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Transaction',
+        },
+      ],
+      default: [],
+      select: false,
+    },
+
     // Host Status
     isHost: {
       type: Boolean,
@@ -546,6 +587,7 @@ userSchema.index({ "profile.firstName": 1, "profile.lastName": 1 });
 userSchema.index({ lastLogin: -1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ isActive: 1, isBlocked: 1 });
+userSchema.index({ "devices.pushToken": 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual("fullName").get(function () {
@@ -575,6 +617,18 @@ userSchema.methods.updateLastLogin = function () {
   return this.save();
 };
 
+// Count today as an active day, once per day
+userSchema.methods.recordActiveDay = async function (now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  if (this.lastActiveDay === day) return false;
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, lastActiveDay: { $ne: day } },
+    { $set: { lastActiveDay: day }, $inc: { activeDayCount: 1 } }
+  );
+  return result.modifiedCount > 0;
+};
+
 userSchema.methods.addProvider = function (provider) {
   if (!this.providers.includes(provider)) {
     this.providers.push(provider);
@@ -671,21 +725,7 @@ userSchema.methods.unblockUser = function (userId) {
 };
 
 // Gamification methods
-userSchema.methods.addCoins = function (amount) {
-  if (!this.gamification) this.gamification = {};
-  this.gamification.coins = (this.gamification.coins || 0) + amount;
-  return this.save();
-};
-
-userSchema.methods.deductCoins = function (amount) {
-  if (!this.gamification) this.gamification = {};
-  const currentCoins = this.gamification.coins || 0;
-  if (currentCoins < amount) {
-    throw new Error("Insufficient coins");
-  }
-  this.gamification.coins = currentCoins - amount;
-  return this.save();
-};
+// Balances (coins/diamonds/points) are only changed through services/wallet_service.js
 
 userSchema.methods.addCreditsSent = function (amount) {
   if (!this.gamification) this.gamification = {};
@@ -773,85 +813,6 @@ userSchema.methods.calculateLiveLevel = function () {
   return 0;
 };
 
-userSchema.methods.activateVIP = async function (tier, months) {
-  if (!this.gamification) this.gamification = {};
-
-  const now = new Date();
-  const expiresAt = new Date(now);
-  expiresAt.setMonth(expiresAt.getMonth() + months);
-
-  // Update legacy fields
-  this.gamification.isNormalVip = tier === "normal";
-  this.gamification.isSuperVip = tier === "super";
-  this.gamification.isDiamondVip = tier === "diamond";
-  this.gamification.vipExpiresAt = expiresAt;
-
-  // Create Subscription record
-  const Subscription = mongoose.model("Subscription");
-  await Subscription.create({
-    userId: this._id,
-    type: "vip",
-    tier: tier,
-    startDate: now,
-    endDate: expiresAt,
-    paymentMethod: "coins", // Default for now, can be updated from route
-    status: "active"
-  });
-
-  return this.save();
-};
-
-userSchema.methods.activateMVP = async function (months) {
-  if (!this.gamification) this.gamification = {};
-
-  const now = new Date();
-  const expiresAt = new Date(now);
-  expiresAt.setMonth(expiresAt.getMonth() + months);
-
-  this.gamification.isMVP = true;
-  this.gamification.mvpExpiresAt = expiresAt;
-
-  // Create Subscription record
-  const Subscription = mongoose.model("Subscription");
-  await Subscription.create({
-    userId: this._id,
-    type: "mvp",
-    startDate: now,
-    endDate: expiresAt,
-    paymentMethod: "coins",
-    status: "active"
-  });
-
-  return this.save();
-};
-
-userSchema.methods.activateGuardian = async function (type, months, targetUserId) {
-  if (!this.gamification) this.gamification = {};
-
-  const now = new Date();
-  const expiresAt = new Date(now);
-  expiresAt.setMonth(expiresAt.getMonth() + months);
-
-  this.gamification.guardianType = type;
-  this.gamification.guardianExpiresAt = expiresAt;
-  this.gamification.guardingUserId = targetUserId;
-
-  // Create Subscription record
-  const Subscription = mongoose.model("Subscription");
-  await Subscription.create({
-    userId: this._id,
-    type: "guardian",
-    tier: type,
-    targetUserId: targetUserId,
-    startDate: now,
-    endDate: expiresAt,
-    paymentMethod: "coins",
-    status: "active"
-  });
-
-  return this.save();
-};
-
 // Add Experience Points (with MVP 2x boost)
 userSchema.methods.addExperience = function (xp) {
   if (!this.gamification) this.gamification = {};
@@ -876,60 +837,18 @@ userSchema.methods.addExperience = function (xp) {
   return this.save();
 };
 
+// Refresh the legacy membership flags from the user's active subscriptions
+// (expiry itself, and its notifications, are the subscription sweep's job)
 userSchema.methods.checkAndExpireSubscriptions = async function () {
-  if (!this.gamification) return this.save();
-
-  const now = new Date();
-  let changed = false;
+  if (!this.gamification) this.gamification = {};
 
-  // Sync with Subscription model and expire old ones
   const Subscription = mongoose.model("Subscription");
+  const flags = Subscription.deriveUserFlags(
+    await Subscription.findActiveByType(this._id)
+  );
+  Object.assign(this.gamification, flags);
 
-  // Find all active subscriptions that should have expired
-  const expiredSubs = await Subscription.find({
-    userId: this._id,
-    status: "active",
-    endDate: { $lt: now }
-  });
-
-  if (expiredSubs.length > 0) {
-    for (const sub of expiredSubs) {
-      sub.status = "expired";
-      await sub.save();
-    }
-  }
-
-  // Check VIP expiration (Legacy support)
-  if (
-    this.gamification.vipExpiresAt &&
-    this.gamification.vipExpiresAt < now
-  ) {
-    this.gamification.isNormalVip = false;
-    this.gamification.isSuperVip = false;
-    this.gamification.isDiamondVip = false;
-    this.gamification.vipExpiresAt = null;
-    changed = true;
-  }
-
-  // Check MVP expiration (Legacy support)
-  if (this.gamification.mvpExpiresAt && this.gamification.mvpExpiresAt < now) {
-    this.gamification.isMVP = false;
-    this.gamification.mvpExpiresAt = null;
-    changed = true;
-  }
-
-  // Check Guardian expiration (Legacy support)
-  if (
-    this.gamification.guardianExpiresAt &&
-    this.gamification.guardianExpiresAt < now
-  ) {
-    this.gamification.guardianType = null;
-    this.gamification.guardianExpiresAt = null;
-    this.gamification.guardingUserId = null;
-    changed = true;
-  }
-
-  return changed ? this.save() : Promise.resolve(this);
+  return this.isModified() ? this.save() : this;
 };
 
 // Static methods
@@ -945,4 +864,73 @@ userSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase(), deletedAt: null });
 };
 
+/**
+ * Register or refresh a device and its push token
+ * A push token belongs to one device, so it is removed from any other
+ * device (of this or another user) that still holds it.
+ */
+userSchema.statics.registerDevice = async function (userId, device) {
+  const now = new Date();
+  const fields = {
+    deviceType: device.deviceType,
+    deviceName: device.deviceName,
+    appVersion: device.appVersion,
+    locale: device.locale,
+    pushToken: device.pushToken,
+    pushTokenUpdatedAt: device.pushToken ? now : undefined,
+    lastUsed: now,
+  };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+
+  if (device.pushToken) {
+    await this.updateMany(
+      { "devices.pushToken": device.pushToken },
+      { $unset: { "devices.$[device].pushToken": "" } },
+      {
+        arrayFilters: [
+          {
+            "device.pushToken": device.pushToken,
+            "device.deviceId": { $ne: device.deviceId },
+          },
+        ],
+      }
+    );
+  }
+
+  const $set = {};
+  for (const [key, value] of Object.entries(fields)) {
+    $set[`devices.$.${key}`] = value;
+  }
+  const updated = await this.updateOne(
+    { _id: userId, "devices.deviceId": device.deviceId },
+    { $set }
+  );
+
+  if (updated.matchedCount === 0) {
+    await this.updateOne(
+      { _id: userId, "devices.deviceId": { $ne: device.deviceId } },
+      { $push: { devices: { deviceId: device.deviceId, ...fields } } }
+    );
+  }
+
+  const user = await this.findById(userId).select("devices");
+  return user?.devices.find((d) => d.deviceId === device.deviceId) || null;
+};
+
+/**
+ * Detach push tokens from devices (e.g. on logout) so they stop receiving pushes
+ * @param {ObjectId} userId
+ * @param {string[]} deviceIds
+ */
+userSchema.statics.detachPushTokens = function (userId, deviceIds) {
+  const ids = (deviceIds || []).filter(Boolean);
+  if (ids.length === 0) return Promise.resolve(null);
+
+  return this.updateOne(
+    { _id: userId },
+    { $unset: { "devices.$[device].pushToken": "" } },
+    { arrayFilters: [{ "device.deviceId": { $in: ids } }] }
+  );
+};
+
 module.exports = mongoose.model("User", userSchema);
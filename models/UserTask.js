@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { grantReward } = require('../services/reward_service');
 
 /**
  * User Task Schema
@@ -84,6 +85,10 @@ userTaskSchema.methods.claimRewards = async function () {
   if (this.isClaimed) {
     throw new Error('Rewards already claimed');
   }
+
+  if (this.expiresAt && this.expiresAt <= new Date()) {
+    throw new Error('Task has expired');
+  }
   
   const task = await mongoose.model('Task').findById(this.task);
   const user = await mongoose.model('User').findById(this.user);
@@ -92,19 +97,43 @@ userTaskSchema.methods.claimRewards = async function () {
     throw new Error('Task or user not found');
   }
   
-  // Award rewards
-  if (task.rewards.coins > 0) {
-    await user.addCoins(task.rewards.coins);
+  // Mark as claimed first so concurrent claims can't both pay out
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, isClaimed: false },
+    { $set: { isClaimed: true, claimedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new Error('Rewards already claimed');
   }
-  
-  if (task.rewards.xp > 0) {
-    await user.addExperience(task.rewards.xp);
+  // Award rewards (keyed per task period, so a retried claim can't pay twice)
+  const period = this.expiresAt ? this.expiresAt.getTime() : 'once';
+  try {
+    await grantReward({
+      userId: user._id,
+      source: 'task_reward',
+      amounts: {
+        coins: task.rewards.coins,
+        diamonds: task.rewards.diamonds,
+        xp: task.rewards.xp,
+      },
+      description: `Task reward - ${task.title}`,
+      idempotencyKey: `task:${this._id}:${period}`,
+      metadata: {
+        taskId: task._id,
+        userTaskId: this._id,
+      },
+    });
+  } catch (error) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { isClaimed: false, claimedAt: null } }
+    );
+    throw error;
   }
   
-  // Mark as claimed
   this.isClaimed = true;
-  this.claimedAt = new Date();
-  await this.save();
+  this.claimedAt = claimed.claimedAt;
   
   return {
     coins: task.rewards.coins,
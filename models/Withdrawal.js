@@ -0,0 +1,136 @@
+const mongoose = require("mongoose");
+
+/**
+ * Withdrawal Model
+ * Host diamond cash-out requests.
+ *
+ * Lifecycle: awaiting_escrow -> pending -> processing -> approved -> paid
+ *                                      |            \-> paid
+ *                                      |            \-> failed -> processing (retry) / rejected
+ *                                      \-> rejected (escrowed diamonds refunded)
+ * The requested diamonds are debited into escrow when the request is made;
+ * the withdrawal only becomes "pending" (reviewable) once the escrow debit
+ * is recorded on it. A host has at most one pending withdrawal.
+ * "processing" is claimed before the payout is sent; a payout that ended
+ * with an unknown outcome stays there until it is checked with the provider.
+ * "approved" means the provider accepted the payout but hasn't settled it.
+ */
+const withdrawalSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // Diamonds taken from the host (fee included)
+    diamonds: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    feeDiamonds: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    netDiamonds: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // Money sent to the host
+    payoutAmount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+
+    // Where the money goes
+    payoutMethod: {
+      type: String,
+      enum: ["paystack", "manual"],
+      default: "paystack",
+    },
+    payoutDetails: {
+      bankCode: String,
+      accountNumber: String,
+      accountName: String,
+      recipientCode: String, // Provider-side recipient id, filled on payout
+    },
+
+    status: {
+      type: String,
+      enum: ["awaiting_escrow", "pending", "processing", "approved", "paid", "failed", "rejected"],
+      default: "awaiting_escrow",
+      index: true,
+    },
+
+    // Ledger entries
+    escrowTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+    },
+    refundTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+    },
+
+    // Review
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: 500,
+      default: null,
+    },
+
+    // Payout provider result
+    providerReference: {
+      type: String,
+      default: null,
+    },
+    payoutError: {
+      type: String,
+      default: null,
+    },
+    // When the current payout attempt was claimed
+    payoutAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+withdrawalSchema.index({ userId: 1, createdAt: -1 });
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+// One pending withdrawal per host, even for requests made at the same time
+withdrawalSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+const Withdrawal = mongoose.model("Withdrawal", withdrawalSchema);
+
+module.exports = Withdrawal;
@@ -0,0 +1,1272 @@
+const express = require("express");
+const router = express.Router();
+const { body, param, query, validationResult } = require("express-validator");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const Support = require("../models/Support");
+const LiveStream = require("../models/LiveStream");
+const AuditLog = require("../models/AuditLog");
+const walletService = require("../services/wallet_service");
+const { finishLive } = require("../services/live_service");
+const { listJobs, triggerJob } = require("../services/job_runner");
+const pricingService = require("../services/pricing_service");
+const JobRun = require("../models/JobRun");
+const { authenticateJWT, requireAuth, requireAdmin } = require("../middleware/jwtAuth");
+const { APIError } = require("../middleware/errorHandler");
+
+// Every route in this file is admin-only
+router.use(authenticateJWT, requireAuth, requireAdmin);
+
+const idParamValidator = [param("id").isMongoId().withMessage("Invalid ID")];
+
+const paginationValidator = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+];
+
+/**
+ * Record an admin action in the audit log
+ */
+function logAdminAction(req, { action, resource, resourceId, details }) {
+  return AuditLog.logAction({
+    userId: req.user._id,
+    firebaseUid: req.user.firebaseUid,
+    action,
+    resource,
+    resourceId: resourceId?.toString(),
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get("User-Agent"),
+  });
+}
+
+// ============================================
+// USERS
+// ============================================
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Search users by name, username, email or phone
+ * @access  Admin
+ */
+router.get(
+  "/users",
+  [
+    query("q").optional().trim().isLength({ max: 100 }).withMessage("Query too long"),
+    query("role")
+      .optional()
+      .isIn(["user", "premium", "admin", "moderator"])
+      .withMessage("Invalid role"),
+    query("isBlocked").optional().isBoolean().withMessage("isBlocked must be a boolean"),
+    ...paginationValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { q, role, isBlocked } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const filter = {};
+      if (role) filter.role = role;
+      if (isBlocked !== undefined) filter.isBlocked = isBlocked === "true";
+      if (q) {
+        // Escape regex special chars for safety
+        const escaped = q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const regex = new RegExp(escaped, "i");
+        filter.$or = [
+          { displayName: regex },
+          { "profile.username": regex },
+          { email: regex },
+          { phoneNumber: regex },
+        ];
+      }
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .select(
+            "displayName email phoneNumber photoURL profile.username role isActive isBlocked isHost gamification.coins gamification.diamonds createdAt lastLogin"
+          )
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        User.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Users retrieved successfully",
+        data: {
+          users,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Admin search users error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to search users",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/users/:id/block
+ * @desc    Block a user (blocked users can't authenticate)
+ * @access  Admin
+ */
+router.post(
+  "/users/:id/block",
+  [
+    ...idParamValidator,
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Reason must be 500 characters or less"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot block yourself",
+        });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        { $set: { isBlocked: true } },
+        { new: true }
+      ).select("displayName role isBlocked");
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      await logAdminAction(req, {
+        action: "account_block",
+        resource: "user",
+        resourceId: user._id,
+        details: { reason: req.body.reason },
+      });
+
+      // Drop any open sockets for the blocked user
+      if (req.app.get("io")) {
+        req.app.get("io").to(`user_${user._id}`).disconnectSockets(true);
+      }
+
+      res.json({
+        success: true,
+        message: "User blocked successfully",
+        data: { user },
+      });
+    } catch (error) {
+      console.error("Admin block user error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to block user",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/users/:id/unblock
+ * @desc    Unblock a user
+ * @access  Admin
+ */
+router.post("/users/:id/unblock", idParamValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isBlocked: false } },
+      { new: true }
+    ).select("displayName role isBlocked");
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    await logAdminAction(req, {
+      action: "account_unblock",
+      resource: "user",
+      resourceId: user._id,
+    });
+
+    res.json({
+      success: true,
+      message: "User unblocked successfully",
+      data: { user },
+    });
+  } catch (error) {
+    console.error("Admin unblock user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unblock user",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Admin
+ */
+router.put(
+  "/users/:id/role",
+  [
+    ...idParamValidator,
+    body("role")
+      .isIn(["user", "premium", "admin", "moderator"])
+      .withMessage("Invalid role"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change your own role",
+        });
+      }
+
+      const user = await User.findById(req.params.id).select("displayName role");
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const previousRole = user.role;
+      user.role = req.body.role;
+      await user.save();
+
+      await logAdminAction(req, {
+        action: "role_change",
+        resource: "user",
+        resourceId: user._id,
+        details: { from: previousRole, to: user.role },
+      });
+
+      res.json({
+        success: true,
+        message: "Role updated successfully",
+        data: { user },
+      });
+    } catch (error) {
+      console.error("Admin change role error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to change role",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/users/:id/balance
+ * @desc    Adjust a user's coins or diamonds (positive to add, negative to remove;
+ *          removals may take the balance below zero)
+ * @access  Admin
+ */
+router.post(
+  "/users/:id/balance",
+  [
+    ...idParamValidator,
+    body("currency")
+      .isIn(["coins", "diamonds"])
+      .withMessage("Currency must be coins or diamonds"),
+    body("amount")
+      .isInt()
+      .custom((value) => parseInt(value) !== 0)
+      .withMessage("Amount must be a non-zero integer"),
+    body("reason")
+      .trim()
+      .notEmpty()
+      .isLength({ max: 500 })
+      .withMessage("Reason is required (max 500 characters)"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { currency, reason } = req.body;
+      const amount = parseInt(req.body.amount);
+
+      const transaction = await walletService.adjust({
+        userId: req.params.id,
+        currency,
+        amount,
+        description: `Admin ${amount > 0 ? "credit" : "debit"} of ${Math.abs(amount)} ${currency}: ${reason}`,
+        payment: { method: "admin" },
+        metadata: { adminId: req.user._id, reason },
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+
+      await logAdminAction(req, {
+        action: "balance_adjust",
+        resource: "transaction",
+        resourceId: transaction._id,
+        details: { targetUserId: req.params.id, currency, amount, reason },
+      });
+
+      res.json({
+        success: true,
+        message: "Balance adjusted successfully",
+        data: {
+          transaction,
+          balance: transaction.balanceAfter,
+        },
+      });
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+      console.error("Admin adjust balance error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to adjust balance",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+// ============================================
+// LIVE STREAMS
+// ============================================
+
+/**
+ * @route   POST /api/admin/live/:id/end
+ * @desc    Force-end a live stream
+ * @access  Admin
+ */
+router.post(
+  "/live/:id/end",
+  [
+    ...idParamValidator,
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Reason must be 500 characters or less"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const liveStream = await LiveStream.findOneAndUpdate(
+        { _id: req.params.id, streaming: true },
+        { $set: { streaming: false, endByAdmin: true } },
+        { new: true }
+      );
+
+      if (!liveStream) {
+        return res.status(404).json({
+          success: false,
+          message: "Live stream not found or already ended",
+        });
+      }
+
+      await finishLive(liveStream, { endedEvent: { endByAdmin: true } });
+
+      await logAdminAction(req, {
+        action: "live_force_end",
+        resource: "live_stream",
+        resourceId: liveStream._id,
+        details: { hostId: liveStream.authorId, reason: req.body.reason },
+      });
+
+      res.json({
+        success: true,
+        message: "Live stream ended",
+        data: { liveStreamId: liveStream._id },
+      });
+    } catch (error) {
+      console.error("Admin end live error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to end live stream",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+// ============================================
+// REPORTS
+// ============================================
+
+/**
+ * @route   GET /api/admin/reports
+ * @desc    List support submissions (reports by default)
+ * @access  Admin
+ */
+router.get(
+  "/reports",
+  [
+    query("type")
+      .optional()
+      .isIn(["feedback", "report", "contact"])
+      .withMessage("Invalid type"),
+    query("status")
+      .optional()
+      .isIn(["pending", "reviewed", "resolved"])
+      .withMessage("Invalid status"),
+    ...paginationValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const filter = {
+        type: req.query.type || "report",
+        status: req.query.status || "pending",
+      };
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const [reports, total] = await Promise.all([
+        Support.find(filter)
+          .sort({ createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("userId", "displayName profile.username photoURL")
+          .populate("reviewedBy", "displayName"),
+        Support.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Reports retrieved successfully",
+        data: {
+          reports,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Admin get reports error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve reports",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/admin/reports/:id
+ * @desc    Mark a report reviewed or resolved
+ * @access  Admin
+ */
+router.put(
+  "/reports/:id",
+  [
+    ...idParamValidator,
+    body("status")
+      .isIn(["reviewed", "resolved"])
+      .withMessage("Status must be reviewed or resolved"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Note must be 1000 characters or less"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const update = {
+        status: req.body.status,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+      };
+      if (req.body.note !== undefined) update.resolutionNote = req.body.note;
+
+      const report = await Support.findByIdAndUpdate(
+        req.params.id,
+        { $set: update },
+        { new: true }
+      );
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: "Report not found",
+        });
+      }
+
+      await logAdminAction(req, {
+        action: "report_review",
+        resource: "report",
+        resourceId: report._id,
+        details: {
+          status: report.status,
+          targetType: report.reportTargetType,
+          targetId: report.reportTargetId,
+          note: req.body.note,
+        },
+      });
+
+      res.json({
+        success: true,
+        message: "Report updated successfully",
+        data: { report },
+      });
+    } catch (error) {
+      console.error("Admin review report error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update report",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+// ============================================
+// CONTENT MODERATION
+// ============================================
+
+const moderationValidator = [
+  ...idParamValidator,
+  body("moderationStatus")
+    .isIn(["pending", "approved", "rejected", "flagged"])
+    .withMessage("Invalid moderation status"),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be 500 characters or less"),
+];
+
+/**
+ * Build a moderation handler for a content model
+ */
+function moderateContent(Model, resource, label) {
+  return async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const doc = await Model.findById(req.params.id);
+      if (!doc) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`,
+        });
+      }
+
+      const previousStatus = doc.moderationStatus;
+      doc.moderationStatus = req.body.moderationStatus;
+      doc.moderatedBy = req.user._id;
+      doc.moderatedAt = new Date();
+      await doc.save();
+
+      await logAdminAction(req, {
+        action: "content_moderate",
+        resource,
+        resourceId: doc._id,
+        details: {
+          from: previousStatus,
+          to: doc.moderationStatus,
+          reason: req.body.reason,
+        },
+      });
+
+      res.json({
+        success: true,
+        message: `${label} moderation updated`,
+        data: {
+          id: doc._id,
+          moderationStatus: doc.moderationStatus,
+          moderatedAt: doc.moderatedAt,
+        },
+      });
+    } catch (error) {
+      console.error(`Admin moderate ${resource} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to moderate ${resource}`,
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+}
+
+/**
+ * @route   PUT /api/admin/posts/:id/moderation
+ * @desc    Set a post's moderation status
+ * @access  Admin
+ */
+router.put("/posts/:id/moderation", moderationValidator, moderateContent(Post, "post", "Post"));
+
+/**
+ * @route   PUT /api/admin/comments/:id/moderation
+ * @desc    Set a comment's moderation status
+ * @access  Admin
+ */
+router.put(
+  "/comments/:id/moderation",
+  moderationValidator,
+  moderateContent(Comment, "comment", "Comment")
+);
+
+// ============================================
+// SCHEDULED JOBS
+// ============================================
+
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    Registered jobs with their latest run and whether one is running
+ * @access  Admin
+ */
+router.get("/jobs", async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    res.json({
+      success: true,
+      message: "Jobs retrieved successfully",
+      data: { jobs },
+    });
+  } catch (error) {
+    console.error("Admin list jobs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve jobs",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs/runs
+ * @desc    Browse job runs, newest first
+ * @access  Admin
+ */
+router.get(
+  "/jobs/runs",
+  [
+    query("job").optional().isString(),
+    query("status")
+      .optional()
+      .isIn(["running", "succeeded", "partial", "failed"])
+      .withMessage("Invalid status"),
+    ...paginationValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const filter = {};
+      if (req.query.job) filter.job = req.query.job;
+      if (req.query.status) filter.status = req.query.status;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const [runs, total] = await Promise.all([
+        JobRun.find(filter)
+          .sort({ startedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("triggeredBy", "displayName")
+          .lean(),
+        JobRun.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Job runs retrieved successfully",
+        data: {
+          runs,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Admin get job runs error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve job runs",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/jobs/:name/run
+ * @desc    Run a job now. Daily/hourly jobs can rerun a past slot with
+ *          scheduledFor; work already done for that slot is skipped.
+ * @access  Admin
+ */
+router.post(
+  "/jobs/:name/run",
+  [
+    param("name").isString().trim().notEmpty(),
+    body("scheduledFor").optional().isISO8601().withMessage("Invalid date").toDate(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const run = await triggerJob(req.params.name, {
+        scheduledFor: req.body.scheduledFor,
+        triggeredBy: req.user._id,
+      });
+
+      await logAdminAction(req, {
+        action: "admin_action",
+        resource: "job",
+        resourceId: run._id,
+        details: { job: run.job, scheduledFor: run.scheduledFor },
+      });
+
+      res.status(202).json({
+        success: true,
+        message: "Job started",
+        data: { run },
+      });
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+      console.error("Admin run job error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to start job",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+// ============================================
+// PRICING
+// ============================================
+
+const pricingValidator = [
+  body("effectiveFrom").optional().isISO8601().withMessage("Invalid date").toDate(),
+  body("notes").optional().isString().isLength({ max: 500 }).withMessage("Notes cannot exceed 500 characters"),
+  body("prices").optional().isObject().withMessage("prices must be an object"),
+  body("rewards").optional().isObject().withMessage("rewards must be an object"),
+  body("overrides").optional().isArray().withMessage("overrides must be an array"),
+  body("overrides.*.region").optional({ nullable: true }).isISO31661Alpha2().withMessage("Invalid region"),
+  body("overrides.*.currency").optional({ nullable: true }).isISO4217().withMessage("Invalid currency"),
+  body("promotions").optional().isArray().withMessage("promotions must be an array"),
+  body("promotions.*.startsAt").isISO8601().withMessage("Invalid promotion start").toDate(),
+  body("promotions.*.endsAt").isISO8601().withMessage("Invalid promotion end").toDate(),
+  body("promotions.*.discountPercent")
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Discount must be between 1 and 100 percent"),
+];
+
+// Fields an admin can set on a version
+const pricingFields = (body) => ({
+  effectiveFrom: body.effectiveFrom,
+  notes: body.notes,
+  prices: body.prices,
+  rewards: body.rewards,
+  overrides: body.overrides,
+  promotions: body.promotions,
+});
+
+/**
+ * @route   GET /api/admin/pricing
+ * @desc    Price catalogue versions, newest first, with their state
+ *          (scheduled, active or superseded)
+ * @access  Admin
+ */
+router.get("/pricing", paginationValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const result = await pricingService.listVersions({ page, limit });
+
+    res.json({
+      success: true,
+      message: "Pricing versions retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Admin list pricing error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve pricing versions",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/pricing/current
+ * @desc    Catalogue in force now (the defaults until a version exists)
+ * @access  Admin
+ */
+router.get("/pricing/current", async (req, res) => {
+  try {
+    const catalogue = await pricingService.getCatalogue();
+
+    res.json({
+      success: true,
+      message: "Current pricing retrieved successfully",
+      data: { catalogue },
+    });
+  } catch (error) {
+    console.error("Admin get current pricing error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve current pricing",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/pricing/:id
+ * @desc    One catalogue version
+ * @access  Admin
+ */
+router.get("/pricing/:id", idParamValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const version = await pricingService.getVersion(req.params.id);
+
+    res.json({
+      success: true,
+      message: "Pricing version retrieved successfully",
+      data: { version },
+    });
+  } catch (error) {
+    if (error instanceof APIError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error("Admin get pricing error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve pricing version",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/pricing
+ * @desc    Create a catalogue version taking effect at effectiveFrom (now if
+ *          omitted). Prices and rewards not given are copied from the
+ *          catalogue in force.
+ * @access  Admin
+ */
+router.post("/pricing", pricingValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const version = await pricingService.createVersion(pricingFields(req.body), req.user._id);
+
+    await logAdminAction(req, {
+      action: "admin_action",
+      resource: "pricing",
+      resourceId: version._id,
+      details: { operation: "create", version: version.version, effectiveFrom: version.effectiveFrom },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Pricing version created",
+      data: { version },
+    });
+  } catch (error) {
+    if (error instanceof APIError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error("Admin create pricing error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create pricing version",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/pricing/:id
+ * @desc    Edit a version that hasn't taken effect yet
+ * @access  Admin
+ */
+router.put("/pricing/:id", [...idParamValidator, ...pricingValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const version = await pricingService.updateVersion(
+      req.params.id,
+      pricingFields(req.body),
+      req.user._id
+    );
+
+    await logAdminAction(req, {
+      action: "admin_action",
+      resource: "pricing",
+      resourceId: version._id,
+      details: {
+        operation: "update",
+        version: version.version,
+        fields: Object.keys(req.body),
+      },
+    });
+
+    res.json({
+      success: true,
+      message: "Pricing version updated",
+      data: { version },
+    });
+  } catch (error) {
+    if (error instanceof APIError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error("Admin update pricing error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update pricing version",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/pricing/:id
+ * @desc    Delete a version that hasn't taken effect yet
+ * @access  Admin
+ */
+router.delete("/pricing/:id", idParamValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    await pricingService.deleteVersion(req.params.id);
+
+    await logAdminAction(req, {
+      action: "admin_action",
+      resource: "pricing",
+      resourceId: req.params.id,
+      details: { operation: "delete" },
+    });
+
+    res.json({
+      success: true,
+      message: "Pricing version deleted",
+    });
+  } catch (error) {
+    if (error instanceof APIError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error("Admin delete pricing error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete pricing version",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+});
+
+// ============================================
+// AUDIT LOG
+// ============================================
+
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Browse the audit log
+ * @access  Admin
+ */
+router.get(
+  "/audit-logs",
+  [
+    query("userId").optional().isMongoId().withMessage("Invalid user ID"),
+    query("action").optional().isString(),
+    query("resourceId").optional().isString(),
+    ...paginationValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const filter = {};
+      if (req.query.userId) filter.userId = req.query.userId;
+      if (req.query.action) filter.action = req.query.action;
+      if (req.query.resourceId) filter.resourceId = req.query.resourceId;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const [logs, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("userId", "displayName role")
+          .select("-__v"),
+        AuditLog.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Audit logs retrieved successfully",
+        data: {
+          logs,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Admin get audit logs error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve audit logs",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+module.exports = router;
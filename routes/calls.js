@@ -1,18 +1,45 @@
 const express = require("express");
-const { body, param, validationResult } = require("express-validator");
-const Chat = require("../models/Chat");
-const User = require("../models/User");
+const { body, param, query, validationResult } = require("express-validator");
+const Call = require("../models/Call");
 const { authenticateJWT } = require("../middleware/jwtAuth");
-const { emitCallInvitation, emitCallEnd } = require("../config/socket");
+const { APIError } = require("../middleware/errorHandler");
+const { issueCallToken } = require("../services/agora_token_service");
+const {
+  serializeCall,
+  createCall,
+  getCallForUser,
+  joinCall,
+  rejectCall,
+  endCall,
+} = require("../services/call_service");
 
 const router = express.Router();
 
-// In-memory call storage (in production, use Redis or database)
-const activeCalls = new Map();
+const callIdValidator = [param("callId").isMongoId().withMessage("Invalid call ID")];
+
+/**
+ * Shared error response for call actions
+ */
+function handleCallError(res, label, message, error) {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+}
 
 /**
  * @route   POST /api/calls/create
- * @desc    Create a new call and send invitations
+ * @desc    Create a new call and send invitations. Callees whose call
+ *          privacy excludes the caller are skipped.
  * @access  Private
  */
 router.post(
@@ -20,7 +47,7 @@ router.post(
   authenticateJWT,
   [
     body("chatId").isMongoId().withMessage("Invalid chat ID"),
-    body("participants").isArray().withMessage("Participants must be an array"),
+    body("participants").isArray({ min: 1 }).withMessage("Participants must be a non-empty array"),
     body("type").isIn(["audio", "video"]).withMessage("Invalid call type"),
   ],
   async (req, res) => {
@@ -37,98 +64,80 @@ router.post(
       const { user } = req;
       const { chatId, participants, type } = req.body;
 
-      // Verify chat exists and user is a member
-      const chat = await Chat.findById(chatId);
-      if (!chat) {
-        return res.status(404).json({
-          success: false,
-          message: "Chat not found",
-        });
-      }
-
-      if (!chat.isMember(user._id)) {
-        return res.status(403).json({
-          success: false,
-          message: "You are not a member of this chat",
-        });
-      }
-
-      // Generate unique room ID
-      const roomId = `flip-call-${Date.now()}-${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
-      const callId = `call-${Date.now()}-${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
-
-      // Create call data
-      const callData = {
-        callId,
-        roomId,
+      const { call, skippedParticipants } = await createCall({
+        caller: user,
         chatId,
-        callerId: user._id.toString(),
-        callerName: user.displayName || user.profile?.username || "User",
+        participantIds: participants,
         type,
-        participants,
-        createdAt: new Date(),
-        status: "ringing",
-      };
-
-      // Store call in memory
-      activeCalls.set(callId, callData);
-
-      // Get participant user data for notifications
-      const participantUsers = await User.find({
-        _id: { $in: participants },
-      }).select("_id displayName profile.username");
-
-      // Emit call invitation to all participants via Socket.IO
-      const callInvitation = {
-        ...callData,
-        callerAvatar: user.photoURL,
-        participantUsers: participantUsers.map((p) => ({
-          id: p._id.toString(),
-          name: p.displayName || p.profile?.username || "User",
-        })),
-      };
-
-      // Emit to all participants
-      participants.forEach((participantId) => {
-        emitCallInvitation(participantId, callInvitation);
       });
 
-      console.log(`📞 Call created: ${callId} (${type}) in room: ${roomId}`);
+      console.log(`📞 Call created: ${call._id} (${type}) in room: ${call.roomId}`);
 
       res.status(201).json({
         success: true,
         message: "Call created and invitations sent",
         data: {
-          callId,
-          roomId,
+          callId: call._id.toString(),
+          roomId: call.roomId,
           type,
-          participants,
+          participants: call.participants.map((p) => p.user.toString()),
+          skippedParticipants,
+          ringExpiresAt: call.ringExpiresAt,
         },
       });
     } catch (error) {
-      console.error("Create call error:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to create call",
-        error: error.message,
-      });
+      handleCallError(res, "Create call", "Failed to create call", error);
     }
   }
 );
 
 /**
  * @route   POST /api/calls/:callId/join
- * @desc    Join a call
+ * @desc    Join (answer) a call
  * @access  Private
  */
+router.post("/:callId/join", authenticateJWT, callIdValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { user } = req;
+    const call = await joinCall({ callId: req.params.callId, user });
+
+    console.log(`📞 User ${user.displayName} joined call: ${call._id}`);
+
+    res.json({
+      success: true,
+      message: "Joined call successfully",
+      data: {
+        roomId: call.roomId,
+        type: call.type,
+        status: call.status,
+      },
+    });
+  } catch (error) {
+    handleCallError(res, "Join call", "Failed to join call", error);
+  }
+});
+
+/**
+ * @route   POST /api/calls/:callId/token
+ * @desc    Get (or renew) Agora tokens for a call's room
+ * @access  Private (caller or invited participant)
+ */
 router.post(
-  "/:callId/join",
+  "/:callId/token",
   authenticateJWT,
-  [param("callId").notEmpty().withMessage("Call ID is required")],
+  [
+    ...callIdValidator,
+    body("uid").isInt({ min: 1, max: 4294967295 }).withMessage("Invalid uid").toInt(),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -140,56 +149,20 @@ router.post(
         });
       }
 
-      const { user } = req;
-      const { callId } = req.params;
-
-      // Get call data
-      const callData = activeCalls.get(callId);
-      if (!callData) {
-        return res.status(404).json({
-          success: false,
-          message: "Call not found or expired",
-        });
-      }
-
-      // Check if user is invited
-      const isParticipant =
-        callData.participants.includes(user._id.toString()) ||
-        callData.callerId === user._id.toString();
+      const call = await getCallForUser(req.params.callId, req.user._id);
 
-      if (!isParticipant) {
-        return res.status(403).json({
-          success: false,
-          message: "You are not invited to this call",
-        });
-      }
-
-      // Update call status
-      callData.status = "active";
-      if (!callData.joinedParticipants) {
-        callData.joinedParticipants = [];
-      }
-      if (!callData.joinedParticipants.includes(user._id.toString())) {
-        callData.joinedParticipants.push(user._id.toString());
-      }
-
-      console.log(`📞 User ${user.displayName} joined call: ${callId}`);
+      const tokens = issueCallToken({
+        call,
+        userId: req.user._id,
+        uid: req.body.uid,
+      });
 
       res.json({
         success: true,
-        message: "Joined call successfully",
-        data: {
-          roomId: callData.roomId,
-          type: callData.type,
-        },
+        data: tokens,
       });
     } catch (error) {
-      console.error("Join call error:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to join call",
-        error: error.message,
-      });
+      handleCallError(res, "Call token", "Failed to issue call token", error);
     }
   }
 );
@@ -199,147 +172,61 @@ router.post(
  * @desc    End a call
  * @access  Private
  */
-router.post(
-  "/:callId/end",
-  authenticateJWT,
-  [param("callId").notEmpty().withMessage("Call ID is required")],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: "Validation failed",
-          errors: errors.array(),
-        });
-      }
-
-      const { user } = req;
-      const { callId } = req.params;
-
-      // Get call data
-      const callData = activeCalls.get(callId);
-      if (!callData) {
-        return res.status(404).json({
-          success: false,
-          message: "Call not found",
-        });
-      }
-
-      // Check if user can end the call (caller or participant)
-      const canEndCall =
-        callData.callerId === user._id.toString() ||
-        callData.participants.includes(user._id.toString());
-
-      if (!canEndCall) {
-        return res.status(403).json({
-          success: false,
-          message: "You cannot end this call",
-        });
-      }
-
-      // Update call status
-      callData.status = "ended";
-      callData.endedAt = new Date();
-      callData.endedBy = user._id.toString();
-
-      // Emit call end to all participants
-      const allParticipants = [callData.callerId, ...callData.participants];
-      allParticipants.forEach((participantId) => {
-        emitCallEnd(participantId, {
-          callId,
-          endedBy: user.displayName || user.profile?.username || "User",
-          endedAt: callData.endedAt,
-        });
+router.post("/:callId/end", authenticateJWT, callIdValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
       });
+    }
 
-      // Remove call from active calls after a delay (for cleanup)
-      setTimeout(() => {
-        activeCalls.delete(callId);
-      }, 30000); // 30 seconds
+    const { user } = req;
+    const call = await endCall({ callId: req.params.callId, user });
 
-      console.log(`📞 Call ended: ${callId} by ${user.displayName}`);
+    console.log(`📞 Call ${call.status}: ${call._id} by ${user.displayName}`);
 
-      res.json({
-        success: true,
-        message: "Call ended successfully",
-      });
-    } catch (error) {
-      console.error("End call error:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to end call",
-        error: error.message,
-      });
-    }
+    res.json({
+      success: true,
+      message: "Call ended successfully",
+      data: { call: serializeCall(call, user._id) },
+    });
+  } catch (error) {
+    handleCallError(res, "End call", "Failed to end call", error);
   }
-);
+});
 
 /**
  * @route   POST /api/calls/:callId/reject
  * @desc    Reject a call invitation
  * @access  Private
  */
-router.post(
-  "/:callId/reject",
-  authenticateJWT,
-  [param("callId").notEmpty().withMessage("Call ID is required")],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: "Validation failed",
-          errors: errors.array(),
-        });
-      }
-
-      const { user } = req;
-      const { callId } = req.params;
-
-      // Get call data
-      const callData = activeCalls.get(callId);
-      if (!callData) {
-        return res.status(404).json({
-          success: false,
-          message: "Call not found",
-        });
-      }
-
-      // Check if user is invited
-      const isParticipant = callData.participants.includes(user._id.toString());
-      if (!isParticipant) {
-        return res.status(403).json({
-          success: false,
-          message: "You are not invited to this call",
-        });
-      }
-
-      // Add to rejected participants
-      if (!callData.rejectedParticipants) {
-        callData.rejectedParticipants = [];
-      }
-      if (!callData.rejectedParticipants.includes(user._id.toString())) {
-        callData.rejectedParticipants.push(user._id.toString());
-      }
-
-      console.log(`📞 User ${user.displayName} rejected call: ${callId}`);
-
-      res.json({
-        success: true,
-        message: "Call rejected successfully",
-      });
-    } catch (error) {
-      console.error("Reject call error:", error);
-      res.status(500).json({
+router.post("/:callId/reject", authenticateJWT, callIdValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: "Failed to reject call",
-        error: error.message,
+        message: "Validation failed",
+        errors: errors.array(),
       });
     }
+
+    const { user } = req;
+    await rejectCall({ callId: req.params.callId, user });
+
+    console.log(`📞 User ${user.displayName} rejected call: ${req.params.callId}`);
+
+    res.json({
+      success: true,
+      message: "Call rejected successfully",
+    });
+  } catch (error) {
+    handleCallError(res, "Reject call", "Failed to reject call", error);
   }
-);
+});
 
 /**
  * @route   GET /api/calls/active
@@ -349,68 +236,98 @@ router.post(
 router.get("/active", authenticateJWT, async (req, res) => {
   try {
     const { user } = req;
-    const userCalls = [];
-
-    // Find calls where user is caller or participant
-    for (const [callId, callData] of activeCalls.entries()) {
-      if (
-        callData.callerId === user._id.toString() ||
-        callData.participants.includes(user._id.toString())
-      ) {
-        if (callData.status === "ringing" || callData.status === "active") {
-          userCalls.push({
-            callId,
-            roomId: callData.roomId,
-            type: callData.type,
-            status: callData.status,
-            callerName: callData.callerName,
-            createdAt: callData.createdAt,
-          });
-        }
-      }
-    }
+
+    const calls = await Call.findForUser(user._id, {
+      status: { $in: Call.OPEN_STATUSES },
+    }).populate("caller", "displayName profile.username");
 
     res.json({
       success: true,
       message: "Active calls retrieved successfully",
       data: {
-        calls: userCalls,
+        calls: calls
+          // A callee who declined is no longer in the call
+          .filter((call) => call.canJoin(user._id))
+          .map((call) => ({
+            callId: call._id.toString(),
+            roomId: call.roomId,
+            type: call.type,
+            status: call.status,
+            callerName:
+              call.caller?.displayName || call.caller?.profile?.username || "User",
+            createdAt: call.createdAt,
+          })),
       },
     });
   } catch (error) {
-    console.error("Get active calls error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to get active calls",
-      error: error.message,
-    });
+    handleCallError(res, "Get active calls", "Failed to get active calls", error);
   }
 });
 
-// Cleanup expired calls every 5 minutes
-setInterval(() => {
-  const now = new Date();
-  const expiredCalls = [];
-
-  for (const [callId, callData] of activeCalls.entries()) {
-    const callAge = now - new Date(callData.createdAt);
-    // Remove calls older than 1 hour or ended calls older than 5 minutes
-    if (
-      callAge > 60 * 60 * 1000 || // 1 hour
-      (callData.status === "ended" && callAge > 5 * 60 * 1000) // 5 minutes
-    ) {
-      expiredCalls.push(callId);
-    }
-  }
+/**
+ * @route   GET /api/calls/history
+ * @desc    Calls the user made or received, newest first
+ * @access  Private
+ */
+router.get(
+  "/history",
+  authenticateJWT,
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
+    query("status")
+      .optional()
+      .isIn(["answered", "missed", "rejected", "ended"])
+      .withMessage("Invalid status"),
+    query("type").optional().isIn(["audio", "video"]).withMessage("Invalid call type"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
 
-  expiredCalls.forEach((callId) => {
-    activeCalls.delete(callId);
-    console.log(`📞 Cleaned up expired call: ${callId}`);
-  });
+      const { user } = req;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const filter = {};
+      if (req.query.status) filter.status = req.query.status;
+      if (req.query.type) filter.type = req.query.type;
+
+      const [calls, total] = await Promise.all([
+        Call.findForUser(user._id, filter)
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("caller participants.user", "displayName photoURL profile.username"),
+        Call.countDocuments({
+          ...filter,
+          $or: [{ caller: user._id }, { "participants.user": user._id }],
+        }),
+      ]);
 
-  if (expiredCalls.length > 0) {
-    console.log(`📞 Cleaned up ${expiredCalls.length} expired calls`);
+      res.json({
+        success: true,
+        message: "Call history retrieved successfully",
+        data: {
+          calls: calls.map((call) => serializeCall(call, user._id)),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      handleCallError(res, "Get call history", "Failed to get call history", error);
+    }
   }
-}, 5 * 60 * 1000); // 5 minutes
+);
 
 module.exports = router;
@@ -25,6 +25,11 @@ const {
   emitMessageUpdate,
   emitChatUpdate,
 } = require("../config/socket");
+const {
+  RELATIONSHIP_ACTIONS,
+  checkPermission,
+  filterPermitted,
+} = require("../services/relationship_policy");
 
 const router = express.Router();
 
@@ -396,6 +401,30 @@ router.post(
         });
       }
 
+      // Everyone added must accept messages from the creator
+      const { denied } = await filterPermitted(
+        user,
+        participants,
+        RELATIONSHIP_ACTIONS.MESSAGE
+      );
+      if (denied.length > 0) {
+        if (type === "direct") {
+          return res.status(denied[0].statusCode).json({
+            success: false,
+            message: denied[0].message,
+            code: denied[0].code,
+          });
+        }
+        return res.status(403).json({
+          success: false,
+          message: "Some participants can't be added to a chat by you",
+          code: "MESSAGE_NOT_ALLOWED",
+          data: {
+            deniedParticipants: denied.map(({ userId, code }) => ({ userId, code })),
+          },
+        });
+      }
+
       // For direct chats, check if chat already exists
       if (type === "direct") {
         const existingChat = await Chat.findDirectChat(
@@ -643,6 +672,23 @@ router.post(
         });
       }
 
+      // Direct chats follow the other user's messageWhoCan and blocks
+      if (chat.type === "direct") {
+        const recipient = chat.members.find(
+          (member) => member.userId.toString() !== user._id.toString()
+        );
+        const permission = recipient
+          ? await checkPermission(user, recipient.userId, RELATIONSHIP_ACTIONS.MESSAGE)
+          : { allowed: true };
+        if (!permission.allowed) {
+          return res.status(permission.statusCode).json({
+            success: false,
+            message: permission.message,
+            code: permission.code,
+          });
+        }
+      }
+
       // Prepare message data
       const messageData = {
         chatId,
@@ -5,10 +5,64 @@ const Post = require("../models/Post");
 const User = require("../models/User");
 const AuditLog = require("../models/AuditLog");
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
-const { notifyPostCommented } = require("../services/notification_service");
+const {
+  notifyPostCommented,
+  notifyCommentMention,
+} = require("../services/notification_service");
+const { APP_EVENTS, emitAppEvent } = require("../services/event_bus");
+const {
+  RELATIONSHIP_ACTIONS,
+  filterPermitted,
+} = require("../services/relationship_policy");
 
 const router = express.Router();
 
+// Cap on mentions resolved per comment
+const MAX_MENTIONS = 20;
+
+/**
+ * Resolve @username mentions in comment content. Users the author may not
+ * mention (blocks either way) are dropped rather than failing the comment.
+ */
+async function resolveMentions(user, content) {
+  const usernames = [
+    ...new Set((content.match(/@([a-zA-Z0-9_]{3,30})/g) || []).map((m) => m.slice(1))),
+  ].slice(0, MAX_MENTIONS);
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({
+    "profile.username": { $in: usernames },
+    _id: { $ne: user._id },
+  }).select("profile.username");
+  const { allowed } = await filterPermitted(
+    user,
+    users.map((u) => u._id),
+    RELATIONSHIP_ACTIONS.MENTION
+  );
+
+  return users
+    .filter((u) => allowed.includes(u._id.toString()))
+    .map((u) => ({ userId: u._id, username: u.profile.username }));
+}
+
+/**
+ * Notify mentioned users (the post author already gets a comment notification)
+ */
+function notifyMentions({ mentions, postId, postAuthorId, comment, user, authorName }) {
+  mentions
+    .filter((m) => m.userId.toString() !== postAuthorId.toString())
+    .forEach((m) =>
+      notifyCommentMention({
+        mentionedUserId: m.userId,
+        postId,
+        commentId: comment._id,
+        mentionerId: user._id,
+        mentionerName: authorName,
+        commentPreview: comment.content,
+      }).catch(() => {})
+    );
+}
+
 /**
  * GET /comments/post/:postId
  *
@@ -220,6 +274,8 @@ router.post(
         }
       }
 
+      const mentions = await resolveMentions(user, content);
+
       // Create comment
       const comment = new Comment({
         postId,
@@ -227,6 +283,7 @@ router.post(
         firebaseUid: firebaseUser.uid,
         content,
         parentCommentId: parentCommentId || null,
+        mentions,
       });
 
       await comment.save();
@@ -272,6 +329,13 @@ router.post(
         userAgent: req.get("User-Agent"),
       }).catch(console.error);
 
+      emitAppEvent(APP_EVENTS.COMMENT_CREATED, {
+        userId: user._id,
+        commentId: comment._id.toString(),
+        postId,
+        isReply: !!parentCommentId,
+      });
+
       const commenterName = commentObj.author || "Someone";
       notifyPostCommented({
         postId,
@@ -280,6 +344,14 @@ router.post(
         commenterName,
         commentPreview: content,
       }).catch(() => {});
+      notifyMentions({
+        mentions,
+        postId,
+        postAuthorId: post.userId._id,
+        comment,
+        user,
+        authorName: commenterName,
+      });
 
       res.status(201).json({
         success: true,
@@ -350,10 +422,28 @@ router.put(
 
       // Update comment
       const oldContent = comment.content;
+      const previouslyMentioned = comment.mentions.map((m) => m.userId.toString());
       comment.content = content;
+      comment.mentions = await resolveMentions(user, content);
       comment.isEdited = true;
       await comment.save();
 
+      // Only users newly mentioned by the edit are notified
+      const post = await Post.findById(comment.postId).select("userId");
+      if (post) {
+        notifyMentions({
+          mentions: comment.mentions.filter(
+            (m) => !previouslyMentioned.includes(m.userId.toString())
+          ),
+          postId: post._id,
+          postAuthorId: post.userId,
+          comment,
+          user,
+          authorName:
+            user.profile?.username || user.displayName || "Someone",
+        });
+      }
+
       // Format response
       const commentObj = comment.toObject();
       commentObj.isLiked = comment.isLikedBy(user._id);
@@ -4,7 +4,9 @@ const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
 const FanClub = require("../models/FanClub");
 const FanClubMember = require("../models/FanClubMember");
 const User = require("../models/User");
-const Transaction = require("../models/Transaction");
+const walletService = require("../services/wallet_service");
+const pricingService = require("../services/pricing_service");
+const { InsufficientFundsError } = walletService;
 const { body, validationResult } = require("express-validator");
 
 // @route   POST /api/fanclub/create
@@ -65,7 +67,7 @@ router.post(
 );
 
 // @route   POST /api/fanclub/join/:clubId
-// @desc    Join a fan club (100 coins)
+// @desc    Join a fan club (join fee from the price catalogue)
 // @access  Private
 router.post("/join/:clubId", authenticateJWT, requireAuth, async (req, res) => {
   try {
@@ -103,17 +105,30 @@ router.post("/join/:clubId", authenticateJWT, requireAuth, async (req, res) => {
       });
     }
 
-    // Check coins
-    if (!user.gamification || user.gamification.coins < fanClub.joinFee) {
-      return res.status(400).json({
-        success: false,
-        message: `Insufficient coins. Need ${fanClub.joinFee} coins to join.`,
+    const fee = await pricingService.quoteFanClubFee(user, "joinFee");
+
+    // Deduct coins (fails with InsufficientFundsError); a free fee charges nothing
+    if (fee.cost > 0) {
+      await walletService.debit({
+        userId: user._id,
+        type: "purchase",
+        currency: "coins",
+        amount: fee.cost,
+        relatedUserId: fanClub.owner,
+        description: `Joined fan club ${fanClub.name}`,
+        metadata: {
+          type: "fanclub_join",
+          fanClubId: clubId,
+          fanClubName: fanClub.name,
+          listPrice: fee.listPrice,
+          promotion: fee.promotion?.name || null,
+          pricingVersion: fee.pricingVersion,
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
       });
     }
 
-    // Deduct coins
-    await user.deductCoins(fanClub.joinFee);
-
     // Create or renew membership
     const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days
 
@@ -129,31 +144,19 @@ router.post("/join/:clubId", authenticateJWT, requireAuth, async (req, res) => {
       await fanClub.addMember();
     }
 
-    // Record transaction
-    await Transaction.create({
-      sender: user._id,
-      receiver: fanClub.owner,
-      type: "purchase",
-      currency: "coins",
-      amount: fanClub.joinFee,
-      status: "completed",
-      metadata: {
-        type: "fanclub_join",
-        fanClubId: clubId,
-        fanClubName: fanClub.name,
-      },
-    });
-
     // Update club revenue
-    fanClub.stats.totalRevenue += fanClub.joinFee;
+    fanClub.stats.totalRevenue += fee.cost;
     await fanClub.save();
 
     res.json({
       success: true,
       message: "Joined fan club successfully",
-      data: { membership, fanClub },
+      data: { membership, fanClub, fee: fee.cost },
     });
   } catch (error) {
+    if (error instanceof InsufficientFundsError) {
+      return res.status(400).json(error.toResponse());
+    }
     console.error("Join fan club error:", error);
     res.status(500).json({
       success: false,
@@ -164,7 +167,7 @@ router.post("/join/:clubId", authenticateJWT, requireAuth, async (req, res) => {
 });
 
 // @route   POST /api/fanclub/renew/:clubId
-// @desc    Renew fan club membership (300 coins)
+// @desc    Renew fan club membership (renewal fee from the price catalogue)
 // @access  Private
 router.post("/renew/:clubId", authenticateJWT, requireAuth, async (req, res) => {
   try {
@@ -184,46 +187,46 @@ router.post("/renew/:clubId", authenticateJWT, requireAuth, async (req, res) =>
     }
 
     const fanClub = membership.fanClub;
-
-    // Check coins
-    if (!user.gamification || user.gamification.coins < fanClub.renewalFee) {
-      return res.status(400).json({
-        success: false,
-        message: `Insufficient coins. Need ${fanClub.renewalFee} coins to renew.`,
+    const fee = await pricingService.quoteFanClubFee(user, "renewalFee");
+
+    // Deduct coins (fails with InsufficientFundsError); a free fee charges nothing
+    if (fee.cost > 0) {
+      await walletService.debit({
+        userId: user._id,
+        type: "purchase",
+        currency: "coins",
+        amount: fee.cost,
+        relatedUserId: fanClub.owner,
+        description: `Renewed fan club ${fanClub.name}`,
+        metadata: {
+          type: "fanclub_renewal",
+          fanClubId: clubId,
+          fanClubName: fanClub.name,
+          listPrice: fee.listPrice,
+          promotion: fee.promotion?.name || null,
+          pricingVersion: fee.pricingVersion,
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
       });
     }
 
-    // Deduct coins
-    await user.deductCoins(fanClub.renewalFee);
-
     // Renew membership
     await membership.renew(30);
 
-    // Record transaction
-    await Transaction.create({
-      sender: user._id,
-      receiver: fanClub.owner,
-      type: "purchase",
-      currency: "coins",
-      amount: fanClub.renewalFee,
-      status: "completed",
-      metadata: {
-        type: "fanclub_renewal",
-        fanClubId: clubId,
-        fanClubName: fanClub.name,
-      },
-    });
-
     // Update club revenue
-    fanClub.stats.totalRevenue += fanClub.renewalFee;
+    fanClub.stats.totalRevenue += fee.cost;
     await fanClub.save();
 
     res.json({
       success: true,
       message: "Membership renewed successfully",
-      data: { membership },
+      data: { membership, fee: fee.cost },
     });
   } catch (error) {
+    if (error instanceof InsufficientFundsError) {
+      return res.status(400).json(error.toResponse());
+    }
     console.error("Renew fan club error:", error);
     res.status(500).json({
       success: false,
@@ -473,13 +476,25 @@ router.put(
 
       // If changing name, charge fee
       if (name && name !== fanClub.name) {
-        if (!user.gamification || user.gamification.coins < fanClub.nameChangeFee) {
-          return res.status(400).json({
-            success: false,
-            message: `Insufficient coins. Need ${fanClub.nameChangeFee} coins to change name.`,
+        const fee = await pricingService.quoteFanClubFee(user, "nameChangeFee");
+        if (fee.cost > 0) {
+          await walletService.debit({
+            userId: user._id,
+            type: "purchase",
+            currency: "coins",
+            amount: fee.cost,
+            description: `Renamed fan club ${fanClub.name} to ${name}`,
+            metadata: {
+              type: "fanclub_name_change",
+              fanClubId: fanClub._id,
+              listPrice: fee.listPrice,
+              promotion: fee.promotion?.name || null,
+              pricingVersion: fee.pricingVersion,
+            },
+            ipAddress: req.ip,
+            userAgent: req.get("user-agent"),
           });
         }
-        await user.deductCoins(fanClub.nameChangeFee);
         fanClub.name = name;
       }
 
@@ -495,6 +510,9 @@ router.put(
         data: { fanClub },
       });
     } catch (error) {
+      if (error instanceof InsufficientFundsError) {
+        return res.status(400).json(error.toResponse());
+      }
       console.error("Update fan club error:", error);
       res.status(500).json({
         success: false,
@@ -3,6 +3,11 @@ const { body, validationResult } = require("express-validator");
 const User = require("../models/User");
 const AuditLog = require("../models/AuditLog");
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
+const { APIError } = require("../middleware/errorHandler");
+const { InsufficientFundsError } = require("../services/wallet_service");
+const subscriptionService = require("../services/subscription_service");
+const perkService = require("../services/perk_service");
+const pricingService = require("../services/pricing_service");
 
 const router = express.Router();
 
@@ -15,7 +20,7 @@ router.get("/levels", authenticateJWT, requireAuth, async (req, res) => {
   try {
     const { user } = req;
 
-    // Check and expire subscriptions
+    // Refresh membership flags from the user's subscriptions
     await user.checkAndExpireSubscriptions();
 
     res.json({
@@ -105,10 +110,65 @@ router.get("/subscriptions", authenticateJWT, requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/gamification/perks
+ *
+ * Get the perks the user has now, the subscriptions they come from, and
+ * what each tier unlocks
+ */
+router.get("/perks", authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const { perks, subscriptions } = await perkService.getPerkDetails(req.user._id);
+
+    res.json({
+      success: true,
+      message: "Perks retrieved successfully",
+      data: {
+        perks,
+        subscriptions,
+        base: perkService.BASE_PERKS,
+        catalogue: perkService.PERK_CATALOGUE,
+      },
+    });
+  } catch (error) {
+    console.error("Get perks error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve perks",
+    });
+  }
+});
+
+/**
+ * GET /api/gamification/pricing
+ *
+ * Get the user's VIP, MVP, Guardian and fan club prices (with their
+ * region/currency override) and the promotions running now
+ */
+router.get("/pricing", authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const priceList = await pricingService.getPriceList(req.user);
+
+    res.json({
+      success: true,
+      message: "Prices retrieved successfully",
+      data: priceList,
+    });
+  } catch (error) {
+    console.error("Get pricing error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve prices",
+    });
+  }
+});
+
 /**
  * POST /api/gamification/vip/purchase
  *
  * Purchase VIP subscription
+ * Buying the active tier extends it; a higher tier is an upgrade with the
+ * unused time credited against the price.
  */
 router.post(
   "/vip/purchase",
@@ -136,34 +196,29 @@ router.post(
       const { user } = req;
       const { tier, months } = req.body;
 
-      // VIP prices per month
-      const prices = {
-        normal: 95000,
-        super: 100000,
-        diamond: 250000,
-      };
-
-      const totalCost = prices[tier] * months;
-      const currentCoins = user.gamification?.coins || 0;
+      const price = await pricingService.quoteSubscription(user, { type: "vip", tier, months });
+      const totalCost = price.cost;
 
-      if (currentCoins < totalCost) {
-        return res.status(400).json({
-          success: false,
-          message: "Insufficient coins",
-          code: "INSUFFICIENT_COINS",
-          required: totalCost,
-          current: currentCoins,
-        });
-      }
-
-      // Deduct coins
-      await user.deductCoins(totalCost);
-
-      // Activate VIP
-      await user.activateVIP(tier, months);
+      // New term, renewal (extends the current one) or upgrade (prorated)
+      const result = await subscriptionService.purchase({
+        userId: user._id,
+        type: "vip",
+        tier,
+        months,
+        cost: totalCost,
+        payment: {
+          description: `${tier} VIP for ${months} month(s)`,
+          metadata: priceDetails(price),
+          ipAddress: req.ip,
+          userAgent: req.get("User-Agent"),
+        },
+      });
+      Object.assign(user.gamification, result.flags);
 
       // Add credits sent for wealth level
-      await user.addCreditsSent(totalCost);
+      if (result.charged > 0) {
+        await user.addCreditsSent(result.charged);
+      }
 
       // Log purchase
       await AuditLog.logAction({
@@ -175,6 +230,10 @@ router.post(
           tier,
           months,
           cost: totalCost,
+          ...priceDetails(price),
+          action: result.action,
+          charged: result.charged,
+          proratedCredit: result.proratedCredit,
         },
         ipAddress: req.ip,
         userAgent: req.get("User-Agent"),
@@ -182,16 +241,31 @@ router.post(
 
       res.json({
         success: true,
-        message: `${tier.charAt(0).toUpperCase() + tier.slice(1)} VIP activated for ${months} month(s)`,
+        message: purchaseMessage(result, months),
         data: {
           tier,
           months,
+          action: result.action,
           cost: totalCost,
-          expiresAt: user.gamification.vipExpiresAt,
-          remainingCoins: user.gamification.coins,
+          ...priceDetails(price),
+          proratedCredit: result.proratedCredit,
+          charged: result.charged,
+          expiresAt: result.subscription.endDate,
+          subscription: result.subscription,
+          remainingCoins: result.transaction?.balanceAfter ?? user.gamification.coins,
         },
       });
     } catch (error) {
+      if (error instanceof InsufficientFundsError) {
+        return res.status(400).json(error.toResponse());
+      }
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
       console.error("VIP purchase error:", error);
 
       await AuditLog.logAction({
@@ -220,7 +294,9 @@ router.post(
  * POST /api/gamification/mvp/purchase
  *
  * Purchase MVP subscription
- * Accepts durationDays to align with mobile packages (30, 90, 180, 365).
+ * Accepts durationDays to align with the MVP packages in the price
+ * catalogue (30, 90, 180, 365 by default).
+ * Buying while active extends the current term.
  */
 router.post(
   "/mvp/purchase",
@@ -228,8 +304,9 @@ router.post(
   requireAuth,
   [
     body("durationDays")
-      .isInt({ min: 30, max: 365 })
-      .withMessage("durationDays must be between 30 and 365"),
+      .isInt({ min: 1 })
+      .withMessage("durationDays must be a positive integer")
+      .toInt(),
   ],
   async (req, res) => {
     try {
@@ -245,44 +322,30 @@ router.post(
       const { user } = req;
       const { durationDays } = req.body;
 
-      // Map mobile package durations to months + price table (keeps discounts)
-      const pricingTable = {
-        30: { months: 1, cost: 7085 },
-        90: { months: 3, cost: 20000 },
-        180: { months: 6, cost: 38000 },
-        365: { months: 12, cost: 70000 },
-      };
-
-      const selected = pricingTable[durationDays];
-      if (!selected) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid MVP duration",
-          code: "INVALID_DURATION",
-        });
-      }
-
-      const { months, cost: totalCost } = selected;
-      const currentCoins = user.gamification?.coins || 0;
-
-      if (currentCoins < totalCost) {
-        return res.status(400).json({
-          success: false,
-          message: "Insufficient coins",
-          code: "INSUFFICIENT_COINS",
-          required: totalCost,
-          current: currentCoins,
-        });
-      }
+      // Fails with INVALID_DURATION when no package has that duration
+      const price = await pricingService.quoteSubscription(user, { type: "mvp", durationDays });
+      const { months, cost: totalCost } = price;
 
-      // Deduct coins
-      await user.deductCoins(totalCost);
-
-      // Activate MVP (expects months)
-      await user.activateMVP(months);
+      // New term or renewal (extends the current one)
+      const result = await subscriptionService.purchase({
+        userId: user._id,
+        type: "mvp",
+        tier: "premium",
+        months,
+        cost: totalCost,
+        payment: {
+          description: `MVP for ${durationDays} days`,
+          metadata: { durationDays, ...priceDetails(price) },
+          ipAddress: req.ip,
+          userAgent: req.get("User-Agent"),
+        },
+      });
+      Object.assign(user.gamification, result.flags);
 
       // Add credits sent for wealth level
-      await user.addCreditsSent(totalCost);
+      if (result.charged > 0) {
+        await user.addCreditsSent(result.charged);
+      }
 
       // Log purchase
       await AuditLog.logAction({
@@ -294,6 +357,9 @@ router.post(
           months,
           durationDays,
           cost: totalCost,
+          ...priceDetails(price),
+          action: result.action,
+          charged: result.charged,
         },
         ipAddress: req.ip,
         userAgent: req.get("User-Agent"),
@@ -301,16 +367,30 @@ router.post(
 
       res.json({
         success: true,
-        message: `MVP activated for ${months} month(s)`,
+        message: purchaseMessage(result, months),
         data: {
           months,
           durationDays,
+          action: result.action,
           cost: totalCost,
-          expiresAt: user.gamification.mvpExpiresAt,
-          remainingCoins: user.gamification.coins,
+          ...priceDetails(price),
+          charged: result.charged,
+          expiresAt: result.subscription.endDate,
+          subscription: result.subscription,
+          remainingCoins: result.transaction?.balanceAfter ?? user.gamification.coins,
         },
       });
     } catch (error) {
+      if (error instanceof InsufficientFundsError) {
+        return res.status(400).json(error.toResponse());
+      }
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
       console.error("MVP purchase error:", error);
 
       await AuditLog.logAction({
@@ -339,6 +419,7 @@ router.post(
  * POST /api/gamification/guardian/purchase
  *
  * Purchase Guardian subscription
+ * Same rules as VIP; one guarded user at a time.
  */
 router.post(
   "/guardian/purchase",
@@ -369,25 +450,8 @@ router.post(
       const { user } = req;
       const { type, months, targetUserId } = req.body;
 
-      // Guardian prices per month
-      const prices = {
-        silver: 15000,
-        gold: 30000,
-        king: 150000,
-      };
-
-      const totalCost = prices[type] * months;
-      const currentCoins = user.gamification?.coins || 0;
-
-      if (currentCoins < totalCost) {
-        return res.status(400).json({
-          success: false,
-          message: "Insufficient coins",
-          code: "INSUFFICIENT_COINS",
-          required: totalCost,
-          current: currentCoins,
-        });
-      }
+      const price = await pricingService.quoteSubscription(user, { type: "guardian", tier: type, months });
+      const totalCost = price.cost;
 
       // Check if target user exists
       const targetUser = await User.findById(targetUserId);
@@ -398,11 +462,22 @@ router.post(
         });
       }
 
-      // Deduct coins
-      await user.deductCoins(totalCost);
-
-      // Activate Guardian
-      await user.activateGuardian(type, months, targetUserId);
+      // New term, renewal (extends the current one) or upgrade (prorated)
+      const result = await subscriptionService.purchase({
+        userId: user._id,
+        type: "guardian",
+        tier: type,
+        months,
+        cost: totalCost,
+        targetUserId: targetUser._id,
+        payment: {
+          description: `${type} Guardian for ${months} month(s)`,
+          metadata: priceDetails(price),
+          ipAddress: req.ip,
+          userAgent: req.get("User-Agent"),
+        },
+      });
+      Object.assign(user.gamification, result.flags);
 
       // Update target user's guardedBy field
       if (!targetUser.gamification) targetUser.gamification = {};
@@ -410,7 +485,9 @@ router.post(
       await targetUser.save();
 
       // Add credits sent for wealth level
-      await user.addCreditsSent(totalCost);
+      if (result.charged > 0) {
+        await user.addCreditsSent(result.charged);
+      }
 
       // Log purchase
       await AuditLog.logAction({
@@ -422,7 +499,11 @@ router.post(
           type,
           months,
           cost: totalCost,
+          ...priceDetails(price),
           targetUserId,
+          action: result.action,
+          charged: result.charged,
+          proratedCredit: result.proratedCredit,
         },
         ipAddress: req.ip,
         userAgent: req.get("User-Agent"),
@@ -430,20 +511,35 @@ router.post(
 
       res.json({
         success: true,
-        message: `${type.charAt(0).toUpperCase() + type.slice(1)} Guardian activated for ${months} month(s)`,
+        message: purchaseMessage(result, months),
         data: {
           type,
           months,
+          action: result.action,
           cost: totalCost,
+          ...priceDetails(price),
+          proratedCredit: result.proratedCredit,
+          charged: result.charged,
           targetUser: {
             id: targetUser._id,
             displayName: targetUser.displayName,
           },
-          expiresAt: user.gamification.guardianExpiresAt,
-          remainingCoins: user.gamification.coins,
+          expiresAt: result.subscription.endDate,
+          subscription: result.subscription,
+          remainingCoins: result.transaction?.balanceAfter ?? user.gamification.coins,
         },
       });
     } catch (error) {
+      if (error instanceof InsufficientFundsError) {
+        return res.status(400).json(error.toResponse());
+      }
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
       console.error("Guardian purchase error:", error);
 
       await AuditLog.logAction({
@@ -468,71 +564,23 @@ router.post(
   }
 );
 
-/**
- * POST /api/gamification/coins/add
- *
- * Add coins to user (for testing or admin purposes)
- */
-router.post(
-  "/coins/add",
-  authenticateJWT,
-  requireAuth,
-  [
-    body("amount")
-      .isInt({ min: 1 })
-      .withMessage("Amount must be a positive integer"),
-  ],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: "Validation failed",
-          errors: errors.array(),
-        });
-      }
-
-      const { user } = req;
-      const { amount } = req.body;
-
-      await user.addCoins(amount);
-
-      // Log coin addition
-      await AuditLog.logAction({
-        userId: user._id,
-        firebaseUid: user.firebaseUid,
-        action: "coins_add",
-        success: true,
-        details: {
-          amount,
-        },
-        ipAddress: req.ip,
-        userAgent: req.get("User-Agent"),
-      });
+// Helper functions
+function priceDetails({ listPrice, discountPercent, promotion, pricingVersion }) {
+  return {
+    listPrice,
+    discountPercent,
+    promotion: promotion?.name || null,
+    pricingVersion,
+  };
+}
 
-      res.json({
-        success: true,
-        message: `${amount} coins added`,
-        data: {
-          coins: user.gamification.coins,
-        },
-      });
-    } catch (error) {
-      console.error("Add coins error:", error);
-      res.status(500).json({
-        success: false,
-        message: error.message || "Failed to add coins",
-        error:
-          process.env.NODE_ENV === "development"
-            ? error.message
-            : "Internal server error",
-      });
-    }
-  }
-);
+function purchaseMessage({ action, subscription }, months) {
+  const name = subscriptionService.subscriptionName(subscription);
+  if (action === "renewal") return `${name} extended by ${months} month(s)`;
+  if (action === "upgrade") return `Upgraded to ${name} for ${months} month(s)`;
+  return `${name} activated for ${months} month(s)`;
+}
 
-// Helper functions
 function getNextWealthThreshold(currentLevel) {
   const wealthThresholds = [
     0, 3000, 6000, 16000, 30000, 52000, 85000, 137000, 214000, 323000, 492000,
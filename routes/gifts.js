@@ -4,6 +4,9 @@ const { query, body, validationResult } = require("express-validator");
 const GiftSent = require("../models/GiftSent");
 const Gift = require("../models/Gift");
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
+const { InsufficientFundsError } = require("../services/wallet_service");
+const { sendGift } = require("../services/gift_service");
+const { APIError } = require("../middleware/errorHandler");
 
 /**
  * @route   GET /api/gifts
@@ -400,10 +403,6 @@ router.post(
         });
       }
 
-      // Calculate total cost
-      const totalCost = gift.coins * quantity;
-
-      // Check if user has enough coins
       const User = require("../models/User");
       const sender = await User.findById(user._id);
 
@@ -414,20 +413,6 @@ router.post(
         });
       }
 
-      const currentCoins = sender.gamification?.coins || 0;
-
-      if (currentCoins < totalCost) {
-        return res.status(400).json({
-          success: false,
-          message: "Insufficient coins",
-          data: {
-            required: totalCost,
-            current: currentCoins,
-            shortfall: totalCost - currentCoins,
-          },
-        });
-      }
-
       // Verify receiver exists
       const receiver = await User.findById(receiverId);
       if (!receiver) {
@@ -437,59 +422,18 @@ router.post(
         });
       }
 
-      // Deduct coins from sender
-      sender.gamification.coins -= totalCost;
-      await sender.save();
-
-      // Create gift sent records (one for each quantity)
-      const giftsSent = [];
-      for (let i = 0; i < quantity; i++) {
-        const giftSent = new GiftSent({
-          author: user._id,
-          authorId: user._id.toString(),
-          receiver: receiverId,
-          receiverId: receiverId,
-          gift: gift._id,
-          giftId: gift.giftId,
-          diamondsQuantity: gift.coins,
-          context: context,
-          liveStreamId: contextId,
-        });
-
-        await giftSent.save();
-        giftsSent.push(giftSent);
-      }
-
-      // Record transaction
-      const Transaction = require("../models/Transaction");
-      await Transaction.createTransaction({
-        userId: user._id,
-        type: "gift_sent",
-        currency: "coins",
-        amount: -totalCost,
-        description: `Sent ${quantity}x ${gift.name} to ${receiver.displayName || receiver.username}`,
-        metadata: {
-          giftId: gift.giftId,
-          giftName: gift.name,
-          receiverId: receiverId,
-          quantity: quantity,
-          context: context,
-        },
+      // Debit sender, pay receiver/agency diamonds (fails with InsufficientFundsError)
+      const { totalCost, giftsSent, debitTransaction } = await sendGift({
+        sender,
+        receiver,
+        gift,
+        quantity,
+        context,
+        contextId,
         ipAddress: req.ip,
         userAgent: req.get("user-agent"),
       });
 
-      // Update Rankings (Rich & Host)
-      try {
-        const User = require("../models/User");
-        // Sender's wealth increase
-        await User.findByIdAndUpdate(user._id, { $inc: { "gamification.creditsSent": totalCost } });
-        // Receiver's gifts received increase
-        await User.findByIdAndUpdate(receiverId, { $inc: { "gamification.giftsReceived": totalCost } });
-      } catch (rankError) {
-        console.error("Error updating rankings:", rankError);
-      }
-
       // Create in-app notification for receiver
       try {
         const { notifyGiftReceived } = require("../services/notification_service");
@@ -536,10 +480,20 @@ router.post(
         data: {
           giftsSent: giftsSent,
           totalCost: totalCost,
-          remainingCoins: sender.gamification.coins,
+          remainingCoins: debitTransaction.balanceAfter,
         },
       });
     } catch (error) {
+      if (error instanceof InsufficientFundsError) {
+        return res.status(400).json(error.toResponse());
+      }
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
       console.error("Send gift error:", error);
       res.status(500).json({
         success: false,
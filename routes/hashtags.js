@@ -0,0 +1,154 @@
+const express = require("express");
+const { param, query, validationResult } = require("express-validator");
+const Hashtag = require("../models/Hashtag");
+const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
+const { normalizeTag, getTagPosts } = require("../services/hashtag_service");
+
+const router = express.Router();
+
+const HASHTAG_FIELDS = "tag counts totalUses windowCounts trendingScore trendingRank lastUsedAt";
+
+const tagValidator = [
+  param("tag")
+    .customSanitizer(normalizeTag)
+    .notEmpty()
+    .withMessage("Invalid hashtag"),
+];
+
+/**
+ * @route   GET /api/hashtags/trending
+ * @desc    Trending hashtags, best first (refreshed by the trending job)
+ * @access  Private
+ */
+router.get(
+  "/trending",
+  authenticateJWT,
+  requireAuth,
+  [
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Limit must be between 1 and 50")
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const hashtags = await Hashtag.getTrending(req.query.limit || 20);
+
+      res.json({
+        success: true,
+        message: "Trending hashtags retrieved successfully",
+        data: {
+          hashtags,
+          computedAt: hashtags[0]?.trendingComputedAt || null,
+        },
+      });
+    } catch (error) {
+      console.error("Get trending hashtags error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve trending hashtags",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/hashtags/:tag/posts
+ * @desc    Posts tagged with a hashtag that the user may see
+ *          Query params: sort (recent | top), page, limit
+ * @access  Private
+ */
+router.get(
+  "/:tag/posts",
+  authenticateJWT,
+  requireAuth,
+  [
+    ...tagValidator,
+    query("sort")
+      .optional()
+      .isIn(["recent", "top"])
+      .withMessage("Sort must be recent or top"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer")
+      .toInt(),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Limit must be between 1 and 50")
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { user } = req;
+      const { tag } = req.params;
+      const { sort = "recent", page = 1, limit = 20 } = req.query;
+
+      const hashtag = await Hashtag.findOne({ tag, isBlocked: false }).select(HASHTAG_FIELDS);
+      if (!hashtag) {
+        return res.status(404).json({
+          success: false,
+          message: "Hashtag not found",
+        });
+      }
+
+      const posts = await getTagPosts({ viewer: user, tag, sort, page, limit });
+      const userId = user._id.toString();
+      const following = (user.following || []).map((id) => id.toString());
+
+      res.json({
+        success: true,
+        message: "Hashtag posts retrieved successfully",
+        data: {
+          hashtag,
+          posts: posts.map((post) => ({
+            ...post,
+            isLiked: post.likedBy.map((id) => id.toString()).includes(userId),
+            isFollowingUser: following.includes(post.userId?._id?.toString()),
+            username:
+              post.userId?.profile?.username ||
+              post.userId?.displayName ||
+              `${post.userId?.profile?.firstName || ""} ${post.userId?.profile?.lastName || ""}`.trim() ||
+              "Unknown User",
+            userAvatar: post.userId?.photoURL,
+          })),
+          pagination: {
+            page,
+            limit,
+            hasMore: posts.length === limit,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get hashtag posts error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve hashtag posts",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
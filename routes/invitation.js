@@ -3,6 +3,7 @@ const { body, query, validationResult } = require("express-validator");
 const Invitation = require("../models/Invitation");
 const User = require("../models/User");
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
+const { REFERRAL_CONFIG } = require("../services/referral_service");
 
 const router = express.Router();
 
@@ -19,18 +20,7 @@ router.get(
     try {
       const { user } = req;
 
-      let invitation = await Invitation.findOne({ userId: user._id });
-
-      if (!invitation) {
-        let code = Invitation.generateReferralCode();
-        while (await Invitation.findOne({ referralCode: code })) {
-          code = Invitation.generateReferralCode();
-        }
-        invitation = await Invitation.create({
-          userId: user._id,
-          referralCode: code,
-        });
-      }
+      const invitation = await Invitation.getOrCreateForUser(user._id);
 
       res.json({
         success: true,
@@ -76,31 +66,51 @@ router.get(
         .populate("invitedUsers.invitedUserId", "displayName photoURL profile.username")
         .lean();
 
+      const rewards = {
+        inviterCoins: REFERRAL_CONFIG.inviterCoins,
+        inviteeCoins: REFERRAL_CONFIG.inviteeCoins,
+        activeDays: REFERRAL_CONFIG.activeDays,
+      };
+
       if (!invitation) {
         return res.json({
           success: true,
           data: {
             history: [],
             totalInvites: 0,
+            counts: { pending: 0, rewarded: 0, rejected: 0 },
+            rewards,
             pagination: { page: 1, limit, total: 0 },
           },
         });
       }
 
-      const history = invitation.invitedUsers || [];
+      // Newest first
+      const history = [...(invitation.invitedUsers || [])].reverse();
       const skip = (page - 1) * limit;
       const paginated = history.slice(skip, skip + parseInt(limit));
 
+      // Entries from before attribution tracking have no status
+      const statusOf = (h) => h.status || (h.rewardClaimed ? "rewarded" : "pending");
+      const counts = { pending: 0, rewarded: 0, rejected: 0 };
+      for (const h of history) {
+        counts[statusOf(h)] += 1;
+      }
+
       res.json({
         success: true,
         data: {
           history: paginated.map((h) => ({
             invitedUser: h.invitedUserId,
             invitedAt: h.invitedAt,
+            status: statusOf(h),
             rewardClaimed: h.rewardClaimed,
+            rewardedAt: h.rewardedAt,
           })),
           totalInvites: invitation.totalInvites,
+          counts,
           totalRewards: invitation.totalRewards,
+          rewards,
           pagination: {
             page: parseInt(page),
             limit: parseInt(limit),
@@ -151,17 +161,7 @@ router.post(
       const { method, recipient } = req.body;
       const { user } = req;
 
-      let invitation = await Invitation.findOne({ userId: user._id });
-      if (!invitation) {
-        let code = Invitation.generateReferralCode();
-        while (await Invitation.findOne({ referralCode: code })) {
-          code = Invitation.generateReferralCode();
-        }
-        invitation = await Invitation.create({
-          userId: user._id,
-          referralCode: code,
-        });
-      }
+      const invitation = await Invitation.getOrCreateForUser(user._id);
 
       // Log invitation send (could integrate with email/SMS service later)
       res.json({
@@ -186,76 +186,4 @@ router.post(
   }
 );
 
-/**
- * @route   POST /api/invitation/claim-reward/:invitationId
- * @desc    Claim referral reward (when referred user completes signup)
- * @access  Private
- */
-router.post(
-  "/claim-reward/:invitationId",
-  authenticateJWT,
-  requireAuth,
-  [body("invitedUserId").optional().isMongoId().withMessage("Invalid invited user ID")],
-  async (req, res) => {
-    try {
-      const { user } = req;
-      const { invitationId } = req.params;
-      const { invitedUserId } = req.body;
-
-      const invitation = await Invitation.findOne({
-        _id: invitationId,
-        userId: user._id,
-      });
-
-      if (!invitation) {
-        return res.status(404).json({
-          success: false,
-          message: "Invitation not found",
-        });
-      }
-
-      const invitedEntry = invitation.invitedUsers.find(
-        (e) => e.invitedUserId?.toString() === invitedUserId
-      );
-
-      if (!invitedEntry || invitedEntry.rewardClaimed) {
-        return res.status(400).json({
-          success: false,
-          message: "Reward already claimed or invalid invitation",
-        });
-      }
-
-      invitedEntry.rewardClaimed = true;
-      const rewardCoins = 100;
-      const rewardDiamonds = 10;
-      invitation.totalRewards.coins += rewardCoins;
-      invitation.totalRewards.diamonds += rewardDiamonds;
-      await invitation.save();
-
-      // Credit user
-      await User.findByIdAndUpdate(user._id, {
-        $inc: { "gamification.coins": rewardCoins },
-      });
-
-      res.json({
-        success: true,
-        message: "Reward claimed successfully",
-        data: {
-          reward: { coins: rewardCoins, diamonds: rewardDiamonds },
-        },
-      });
-    } catch (error) {
-      console.error("Claim reward error:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to claim reward",
-        error:
-          process.env.NODE_ENV === "development"
-            ? error.message
-            : "Internal server error",
-      });
-    }
-  }
-);
-
 module.exports = router;
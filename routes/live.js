@@ -1,6 +1,8 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
+const { loadPerks } = require("../middleware/subscription");
 const LiveStream = require("../models/LiveStream");
 const LiveMessage = require("../models/LiveMessage");
 const LiveViewer = require("../models/LiveViewer");
@@ -10,35 +12,90 @@ const GiftSender = require("../models/GiftSender");
 const Gift = require("../models/Gift");
 const User = require("../models/User");
 const { admin } = require("../config/firebase");
+const { APP_EVENTS, emitAppEvent } = require("../services/event_bus");
+const { InsufficientFundsError } = require("../services/wallet_service");
+const { getTicketGift, buyTicket } = require("../services/live_ticket_service");
+const { finishLive } = require("../services/live_service");
+const {
+  isAgoraConfigured,
+  buildTokens,
+  issueLiveToken,
+} = require("../services/agora_token_service");
+const { APIError } = require("../middleware/errorHandler");
+const { collectTags, syncTags } = require("../services/hashtag_service");
+const { getPerks } = require("../services/perk_service");
 
 /**
  * @route   POST /api/live/create
- * @desc    Create a new live stream
+ * @desc    Create a new live stream. Party seats are capped by the host's
+ *          partySeats perk.
  * @access  Private
  */
-router.post("/create", authenticateJWT, requireAuth, async (req, res) => {
+router.post("/create", authenticateJWT, requireAuth, loadPerks, async (req, res) => {
   try {
     const {
       liveType,
       liveSubType,
-      streamingChannel,
       title,
+      streamingTags,
+      hashTags,
       numberOfChairs,
       partyType,
       private: isPrivate,
+      privateLivePrice,
+      privateViewersId,
       authorUid,
     } = req.body;
 
     // Validate required fields
-    if (!streamingChannel || !authorUid) {
+    if (!authorUid) {
       return res.status(400).json({
         success: false,
-        message: "Missing required fields: streamingChannel, authorUid",
+        message: "Missing required field: authorUid",
       });
     }
 
+    const isParty = liveType === "party" || liveType === "audio";
+    if (isParty && numberOfChairs > req.perks.partySeats) {
+      return res.status(403).json({
+        success: false,
+        message: `Your membership allows up to ${req.perks.partySeats} seats`,
+        code: "PERK_REQUIRED",
+        data: { perk: "partySeats", max: req.perks.partySeats },
+      });
+    }
+
+    // Private lives are priced with a gift (its coin value is the ticket)
+    if (isPrivate && privateLivePrice) {
+      const ticketGift = mongoose.isValidObjectId(privateLivePrice)
+        ? await Gift.findOne({ _id: privateLivePrice, active: true })
+        : null;
+      if (!ticketGift) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid private live price",
+        });
+      }
+    }
+
+    // The channel is named by the server so a client can't pick (and get
+    // publisher tokens for) another live's channel
+    const liveStreamId = new mongoose.Types.ObjectId();
+    const streamingChannel = `live_${liveStreamId}`;
+
+    // Host token is built up front so a bad uid fails before the live exists
+    const agora = isAgoraConfigured()
+      ? buildTokens({
+          channelName: streamingChannel,
+          uid: authorUid,
+          userId: req.user._id,
+          role: "publisher",
+        })
+      : null;
+
     // Create live stream
     const liveStream = await LiveStream.create({
+      _id: liveStreamId,
       author: req.user._id,
       authorId: req.user._id.toString(),
       authorUid: authorUid,
@@ -46,14 +103,19 @@ router.post("/create", authenticateJWT, requireAuth, async (req, res) => {
       liveSubType: liveSubType || "Talking",
       streamingChannel: streamingChannel,
       title: title || "",
+      streamingTags: typeof streamingTags === "string" ? streamingTags : "",
       numberOfChairs: numberOfChairs || 6,
       partyType: partyType || "video",
       private: isPrivate || false,
+      privateLivePrice: isPrivate ? privateLivePrice || undefined : undefined,
+      privateViewersId: isPrivate && Array.isArray(privateViewersId)
+        ? privateViewersId.map(String)
+        : [],
       streaming: true,
     });
 
     // If it's a party live, create empty seats
-    if (liveType === "party" || liveType === "audio") {
+    if (isParty) {
       const seats = numberOfChairs || 6;
       const seatPromises = [];
 
@@ -92,6 +154,28 @@ router.post("/create", authenticateJWT, requireAuth, async (req, res) => {
       await Promise.all(seatPromises);
     }
 
+    // Hashtags from the request, the tag line ("music, #chill") and the
+    // title; a tracking failure shouldn't fail the live
+    try {
+      const hashtags = await syncTags({
+        source: "lives",
+        next: collectTags({
+          tags: [
+            ...(Array.isArray(hashTags) ? hashTags : []),
+            ...liveStream.streamingTags.split(/[\s,]+/),
+          ],
+          texts: [liveStream.title],
+        }),
+      });
+      if (hashtags.length) {
+        liveStream.hashTags = hashtags.map((h) => h._id);
+        liveStream.hashTagsId = hashtags.map((h) => h._id.toString());
+        await liveStream.save();
+      }
+    } catch (error) {
+      console.error("Hashtag tracking error:", error.message);
+    }
+
     // Create system message
     await LiveMessage.createSystemMessage(
       req.user._id.toString(),
@@ -112,8 +196,16 @@ router.post("/create", authenticateJWT, requireAuth, async (req, res) => {
     res.status(201).json({
       success: true,
       data: liveStream,
+      agora,
     });
   } catch (error) {
+    if (error instanceof APIError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
     console.error("Create live stream error:", error);
     res.status(500).json({
       success: false,
@@ -526,6 +618,41 @@ router.post("/:id/join", authenticateJWT, requireAuth, async (req, res) => {
       });
     }
 
+    // Private lives: invited and paid viewers (and the host) get in free,
+    // everyone else buys a one-time ticket
+    let ticket = null;
+    if (!liveStream.hasPrivateAccess(req.user._id.toString())) {
+      const ticketGift = await getTicketGift(liveStream);
+
+      if (!ticketGift) {
+        return res.status(403).json({
+          success: false,
+          message: "This live is invite only",
+          code: "PRIVATE_LIVE_INVITE_ONLY",
+        });
+      }
+
+      if (req.body.buyTicket !== true) {
+        return res.status(402).json({
+          success: false,
+          message: "A ticket is required to join this private live",
+          code: "PRIVATE_LIVE_TICKET_REQUIRED",
+          data: {
+            price: ticketGift.coins,
+            ticketGiftId: ticketGift._id,
+          },
+        });
+      }
+
+      // null when a concurrent join already bought it
+      ticket = await buyTicket({
+        liveStream,
+        viewer: req.user,
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+    }
+
     // Add viewer
     liveStream.addViewer(req.user._id.toString(), userUid);
     await liveStream.save();
@@ -549,6 +676,7 @@ router.post("/:id/join", authenticateJWT, requireAuth, async (req, res) => {
 
     // Emit socket event
     if (req.app.get("io")) {
+      const { entranceEffect } = await getPerks(req.user._id);
       req.app
         .get("io")
         .to(`live:${liveStream._id}`)
@@ -556,6 +684,7 @@ router.post("/:id/join", authenticateJWT, requireAuth, async (req, res) => {
           liveStreamId: liveStream._id.toString(),
           userId: req.user._id.toString(),
           viewersCount: liveStream.viewersCount,
+          entranceEffect,
         });
     }
 
@@ -564,9 +693,25 @@ router.post("/:id/join", authenticateJWT, requireAuth, async (req, res) => {
       data: {
         liveStream: liveStream,
         viewersCount: liveStream.viewersCount,
+        ticket: ticket
+          ? {
+              price: ticket.price,
+              remainingCoins: ticket.debitTransaction.balanceAfter,
+            }
+          : null,
       },
     });
   } catch (error) {
+    if (error instanceof InsufficientFundsError) {
+      return res.status(400).json(error.toResponse());
+    }
+    if (error instanceof APIError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
     console.error("Join live stream error:", error);
     res.status(500).json({
       success: false,
@@ -576,6 +721,134 @@ router.post("/:id/join", authenticateJWT, requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/live/:id/token
+ * @desc    Get (or renew) Agora tokens for a live's channel. Host and seated,
+ *          unmuted users publish; everyone else subscribes.
+ * @access  Private
+ */
+router.post("/:id/token", authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid live stream ID",
+      });
+    }
+
+    const liveStream = await LiveStream.findById(req.params.id);
+
+    if (!liveStream) {
+      return res.status(404).json({
+        success: false,
+        message: "Live stream not found",
+      });
+    }
+
+    const tokens = await issueLiveToken({
+      liveStream,
+      userId: req.user._id,
+      uid: req.body.uid,
+    });
+
+    res.json({
+      success: true,
+      data: tokens,
+    });
+  } catch (error) {
+    if (error instanceof APIError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error("Live token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to issue live token",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/live/:id/private-viewers
+ * @desc    Invite viewers to a private live for free (host only)
+ * @access  Private
+ */
+router.post("/:id/private-viewers", authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const { userIds } = req.body;
+
+    if (
+      !Array.isArray(userIds) ||
+      userIds.length === 0 ||
+      userIds.length > 100 ||
+      !userIds.every((id) => mongoose.isValidObjectId(id))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "userIds must be an array of 1-100 user IDs",
+      });
+    }
+
+    const liveStream = await LiveStream.findById(req.params.id);
+
+    if (!liveStream) {
+      return res.status(404).json({
+        success: false,
+        message: "Live stream not found",
+      });
+    }
+
+    if (liveStream.authorId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the host can invite viewers",
+      });
+    }
+
+    if (!liveStream.private) {
+      return res.status(400).json({
+        success: false,
+        message: "Live stream is not private",
+      });
+    }
+
+    const updated = await LiveStream.findByIdAndUpdate(
+      liveStream._id,
+      { $addToSet: { privateViewersId: { $each: userIds.map(String) } } },
+      { new: true }
+    ).select("privateViewersId");
+
+    // Let invited users know they can join
+    if (req.app.get("io")) {
+      for (const userId of userIds) {
+        req.app.get("io").to(`user_${userId}`).emit("live:private:invited", {
+          liveStreamId: liveStream._id.toString(),
+          hostId: liveStream.authorId,
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: "Viewers invited successfully",
+      data: {
+        privateViewersId: updated.privateViewersId,
+      },
+    });
+  } catch (error) {
+    console.error("Invite private viewers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to invite viewers",
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   POST /api/live/:id/leave
  * @desc    Leave a live stream
@@ -666,20 +939,14 @@ router.post("/:id/end", authenticateJWT, requireAuth, async (req, res) => {
       });
     }
 
-    liveStream.streaming = false;
-    await liveStream.save();
-
-    // Update all viewers
-    await LiveViewer.updateMany(
-      { liveId: liveStream._id.toString(), watching: true },
-      { watching: false, leftAt: new Date() }
+    // Only the request that stops the stream closes it out
+    const ended = await LiveStream.findOneAndUpdate(
+      { _id: liveStream._id, streaming: true },
+      { $set: { streaming: false } },
+      { new: true }
     );
-
-    // Emit socket event
-    if (req.app.get("io")) {
-      req.app.get("io").to(`live:${liveStream._id}`).emit("live:ended", {
-        liveStreamId: liveStream._id.toString(),
-      });
+    if (ended) {
+      await finishLive(ended);
     }
 
     res.json({
@@ -703,10 +970,11 @@ router.post("/:id/end", authenticateJWT, requireAuth, async (req, res) => {
 
 /**
  * @route   POST /api/live/:id/message
- * @desc    Send a message in live stream
+ * @desc    Send a message in live stream. Comments carry the author's
+ *          liveChatColor perk.
  * @access  Private
  */
-router.post("/:id/message", authenticateJWT, requireAuth, async (req, res) => {
+router.post("/:id/message", authenticateJWT, requireAuth, loadPerks, async (req, res) => {
   try {
     const { message, messageType = "COMMENT" } = req.body;
 
@@ -733,6 +1001,7 @@ router.post("/:id/message", authenticateJWT, requireAuth, async (req, res) => {
       liveStreamId: liveStream._id.toString(),
       message: message,
       messageType: messageType,
+      chatColor: messageType === "COMMENT" ? req.perks.liveChatColor : null,
     });
 
     await liveMessage.populate("author", "displayName photoURL username");
@@ -861,6 +1130,13 @@ router.post("/:id/seats/:seatIndex/join", authenticateJWT, requireAuth, async (r
       });
     }
 
+    if (liveStream.removedUsersId.includes(req.user._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: "You have been removed from this live stream",
+      });
+    }
+
     // Check if user is already in a seat
     const existingSeat = await AudioChatUser.findOne({
       liveStreamId: req.params.id,
@@ -916,6 +1192,13 @@ router.post("/:id/seats/:seatIndex/join", authenticateJWT, requireAuth, async (r
 
     await seat.populate("joinedUser", "displayName photoURL username");
 
+    emitAppEvent(APP_EVENTS.PARTY_SEAT_JOINED, {
+      userId: req.user._id,
+      liveStreamId: liveStream._id.toString(),
+      seatIndex,
+      liveType: liveStream.liveType,
+    });
+
     // Emit socket event
     if (req.app.get("io")) {
       req.app.get("io").to(`live:${liveStream._id}`).emit("live:seat:joined", {
@@ -923,9 +1206,22 @@ router.post("/:id/seats/:seatIndex/join", authenticateJWT, requireAuth, async (r
       });
     }
 
+    // Taking a seat upgrades the viewer's subscriber token to a publisher
+    // one. The seat is already taken, so a token failure only means the
+    // client has to ask POST /:id/token itself.
+    let agora = null;
+    if (isAgoraConfigured() && userUid) {
+      try {
+        agora = await issueLiveToken({ liveStream, userId: req.user._id, uid: userUid });
+      } catch (tokenError) {
+        console.error("Seat token error:", tokenError.message);
+      }
+    }
+
     res.json({
       success: true,
       data: seat,
+      agora,
     });
   } catch (error) {
     console.error("Join seat error:", error);
@@ -13,6 +13,12 @@ const router = express.Router();
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
 const LiveStream = require("../models/LiveStream");
 const AudioChatUser = require("../models/AudioChatUser");
+const { getPerks } = require("../services/perk_service");
+const {
+  isAgoraConfigured,
+  issueLiveToken,
+  revokeLiveToken,
+} = require("../services/agora_token_service");
 
 // ========== PARTY SEAT MANAGEMENT ==========
 
@@ -75,6 +81,13 @@ router.post("/:id/party/seats/join", authenticateJWT, requireAuth, async (req, r
       });
     }
 
+    if (liveStream.removedUsersId.includes(req.user._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: "You have been removed from this live stream",
+      });
+    }
+
     // Check if user is already in a seat
     const existingSeat = await AudioChatUser.findOne({
       liveStreamId: req.params.id,
@@ -131,9 +144,20 @@ router.post("/:id/party/seats/join", authenticateJWT, requireAuth, async (req, r
       });
     }
 
+    // Regenerate the user's token as a publisher now that they're seated
+    let agora = null;
+    if (isAgoraConfigured()) {
+      try {
+        agora = await issueLiveToken({ liveStream, userId: req.user._id, uid: userUid });
+      } catch (tokenError) {
+        console.error("Party seat token error:", tokenError.message);
+      }
+    }
+
     res.json({
       success: true,
       data: seat,
+      agora,
     });
   } catch (error) {
     console.error("Join party seat error:", error);
@@ -428,7 +452,7 @@ router.post(
 
 /**
  * @route   POST /api/live/:id/party/host/remove-user
- * @desc    Host removes a user from the live
+ * @desc    Host removes a user from the live (not users with the antiKick perk)
  * @access  Private (Host only)
  */
 router.post(
@@ -469,6 +493,16 @@ router.post(
         });
       }
 
+      if ((await getPerks(targetUserId)).antiKick) {
+        return res.status(403).json({
+          success: false,
+          message: "This user is protected from being removed",
+          code: "USER_KICK_PROTECTED",
+        });
+      }
+
+      const removedUid = seat.joinedUserUid;
+
       // Mark user as removed
       seat.joinedUser = null;
       seat.joinedUserId = null;
@@ -500,6 +534,14 @@ router.post(
         });
       }
 
+      // Removed users can't renew tokens; also drop the ones they hold
+      await revokeLiveToken({
+        liveStream,
+        userId: targetUserId,
+        uid: removedUid,
+        reason: "removed",
+      });
+
       res.json({
         success: true,
         message: "User removed from live",
@@ -1,10 +1,21 @@
 const express = require("express");
 const router = express.Router();
 const { body, validationResult } = require("express-validator");
-const axios = require("axios");
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
 const User = require("../models/User");
 const Transaction = require("../models/Transaction");
+const CoinPackage = require("../models/CoinPackage");
+const { APIError } = require("../middleware/errorHandler");
+const { verifyPurchase } = require("../services/purchase_verifier");
+const walletService = require("../services/wallet_service");
+const { InsufficientFundsError } = walletService;
+const { sendGift } = require("../services/gift_service");
+const {
+  verifyWebhookSignature,
+  initializeTransaction,
+  fetchTransaction,
+  fulfilCharge,
+} = require("../services/paystack_service");
 
 /**
  * @route   POST /api/payments/set-preferred-method
@@ -187,21 +198,12 @@ router.post(
       const { user } = req;
       const { packageId, amount, description, paymentMethod } = req.body;
 
-      // Check user has sufficient balance
-      const currentBalance = user.gamification?.coins || 0;
-      if (currentBalance < amount) {
-        return res.status(400).json({
-          success: false,
-          message: "Insufficient coins balance",
-        });
-      }
-
-      // Create transaction record
-      const transaction = await Transaction.createTransaction({
+      // Debit coins (fails with InsufficientFundsError if balance is too low)
+      const transaction = await walletService.debit({
         userId: user._id,
         type: "purchase",
         currency: "coins",
-        amount: -amount, // Debit
+        amount,
         description: description || `Package purchase: ${packageId}`,
         payment: {
           method: "ancient_flip_pay",
@@ -226,6 +228,9 @@ router.post(
         },
       });
     } catch (error) {
+      if (error instanceof InsufficientFundsError) {
+        return res.status(400).json(error.toResponse());
+      }
       console.error("Process ancient flip pay error:", error);
       res.status(500).json({
         success: false,
@@ -241,7 +246,7 @@ router.post(
 
 /**
  * @route   POST /api/payments/paystack/initialize
- * @desc    Initialize Paystack payment transaction
+ * @desc    Initialize Paystack payment transaction for a coin package
  * @access  Private
  */
 router.post(
@@ -249,9 +254,9 @@ router.post(
   authenticateJWT,
   requireAuth,
   [
-    body("amount")
-      .isInt({ min: 1 })
-      .withMessage("Amount must be a positive integer"),
+    body("packageId")
+      .notEmpty()
+      .withMessage("Package ID is required"),
     body("email")
       .isEmail()
       .withMessage("Valid email required"),
@@ -270,60 +275,45 @@ router.post(
         });
       }
 
-      const { amount, email, currency } = req.body;
-      const paystackSecretKey = process.env.PAYSTACK_SECRET_KEY;
+      const { packageId, email, currency } = req.body;
 
-      if (!paystackSecretKey) {
-        return res.status(500).json({
+      const coinPackage = await CoinPackage.getByProductId(packageId);
+      if (!coinPackage) {
+        return res.status(404).json({
           success: false,
-          message: "Paystack not configured",
+          message: "Unknown product",
+          code: "UNKNOWN_PRODUCT",
         });
       }
 
-      // Call Paystack API to initialize transaction
-      const paystackResponse = await axios.post(
-        "https://api.paystack.co/transaction/initialize",
-        {
-          amount: amount * 100, // Convert to kobo/cents
-          email,
-          currency,
-          metadata: {
-            userId: req.user._id.toString(),
-          },
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${paystackSecretKey}`,
-            "Content-Type": "application/json",
-          },
-        }
-      );
-
-      if (!paystackResponse.data.status) {
-        return res.status(400).json({
-          success: false,
-          message: paystackResponse.data.message || "Paystack initialization failed",
-        });
-      }
+      const paystackData = await initializeTransaction({
+        user: req.user,
+        email,
+        currency,
+        coinPackage,
+      });
 
       console.log(
-        `🔵 Paystack transaction initialized for user ${req.user._id}: ${amount} ${currency}`
+        `🔵 Paystack transaction initialized for user ${req.user._id}: ${packageId} (${paystackData.amount / 100} ${currency})`
       );
 
       res.json({
         success: true,
         message: "Payment initialized successfully",
         data: {
-          reference: paystackResponse.data.data.reference,
-          authorization_url: paystackResponse.data.data.authorization_url,
-          access_code: paystackResponse.data.data.access_code,
+          reference: paystackData.reference,
+          authorization_url: paystackData.authorization_url,
+          access_code: paystackData.access_code,
+          amount: paystackData.amount / 100,
+          currency,
         },
       });
     } catch (error) {
       console.error("Initialize Paystack transaction error:", error);
-      res.status(500).json({
+      res.status(error instanceof APIError ? error.statusCode : 500).json({
         success: false,
-        message: "Failed to initialize payment",
+        message: error instanceof APIError ? error.message : "Failed to initialize payment",
+        code: error instanceof APIError ? error.code : undefined,
         error:
           process.env.NODE_ENV === "development"
             ? error.message
@@ -335,7 +325,7 @@ router.post(
 
 /**
  * @route   POST /api/payments/paystack/verify
- * @desc    Verify Paystack payment and credit coins
+ * @desc    Verify Paystack payment and credit coins (idempotent with the webhook)
  * @access  Private
  */
 router.post(
@@ -346,9 +336,6 @@ router.post(
     body("reference")
       .notEmpty()
       .withMessage("Payment reference is required"),
-    body("coinAmount")
-      .isInt({ min: 1 })
-      .withMessage("Coin amount must be a positive integer"),
   ],
   async (req, res) => {
     try {
@@ -361,39 +348,23 @@ router.post(
         });
       }
 
-      const { reference, coinAmount } = req.body;
+      const { reference } = req.body;
       const { user } = req;
-      const paystackSecretKey = process.env.PAYSTACK_SECRET_KEY;
-
-      if (!paystackSecretKey) {
-        return res.status(500).json({
-          success: false,
-          message: "Paystack not configured",
-        });
-      }
 
       // Verify with Paystack
-      const paystackResponse = await axios.get(
-        `https://api.paystack.co/transaction/verify/${reference}`,
-        {
-          headers: {
-            Authorization: `Bearer ${paystackSecretKey}`,
-          },
-        }
-      );
+      const paystackData = await fetchTransaction(reference);
 
-      if (!paystackResponse.data.status || paystackResponse.data.data.status !== "success") {
+      if (paystackData.status !== "success") {
         return res.status(400).json({
           success: false,
           message: "Payment verification failed",
           data: {
-            status: paystackResponse.data.data.status,
+            status: paystackData.status,
           },
         });
       }
 
       // Verify reference belongs to this user
-      const paystackData = paystackResponse.data.data;
       if (paystackData.metadata?.userId !== user._id.toString()) {
         return res.status(403).json({
           success: false,
@@ -401,51 +372,45 @@ router.post(
         });
       }
 
-      // Create transaction record
-      const transaction = await Transaction.createTransaction({
-        userId: user._id,
-        type: "purchase",
-        currency: "coins",
-        amount: coinAmount,
-        description: `Paystack purchase - ${coinAmount} coins`,
-        payment: {
-          method: "paystack",
-          transactionId: reference,
-          amount: paystackData.amount / 100, // Convert from kobo back to amount
-          currency: paystackData.currency,
-          status: "completed",
-        },
+      const result = await fulfilCharge(paystackData, {
+        source: "verify",
         ipAddress: req.ip,
         userAgent: req.get("user-agent"),
       });
 
-      // Update user's coins
-      const updatedUser = await User.findByIdAndUpdate(
-        user._id,
-        {
-          $inc: { "gamification.coins": coinAmount },
-        },
-        { new: true }
-      );
+      if (result.status !== "fulfilled" && result.status !== "already_fulfilled") {
+        return res.status(400).json({
+          success: false,
+          message: "Payment could not be fulfilled",
+          code: result.status.toUpperCase(),
+        });
+      }
+
+      const { transaction } = result;
 
       console.log(
-        `✅ Paystack payment verified for user ${user._id}: Reference ${reference}, ${coinAmount} coins added`
+        `✅ Paystack payment verified for user ${user._id}: Reference ${reference}, ${transaction.amount} coins (${result.status})`
       );
 
       res.json({
         success: true,
-        message: "Payment verified and coins added",
+        message:
+          result.status === "fulfilled"
+            ? "Payment verified and coins added"
+            : "Payment already credited",
         data: {
           transactionId: transaction._id,
-          coinsAdded: coinAmount,
-          newBalance: updatedUser.gamification?.coins,
+          coinsAdded: transaction.amount,
+          alreadyCredited: result.status === "already_fulfilled",
+          newBalance: result.status === "fulfilled" ? transaction.balanceAfter : user.gamification?.coins,
         },
       });
     } catch (error) {
       console.error("Verify Paystack payment error:", error);
-      res.status(500).json({
+      res.status(error instanceof APIError ? error.statusCode : 500).json({
         success: false,
-        message: "Failed to verify payment",
+        message: error instanceof APIError ? error.message : "Failed to verify payment",
+        code: error instanceof APIError ? error.code : undefined,
         error:
           process.env.NODE_ENV === "development"
             ? error.message
@@ -455,9 +420,103 @@ router.post(
   }
 );
 
+/**
+ * @route   POST /api/payments/paystack/webhook
+ * @desc    Paystack event webhook (charge.success fulfils coin purchases)
+ * @access  Public (authenticated by x-paystack-signature)
+ */
+router.post("/paystack/webhook", async (req, res) => {
+  try {
+    if (!verifyWebhookSignature(req.rawBody, req.get("x-paystack-signature"))) {
+      console.warn(`⚠️ Paystack webhook with invalid signature from ${req.ip}`);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid signature",
+        code: "INVALID_SIGNATURE",
+      });
+    }
+
+    const { event, data } = req.body;
+
+    // Acknowledge events we don't handle so Paystack stops retrying them
+    if (event !== "charge.success" || !data) {
+      return res.sendStatus(200);
+    }
+
+    const result = await fulfilCharge(data, {
+      source: "webhook",
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    console.log(`🔵 Paystack webhook ${event} for ${data.reference}: ${result.status}`);
+
+    res.sendStatus(200);
+  } catch (error) {
+    // Non-2xx makes Paystack retry the event later
+    console.error("Paystack webhook error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process webhook",
+    });
+  }
+});
+
+/**
+ * Credit a verified store purchase using the coin package catalog
+ * Returns null when this store transaction has already been credited.
+ */
+async function creditStorePurchase({ user, store, coinPackage, verification, req }) {
+  const existingTransaction = await Transaction.findOne({
+    type: "purchase",
+    "payment.method": store,
+    "payment.transactionId": verification.transactionId,
+  });
+
+  if (existingTransaction) {
+    return null;
+  }
+
+  const coinAmount = coinPackage.coins + coinPackage.bonusCoins;
+  const storeName = store === "app_store" ? "App Store" : "Google Play";
+
+  try {
+    return await walletService.credit({
+      userId: user._id,
+      type: "purchase",
+      currency: "coins",
+      amount: coinAmount,
+      description: `${storeName} purchase - ${coinPackage.displayName} (${coinAmount} coins)`,
+      payment: {
+        method: store,
+        transactionId: verification.transactionId,
+        productId: verification.productId,
+        amount: coinPackage.priceUSD,
+        currency: "USD",
+        status: "completed",
+      },
+      metadata: {
+        packageId: coinPackage.productId,
+        coins: coinPackage.coins,
+        bonusCoins: coinPackage.bonusCoins,
+        environment: verification.environment,
+        purchasedAt: verification.purchasedAt,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+  } catch (error) {
+    // Unique index on (method, transactionId): a concurrent request won
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+}
+
 /**
  * @route   POST /api/payments/google-play/verify
- * @desc    Verify Google Play in-app purchase and credit coins
+ * @desc    Verify Google Play in-app purchase and credit coins from the catalog
  * @access  Private
  */
 router.post(
@@ -471,9 +530,6 @@ router.post(
     body("purchaseToken")
       .notEmpty()
       .withMessage("Purchase token is required"),
-    body("coinAmount")
-      .isInt({ min: 1 })
-      .withMessage("Coin amount must be a positive integer"),
   ],
   async (req, res) => {
     try {
@@ -486,63 +542,52 @@ router.post(
         });
       }
 
-      const { productId, purchaseToken, coinAmount } = req.body;
+      const { productId, purchaseToken } = req.body;
       const { user } = req;
 
-      // Check if this purchase token has already been used
-      const existingTransaction = await Transaction.findOne({
-        "payment.transactionId": purchaseToken,
-        "payment.method": "google_play",
-      });
-
-      if (existingTransaction) {
-        console.log(`⚠️ Duplicate Google Play purchase attempt: ${purchaseToken}`);
-        return res.status(400).json({
+      // Coins always come from the catalog, never from the client
+      const coinPackage = await CoinPackage.getByStoreProductId("google_play", productId);
+      if (!coinPackage) {
+        return res.status(404).json({
           success: false,
-          message: "This purchase has already been processed",
+          message: "Unknown product",
+          code: "UNKNOWN_PRODUCT",
         });
       }
 
-      // TODO: Implement actual Google Play verification using googleapis package
-      // For production, use Google Play Developer API to verify purchaseToken
-      // For now, basic validation
-      const isVerified = purchaseToken && purchaseToken.length > 0;
+      const verification = await verifyPurchase("google_play", {
+        productId,
+        token: purchaseToken,
+      });
 
-      if (!isVerified) {
+      if (!verification.valid) {
         return res.status(400).json({
           success: false,
           message: "Purchase verification failed",
+          code: "VERIFICATION_FAILED",
+          reason: verification.reason,
         });
       }
 
-      // Create transaction record
-      const transaction = await Transaction.createTransaction({
-        userId: user._id,
-        type: "purchase",
-        currency: "coins",
-        amount: coinAmount,
-        description: `Google Play purchase - ${coinAmount} coins`,
-        payment: {
-          method: "google_play",
-          transactionId: purchaseToken,
-          productId: productId,
-          status: "completed",
-        },
-        ipAddress: req.ip,
-        userAgent: req.get("user-agent"),
+      const transaction = await creditStorePurchase({
+        user,
+        store: "google_play",
+        coinPackage,
+        verification,
+        req,
       });
 
-      // Update user's coins
-      const updatedUser = await User.findByIdAndUpdate(
-        user._id,
-        {
-          $inc: { "gamification.coins": coinAmount },
-        },
-        { new: true }
-      );
+      if (!transaction) {
+        console.log(`⚠️ Duplicate Google Play purchase attempt: ${verification.transactionId}`);
+        return res.status(400).json({
+          success: false,
+          message: "This purchase has already been processed",
+          code: "DUPLICATE_PURCHASE",
+        });
+      }
 
       console.log(
-        `🟢 Google Play purchase verified for user ${user._id}: Product ${productId}, ${coinAmount} coins added`
+        `🟢 Google Play purchase verified for user ${user._id}: Product ${productId}, ${transaction.amount} coins added`
       );
 
       res.json({
@@ -550,15 +595,17 @@ router.post(
         message: "Purchase verified and coins added",
         data: {
           transactionId: transaction._id,
-          coinsAdded: coinAmount,
-          newBalance: updatedUser.gamification?.coins,
+          storeTransactionId: verification.transactionId,
+          coinsAdded: transaction.amount,
+          newBalance: transaction.balanceAfter,
         },
       });
     } catch (error) {
       console.error("Verify Google Play purchase error:", error);
-      res.status(500).json({
+      res.status(error instanceof APIError ? error.statusCode : 500).json({
         success: false,
-        message: "Failed to verify purchase",
+        message: error instanceof APIError ? error.message : "Failed to verify purchase",
+        code: error instanceof APIError ? error.code : undefined,
         error:
           process.env.NODE_ENV === "development"
             ? error.message
@@ -570,7 +617,7 @@ router.post(
 
 /**
  * @route   POST /api/payments/app-store/verify
- * @desc    Verify App Store in-app purchase and credit coins
+ * @desc    Verify App Store in-app purchase and credit coins from the catalog
  * @access  Private
  */
 router.post(
@@ -584,9 +631,10 @@ router.post(
     body("receipt")
       .notEmpty()
       .withMessage("Receipt is required"),
-    body("coinAmount")
-      .isInt({ min: 1 })
-      .withMessage("Coin amount must be a positive integer"),
+    body("transactionId")
+      .optional()
+      .isString()
+      .withMessage("Transaction ID must be a string"),
   ],
   async (req, res) => {
     try {
@@ -599,57 +647,53 @@ router.post(
         });
       }
 
-      const { productId, receipt, coinAmount } = req.body;
+      const { productId, receipt, transactionId } = req.body;
       const { user } = req;
-      const appStoreSharedSecret = process.env.APP_STORE_SHARED_SECRET;
 
-      if (!appStoreSharedSecret) {
-        console.error("App Store credentials not configured");
-        return res.status(500).json({
+      // Coins always come from the catalog, never from the client
+      const coinPackage = await CoinPackage.getByStoreProductId("app_store", productId);
+      if (!coinPackage) {
+        return res.status(404).json({
           success: false,
-          message: "App Store verification not configured",
+          message: "Unknown product",
+          code: "UNKNOWN_PRODUCT",
         });
       }
 
-      // TODO: Implement App Store verification using App Store Server API
-      // For now, simulate verification
-      const isVerified = receipt && receipt.length > 0;
+      const verification = await verifyPurchase("app_store", {
+        productId,
+        token: receipt,
+        transactionId,
+      });
 
-      if (!isVerified) {
+      if (!verification.valid) {
         return res.status(400).json({
           success: false,
           message: "Receipt verification failed",
+          code: "VERIFICATION_FAILED",
+          reason: verification.reason,
         });
       }
 
-      // Create transaction record
-      const transaction = await Transaction.createTransaction({
-        userId: user._id,
-        type: "purchase",
-        currency: "coins",
-        amount: coinAmount,
-        description: `App Store purchase - ${coinAmount} coins`,
-        payment: {
-          method: "app_store",
-          transactionId: `receipt_${Date.now()}`,
-          productId: productId,
-          status: "completed",
-        },
-        ipAddress: req.ip,
-        userAgent: req.get("user-agent"),
+      const transaction = await creditStorePurchase({
+        user,
+        store: "app_store",
+        coinPackage,
+        verification,
+        req,
       });
 
-      // Update user's coins
-      const updatedUser = await User.findByIdAndUpdate(
-        user._id,
-        {
-          $inc: { "gamification.coins": coinAmount },
-        },
-        { new: true }
-      );
+      if (!transaction) {
+        console.log(`⚠️ Duplicate App Store purchase attempt: ${verification.transactionId}`);
+        return res.status(400).json({
+          success: false,
+          message: "This purchase has already been processed",
+          code: "DUPLICATE_PURCHASE",
+        });
+      }
 
       console.log(
-        `🍎 App Store purchase verified for user ${user._id}: Product ${productId}, ${coinAmount} coins added`
+        `🍎 App Store purchase verified for user ${user._id}: Product ${productId}, ${transaction.amount} coins added`
       );
 
       res.json({
@@ -657,15 +701,17 @@ router.post(
         message: "Purchase verified and coins added",
         data: {
           transactionId: transaction._id,
-          coinsAdded: coinAmount,
-          newBalance: updatedUser.gamification?.coins,
+          storeTransactionId: verification.transactionId,
+          coinsAdded: transaction.amount,
+          newBalance: transaction.balanceAfter,
         },
       });
     } catch (error) {
       console.error("Verify App Store purchase error:", error);
-      res.status(500).json({
+      res.status(error instanceof APIError ? error.statusCode : 500).json({
         success: false,
-        message: "Failed to verify purchase",
+        message: error instanceof APIError ? error.message : "Failed to verify purchase",
+        code: error instanceof APIError ? error.code : undefined,
         error:
           process.env.NODE_ENV === "development"
             ? error.message
@@ -758,21 +804,7 @@ router.post(
       }
 
       // Step 1: Process payment based on method
-      let paymentSuccess = false;
-      let paymentReference = "";
-
-      if (paymentMethod === "ancient_flip_pay") {
-        // Use existing coins
-        const currentCoins = user.gamification?.coins || 0;
-        if (currentCoins < coinAmount) {
-          return res.status(400).json({
-            success: false,
-            message: "Insufficient coins in AncientFlip Pay",
-          });
-        }
-        paymentSuccess = true;
-        paymentReference = `ancient_pay_${Date.now()}`;
-      } else {
+      if (paymentMethod !== "ancient_flip_pay") {
         // For Paystack, Google Play, App Store - payment should be verified separately
         // This endpoint assumes payment was already completed
         return res.status(400).json({
@@ -781,101 +813,51 @@ router.post(
         });
       }
 
-      if (!paymentSuccess) {
-        return res.status(400).json({
-          success: false,
-          message: "Payment failed",
-        });
-      }
-
-      // Step 2: Credit coins to user
-      const updatedUser = await User.findByIdAndUpdate(
-        user._id,
-        {
-          $inc: { "gamification.coins": coinAmount },
-        },
-        { new: true }
-      );
-
-      // Step 3: Record payment transaction
-      await Transaction.createTransaction({
-        userId: user._id,
-        type: "purchase",
-        currency: "coins",
-        amount: coinAmount,
-        description: `Purchased ${coinAmount} coins to send gift`,
+      // AncientFlip Pay spends the user's existing coins, so there is no
+      // separate coin purchase to credit - the gift cost is debited directly.
+      // Step 2: Send the gift (debits sender, pays receiver diamonds)
+      const { giftsSent, debitTransaction: giftTransaction } = await sendGift({
+        sender: user,
+        receiver,
+        gift,
+        quantity,
+        context: giftData.context || "live",
+        contextId: giftData.contextId,
         payment: {
           method: paymentMethod,
-          transactionId: paymentReference,
+          transactionId: `ancient_pay_${Date.now()}`,
           status: "completed",
         },
-        ipAddress: req.ip,
-        userAgent: req.get("user-agent"),
-      });
-
-      // Step 4: Send the gift
-      const GiftSent = require("../models/GiftSent");
-      const giftsSent = [];
-
-      for (let i = 0; i < quantity; i++) {
-        const giftSent = new GiftSent({
-          author: user._id,
-          authorId: user._id.toString(),
-          receiver: giftData.receiverId,
-          receiverId: giftData.receiverId,
-          gift: gift._id,
-          giftId: gift.giftId,
-          diamondsQuantity: gift.coins,
-          context: giftData.context || "live",
-          liveStreamId: giftData.contextId,
-        });
-
-        await giftSent.save();
-        giftsSent.push(giftSent);
-      }
-
-      // Step 5: Deduct gift cost
-      const finalUser = await User.findByIdAndUpdate(
-        user._id,
-        {
-          $inc: { "gamification.coins": -giftCost },
-        },
-        { new: true }
-      );
-
-      // Step 6: Record gift transaction
-      await Transaction.createTransaction({
-        userId: user._id,
-        type: "gift_sent",
-        currency: "coins",
-        amount: -giftCost,
-        description: `Sent ${quantity}x ${gift.name} to ${receiver.displayName || receiver.username}`,
-        metadata: {
-          giftId: gift.giftId,
-          giftName: gift.name,
-          receiverId: giftData.receiverId,
-          quantity: quantity,
-          purchasedCoins: coinAmount,
-        },
+        metadata: { coinPackageId },
         ipAddress: req.ip,
         userAgent: req.get("user-agent"),
       });
 
       console.log(
-        `🎁💰 Purchase and send: ${user._id} bought ${coinAmount} coins, sent ${quantity}x ${gift.name} (${giftCost} coins)`
+        `🎁💰 Purchase and send: ${user._id} sent ${quantity}x ${gift.name} (${giftCost} coins) via ${paymentMethod}`
       );
 
       res.json({
         success: true,
         message: "Coins purchased and gift sent successfully",
         data: {
-          coinsPurchased: coinAmount,
+          coinsPurchased: 0,
           giftsSent: giftsSent,
           giftCost: giftCost,
-          finalBalance: finalUser.gamification.coins,
+          finalBalance: giftTransaction.balanceAfter,
         },
       });
     } catch (error) {
+      if (error instanceof InsufficientFundsError) {
+        return res.status(400).json(error.toResponse());
+      }
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
       console.error("Purchase and send gift error:", error);
       res.status(500).json({
         success: false,
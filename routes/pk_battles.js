@@ -0,0 +1,320 @@
+const express = require("express");
+const router = express.Router();
+const { body, param, query, validationResult } = require("express-validator");
+const PKBattle = require("../models/PKBattle");
+const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
+const { APIError } = require("../middleware/errorHandler");
+const {
+  PK_CONFIG,
+  serializeBattle,
+  inviteBattle,
+  respondToBattle,
+  cancelInvite,
+} = require("../services/pk_battle_service");
+
+const battleIdValidator = [param("battleId").isMongoId().withMessage("Invalid battle ID")];
+
+/**
+ * Shared error response for battle actions
+ */
+function handleBattleError(res, label, message, error) {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error:
+      process.env.NODE_ENV === "development"
+        ? error.message
+        : "Internal server error",
+  });
+}
+
+/**
+ * @route   POST /api/live/pk/invite
+ * @desc    Invite another live host to a PK battle
+ * @access  Private (live host)
+ */
+router.post(
+  "/invite",
+  authenticateJWT,
+  requireAuth,
+  [
+    body("liveStreamId").isMongoId().withMessage("Invalid live stream ID"),
+    body("targetLiveStreamId").isMongoId().withMessage("Invalid target live stream ID"),
+    body("durationSeconds")
+      .optional()
+      .isInt({ min: PK_CONFIG.minDurationSeconds, max: PK_CONFIG.maxDurationSeconds })
+      .withMessage(
+        `Duration must be between ${PK_CONFIG.minDurationSeconds} and ${PK_CONFIG.maxDurationSeconds} seconds`
+      )
+      .toInt(),
+    body("punishmentSeconds")
+      .optional()
+      .isInt({ min: 0, max: PK_CONFIG.maxPunishmentSeconds })
+      .withMessage(`Punishment must be between 0 and ${PK_CONFIG.maxPunishmentSeconds} seconds`)
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { liveStreamId, targetLiveStreamId, durationSeconds, punishmentSeconds } = req.body;
+
+      const battle = await inviteBattle({
+        requester: req.user,
+        liveStreamId,
+        targetLiveStreamId,
+        durationSeconds,
+        punishmentSeconds,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Battle invite sent",
+        data: {
+          battle: serializeBattle(battle),
+          inviteExpiresAt: battle.inviteExpiresAt,
+        },
+      });
+    } catch (error) {
+      handleBattleError(res, "PK invite", "Failed to send battle invite", error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/live/pk/:battleId/accept
+ * @desc    Accept a battle invite and start the battle
+ * @access  Private (invited host)
+ */
+router.post("/:battleId/accept", authenticateJWT, requireAuth, battleIdValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const battle = await respondToBattle({
+      battleId: req.params.battleId,
+      user: req.user,
+      accept: true,
+    });
+
+    res.json({
+      success: true,
+      message: "Battle started",
+      data: { battle: serializeBattle(battle) },
+    });
+  } catch (error) {
+    handleBattleError(res, "PK accept", "Failed to accept battle", error);
+  }
+});
+
+/**
+ * @route   POST /api/live/pk/:battleId/decline
+ * @desc    Decline a battle invite
+ * @access  Private (invited host)
+ */
+router.post("/:battleId/decline", authenticateJWT, requireAuth, battleIdValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const battle = await respondToBattle({
+      battleId: req.params.battleId,
+      user: req.user,
+      accept: false,
+    });
+
+    res.json({
+      success: true,
+      message: "Battle declined",
+      data: { battle: serializeBattle(battle) },
+    });
+  } catch (error) {
+    handleBattleError(res, "PK decline", "Failed to decline battle", error);
+  }
+});
+
+/**
+ * @route   POST /api/live/pk/:battleId/cancel
+ * @desc    Withdraw a battle invite that hasn't been answered
+ * @access  Private (inviting host)
+ */
+router.post("/:battleId/cancel", authenticateJWT, requireAuth, battleIdValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const battle = await cancelInvite({ battleId: req.params.battleId, user: req.user });
+
+    res.json({
+      success: true,
+      message: "Battle invite cancelled",
+      data: { battle: serializeBattle(battle) },
+    });
+  } catch (error) {
+    handleBattleError(res, "PK cancel", "Failed to cancel battle invite", error);
+  }
+});
+
+/**
+ * @route   GET /api/live/pk/history
+ * @desc    Current user's finished battles
+ * @access  Private
+ */
+router.get(
+  "/history",
+  authenticateJWT,
+  requireAuth,
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const filter = {
+        status: "ended",
+        $or: [{ requester: req.user._id }, { receiver: req.user._id }],
+      };
+
+      const [battles, total] = await Promise.all([
+        PKBattle.find(filter)
+          .sort({ endedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("requester receiver", "displayName photoURL profile.username"),
+        PKBattle.countDocuments(filter),
+      ]);
+
+      const wins = await PKBattle.countDocuments({ status: "ended", winnerId: req.user._id });
+
+      res.json({
+        success: true,
+        message: "Battle history retrieved",
+        data: {
+          battles,
+          stats: { total, wins },
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      handleBattleError(res, "PK history", "Failed to get battle history", error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/live/pk/live/:liveStreamId
+ * @desc    Current battle for a live (for viewers joining mid-battle)
+ * @access  Public
+ */
+router.get(
+  "/live/:liveStreamId",
+  [param("liveStreamId").isMongoId().withMessage("Invalid live stream ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const battle = await PKBattle.findOpenForLive(req.params.liveStreamId, [
+        "active",
+        "punishment",
+      ]);
+
+      res.json({
+        success: true,
+        data: { battle: battle ? serializeBattle(battle) : null },
+      });
+    } catch (error) {
+      handleBattleError(res, "PK current battle", "Failed to get battle", error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/live/pk/:battleId
+ * @desc    Get a battle and its result
+ * @access  Public
+ */
+router.get("/:battleId", battleIdValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const battle = await PKBattle.findById(req.params.battleId);
+    if (!battle) {
+      return res.status(404).json({
+        success: false,
+        message: "Battle not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { battle: serializeBattle(battle) },
+    });
+  } catch (error) {
+    handleBattleError(res, "PK get battle", "Failed to get battle", error);
+  }
+});
+
+module.exports = router;
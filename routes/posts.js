@@ -1,10 +1,19 @@
 const express = require("express");
-const { body, validationResult, query } = require("express-validator");
+const { body, param, validationResult, query } = require("express-validator");
 const Post = require("../models/Post");
 const User = require("../models/User");
 const AuditLog = require("../models/AuditLog");
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
+const { APIError } = require("../middleware/errorHandler");
 const { notifyPostLiked } = require("../services/notification_service");
+const { APP_EVENTS, emitAppEvent } = require("../services/event_bus");
+const { collectTags, syncTags, releaseTags } = require("../services/hashtag_service");
+const { getRankedFeedPage, hydratePosts } = require("../services/feed_service");
+const {
+  recordViews,
+  getPostAnalytics,
+  getCreatorAnalytics,
+} = require("../services/post_analytics_service");
 
 const router = express.Router();
 
@@ -146,8 +155,7 @@ router.get("/public/:postId", async (req, res) => {
       });
     }
 
-    // Increment view count
-    await post.incrementViews();
+    // Guests aren't counted: views are deduped per user (POST /posts/views)
 
     // Format response for public consumption
     const responsePost = {
@@ -325,6 +333,92 @@ router.get(
   }
 );
 
+/**
+ * GET /posts/feed/for-you
+ *
+ * Ranked feed: posts from followed users, close friends, trending tags and
+ * the user's interests, scored by recency, engagement and past interactions
+ * Query params: cursor, limit, refresh (rank again instead of using the
+ * cached ranking)
+ */
+router.get(
+  "/feed/for-you",
+  authenticateJWT,
+  requireAuth,
+  [
+    query("cursor").optional().isString().isLength({ max: 200 }),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Limit must be between 1 and 50")
+      .toInt(),
+    query("refresh").optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { user } = req;
+      const { cursor, limit = 20, refresh = false } = req.query;
+
+      const page = await getRankedFeedPage({ viewer: user, cursor, limit, refresh });
+      const posts = await hydratePosts(page.postIds);
+
+      const userId = user._id.toString();
+      const following = user.following.map((id) => id.toString());
+
+      res.json({
+        success: true,
+        message: "Feed retrieved successfully",
+        data: {
+          posts: posts.map((post) => ({
+            ...post,
+            isLiked: post.likedBy.map((id) => id.toString()).includes(userId),
+            isFollowingUser: following.includes(post.userId?._id?.toString()),
+            username:
+              post.userId?.profile?.username ||
+              post.userId?.displayName ||
+              `${post.userId?.profile?.firstName || ""} ${post.userId?.profile?.lastName || ""
+                }`.trim() ||
+              "Unknown User",
+            userAvatar: post.userId?.photoURL,
+          })),
+          pagination: {
+            limit,
+            nextCursor: page.nextCursor,
+            hasMore: Boolean(page.nextCursor),
+            refreshed: page.refreshed,
+          },
+        },
+      });
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+      console.error("Get ranked feed error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve feed",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
 /**
  * GET /posts/user/:userId
  *
@@ -559,7 +653,8 @@ router.post(
         videoThumbnail: postData.videoThumbnail,
         videoDuration: postData.videoDuration,
         textStyle: postData.textStyle,
-        tags: postData.tags,
+        tags: collectTags({ tags: postData.tags, texts: [postData.content] }),
+        customTags: collectTags({ tags: postData.tags }),
         location: postData.location,
         isPublic: postData.isPublic !== false, // Default to true
       });
@@ -603,6 +698,16 @@ router.post(
         // Don't throw - allow post creation to succeed even if audit log fails
       }
 
+      emitAppEvent(APP_EVENTS.POST_CREATED, {
+        userId: user._id,
+        postId: post._id.toString(),
+        type: post.type,
+      });
+
+      syncTags({ source: "posts", next: post.tags }).catch((error) =>
+        console.error("Hashtag tracking error:", error.message)
+      );
+
       // Format response
       const responsePost = {
         ...post.toJSON(),
@@ -668,6 +773,174 @@ router.post(
   }
 );
 
+/**
+ * POST /posts/views
+ *
+ * Record a batch of post impressions (as posts scroll into view), with
+ * watch time for videos. A user's first impression of a post within the
+ * view window counts as a view.
+ * Body: { views: [{ postId, watchTimeMs? }] }
+ */
+router.post(
+  "/views",
+  authenticateJWT,
+  requireAuth,
+  [
+    body("views")
+      .isArray({ min: 1, max: 100 })
+      .withMessage("Views must be an array of 1 to 100 entries"),
+    body("views.*.postId").isMongoId().withMessage("Invalid post ID"),
+    body("views.*.watchTimeMs")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Watch time must be a positive integer")
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const result = await recordViews({ viewer: req.user, views: req.body.views });
+
+      res.json({
+        success: true,
+        message: "Views recorded",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Record post views error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record views",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+const analyticsRangeValidators = [
+  query("startDate").optional().isISO8601().toDate(),
+  query("endDate").optional().isISO8601().toDate(),
+];
+
+/**
+ * GET /posts/analytics
+ *
+ * Analytics across the current user's posts: lifetime totals, plus reach,
+ * follower vs non-follower split, daily series and top posts for the range
+ * Query params: startDate, endDate (default: last 30 days)
+ */
+router.get(
+  "/analytics",
+  authenticateJWT,
+  requireAuth,
+  analyticsRangeValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const analytics = await getCreatorAnalytics({
+        userId: req.user._id,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate,
+      });
+
+      res.json({
+        success: true,
+        message: "Post analytics retrieved successfully",
+        data: analytics,
+      });
+    } catch (error) {
+      console.error("Get post analytics error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve post analytics",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * GET /posts/:postId/analytics
+ *
+ * Analytics for one of the current user's posts
+ * Query params: startDate, endDate (default: last 30 days)
+ */
+router.get(
+  "/:postId/analytics",
+  authenticateJWT,
+  requireAuth,
+  [param("postId").isMongoId().withMessage("Invalid post ID"), ...analyticsRangeValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const post = await Post.findOne({
+        _id: req.params.postId,
+        userId: req.user._id,
+        deletedAt: null,
+      }).lean();
+
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          message: "Post not found or access denied",
+        });
+      }
+
+      const analytics = await getPostAnalytics({
+        post,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate,
+      });
+
+      res.json({
+        success: true,
+        message: "Post analytics retrieved successfully",
+        data: analytics,
+      });
+    } catch (error) {
+      console.error("Get post analytics error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve post analytics",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
 /**
  * GET /posts/:postId
  *
@@ -709,8 +982,8 @@ router.get("/:postId", authenticateJWT, requireAuth, async (req, res) => {
       });
     }
 
-    // Increment view count
-    await post.incrementViews();
+    // Count the open like any other impression (deduped per viewer)
+    await recordViews({ viewer: user, views: [{ postId: post._id.toString() }] });
 
     // Format response
     const responsePost = {
@@ -823,20 +1096,40 @@ router.put(
       const allowedFields = [
         "content",
         "textStyle",
-        "tags",
         "location",
         "isPublic",
       ];
       const updatedFields = [];
 
+      const previousTags = [...post.tags];
+      // Tags the author picked; older posts only have the merged list, so
+      // drop the hashtags that came from the old content
+      const previousContentTags = collectTags({ texts: [post.content] });
+      const customTags =
+        post.customTags || previousTags.filter((tag) => !previousContentTags.includes(tag));
+
       allowedFields.forEach((field) => {
         if (updateData[field] !== undefined) {
           post[field] = updateData[field];
           updatedFields.push(field);
         }
       });
+      if (updateData.tags !== undefined) {
+        updatedFields.push("tags");
+      }
+
+      // Hashtags written in the content count as tags too, recomputed from
+      // the new content so removed ones are dropped
+      if (updatedFields.includes("content") || updatedFields.includes("tags")) {
+        post.customTags = collectTags({ tags: updateData.tags ?? customTags });
+        post.tags = collectTags({ tags: post.customTags, texts: [post.content] });
+      }
 
       await post.save();
+
+      syncTags({ source: "posts", previous: previousTags, next: post.tags }).catch(
+        (error) => console.error("Hashtag tracking error:", error.message)
+      );
       await post.populate(
         "userId",
         "displayName photoURL profile.firstName profile.lastName"
@@ -936,6 +1229,10 @@ router.delete("/:postId", authenticateJWT, requireAuth, async (req, res) => {
     // Soft delete the post
     await post.softDelete();
 
+    releaseTags(post.tags, "posts").catch((error) =>
+      console.error("Hashtag tracking error:", error.message)
+    );
+
     // Log post deletion
     await AuditLog.logAction({
       userId: user._id,
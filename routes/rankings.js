@@ -2,12 +2,13 @@ const express = require("express");
 const router = express.Router();
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
 const Ranking = require("../models/Ranking");
-const GiftSent = require("../models/GiftSent");
-const User = require("../models/User");
-const moment = require("moment");
+const { getRewards } = require("../services/pricing_service");
+
+const RANKING_PERIODS = Ranking.schema.path("period").enumValues;
 
 // @route   GET /api/rankings/:type/:period
-// @desc    Get rankings (host or rich, daily or weekly)
+// @desc    Get rankings (host or rich; daily, weekly, monthly or alltime)
+//          Pass ?periodStart= to view a past (frozen) period
 // @access  Private
 router.get("/:type/:period", authenticateJWT, requireAuth, async (req, res) => {
   try {
@@ -22,72 +23,93 @@ router.get("/:type/:period", authenticateJWT, requireAuth, async (req, res) => {
       });
     }
 
-    if (!['daily', 'weekly'].includes(period)) {
+    if (!RANKING_PERIODS.includes(period)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid period. Must be 'daily' or 'weekly'",
+        message: `Invalid period. Must be one of: ${RANKING_PERIODS.join(", ")}`,
       });
     }
 
-    // Calculate period start
-    const now = moment();
-    let periodStart;
-    
-    if (period === 'daily') {
-      periodStart = now.startOf('day').toDate();
-    } else {
-      periodStart = now.startOf('week').toDate();
+    const requestedDate = req.query.periodStart ? new Date(req.query.periodStart) : new Date();
+    if (isNaN(requestedDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid periodStart date",
+      });
     }
 
+    const { periodStart, periodEnd } = Ranking.getPeriodRange(period, requestedDate);
+
     // Get top 40 rankings
     const rankings = await Ranking.getTopRankings(type, period, periodStart, 40);
+    const { ranking: rewardTiers } = await getRewards();
 
-    // Calculate ranks
-    rankings.forEach((ranking, index) => {
-      ranking.rank = index + 1;
-      ranking.rewardCoins = Ranking.calculateReward(index + 1);
-    });
-
-    // Save ranks
-    await Promise.all(rankings.map((r) => r.save()));
+    // Closed periods use their frozen standings; open ones show live position
+    // and the reward that position would earn
+    const standings = rankings.map((r, index) => ({
+      ranking: r,
+      rank: r.isFinal ? r.rank : index + 1,
+      rewardCoins: r.isFinal
+        ? r.rewardCoins
+        : period === 'alltime'
+          ? 0
+          : Ranking.calculateReward(index + 1, rewardTiers),
+    }));
 
-    // Find current user's ranking
-    const userRanking = rankings.find(
-      (r) => r.user._id.toString() === user._id.toString()
+    // Find current user's ranking (may be outside the top 40)
+    let userRanking = standings.find(
+      (s) => s.ranking.user?._id.toString() === user._id.toString()
     );
 
+    if (!userRanking) {
+      const own = await Ranking.findOne({ user: user._id, type, period, periodStart });
+      if (own) {
+        const rank = own.isFinal
+          ? own.rank
+          : (await Ranking.countDocuments({ type, period, periodStart, score: { $gt: own.score } })) + 1;
+        userRanking = {
+          ranking: own,
+          rank,
+          rewardCoins: own.isFinal ? own.rewardCoins : 0,
+        };
+      }
+    }
+
     res.json({
       success: true,
       message: "Rankings retrieved successfully",
       data: {
-        rankings: rankings.map((r) => ({
-          rank: r.rank,
-          user: {
-            id: r.user._id,
-            displayName: r.user.displayName,
-            username: r.user.profile?.username,
-            photoURL: r.user.photoURL,
-            wealthLevel: r.user.gamification?.wealthLevel,
-            liveLevel: r.user.gamification?.liveLevel,
-            isVip: r.user.gamification?.isNormalVip || r.user.gamification?.isSuperVip || r.user.gamification?.isDiamondVip,
-            isMVP: r.user.gamification?.isMVP,
-          },
-          score: r.score,
-          rewardCoins: r.rewardCoins,
-          rewardClaimed: r.rewardClaimed,
-        })),
+        rankings: standings
+          .filter((s) => s.ranking.user)
+          .map(({ ranking: r, rank, rewardCoins }) => ({
+            rank,
+            user: {
+              id: r.user._id,
+              displayName: r.user.displayName,
+              username: r.user.profile?.username,
+              photoURL: r.user.photoURL,
+              wealthLevel: r.user.gamification?.wealthLevel,
+              liveLevel: r.user.gamification?.liveLevel,
+              isVip: r.user.gamification?.isNormalVip || r.user.gamification?.isSuperVip || r.user.gamification?.isDiamondVip,
+              isMVP: r.user.gamification?.isMVP,
+            },
+            score: r.score,
+            rewardCoins,
+            rewardClaimed: r.rewardClaimed,
+          })),
         userRanking: userRanking
           ? {
               rank: userRanking.rank,
-              score: userRanking.score,
+              score: userRanking.ranking.score,
               rewardCoins: userRanking.rewardCoins,
-              rewardClaimed: userRanking.rewardClaimed,
+              rewardClaimed: userRanking.ranking.rewardClaimed,
             }
           : null,
         period: {
           type: period,
           start: periodStart,
-          end: period === 'daily' ? moment(periodStart).endOf('day').toDate() : moment(periodStart).endOf('week').toDate(),
+          end: periodEnd,
+          isFinal: rankings.length > 0 && rankings[0].isFinal,
         },
       },
     });
@@ -112,6 +134,13 @@ router.post("/claim", authenticateJWT, requireAuth, async (req, res) => {
     const user = req.user;
     const { type, period, periodStart } = req.body;
 
+    if (!type || !period || !periodStart) {
+      return res.status(400).json({
+        success: false,
+        message: "type, period and periodStart are required",
+      });
+    }
+
     // Find ranking
     const ranking = await Ranking.findOne({
       user: user._id,
@@ -140,7 +169,11 @@ router.post("/claim", authenticateJWT, requireAuth, async (req, res) => {
   } catch (error) {
     console.error("Claim ranking reward error:", error);
     
-    if (error.message === "Reward already claimed" || error.message === "No reward available for this rank") {
+    if (
+      error.message === "Reward already claimed" ||
+      error.message === "No reward available for this rank" ||
+      error.message === "Ranking period has not ended yet"
+    ) {
       return res.status(400).json({
         success: false,
         message: error.message,
@@ -163,11 +196,13 @@ router.post("/claim", authenticateJWT, requireAuth, async (req, res) => {
 // @access  Public
 router.get("/rules", async (req, res) => {
   try {
+    const { ranking: rewardTiers } = await getRewards();
+    const lastRewardedRank = rewardTiers[rewardTiers.length - 1]?.upToRank || 0;
     const rewardStructure = [];
-    for (let rank = 1; rank <= 40; rank++) {
+    for (let rank = 1; rank <= lastRewardedRank; rank++) {
       rewardStructure.push({
         rank,
-        coins: Ranking.calculateReward(rank),
+        coins: Ranking.calculateReward(rank, rewardTiers),
       });
     }
 
@@ -198,6 +233,17 @@ router.get("/rules", async (req, res) => {
             description: "Resets every Monday at midnight",
             duration: "7 days",
           },
+          monthly: {
+            title: "Monthly Rankings",
+            description: "Resets on the 1st of every month at midnight",
+            duration: "1 month",
+          },
+          alltime: {
+            title: "All-Time Rankings",
+            description: "Never resets",
+            duration: "Forever",
+            rewards: false,
+          },
         },
         rewards: rewardStructure,
         claimRequirements: {
@@ -1,21 +1,14 @@
 const express = require("express");
+const { query, validationResult } = require("express-validator");
 const router = express.Router();
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
 const DailyReward = require("../models/DailyReward");
-const User = require("../models/User");
-const Transaction = require("../models/Transaction");
+const rewardService = require("../services/reward_service");
+const pricingService = require("../services/pricing_service");
 const moment = require("moment");
 
-// Daily reward amounts (7-day cycle)
-const DAILY_REWARDS = [
-  { day: 1, coins: 100, diamonds: 0 },
-  { day: 2, coins: 150, diamonds: 0 },
-  { day: 3, coins: 200, diamonds: 0 },
-  { day: 4, coins: 250, diamonds: 0 },
-  { day: 5, coins: 300, diamonds: 0 },
-  { day: 6, coins: 400, diamonds: 0 },
-  { day: 7, coins: 500, diamonds: 10 }, // Bonus on day 7
-];
+// Daily reward amounts (7-day cycle) and the XP for every daily login come
+// from the price catalogue (rewards.dailyLogin / rewards.dailyLoginXp)
 
 // @route   GET /api/rewards/daily/status
 // @desc    Get daily reward status for current user
@@ -53,7 +46,8 @@ router.get("/daily/status", authenticateJWT, requireAuth, async (req, res) => {
       }
     }
 
-    const nextReward = DAILY_REWARDS.find((r) => r.day === nextDay);
+    const { dailyLogin } = await pricingService.getRewards();
+    const nextReward = dailyLogin.find((r) => r.day === nextDay);
 
     res.json({
       success: true,
@@ -64,7 +58,7 @@ router.get("/daily/status", authenticateJWT, requireAuth, async (req, res) => {
         nextReward,
         streakCount,
         lastClaimedAt: lastReward?.claimedAt,
-        allRewards: DAILY_REWARDS,
+        allRewards: dailyLogin,
       },
     });
   } catch (error) {
@@ -117,7 +111,8 @@ router.post("/daily/claim", authenticateJWT, requireAuth, async (req, res) => {
       // else: streak broken, reset to day 1
     }
 
-    const rewardData = DAILY_REWARDS.find((r) => r.day === nextDay);
+    const { dailyLogin, dailyLoginXp } = await pricingService.getRewards();
+    const rewardData = dailyLogin.find((r) => r.day === nextDay);
     if (!rewardData) {
       return res.status(500).json({
         success: false,
@@ -134,25 +129,38 @@ router.post("/daily/claim", authenticateJWT, requireAuth, async (req, res) => {
       streakCount,
     });
 
-    // Credit coins to user
-    await user.addCoins(rewardData.coins);
-
-    // Award XP
-    await user.addExperience(10); // 10 XP for daily login
-
-    // Create transaction record
-    await Transaction.create({
-      receiver: user._id,
-      type: "reward",
-      currency: "coins",
-      amount: rewardData.coins,
-      status: "completed",
-      metadata: {
+    // Keyed by date: two claims can never be 24h apart on the same day, so a
+    // second key hit means a concurrent claim already paid
+    let grant;
+    try {
+      grant = await rewardService.grantReward({
+        userId: user._id,
         source: "daily_reward",
-        day: nextDay,
-        streakCount,
-      },
-    });
+        amounts: {
+          coins: rewardData.coins,
+          diamonds: rewardData.diamonds,
+          xp: dailyLoginXp,
+        },
+        description: `Daily reward - day ${nextDay}`,
+        idempotencyKey: `daily_reward:${user._id}:${now.format("YYYY-MM-DD")}`,
+        metadata: {
+          day: nextDay,
+          streakCount,
+          dailyRewardId: reward._id,
+        },
+      });
+    } catch (error) {
+      await DailyReward.deleteOne({ _id: reward._id });
+      throw error;
+    }
+
+    if (grant.duplicate) {
+      await DailyReward.deleteOne({ _id: reward._id });
+      return res.status(400).json({
+        success: false,
+        message: "Daily reward already claimed today",
+      });
+    }
 
     res.json({
       success: true,
@@ -162,6 +170,7 @@ router.post("/daily/claim", authenticateJWT, requireAuth, async (req, res) => {
           day: nextDay,
           coins: rewardData.coins,
           diamonds: rewardData.diamonds,
+          xp: grant.granted.xp || 0,
           streakCount,
         },
         nextDay: (nextDay % 7) + 1,
@@ -181,46 +190,69 @@ router.post("/daily/claim", authenticateJWT, requireAuth, async (req, res) => {
 });
 
 // @route   GET /api/rewards/history
-// @desc    Get reward claim history for current user
+// @desc    Get rewards granted to current user (all sources), from the ledger
 // @access  Private
-router.get("/history", authenticateJWT, requireAuth, async (req, res) => {
-  try {
-    const user = req.user;
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+router.get(
+  "/history",
+  authenticateJWT,
+  requireAuth,
+  [
+    query("source")
+      .optional()
+      .isIn(rewardService.REWARD_SOURCES)
+      .withMessage("Invalid reward source"),
+    query("currency")
+      .optional()
+      .isIn(rewardService.REWARD_CURRENCIES)
+      .withMessage("Invalid currency"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
 
-    const rewards = await DailyReward.find({ user: user._id })
-      .sort({ claimedAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+      const { source, currency, page = 1, limit = 20 } = req.query;
 
-    const total = await DailyReward.countDocuments({ user: user._id });
+      const history = await rewardService.getRewardHistory({
+        userId: req.user._id,
+        source,
+        currency,
+        page: parseInt(page),
+        limit: parseInt(limit),
+      });
 
-    res.json({
-      success: true,
-      message: "Reward history retrieved",
-      data: {
-        rewards,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit)),
-        },
-      },
-    });
-  } catch (error) {
-    console.error("Get reward history error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to get reward history",
-      error:
-        process.env.NODE_ENV === "development"
-          ? error.message
-          : "Internal server error",
-    });
+      res.json({
+        success: true,
+        message: "Reward history retrieved",
+        data: history,
+      });
+    } catch (error) {
+      console.error("Get reward history error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get reward history",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
   }
-});
+);
 
 module.exports = router;
 
@@ -0,0 +1,79 @@
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
+const { APIError } = require("../middleware/errorHandler");
+const { SEARCH_TYPES, SEARCH_CONFIG, search } = require("../services/search_service");
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/search
+ * @desc    Search users, posts, hashtags, live streams and the user's own
+ *          chats. Without `type` the first page of every section is returned;
+ *          with `type` only that section, paged with its `nextCursor`.
+ *          Blocked users, private profiles and content the user can't open
+ *          never appear. Email and phone only match exactly, and only when
+ *          the owner shows them on their profile.
+ * @access  Private
+ */
+router.get(
+  "/",
+  authenticateJWT,
+  requireAuth,
+  [
+    query("q")
+      .trim()
+      .notEmpty()
+      .withMessage("Search query is required")
+      .isLength({ max: 100 })
+      .withMessage("Search query cannot exceed 100 characters"),
+    query("type")
+      .optional()
+      .isIn(SEARCH_TYPES)
+      .withMessage(`Type must be one of: ${SEARCH_TYPES.join(", ")}`),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: SEARCH_CONFIG.maxLimit })
+      .withMessage(`Limit must be between 1 and ${SEARCH_CONFIG.maxLimit}`)
+      .toInt(),
+    query("cursor").optional().isString().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { q, type, limit, cursor } = req.query;
+
+      const sections = await search({ viewer: req.user, q, type, limit, cursor });
+
+      res.json({
+        success: true,
+        message: "Search results retrieved successfully",
+        data: { query: q, sections },
+      });
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+      console.error("Search error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to search",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
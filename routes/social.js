@@ -3,6 +3,8 @@ const router = express.Router();
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
 const User = require("../models/User");
 const ProfileVisit = require("../models/ProfileVisit");
+const { invalidateFeed } = require("../services/feed_service");
+const { getPerks } = require("../services/perk_service");
 
 // @route   POST /api/social/close-friends/add/:userId
 // @desc    Add user to close friends
@@ -177,17 +179,26 @@ router.post("/visits/record/:userId", authenticateJWT, requireAuth, async (req,
       });
     }
 
+    // Invisible mode hides the visit from the visited user, while the
+    // visitor's membership includes it
+    const invisible =
+      user.profile?.preferences?.privacy?.invisibleMode === true &&
+      (await getPerks(user._id)).invisibleVisits;
+
     // Record visit
-    await ProfileVisit.recordVisit(user._id, userId);
+    await ProfileVisit.recordVisit(user._id, userId, { invisible });
 
     // Update visited user's visit count
-    await User.findByIdAndUpdate(userId, {
-      $inc: { profileVisitsCount: 1 },
-    });
+    if (!invisible) {
+      await User.findByIdAndUpdate(userId, {
+        $inc: { profileVisitsCount: 1 },
+      });
+    }
 
     res.json({
       success: true,
       message: "Visit recorded",
+      data: { invisible },
     });
   } catch (error) {
     console.error("Record visit error:", error);
@@ -283,6 +294,8 @@ router.post("/block/:userId", authenticateJWT, requireAuth, async (req, res) =>
 
     // Block the user
     await user.blockUser(userId);
+    invalidateFeed(user._id);
+    invalidateFeed(userId);
 
     // Notify admin/developer about the block (for moderation purposes)
     try {
@@ -325,6 +338,8 @@ router.post("/unblock/:userId", authenticateJWT, requireAuth, async (req, res) =
 
     // Unblock the user
     await user.unblockUser(userId);
+    invalidateFeed(user._id);
+    invalidateFeed(userId);
 
     res.json({
       success: true,
@@ -8,6 +8,16 @@ const Story = require("../models/Story");
 const User = require("../models/User");
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
 const { body, validationResult, param, query } = require("express-validator");
+const Chat = require("../models/Chat");
+const Message = require("../models/Message");
+const { APP_EVENTS, emitAppEvent } = require("../services/event_bus");
+const { collectTags, syncTags } = require("../services/hashtag_service");
+const { emitNewMessage } = require("../config/socket");
+const { notifyNewChatMessage } = require("../services/notification_service");
+const {
+  RELATIONSHIP_ACTIONS,
+  checkPermission,
+} = require("../services/relationship_policy");
 
 // Helper function to get username from user object - EXACT SAME AS POSTS
 const getUsernameFromUser = (user) => {
@@ -732,7 +742,10 @@ router.post("/", authenticateJWT, requireAuth, async (req, res) => {
           : undefined,
       caption,
       mentions: mentions.map((m) => (m.startsWith("@") ? m : `@${m}`)),
-      hashtags: hashtags.map((h) => (h.startsWith("#") ? h : `#${h}`)),
+      hashtags: collectTags({
+        tags: hashtags,
+        texts: [caption, mediaType === "text" ? textContent : null],
+      }).map((tag) => `#${tag}`),
       privacy,
       customViewers: privacy === "custom" ? customViewers : [],
       allowReplies: Boolean(allowReplies),
@@ -801,6 +814,17 @@ router.post("/", authenticateJWT, requireAuth, async (req, res) => {
     const story = new Story(storyData);
     await story.save();
 
+    emitAppEvent(APP_EVENTS.STORY_POSTED, {
+      userId: user._id,
+      storyId: story._id.toString(),
+      type: story.mediaType,
+    });
+
+    syncTags({
+      source: "stories",
+      next: collectTags({ tags: story.hashtags }),
+    }).catch((error) => console.error("Hashtag tracking error:", error.message));
+
     res.status(201).json({
       success: true,
       message: "Story created successfully",
@@ -1052,6 +1076,128 @@ router.post(
   }
 );
 
+/**
+ * @route   POST /api/stories/:storyId/reply
+ * @desc    Reply to a story; the reply lands in the direct chat with the author
+ * @access  Private
+ */
+router.post(
+  "/:storyId/reply",
+  authenticateJWT,
+  requireAuth,
+  [
+    param("storyId").isMongoId().withMessage("Invalid story ID"),
+    body("content")
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage("Reply must be between 1 and 1000 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = req.user;
+      const { content } = req.body;
+
+      const story = await Story.findById(req.params.storyId);
+      if (!story || !story.isActiveAndValid) {
+        return res.status(404).json({
+          success: false,
+          message: "Story not found",
+        });
+      }
+
+      if (story.userId.toString() === user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot reply to your own story",
+        });
+      }
+
+      if (!story.allowReplies) {
+        return res.status(403).json({
+          success: false,
+          message: "Replies are not allowed on this story",
+        });
+      }
+
+      const { friends, closeFriends } = await getUserRelationships(user._id);
+      if (!story.canBeViewedBy(user._id, friends, closeFriends)) {
+        return res.status(403).json({
+          success: false,
+          message: "You do not have permission to reply to this story",
+        });
+      }
+
+      // A reply is a direct message, so the author's messageWhoCan applies
+      const permission = await checkPermission(
+        user,
+        story.userId,
+        RELATIONSHIP_ACTIONS.MESSAGE
+      );
+      if (!permission.allowed) {
+        return res.status(permission.statusCode).json({
+          success: false,
+          message: permission.message,
+          code: permission.code,
+        });
+      }
+
+      const chat =
+        (await Chat.findDirectChat(user._id, story.userId)) ||
+        (await Chat.createDirectChat(user._id, story.userId, user._id));
+
+      const senderName = getUsernameFromUser(user);
+      const message = await Message.create({
+        chatId: chat._id,
+        senderId: user._id,
+        senderFirebaseUid: user.firebaseUid,
+        senderName,
+        senderAvatar: user.photoURL || null,
+        type: "text",
+        content,
+        storyReply: {
+          storyId: story._id,
+          mediaType: story.mediaType,
+          thumbnailUrl: story.thumbnailUrl || story.mediaUrl || null,
+        },
+      });
+
+      await chat.updateLastMessage(message);
+      emitNewMessage(message);
+
+      notifyNewChatMessage({
+        recipientId: story.userId,
+        senderId: user._id,
+        senderName,
+        chatId: chat._id,
+        messagePreview: content,
+      }).catch(() => {});
+
+      res.status(201).json({
+        success: true,
+        message: "Reply sent successfully",
+        data: { chatId: chat._id, message },
+      });
+    } catch (error) {
+      console.error("Error replying to story:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reply to story",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
 /**
  * @route   DELETE /api/stories/:storyId/react
  * @desc    Remove reaction from story
@@ -3,6 +3,7 @@ const router = express.Router();
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
 const Task = require("../models/Task");
 const UserTask = require("../models/UserTask");
+const { getTaskExpiry, isUserTaskExpired } = require("../services/task_engine");
 const moment = require("moment");
 
 // @route   GET /api/tasks
@@ -29,7 +30,8 @@ router.get("/", authenticateJWT, requireAuth, async (req, res) => {
       task: { $in: taskIds },
     });
 
-    // Map user progress to tasks
+    // Map user progress to tasks (daily/weekly progress from an ended period shows as reset)
+    const now = new Date();
     const tasksWithProgress = tasks.map((task) => {
       const userTask = userTasks.find(
         (ut) => ut.task.toString() === task._id.toString()
@@ -37,18 +39,20 @@ router.get("/", authenticateJWT, requireAuth, async (req, res) => {
 
       return {
         ...task.toObject(),
-        userProgress: userTask
+        userProgress: userTask && !isUserTaskExpired(userTask, now)
           ? {
               progress: userTask.progress,
               isCompleted: userTask.isCompleted,
               isClaimed: userTask.isClaimed,
               completedAt: userTask.completedAt,
               claimedAt: userTask.claimedAt,
+              expiresAt: userTask.expiresAt,
             }
           : {
               progress: 0,
               isCompleted: false,
               isClaimed: false,
+              expiresAt: getTaskExpiry(task, now),
             },
       };
     });
@@ -107,7 +111,11 @@ router.post("/:taskId/claim", authenticateJWT, requireAuth, async (req, res) =>
   } catch (error) {
     console.error("Claim task rewards error:", error);
     
-    if (error.message === "Task not completed yet" || error.message === "Rewards already claimed") {
+    if (
+      error.message === "Task not completed yet" ||
+      error.message === "Rewards already claimed" ||
+      error.message === "Task has expired"
+    ) {
       return res.status(400).json({
         success: false,
         message: error.message,
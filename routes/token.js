@@ -5,6 +5,7 @@ const User = require("../models/User");
 const Session = require("../models/Session");
 const { authenticateToken } = require("../middleware/auth");
 const { getFirebaseUser, deleteFirebaseUser } = require("../config/firebase");
+const { attributeReferral } = require("../services/referral_service");
 
 const router = express.Router();
 
@@ -48,6 +49,12 @@ router.post(
       .optional()
       .isBoolean()
       .withMessage("isSignup must be a boolean"),
+    body("referralCode")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage("Invalid referral code"),
   ],
   async (req, res) => {
     try {
@@ -61,7 +68,7 @@ router.post(
       }
 
       const { firebaseUser } = req;
-      const { deviceInfo, isSignup = false } = req.body;
+      const { deviceInfo, isSignup = false, referralCode } = req.body;
 
       // Find or create user in our database
       let user = await User.findOne({ firebaseUid: firebaseUser.uid });
@@ -213,6 +220,21 @@ router.post(
         await user.save();
       }
 
+      // Attribute new accounts to the referral code they signed up with
+      let referral = null;
+      if (isNewUser && referralCode) {
+        try {
+          referral = await attributeReferral({
+            invitee: user,
+            referralCode,
+            deviceId: deviceInfo?.deviceId,
+            ipAddress: req.ip,
+          });
+        } catch (referralError) {
+          console.error("Referral attribution failed (non-blocking):", referralError.message);
+        }
+      }
+
       // Generate JWT tokens with different expiration times based on Remember Me
       const tokenPayload = {
         userId: user._id.toString(),
@@ -233,6 +255,7 @@ router.post(
         {
           userId: user._id.toString(),
           tokenType: "refresh",
+          deviceId: deviceInfo?.deviceId,
         },
         JWT_SECRET,
         {
@@ -300,6 +323,7 @@ router.post(
           },
           isNewUser,
           sessionId,
+          referralStatus: referral?.status,
         },
       });
     } catch (error) {
@@ -436,6 +460,16 @@ router.post(
         });
       }
 
+      // Detach push tokens from the devices being signed out
+      const activeSessions = await Session.find({
+        userId: decoded.userId,
+        isActive: true,
+      }).select("deviceInfo.deviceId");
+      await User.detachPushTokens(decoded.userId, [
+        decoded.deviceId,
+        ...activeSessions.map((s) => s.deviceInfo?.deviceId),
+      ]);
+
       // Find and end sessions for this user
       await Session.updateMany(
         { userId: decoded.userId },
@@ -4,7 +4,13 @@ const User = require("../models/User");
 const AuditLog = require("../models/AuditLog");
 const Session = require("../models/Session");
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
+const { requirePerk } = require("../middleware/subscription");
 const { deleteFirebaseUser } = require("../config/firebase");
+const {
+  RELATIONSHIP_ACTIONS,
+  checkPermission,
+} = require("../services/relationship_policy");
+const { invalidateFeed } = require("../services/feed_service");
 
 const router = express.Router();
 
@@ -110,11 +116,16 @@ router.get("/check-username", async (req, res) => {
  *
  * Update user profile information
  * Only updates fields that are provided in the request body
+ * Turning on privacy.invisibleMode needs the invisibleVisits perk.
  */
 router.put(
   "/profile",
   authenticateJWT,
   requireAuth,
+  requirePerk(
+    "invisibleVisits",
+    (req) => String(req.body.profile?.preferences?.privacy?.invisibleMode) === "true"
+  ),
   [
     // Validation rules
     body("displayName")
@@ -197,6 +208,19 @@ router.put(
       .isBoolean()
       .withMessage("SMS notification preference must be boolean"),
 
+    body("profile.preferences.notifications.quietHours.enabled")
+      .optional()
+      .isBoolean()
+      .withMessage("Quiet hours enabled must be boolean"),
+
+    body([
+      "profile.preferences.notifications.quietHours.start",
+      "profile.preferences.notifications.quietHours.end",
+    ])
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage("Quiet hours must be in HH:mm format"),
+
     body("profile.preferences.privacy.profileVisible")
       .optional()
       .isBoolean()
@@ -433,6 +457,19 @@ router.put(
                 );
               }
             });
+
+            const quietHours = updateData.profile.preferences.notifications.quietHours;
+            if (quietHours) {
+              ["enabled", "start", "end"].forEach((field) => {
+                if (quietHours[field] !== undefined) {
+                  user.profile.preferences.notifications.quietHours[field] =
+                    quietHours[field];
+                  updatedFields.push(
+                    `profile.preferences.notifications.quietHours.${field}`
+                  );
+                }
+              });
+            }
           }
 
           // Update privacy preferences
@@ -687,6 +724,9 @@ router.delete(
 
       await session.endSession("force_logout");
 
+      // Signed-out devices stop receiving pushes
+      await User.detachPushTokens(user._id, [session.deviceInfo?.deviceId]);
+
       // Log the session termination
       await AuditLog.logAction({
         userId: user._id,
@@ -719,6 +759,143 @@ router.delete(
   }
 );
 
+/**
+ * POST /users/devices
+ *
+ * Register a device or refresh its push token, keyed by deviceId
+ */
+router.post(
+  "/devices",
+  authenticateJWT,
+  requireAuth,
+  [
+    body("deviceId")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage("Device ID is required"),
+    body("platform")
+      .isIn(["ios", "android", "web", "desktop"])
+      .withMessage("Platform must be ios, android, web or desktop"),
+    body("pushToken")
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 4096 })
+      .withMessage("Invalid push token"),
+    body("appVersion")
+      .optional()
+      .isString()
+      .isLength({ max: 50 })
+      .withMessage("App version must be 50 characters or less"),
+    body("locale")
+      .optional()
+      .isString()
+      .isLength({ max: 20 })
+      .withMessage("Locale must be 20 characters or less"),
+    body("deviceName")
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage("Device name must be 100 characters or less"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { user } = req;
+      const { deviceId, platform, pushToken, appVersion, locale, deviceName } =
+        req.body;
+
+      const device = await User.registerDevice(user._id, {
+        deviceId,
+        deviceType: platform,
+        pushToken: pushToken || undefined,
+        appVersion,
+        locale,
+        deviceName,
+      });
+
+      res.json({
+        success: true,
+        message: "Device registered successfully",
+        data: {
+          device: {
+            deviceId: device.deviceId,
+            platform: device.deviceType,
+            deviceName: device.deviceName,
+            appVersion: device.appVersion,
+            locale: device.locale,
+            hasPushToken: !!device.pushToken,
+            pushTokenUpdatedAt: device.pushTokenUpdatedAt,
+            lastUsed: device.lastUsed,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Register device error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to register device",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /users/devices/:deviceId
+ *
+ * Remove a device and its push token
+ */
+router.delete(
+  "/devices/:deviceId",
+  authenticateJWT,
+  requireAuth,
+  async (req, res) => {
+    try {
+      const { user } = req;
+      const { deviceId } = req.params;
+
+      const result = await User.updateOne(
+        { _id: user._id },
+        { $pull: { devices: { deviceId } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Device not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Device removed successfully",
+      });
+    } catch (error) {
+      console.error("Remove device error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove device",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
 /**
  * GET /users/audit-logs
  *
@@ -808,6 +985,7 @@ router.post(
           })
           .catch(() => {});
       }
+      invalidateFeed(currentUser._id);
 
       // Log follow action
       await AuditLog.logAction({
@@ -930,7 +1108,8 @@ router.put(
 /**
  * GET /users/search
  *
- * Search users by display name, username, or email
+ * Search users by display name or username, skipping blocked users and
+ * private profiles
  * Query params: q (required), limit, page
  */
 router.get(
@@ -972,33 +1151,24 @@ router.get(
       const escaped = q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
       const regex = new RegExp(escaped, "i");
 
-      const users = await User.find({
-        _id: { $ne: user._id },
+      // Email and phone are never matched here (see GET /api/search)
+      const blockedBy = await User.find({ blockedUsers: user._id }).distinct("_id");
+      const filter = {
+        _id: { $ne: user._id, $nin: [...(user.blockedUsers || []), ...blockedBy] },
         isActive: true,
         deletedAt: null,
         isBlocked: false,
-        $or: [
-          { displayName: regex },
-          { "profile.username": regex },
-          { email: regex },
-        ],
-      })
+        "profile.preferences.privacy.profileVisible": { $ne: false },
+        $or: [{ displayName: regex }, { "profile.username": regex }],
+      };
+
+      const users = await User.find(filter)
         .select("displayName photoURL profile.username profile.bio")
         .limit(parseInt(limit))
         .skip(skip)
         .lean();
 
-      const total = await User.countDocuments({
-        _id: { $ne: user._id },
-        isActive: true,
-        deletedAt: null,
-        isBlocked: false,
-        $or: [
-          { displayName: regex },
-          { "profile.username": regex },
-          { email: regex },
-        ],
-      });
+      const total = await User.countDocuments(filter);
 
       res.json({
         success: true,
@@ -1058,23 +1228,17 @@ router.get("/:userId", authenticateJWT, async (req, res) => {
       });
     }
 
-    // Check if profile is visible
-    if (
-      !targetUser.profile?.preferences?.privacy?.profileVisible &&
-      userId !== currentUser._id.toString()
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "This profile is private",
-      });
-    }
-
-    // Check if current user is blocked by target user
-    const blockedUsers = targetUser.blockedUsers || [];
-    if (blockedUsers.some((id) => id.toString() === currentUser._id.toString())) {
-      return res.status(403).json({
+    // Private profiles and blocks (either way) hide the profile
+    const permission = await checkPermission(
+      currentUser,
+      userId,
+      RELATIONSHIP_ACTIONS.VIEW
+    );
+    if (!permission.allowed) {
+      return res.status(permission.statusCode).json({
         success: false,
-        message: "User not found",
+        message: permission.message,
+        code: permission.code,
       });
     }
 
@@ -4,7 +4,11 @@ const { body, query, validationResult } = require("express-validator");
 const Transaction = require("../models/Transaction");
 const User = require("../models/User");
 const CoinPackage = require("../models/CoinPackage");
+const Ranking = require("../models/Ranking");
 const { authenticateJWT, requireAuth } = require("../middleware/jwtAuth");
+const walletService = require("../services/wallet_service");
+const { calculateGiftSplit } = require("../services/gift_service");
+const { InsufficientFundsError } = walletService;
 
 /**
  * @route   GET /api/wallet/packages
@@ -128,8 +132,8 @@ router.get(
       const total = await Transaction.countDocuments({
         userId: user._id,
         status: "completed",
+        currency: currency || { $in: Transaction.WALLET_CURRENCIES },
         ...(type && { type }),
-        ...(currency && { currency }),
       });
 
       res.json({
@@ -235,7 +239,7 @@ router.post(
       const realMoneyCost = amount * rates[currency];
 
       // Create transaction
-      const transaction = await Transaction.createTransaction({
+      const transaction = await walletService.credit({
         userId: user._id,
         type: "purchase",
         currency,
@@ -337,40 +341,27 @@ router.post(
         });
       }
 
-      // Check if user has sufficient balance
-      const currentBalance =
-        currency === "coins"
-          ? user.gamification?.coins || 0
-          : user.gamification?.diamonds || 0;
-
-      if (currentBalance < amount) {
-        return res.status(400).json({
-          success: false,
-          message: "Insufficient balance",
-        });
-      }
-
-      // Create debit transaction for sender
-      const debitTransaction = await Transaction.createTransaction({
-        userId: user._id,
-        type: "gift_sent",
-        currency,
-        amount: -amount,
-        relatedUserId: recipientId,
-        description: message || `Sent ${amount} ${currency} to ${recipient.displayName}`,
-        ipAddress: req.ip,
-        userAgent: req.get("user-agent"),
-      });
-
-      // Create credit transaction for recipient
-      const creditTransaction = await Transaction.createTransaction({
-        userId: recipientId,
-        type: "gift_received",
-        currency,
-        amount: amount,
-        relatedUserId: user._id,
-        description: message || `Received ${amount} ${currency} from ${user.displayName}`,
-      });
+      // Debit sender and credit recipient (fails with InsufficientFundsError)
+      const { debitTransaction, creditTransaction } = await walletService.transfer(
+        {
+          userId: user._id,
+          type: "gift_sent",
+          currency,
+          amount,
+          relatedUserId: recipientId,
+          description: message || `Sent ${amount} ${currency} to ${recipient.displayName}`,
+          ipAddress: req.ip,
+          userAgent: req.get("user-agent"),
+        },
+        {
+          userId: recipientId,
+          type: "gift_received",
+          currency,
+          amount,
+          relatedUserId: user._id,
+          description: message || `Received ${amount} ${currency} from ${user.displayName}`,
+        }
+      );
 
       // Update sender's creditsSent and recipient's giftsReceived
       await User.findByIdAndUpdate(user._id, {
@@ -381,6 +372,13 @@ router.post(
         $inc: { "gamification.giftsReceived": amount },
       });
 
+      // Coin transfers count towards the rich and host rankings like gifts
+      // (host scores are in diamonds)
+      if (currency === "coins") {
+        await Ranking.addScore(user._id, "rich", amount);
+        await Ranking.addScore(recipientId, "host", calculateGiftSplit(amount).grossDiamonds);
+      }
+
       // Recalculate levels
       const updatedSender = await User.findById(user._id);
       const newWealthLevel = updatedSender.calculateWealthLevel();
@@ -404,6 +402,9 @@ router.post(
         },
       });
     } catch (error) {
+      if (error instanceof InsufficientFundsError) {
+        return res.status(400).json(error.toResponse());
+      }
       console.error("Transfer error:", error);
       res.status(500).json({
         success: false,
@@ -0,0 +1,460 @@
+const express = require("express");
+const router = express.Router();
+const { body, query, validationResult } = require("express-validator");
+const Withdrawal = require("../models/Withdrawal");
+const AuditLog = require("../models/AuditLog");
+const { authenticateJWT, requireAuth, requireAdmin } = require("../middleware/jwtAuth");
+const { APIError } = require("../middleware/errorHandler");
+const { InsufficientFundsError } = require("../services/wallet_service");
+const {
+  WITHDRAWAL_CONFIG,
+  quoteWithdrawal,
+  requestWithdrawal,
+  approveWithdrawal,
+  markWithdrawalPaid,
+  rejectWithdrawal,
+  processBulk,
+} = require("../services/withdrawal_service");
+
+const bulkIdsValidator = [
+  body("withdrawalIds")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("withdrawalIds must be an array of 1-100 IDs"),
+  body("withdrawalIds.*")
+    .isMongoId()
+    .withMessage("Invalid withdrawal ID"),
+];
+
+/**
+ * Record an admin review of a batch of withdrawals
+ */
+function logWithdrawalReview(req, decision, results) {
+  return AuditLog.insertMany(
+    results.succeeded.map(({ id, status }) => ({
+      userId: req.user._id,
+      firebaseUid: req.user.firebaseUid,
+      action: "withdrawal_review",
+      resource: "withdrawal",
+      resourceId: id,
+      details: { decision, status, reason: req.body.reason, reference: req.body.reference },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    }))
+  );
+}
+
+/**
+ * @route   GET /api/host/withdrawals
+ * @desc    Get current host's withdrawals and withdrawal settings
+ * @access  Private
+ */
+router.get(
+  "/",
+  authenticateJWT,
+  requireAuth,
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { user } = req;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const [withdrawals, total] = await Promise.all([
+        Withdrawal.find({ userId: user._id })
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .select("-payoutDetails.recipientCode"),
+        Withdrawal.countDocuments({ userId: user._id }),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Withdrawals retrieved successfully",
+        data: {
+          withdrawals,
+          settings: WITHDRAWAL_CONFIG,
+          availableDiamonds: user.gamification?.diamonds || 0,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get withdrawals error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve withdrawals",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/host/withdrawals/quote
+ * @desc    Preview fee and payout for a withdrawal amount
+ * @access  Private
+ */
+router.get(
+  "/quote",
+  authenticateJWT,
+  requireAuth,
+  [query("diamonds").isInt({ min: 1 }).withMessage("Diamonds must be a positive integer")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const diamonds = parseInt(req.query.diamonds);
+
+    res.json({
+      success: true,
+      message: "Withdrawal quote calculated",
+      data: {
+        ...quoteWithdrawal(diamonds),
+        minDiamonds: WITHDRAWAL_CONFIG.minDiamonds,
+        meetsMinimum: diamonds >= WITHDRAWAL_CONFIG.minDiamonds,
+      },
+    });
+  }
+);
+
+/**
+ * @route   POST /api/host/withdrawals
+ * @desc    Request a diamond withdrawal (diamonds are held until reviewed)
+ * @access  Private (hosts)
+ */
+router.post(
+  "/",
+  authenticateJWT,
+  requireAuth,
+  [
+    body("diamonds")
+      .isInt({ min: 1 })
+      .withMessage("Diamonds must be a positive integer"),
+    body("payoutDetails.bankCode")
+      .notEmpty()
+      .withMessage("Bank code is required"),
+    body("payoutDetails.accountNumber")
+      .isString()
+      .isLength({ min: 6, max: 20 })
+      .withMessage("Valid account number is required"),
+    body("payoutDetails.accountName")
+      .trim()
+      .notEmpty()
+      .isLength({ max: 100 })
+      .withMessage("Account name is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { diamonds, payoutDetails } = req.body;
+
+      const withdrawal = await requestWithdrawal({
+        user: req.user,
+        diamonds,
+        payoutDetails: {
+          bankCode: payoutDetails.bankCode,
+          accountNumber: payoutDetails.accountNumber,
+          accountName: payoutDetails.accountName,
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+
+      console.log(
+        `💸 Withdrawal requested by ${req.user._id}: ${diamonds} diamonds (${withdrawal.payoutAmount} ${withdrawal.currency})`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Withdrawal requested successfully",
+        data: { withdrawal },
+      });
+    } catch (error) {
+      if (error instanceof InsufficientFundsError) {
+        return res.status(400).json(error.toResponse());
+      }
+      if (error instanceof APIError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+      console.error("Request withdrawal error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to request withdrawal",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/host/withdrawals/admin
+ * @desc    List withdrawals for review
+ * @access  Admin
+ */
+router.get(
+  "/admin",
+  authenticateJWT,
+  requireAuth,
+  requireAdmin,
+  [
+    query("status")
+      .optional()
+      .isIn(["awaiting_escrow", "pending", "processing", "approved", "paid", "failed", "rejected"])
+      .withMessage("Invalid status"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const status = req.query.status || "pending";
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const [withdrawals, total] = await Promise.all([
+        Withdrawal.find({ status })
+          .sort({ createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("userId", "displayName profile.username photoURL gamification.diamonds"),
+        Withdrawal.countDocuments({ status }),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Withdrawals retrieved successfully",
+        data: {
+          withdrawals,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Admin get withdrawals error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve withdrawals",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/host/withdrawals/admin/approve
+ * @desc    Approve withdrawals and send payouts. Failed payouts, and ones
+ *          whose outcome is unknown, are checked with the provider and only
+ *          sent again if nothing went out.
+ * @access  Admin
+ */
+router.post(
+  "/admin/approve",
+  authenticateJWT,
+  requireAuth,
+  requireAdmin,
+  bulkIdsValidator,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const results = await processBulk(req.body.withdrawalIds, (id) =>
+        approveWithdrawal(id, req.user)
+      );
+      await logWithdrawalReview(req, "approve", results);
+
+      console.log(
+        `💸 Admin ${req.user._id} approved withdrawals: ${results.succeeded.length} ok, ${results.failed.length} failed`
+      );
+
+      res.json({
+        success: true,
+        message: "Withdrawals processed",
+        data: results,
+      });
+    } catch (error) {
+      console.error("Approve withdrawals error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to approve withdrawals",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/host/withdrawals/admin/reject
+ * @desc    Reject withdrawals and refund the held diamonds (pending ones, and
+ *          failed payouts the provider confirms were never sent)
+ * @access  Admin
+ */
+router.post(
+  "/admin/reject",
+  authenticateJWT,
+  requireAuth,
+  requireAdmin,
+  [
+    ...bulkIdsValidator,
+    body("reason")
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage("Reason must be 500 characters or less"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const results = await processBulk(req.body.withdrawalIds, (id) =>
+        rejectWithdrawal(id, req.user, req.body.reason)
+      );
+      await logWithdrawalReview(req, "reject", results);
+
+      console.log(
+        `💸 Admin ${req.user._id} rejected withdrawals: ${results.succeeded.length} ok, ${results.failed.length} failed`
+      );
+
+      res.json({
+        success: true,
+        message: "Withdrawals processed",
+        data: results,
+      });
+    } catch (error) {
+      console.error("Reject withdrawals error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reject withdrawals",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/host/withdrawals/admin/mark-paid
+ * @desc    Mark approved withdrawals as paid (manual or settled payouts)
+ * @access  Admin
+ */
+router.post(
+  "/admin/mark-paid",
+  authenticateJWT,
+  requireAuth,
+  requireAdmin,
+  [
+    ...bulkIdsValidator,
+    body("reference")
+      .optional()
+      .isString()
+      .withMessage("Reference must be a string"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const results = await processBulk(req.body.withdrawalIds, (id) =>
+        markWithdrawalPaid(id, req.user, req.body.reference)
+      );
+      await logWithdrawalReview(req, "mark_paid", results);
+
+      res.json({
+        success: true,
+        message: "Withdrawals processed",
+        data: results,
+      });
+    } catch (error) {
+      console.error("Mark withdrawals paid error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to mark withdrawals paid",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -41,11 +41,13 @@ const chatRoutes = require("./routes/chats");
 const callRoutes = require("./routes/calls");
 const deepLinkRoutes = require("./routes/deeplinks");
 const liveRoutes = require("./routes/live");
+const livePartyRoutes = require("./routes/live_party_enhanced");
 const gamificationRoutes = require("./routes/gamification");
 const walletRoutes = require("./routes/wallet");
 const paymentsRoutes = require("./routes/payments");
 const giftRoutes = require("./routes/gifts");
 const hostRoutes = require("./routes/host");
+const withdrawalRoutes = require("./routes/withdrawals");
 const rewardsRoutes = require("./routes/rewards");
 const tasksRoutes = require("./routes/tasks");
 const rankingsRoutes = require("./routes/rankings");
@@ -55,11 +57,26 @@ const socialRoutes = require("./routes/social");
 const invitationRoutes = require("./routes/invitation");
 const notificationRoutes = require("./routes/notifications");
 const supportRoutes = require("./routes/support");
+const pkBattleRoutes = require("./routes/pk_battles");
+const adminRoutes = require("./routes/admin");
+const searchRoutes = require("./routes/search");
+const hashtagRoutes = require("./routes/hashtags");
 
 // Import cron jobs
 const { startVIPDailyCoinsJob } = require("./cron/vipDailyCoins");
 const { startMVPDailyRewardsJob } = require("./cron/mvpDailyRewards");
 const { startGhostCleanupJob } = require("./cron/ghostLiveCleanup");
+const { startRankingPeriodCloseJob } = require("./cron/rankingPeriodClose");
+const { startReferralRewardsJob } = require("./cron/referralRewards");
+const { startPKBattleSettleJob } = require("./cron/pkBattleSettle");
+const { startCallRingTimeoutJob } = require("./cron/callRingTimeout");
+const { startHashtagTrendingJob } = require("./cron/hashtagTrending");
+const { startSubscriptionExpiryJob } = require("./cron/subscriptionExpiry");
+const { startWalletReconcileJob } = require("./cron/walletReconcile");
+const { startDeferredPushesJob } = require("./cron/deferredPushes");
+const { flushPendingPushes } = require("./services/push_dispatcher");
+const { startTaskEngine } = require("./services/task_engine");
+const { ensureSubscriptionIndexes } = require("./services/subscription_service");
 
 // Initialize Express app
 const app = express();
@@ -81,10 +98,25 @@ const initializeServices = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // One active subscription per type: merge older duplicates, then
+    // require the unique index
+    await ensureSubscriptionIndexes();
+
     // Start cron jobs
     startVIPDailyCoinsJob();
     startMVPDailyRewardsJob();
     startGhostCleanupJob();
+    startRankingPeriodCloseJob();
+    startReferralRewardsJob();
+    startPKBattleSettleJob();
+    startCallRingTimeoutJob();
+    startHashtagTrendingJob();
+    startSubscriptionExpiryJob();
+    startWalletReconcileJob();
+    startDeferredPushesJob();
+
+    // Start app event consumers
+    startTaskEngine();
 
     console.log("✅ All services initialized successfully");
   } catch (error) {
@@ -107,6 +139,10 @@ app.use(
   express.json({
     limit: "10mb",
     strict: true,
+    // Keep the raw bytes for webhook signature checks (Paystack)
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
   })
 );
 app.use(
@@ -190,11 +226,14 @@ app.use("/api/upload", uploadRoutes);
 app.use("/api/stories", storyRoutes);
 app.use("/api/chats", chatRoutes);
 app.use("/api/calls", callRoutes);
+app.use("/api/live/pk", pkBattleRoutes);
 app.use("/api/live", liveRoutes);
+app.use("/api/live", livePartyRoutes);
 app.use("/api/gamification", gamificationRoutes);
 app.use("/api/wallet", walletRoutes);
 app.use("/api/payments", paymentsRoutes);
 app.use("/api/gifts", giftRoutes);
+app.use("/api/host/withdrawals", withdrawalRoutes);
 app.use("/api/host", hostRoutes);
 app.use("/api/rewards", rewardsRoutes);
 app.use("/api/tasks", tasksRoutes);
@@ -205,6 +244,9 @@ app.use("/api/social", socialRoutes);
 app.use("/api/invitation", invitationRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/support", supportRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/hashtags", hashtagRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Serve uploaded files statically
 app.use("/uploads", express.static("uploads"));
@@ -230,12 +272,17 @@ const gracefulShutdown = (signal) => {
 
     console.log("✅ Server closed successfully");
 
-    // Close database connection
-    const mongoose = require("mongoose");
-    mongoose.connection.close(false, () => {
-      console.log("✅ Database connection closed");
-      process.exit(0);
-    });
+    // Send held push bursts while the database is still connected
+    flushPendingPushes()
+      .catch((flushError) => console.error("❌ Error flushing pending pushes:", flushError))
+      .finally(() => {
+        // Close database connection
+        const mongoose = require("mongoose");
+        mongoose.connection.close(false, () => {
+          console.log("✅ Database connection closed");
+          process.exit(0);
+        });
+      });
   });
 
   // Force shutdown after 30 seconds
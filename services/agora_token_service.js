@@ -0,0 +1,210 @@
+const axios = require("axios");
+const { RtcTokenBuilder, RtcRole, RtmTokenBuilder } = require("agora-token");
+const AudioChatUser = require("../models/AudioChatUser");
+const { APIError } = require("../middleware/errorHandler");
+const { emitToUser } = require("../config/socket");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Agora Token Service
+ * Issues short-lived RTC/RTM tokens so only users the server allows can
+ * join (and publish into) a live, party or call channel.
+ *
+ * Lives:  host and users sitting in a party seat publish, unless the host
+ *         muted them; everyone else subscribes. Removed users get nothing.
+ * Calls:  the caller and invited participants publish.
+ *
+ * Agora can't invalidate an issued token, so revocation is a short TTL plus
+ * a kicking rule on the channel when REST credentials are configured.
+ */
+
+const AGORA_CONFIG = {
+  appId: process.env.AGORA_APP_ID,
+  appCertificate: process.env.AGORA_APP_CERTIFICATE,
+  tokenTtlSeconds: envNumber("AGORA_TOKEN_TTL_SECONDS", 900),
+  // RESTful API credentials, only needed for kicking removed users
+  customerId: process.env.AGORA_CUSTOMER_ID,
+  customerSecret: process.env.AGORA_CUSTOMER_SECRET,
+};
+
+const AGORA_API_URL = "https://api.sd-rtn.com/dev/v1";
+
+// Agora RTC uids are unsigned 32-bit integers (0 means "any uid")
+const MAX_UID = 4294967295;
+
+const isAgoraConfigured = () =>
+  Boolean(AGORA_CONFIG.appId && AGORA_CONFIG.appCertificate);
+
+/**
+ * Validate an RTC uid; tokens are always bound to a single uid
+ */
+function normalizeUid(uid) {
+  const value = Number(uid);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_UID) {
+    throw new APIError("A valid Agora uid is required", 400, "INVALID_AGORA_UID");
+  }
+  return value;
+}
+
+/**
+ * Build an RTC + RTM token pair for a channel
+ * @param {Object} params
+ * @param {string} params.channelName
+ * @param {number} params.uid - RTC uid the token is bound to
+ * @param {string} params.userId - RTM user id (our user id)
+ * @param {"publisher"|"subscriber"} params.role
+ */
+function buildTokens({ channelName, uid, userId, role }) {
+  if (!isAgoraConfigured()) {
+    throw new APIError("Agora is not configured", 500, "AGORA_NOT_CONFIGURED");
+  }
+
+  const rtcUid = normalizeUid(uid);
+  const ttl = AGORA_CONFIG.tokenTtlSeconds;
+
+  const rtcToken = RtcTokenBuilder.buildTokenWithUid(
+    AGORA_CONFIG.appId,
+    AGORA_CONFIG.appCertificate,
+    channelName,
+    rtcUid,
+    role === "publisher" ? RtcRole.PUBLISHER : RtcRole.SUBSCRIBER,
+    ttl,
+    ttl
+  );
+  const rtmToken = RtmTokenBuilder.buildToken(
+    AGORA_CONFIG.appId,
+    AGORA_CONFIG.appCertificate,
+    userId.toString(),
+    ttl
+  );
+
+  return {
+    appId: AGORA_CONFIG.appId,
+    channelName,
+    uid: rtcUid,
+    role,
+    rtcToken,
+    rtmToken,
+    expiresAt: new Date(Date.now() + ttl * 1000),
+  };
+}
+
+/**
+ * Work out what a user may do in a live's channel
+ * @returns {Promise<"publisher"|"subscriber">}
+ */
+async function resolveLiveRole(liveStream, userId) {
+  const id = userId.toString();
+
+  if (!liveStream.streaming) {
+    throw new APIError("Live stream has ended", 400, "LIVE_ENDED");
+  }
+  if (liveStream.removedUsersId.includes(id)) {
+    throw new APIError("You have been removed from this live stream", 403, "LIVE_REMOVED");
+  }
+  if (liveStream.authorId === id) {
+    return "publisher";
+  }
+  if (!liveStream.hasPrivateAccess(id)) {
+    throw new APIError("You don't have access to this private live", 403, "PRIVATE_LIVE_ACCESS_REQUIRED");
+  }
+  if (liveStream.mutedUsersId.includes(id)) {
+    return "subscriber";
+  }
+
+  const seat = await AudioChatUser.findOne({
+    liveStreamId: liveStream._id.toString(),
+    joinedUserId: id,
+    leftRoom: false,
+  }).select("usersMutedByHostAudio");
+
+  if (seat && !seat.usersMutedByHostAudio.includes(id)) {
+    return "publisher";
+  }
+  return "subscriber";
+}
+
+/**
+ * Issue tokens for a live or party channel
+ */
+async function issueLiveToken({ liveStream, userId, uid }) {
+  const role = await resolveLiveRole(liveStream, userId);
+  return buildTokens({
+    channelName: liveStream.streamingChannel,
+    uid,
+    userId,
+    role,
+  });
+}
+
+/**
+ * Issue tokens for a 1:1 or group call
+ * @param {Object} params.call - Call document
+ */
+function issueCallToken({ call, userId, uid }) {
+  if (!call.canJoin(userId)) {
+    throw new APIError("This call can no longer be joined", 403, "CALL_ACCESS_DENIED");
+  }
+
+  return buildTokens({ channelName: call.roomId, uid, userId, role: "publisher" });
+}
+
+/**
+ * Kick a uid out of a channel for as long as its current token could live
+ */
+async function kickFromChannel(channelName, uid) {
+  if (!AGORA_CONFIG.customerId || !AGORA_CONFIG.customerSecret) return false;
+
+  const credentials = Buffer.from(
+    `${AGORA_CONFIG.customerId}:${AGORA_CONFIG.customerSecret}`
+  ).toString("base64");
+
+  await axios.post(
+    `${AGORA_API_URL}/kicking-rule`,
+    {
+      appid: AGORA_CONFIG.appId,
+      cname: channelName,
+      uid,
+      time: Math.min(Math.ceil(AGORA_CONFIG.tokenTtlSeconds / 60), 1440),
+      privileges: ["join_channel"],
+    },
+    {
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        "Content-Type": "application/json",
+      },
+      timeout: 10000,
+    }
+  );
+  return true;
+}
+
+/**
+ * Revoke a user's access to a live channel
+ * Tells the user's clients to drop their tokens and, when possible, kicks
+ * the uid from the channel. Never throws; the removal itself already happened.
+ */
+async function revokeLiveToken({ liveStream, userId, uid, reason }) {
+  emitToUser(userId.toString(), "live:token:revoked", {
+    liveStreamId: liveStream._id.toString(),
+    channelName: liveStream.streamingChannel,
+    reason,
+  });
+
+  if (!uid || !isAgoraConfigured()) return;
+  try {
+    await kickFromChannel(liveStream.streamingChannel, normalizeUid(uid));
+  } catch (error) {
+    console.error("Agora kicking rule error:", error.response?.data || error.message);
+  }
+}
+
+module.exports = {
+  AGORA_CONFIG,
+  isAgoraConfigured,
+  buildTokens,
+  resolveLiveRole,
+  issueLiveToken,
+  issueCallToken,
+  revokeLiveToken,
+};
@@ -0,0 +1,439 @@
+const mongoose = require("mongoose");
+const Call = require("../models/Call");
+const Chat = require("../models/Chat");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const { APIError } = require("../middleware/errorHandler");
+const {
+  emitToUser,
+  emitNewMessage,
+  emitCallInvitation,
+  emitCallEnd,
+} = require("../config/socket");
+const { notifyMissedCall } = require("./notification_service");
+const { RELATIONSHIP_ACTIONS, filterPermitted } = require("./relationship_policy");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Call Service
+ * Persistent chat calls: ringing, answering, hanging up and the history
+ * record each call leaves behind.
+ *
+ * Unanswered calls become missed after the ring timeout. Timers run in
+ * process; expireStaleCalls() (run by cron) catches anything a timer missed,
+ * e.g. after a restart or when the call was created on another instance.
+ *
+ * Socket events (to user_${id} rooms):
+ *   call_invitation -> callees
+ *   call_answered / call_rejected -> caller
+ *   call_ended      -> everyone, with the final status
+ */
+
+const CALL_CONFIG = {
+  ringTimeoutSeconds: envNumber("CALL_RING_TIMEOUT_SECONDS", 45),
+  // Answered calls nobody hung up (e.g. both apps crashed) are closed after this
+  maxDurationSeconds: envNumber("CALL_MAX_DURATION_SECONDS", 4 * 60 * 60),
+};
+
+const FINISHED_STATUSES = ["missed", "rejected", "ended"];
+
+// callId -> ring timeout
+const ringTimers = new Map();
+
+function scheduleRingTimeout(call) {
+  const callId = call._id.toString();
+  clearRingTimeout(callId);
+  const timer = setTimeout(() => {
+    ringTimers.delete(callId);
+    finishCall(callId, { status: "missed", from: ["ringing"] }).catch((error) =>
+      console.error(`❌ Call ${callId} ring timeout error:`, error.message)
+    );
+  }, Math.max(0, call.ringExpiresAt.getTime() - Date.now()));
+  timer.unref?.();
+  ringTimers.set(callId, timer);
+}
+
+function clearRingTimeout(callId) {
+  const key = callId.toString();
+  const timer = ringTimers.get(key);
+  if (timer) {
+    clearTimeout(timer);
+    ringTimers.delete(key);
+  }
+}
+
+const displayNameOf = (user) =>
+  user?.displayName || user?.profile?.username || "User";
+
+/**
+ * Shape a call for API responses, from the point of view of userId
+ */
+function serializeCall(call, userId) {
+  const callerId = (call.caller._id || call.caller).toString();
+  return {
+    callId: call._id.toString(),
+    roomId: call.roomId,
+    chatId: call.chat.toString(),
+    type: call.type,
+    status: call.status,
+    direction: userId && callerId === userId.toString() ? "outgoing" : "incoming",
+    caller: call.caller,
+    participants: call.participants,
+    createdAt: call.createdAt,
+    answeredAt: call.answeredAt || null,
+    endedAt: call.endedAt || null,
+    duration: call.duration,
+  };
+}
+
+/**
+ * Start a call from a chat and ring the callees
+ * Callees who aren't chat members or whom the relationship policy won't let
+ * the caller ring (blocks, callWhoCan) are skipped; the call fails if nobody
+ * is left to ring.
+ * @returns {Promise<{call: Object, skippedParticipants: string[]}>}
+ */
+async function createCall({ caller, chatId, participantIds, type }) {
+  const chat = await Chat.findById(chatId);
+  if (!chat) {
+    throw new APIError("Chat not found", 404, "CHAT_NOT_FOUND");
+  }
+  if (!chat.isMember(caller._id)) {
+    throw new APIError("You are not a member of this chat", 403, "NOT_CHAT_MEMBER");
+  }
+
+  const callerId = caller._id.toString();
+  const requestedIds = [...new Set(participantIds.map(String))].filter(
+    (id) => id !== callerId && mongoose.isValidObjectId(id) && chat.isMember(id)
+  );
+  if (requestedIds.length === 0) {
+    throw new APIError("No one in this chat to call", 400, "NO_CALL_PARTICIPANTS");
+  }
+
+  const { allowed: allowedIds, denied } = await filterPermitted(
+    caller,
+    requestedIds,
+    RELATIONSHIP_ACTIONS.CALL
+  );
+  if (allowedIds.length === 0) {
+    // A single callee gets the policy's own error; a group gets a summary
+    if (denied.length === 1) {
+      throw new APIError(denied[0].message, denied[0].statusCode, denied[0].code);
+    }
+    throw new APIError("None of these users accept calls from you", 403, "CALL_NOT_ALLOWED");
+  }
+
+  const allowed = await User.find({ _id: { $in: allowedIds } }).select(
+    "displayName profile.username"
+  );
+
+  const callId = new mongoose.Types.ObjectId();
+  const call = await Call.create({
+    _id: callId,
+    chat: chat._id,
+    caller: caller._id,
+    participants: allowed.map((callee) => ({ user: callee._id })),
+    type,
+    roomId: `call_${callId}`,
+    ringExpiresAt: new Date(Date.now() + CALL_CONFIG.ringTimeoutSeconds * 1000),
+  });
+
+  scheduleRingTimeout(call);
+
+  const invitation = {
+    callId: callId.toString(),
+    roomId: call.roomId,
+    chatId: chat._id.toString(),
+    callerId,
+    callerName: displayNameOf(caller),
+    callerAvatar: caller.photoURL,
+    type,
+    participants: allowed.map((callee) => callee._id.toString()),
+    participantUsers: allowed.map((callee) => ({
+      id: callee._id.toString(),
+      name: displayNameOf(callee),
+    })),
+    status: call.status,
+    createdAt: call.createdAt,
+    ringExpiresAt: call.ringExpiresAt,
+  };
+  allowed.forEach((callee) => emitCallInvitation(callee._id.toString(), invitation));
+
+  return {
+    call,
+    skippedParticipants: denied.map((d) => d.userId),
+  };
+}
+
+/**
+ * Load a call the user takes part in
+ */
+async function getCallForUser(callId, userId) {
+  const call = mongoose.isValidObjectId(callId) ? await Call.findById(callId) : null;
+  if (!call) {
+    throw new APIError("Call not found", 404, "CALL_NOT_FOUND");
+  }
+  if (!call.isParticipant(userId)) {
+    throw new APIError("You are not a participant in this call", 403, "CALL_ACCESS_DENIED");
+  }
+  return call;
+}
+
+/**
+ * Join (answer) a call. The first callee to join stops the ringing.
+ */
+async function joinCall({ callId, user }) {
+  const call = await getCallForUser(callId, user._id);
+  const userId = user._id.toString();
+
+  if (!call.canJoin(userId)) {
+    throw new APIError("This call can no longer be joined", 400, "CALL_NOT_JOINABLE");
+  }
+  if (call.caller.toString() === userId) {
+    return call;
+  }
+
+  const now = new Date();
+  const joined = await Call.findOneAndUpdate(
+    {
+      _id: call._id,
+      status: { $in: Call.OPEN_STATUSES },
+      participants: { $elemMatch: { user: user._id, status: { $ne: "rejected" } } },
+    },
+    { $set: { "participants.$.status": "joined", "participants.$.joinedAt": now } },
+    { new: true }
+  );
+  if (!joined) {
+    throw new APIError("This call can no longer be joined", 400, "CALL_NOT_JOINABLE");
+  }
+
+  const answered = await Call.findOneAndUpdate(
+    { _id: call._id, status: "ringing" },
+    { $set: { status: "answered", answeredAt: now } },
+    { new: true }
+  );
+  if (answered) {
+    clearRingTimeout(call._id);
+  }
+
+  emitToUser(call.caller.toString(), "call_answered", {
+    callId: call._id.toString(),
+    userId,
+    answeredAt: now,
+  });
+
+  return answered || joined;
+}
+
+/**
+ * Decline a ringing call. The call ends as rejected once every callee
+ * has declined.
+ */
+async function rejectCall({ callId, user }) {
+  const call = await getCallForUser(callId, user._id);
+
+  const updated = await Call.findOneAndUpdate(
+    {
+      _id: call._id,
+      status: "ringing",
+      participants: { $elemMatch: { user: user._id, status: "invited" } },
+    },
+    { $set: { "participants.$.status": "rejected", "participants.$.respondedAt": new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new APIError("This call is no longer ringing", 400, "CALL_NOT_RINGING");
+  }
+
+  emitToUser(call.caller.toString(), "call_rejected", {
+    callId: call._id.toString(),
+    userId: user._id.toString(),
+  });
+
+  if (updated.participants.every((p) => p.status === "rejected")) {
+    return (
+      (await finishCall(call._id, {
+        status: "rejected",
+        from: ["ringing"],
+        endedBy: user._id,
+      })) || updated
+    );
+  }
+  return updated;
+}
+
+/**
+ * Hang up. The caller hanging up a ringing call makes it missed; a callee
+ * hanging up while it rings declines it.
+ */
+async function endCall({ callId, user }) {
+  const call = await getCallForUser(callId, user._id);
+
+  if (FINISHED_STATUSES.includes(call.status)) {
+    throw new APIError("Call has already ended", 400, "CALL_ENDED");
+  }
+
+  const isCaller = call.caller.toString() === user._id.toString();
+  if (call.status === "ringing" && !isCaller) {
+    return rejectCall({ callId, user });
+  }
+
+  const finished =
+    (await finishCall(call._id, { status: "missed", from: ["ringing"], endedBy: user._id })) ||
+    (await finishCall(call._id, { status: "ended", from: ["answered"], endedBy: user._id }));
+  if (!finished) {
+    throw new APIError("Call has already ended", 400, "CALL_ENDED");
+  }
+  return finished;
+}
+
+/**
+ * Write the call's outcome into its chat as a system message
+ */
+async function writeCallMessage(call) {
+  const [chat, caller] = await Promise.all([
+    Chat.findById(call.chat),
+    User.findById(call.caller).select("firebaseUid displayName photoURL profile.username"),
+  ]);
+  if (!chat || !caller) return null;
+
+  const label = call.type === "video" ? "Video call" : "Voice call";
+  const minutes = Math.floor(call.duration / 60);
+  const seconds = String(call.duration % 60).padStart(2, "0");
+  const content = {
+    ended: `${label} (${minutes}:${seconds})`,
+    missed: `Missed ${label.toLowerCase()}`,
+    rejected: `Declined ${label.toLowerCase()}`,
+  }[call.status];
+
+  const message = await Message.create({
+    chatId: chat._id,
+    senderId: caller._id,
+    senderFirebaseUid: caller.firebaseUid,
+    senderName: displayNameOf(caller),
+    senderAvatar: caller.photoURL || null,
+    type: "system",
+    content,
+    systemData: {
+      event: "call",
+      callId: call._id.toString(),
+      callType: call.type,
+      status: call.status,
+      duration: call.duration,
+    },
+  });
+
+  await chat.updateLastMessage(message);
+  emitNewMessage(message);
+  return message;
+}
+
+/**
+ * Move an open call to its final status (no-op if it already moved on)
+ * Writes the chat message, tells everyone the call ended and notifies
+ * callees who missed it.
+ * @returns {Promise<Object|null>} the finished call, or null if it wasn't in `from`
+ */
+async function finishCall(callId, { status, from, endedBy = null }) {
+  const now = new Date();
+  let call = await Call.findOneAndUpdate(
+    { _id: callId, status: { $in: from } },
+    { $set: { status, endedAt: now, endedBy } },
+    { new: true }
+  );
+  if (!call) return null;
+
+  clearRingTimeout(call._id);
+
+  if (call.answeredAt) {
+    const duration = Math.max(0, Math.round((now - call.answeredAt) / 1000));
+    call = await Call.findByIdAndUpdate(call._id, { $set: { duration } }, { new: true });
+  }
+
+  try {
+    await writeCallMessage(call);
+  } catch (error) {
+    console.error(`Call ${call._id} chat message error:`, error.message);
+  }
+
+  const callerId = call.caller.toString();
+  const payload = {
+    callId: call._id.toString(),
+    status: call.status,
+    endedAt: call.endedAt,
+    endedBy: endedBy ? endedBy.toString() : null,
+    duration: call.duration,
+  };
+  [callerId, ...call.participants.map((p) => p.user.toString())].forEach((userId) =>
+    emitCallEnd(userId, payload)
+  );
+
+  if (call.status === "missed") {
+    const caller = await User.findById(callerId).select("displayName profile.username");
+    await Promise.all(
+      call.participants
+        .filter((p) => p.status === "invited")
+        .map((p) =>
+          notifyMissedCall({
+            recipientId: p.user,
+            callerId,
+            callerName: displayNameOf(caller),
+            callId: call._id.toString(),
+            chatId: call.chat.toString(),
+            callType: call.type,
+          })
+        )
+    );
+  }
+
+  return call;
+}
+
+/**
+ * Close calls whose timers were missed: ringing past the timeout become
+ * missed, answered calls past the max duration are ended.
+ * @returns {Promise<{missed: number, ended: number}>}
+ */
+async function expireStaleCalls() {
+  const now = new Date();
+  const [ringing, stale] = await Promise.all([
+    Call.find({ status: "ringing", ringExpiresAt: { $lte: now } }).select("_id").limit(200),
+    Call.find({
+      status: "answered",
+      answeredAt: { $lte: new Date(now.getTime() - CALL_CONFIG.maxDurationSeconds * 1000) },
+    })
+      .select("_id")
+      .limit(200),
+  ]);
+
+  let missed = 0;
+  let ended = 0;
+  for (const { _id } of ringing) {
+    try {
+      if (await finishCall(_id, { status: "missed", from: ["ringing"] })) missed++;
+    } catch (error) {
+      console.error(`❌ Failed to expire call ${_id}:`, error.message);
+    }
+  }
+  for (const { _id } of stale) {
+    try {
+      if (await finishCall(_id, { status: "ended", from: ["answered"] })) ended++;
+    } catch (error) {
+      console.error(`❌ Failed to close call ${_id}:`, error.message);
+    }
+  }
+
+  return { missed, ended };
+}
+
+module.exports = {
+  CALL_CONFIG,
+  serializeCall,
+  createCall,
+  getCallForUser,
+  joinCall,
+  rejectCall,
+  endCall,
+  finishCall,
+  expireStaleCalls,
+};
@@ -0,0 +1,71 @@
+const { EventEmitter } = require("events");
+
+/**
+ * App Event Bus
+ * In-process pub/sub for things users do in the app. Routes and services
+ * emit events; background consumers (e.g. the task engine) subscribe.
+ *
+ * Event names match Task.requirement.action values. Every payload carries
+ * `userId` and `count` (how much the action counts for, default 1), plus
+ * event-specific attributes that task conditions can match on.
+ */
+
+const APP_EVENTS = {
+  POST_CREATED: "post_create", // { postId, type }
+  COMMENT_CREATED: "comment_create", // { commentId, postId, isReply }
+  GIFT_SENT: "gift_send", // { giftId, receiverId, coins, context, contextId }
+  LIVE_MINUTES_STREAMED: "live_minutes", // { liveStreamId, liveType }
+  PARTY_SEAT_JOINED: "party_seat_join", // { liveStreamId, seatIndex, liveType }
+  STORY_POSTED: "story_create", // { storyId, type }
+};
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+/**
+ * Emit an app event
+ * Listeners run after the caller's current work, so a slow or failing
+ * consumer never affects the request that emitted the event.
+ * @param {string} event - One of APP_EVENTS
+ * @param {Object} payload - Must include userId
+ */
+function emitAppEvent(event, payload) {
+  if (!payload?.userId) {
+    console.warn(`[EventBus] ${event} emitted without userId`);
+    return;
+  }
+
+  const eventPayload = {
+    count: 1,
+    ...payload,
+    userId: payload.userId.toString(),
+    event,
+    occurredAt: new Date(),
+  };
+
+  setImmediate(() => bus.emit(event, eventPayload));
+}
+
+/**
+ * Subscribe to an app event
+ * Handler errors are logged, never thrown.
+ * @returns {Function} Unsubscribe function
+ */
+function onAppEvent(event, handler) {
+  const listener = async (payload) => {
+    try {
+      await handler(payload);
+    } catch (error) {
+      console.error(`[EventBus] ${event} handler error:`, error.message);
+    }
+  };
+
+  bus.on(event, listener);
+  return () => bus.off(event, listener);
+}
+
+module.exports = {
+  APP_EVENTS,
+  emitAppEvent,
+  onAppEvent,
+};
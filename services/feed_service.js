@@ -0,0 +1,329 @@
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const User = require("../models/User");
+const Comment = require("../models/Comment");
+const Hashtag = require("../models/Hashtag");
+const ProfileVisit = require("../models/ProfileVisit");
+const { APIError } = require("../middleware/errorHandler");
+const { normalizeTag } = require("./hashtag_service");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Feed Service
+ * Builds the ranked "For You" feed.
+ *
+ * 1. Candidates: recent posts the viewer may see, pulled from several
+ *    sources (followed users, close friends, trending tags, interests and
+ *    popular posts as a fallback for new accounts).
+ * 2. Scoring: source weight, the viewer's affinity for the author and tags
+ *    (likes, comments, profile visits) and engagement velocity, all decayed
+ *    by post age.
+ * 3. Diversity: the same author never appears twice within a few slots.
+ *
+ * The ranked list is cached per user for FEED_CACHE_TTL_SECONDS and paged
+ * with a cursor tied to that ranking. The cache is in memory, so it is per
+ * server instance; a cursor from an expired ranking starts a fresh one.
+ */
+
+const FEED_CONFIG = {
+  candidateWindowDays: envNumber("FEED_CANDIDATE_WINDOW_DAYS", 7),
+  perSourceLimit: 200,
+  interactionWindowDays: 30,
+  // Hours for a post's recency weight to halve
+  halfLifeHours: envNumber("FEED_HALF_LIFE_HOURS", 18),
+  // An author appears at most once in any run of this many posts
+  diversityWindow: 4,
+  cacheTtlMs: envNumber("FEED_CACHE_TTL_SECONDS", 600) * 1000,
+  cacheMaxUsers: envNumber("FEED_CACHE_MAX_USERS", 2000),
+};
+
+const SOURCE_WEIGHTS = {
+  closeFriends: 3,
+  following: 2,
+  interests: 1.2,
+  trending: 1,
+  popular: 0.5,
+};
+
+const ENGAGEMENT_WEIGHTS = { likes: 1, comments: 3, shares: 4, views: 0.05 };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// userId -> { generatedAt, expiresAt, postIds }
+const rankingCache = new Map();
+
+/**
+ * Encode/decode the opaque pagination cursor
+ */
+const encodeCursor = (generatedAt, offset) =>
+  Buffer.from(JSON.stringify({ g: generatedAt, o: offset })).toString("base64url");
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const { g, o } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!Number.isInteger(g) || !Number.isInteger(o) || o < 0) throw new Error();
+    return { generatedAt: g, offset: o };
+  } catch (error) {
+    throw new APIError("Invalid cursor", 400, "INVALID_CURSOR");
+  }
+}
+
+/**
+ * Posts the viewer may see (same rules as the chronological feed)
+ */
+async function visibilityFilter(viewer) {
+  const blockedBy = await User.find({ blockedUsers: viewer._id }).distinct("_id");
+  return {
+    isActive: true,
+    deletedAt: null,
+    moderationStatus: "approved",
+    userId: { $nin: [...(viewer.blockedUsers || []), ...blockedBy], $ne: viewer._id },
+    _id: { $nin: viewer.hiddenPosts || [] },
+    $or: [{ isPublic: true }, { isPublic: false, userId: { $in: viewer.following || [] } }],
+  };
+}
+
+/**
+ * What the viewer engaged with lately: authors and tags, weighted by
+ * how often
+ * @returns {Promise<{authors: Map<string, number>, tags: Map<string, number>}>}
+ */
+async function getViewerAffinity(viewer) {
+  const since = new Date(Date.now() - FEED_CONFIG.interactionWindowDays * 24 * HOUR_MS);
+  const [liked, comments, visits] = await Promise.all([
+    Post.find({ likedBy: viewer._id, createdAt: { $gte: since } })
+      .select("userId tags")
+      .limit(200)
+      .lean(),
+    Comment.find({ userId: viewer._id, createdAt: { $gte: since } })
+      .select("postId")
+      .limit(200)
+      .lean(),
+    ProfileVisit.find({ visitor: viewer._id, lastVisitAt: { $gte: since } })
+      .select("visited visitCount")
+      .limit(100)
+      .lean(),
+  ]);
+  const commented = comments.length
+    ? await Post.find({ _id: { $in: comments.map((c) => c.postId) } })
+        .select("userId tags")
+        .lean()
+    : [];
+
+  const authors = new Map();
+  const tags = new Map();
+  const add = (map, key, amount) => map.set(key, (map.get(key) || 0) + amount);
+
+  liked.forEach((post) => {
+    add(authors, post.userId.toString(), 1);
+    (post.tags || []).forEach((tag) => add(tags, tag, 1));
+  });
+  commented.forEach((post) => {
+    add(authors, post.userId.toString(), 2);
+    (post.tags || []).forEach((tag) => add(tags, tag, 1));
+  });
+  visits.forEach((visit) => add(authors, visit.visited.toString(), Math.min(visit.visitCount, 5) * 0.5));
+
+  return { authors, tags };
+}
+
+/**
+ * Gather candidate posts, remembering which sources surfaced each one
+ */
+async function getCandidates(viewer, affinity) {
+  const base = {
+    ...(await visibilityFilter(viewer)),
+    createdAt: { $gte: new Date(Date.now() - FEED_CONFIG.candidateWindowDays * 24 * HOUR_MS) },
+  };
+  const fields = "userId tags likes comments shares views createdAt";
+  const fetch = (filter, sort = { createdAt: -1 }) =>
+    Post.find({ ...base, ...filter })
+      .select(fields)
+      .sort(sort)
+      .limit(FEED_CONFIG.perSourceLimit)
+      .lean();
+
+  const interestTags = [
+    ...new Set([
+      ...(viewer.profile?.interests || []).map(normalizeTag).filter(Boolean),
+      ...[...affinity.tags.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 20)
+        .map(([tag]) => tag),
+    ]),
+  ];
+  const trendingTags = (await Hashtag.getTrending(20)).map((hashtag) => hashtag.tag);
+
+  const closeFriends = viewer.closeFriends || [];
+  const following = viewer.following || [];
+
+  const sources = {
+    closeFriends: closeFriends.length ? fetch({ userId: { ...base.userId, $in: closeFriends } }) : [],
+    following: following.length ? fetch({ userId: { ...base.userId, $in: following } }) : [],
+    interests: interestTags.length ? fetch({ tags: { $in: interestTags } }) : [],
+    trending: trendingTags.length ? fetch({ tags: { $in: trendingTags } }) : [],
+    popular: fetch({ isPublic: true }, { likes: -1, createdAt: -1 }),
+  };
+
+  const names = Object.keys(sources);
+  const results = await Promise.all(names.map((name) => sources[name]));
+
+  const candidates = new Map();
+  results.forEach((posts, index) => {
+    posts.forEach((post) => {
+      const id = post._id.toString();
+      const candidate = candidates.get(id) || { ...post, sources: [] };
+      candidate.sources.push(names[index]);
+      candidates.set(id, candidate);
+    });
+  });
+  return [...candidates.values()];
+}
+
+/**
+ * Score one candidate
+ */
+function scoreCandidate(post, affinity, now) {
+  const ageHours = Math.max((now - post.createdAt) / HOUR_MS, 0);
+  const recency = Math.pow(0.5, ageHours / FEED_CONFIG.halfLifeHours);
+
+  const engagement = Object.entries(ENGAGEMENT_WEIGHTS).reduce(
+    (sum, [field, weight]) => sum + (post[field] || 0) * weight,
+    0
+  );
+  const velocity = engagement / Math.pow(ageHours + 2, 1.2);
+
+  const sourceWeight = Math.max(...post.sources.map((source) => SOURCE_WEIGHTS[source]));
+  const authorAffinity = Math.log1p(affinity.authors.get(post.userId.toString()) || 0);
+  const tagAffinity = Math.log1p(
+    (post.tags || []).reduce((sum, tag) => sum + (affinity.tags.get(tag) || 0), 0)
+  );
+
+  return (
+    (sourceWeight + authorAffinity * 1.5 + tagAffinity * 0.5 + Math.log1p(velocity)) * recency
+  );
+}
+
+/**
+ * Reorder so an author appears at most once per diversity window,
+ * keeping the score order otherwise
+ */
+function diversify(ranked) {
+  const queue = [...ranked];
+  const result = [];
+
+  while (queue.length) {
+    const recentAuthors = result
+      .slice(-(FEED_CONFIG.diversityWindow - 1))
+      .map((post) => post.userId.toString());
+    let index = queue.findIndex((post) => !recentAuthors.includes(post.userId.toString()));
+    // Only one author left: let them through
+    if (index === -1) index = 0;
+    result.push(queue.splice(index, 1)[0]);
+  }
+  return result;
+}
+
+/**
+ * Rank a fresh feed for the viewer and cache it
+ */
+async function buildRanking(viewer) {
+  const affinity = await getViewerAffinity(viewer);
+  const candidates = await getCandidates(viewer, affinity);
+  const now = Date.now();
+
+  const ranked = candidates
+    .map((post) => ({ ...post, score: scoreCandidate(post, affinity, now) }))
+    .sort((a, b) => b.score - a.score);
+
+  const ranking = {
+    generatedAt: now,
+    expiresAt: now + FEED_CONFIG.cacheTtlMs,
+    postIds: diversify(ranked).map((post) => post._id.toString()),
+  };
+
+  const userId = viewer._id.toString();
+  rankingCache.delete(userId);
+  // Maps keep insertion order, so the first key is the oldest entry
+  if (rankingCache.size >= FEED_CONFIG.cacheMaxUsers) {
+    rankingCache.delete(rankingCache.keys().next().value);
+  }
+  rankingCache.set(userId, ranking);
+  return ranking;
+}
+
+/**
+ * Get one page of the ranked feed
+ * @param {Object} params
+ * @param {Object} params.viewer - User document
+ * @param {string} [params.cursor] - nextCursor from the previous page
+ * @param {number} [params.limit]
+ * @param {boolean} [params.refresh] - Rank again even if a cached ranking exists
+ * @returns {Promise<{postIds: string[], nextCursor: string|null, refreshed: boolean}>}
+ *   refreshed is true when the cursor's ranking had expired and the page
+ *   starts a new ranking
+ */
+async function getRankedFeedPage({ viewer, cursor, limit = 20, refresh = false }) {
+  const position = decodeCursor(cursor);
+  const userId = viewer._id.toString();
+
+  let ranking = rankingCache.get(userId);
+  const reusable = ranking && ranking.expiresAt > Date.now() && !refresh;
+  let offset = 0;
+  let refreshed = false;
+
+  if (position) {
+    if (reusable && position.generatedAt === ranking.generatedAt) {
+      offset = position.offset;
+    } else {
+      ranking = await buildRanking(viewer);
+      refreshed = true;
+    }
+  } else if (!reusable) {
+    ranking = await buildRanking(viewer);
+  }
+
+  const postIds = ranking.postIds.slice(offset, offset + limit);
+  const nextOffset = offset + postIds.length;
+
+  return {
+    postIds,
+    nextCursor:
+      nextOffset < ranking.postIds.length ? encodeCursor(ranking.generatedAt, nextOffset) : null,
+    refreshed,
+  };
+}
+
+/**
+ * Load a page of posts in ranked order, dropping any deleted since ranking
+ */
+async function hydratePosts(postIds) {
+  const posts = await Post.find({
+    _id: { $in: postIds.map((id) => new mongoose.Types.ObjectId(id)) },
+    isActive: true,
+    deletedAt: null,
+  })
+    .populate(
+      "userId",
+      "displayName photoURL gamification.isMVP profile.username profile.firstName profile.lastName"
+    )
+    .lean();
+
+  const byId = new Map(posts.map((post) => [post._id.toString(), post]));
+  return postIds.map((id) => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * Drop a user's cached ranking (e.g. after they follow or block someone)
+ */
+function invalidateFeed(userId) {
+  rankingCache.delete(userId.toString());
+}
+
+module.exports = {
+  FEED_CONFIG,
+  getRankedFeedPage,
+  hydratePosts,
+  invalidateFeed,
+};
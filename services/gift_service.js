@@ -0,0 +1,259 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Agency = require("../models/Agency");
+const AgencyMember = require("../models/AgencyMember");
+const GiftSent = require("../models/GiftSent");
+const GiftSender = require("../models/GiftSender");
+const LiveStream = require("../models/LiveStream");
+const Ranking = require("../models/Ranking");
+const walletService = require("./wallet_service");
+const { APP_EVENTS, emitAppEvent } = require("./event_bus");
+const { recordGiftScore } = require("./pk_battle_service");
+const { RELATIONSHIP_ACTIONS, assertPermission } = require("./relationship_policy");
+const { APIError } = require("../middleware/errorHandler");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Gift Service
+ * Settles a gift: debits the sender's coins and pays the receiver (and their
+ * agency) in diamonds, with one ledger entry per party.
+ *
+ * Split of a gift worth N coins:
+ *   grossDiamonds = N * GIFT_COIN_TO_DIAMOND_RATE
+ *   platform      = GIFT_PLATFORM_SHARE_PERCENT of grossDiamonds (not credited)
+ *   agency        = Agency.commissionRate of the remaining host share
+ *   host          = the rest
+ */
+
+const GIFT_REVENUE_SPLIT = {
+  coinToDiamondRate: envNumber("GIFT_COIN_TO_DIAMOND_RATE", 1),
+  platformSharePercent: envNumber("GIFT_PLATFORM_SHARE_PERCENT", 50),
+};
+
+/**
+ * Work out how a gift's value is divided
+ * @param {number} totalCost - Coins spent by the sender
+ * @param {number} agencyCommissionRate - Receiver's agency commission (percent), 0 if none
+ * @returns {{grossDiamonds: number, platformDiamonds: number, hostDiamonds: number, agencyDiamonds: number}}
+ */
+function calculateGiftSplit(totalCost, agencyCommissionRate = 0) {
+  const grossDiamonds = Math.floor(totalCost * GIFT_REVENUE_SPLIT.coinToDiamondRate);
+  const platformDiamonds = Math.floor(
+    (grossDiamonds * GIFT_REVENUE_SPLIT.platformSharePercent) / 100
+  );
+  const hostShare = grossDiamonds - platformDiamonds;
+  const agencyDiamonds = Math.floor((hostShare * agencyCommissionRate) / 100);
+
+  return {
+    grossDiamonds,
+    platformDiamonds,
+    hostDiamonds: hostShare - agencyDiamonds,
+    agencyDiamonds,
+  };
+}
+
+/**
+ * Get the active agency a receiver belongs to (null if none, or if they own it)
+ */
+async function getReceiverAgency(receiver) {
+  const agencyId = receiver.agency?.agencyId;
+  if (!agencyId) return null;
+
+  const agency = await Agency.findOne({ _id: agencyId, status: "active" });
+  if (!agency || agency.owner.toString() === receiver._id.toString()) {
+    return null;
+  }
+  return agency;
+}
+
+/**
+ * Send a gift and settle it
+ * Throws InsufficientFundsError (from the wallet service) if the sender
+ * can't afford it; nothing is recorded in that case.
+ * @param {Object} params
+ * @param {Object} params.sender - Sender user document
+ * @param {Object} params.receiver - Receiver user document
+ * @param {Object} params.gift - Gift document
+ * @param {number} params.quantity
+ * @param {string} params.context - 'live' | 'profile' | 'chat' | 'post'
+ * @param {string} params.contextId - Live stream id when context is 'live'
+ * @param {Object} params.payment - Optional payment block for the sender's ledger entry
+ * @param {Object} params.metadata - Extra metadata for the sender's ledger entry
+ */
+async function sendGift({
+  sender,
+  receiver,
+  gift,
+  quantity = 1,
+  context = "live",
+  contextId,
+  payment,
+  metadata = {},
+  ipAddress,
+  userAgent,
+}) {
+  if (sender._id.toString() === receiver._id.toString()) {
+    throw new APIError("You cannot send a gift to yourself", 400, "CANNOT_GIFT_SELF");
+  }
+  await assertPermission(sender, receiver._id, RELATIONSHIP_ACTIONS.GIFT);
+
+  const totalCost = gift.coins * quantity;
+  const agency = await getReceiverAgency(receiver);
+  const split = calculateGiftSplit(totalCost, agency?.commissionRate || 0);
+
+  const senderName = sender.displayName || sender.profile?.username || "Someone";
+  const receiverName = receiver.displayName || receiver.profile?.username || "user";
+  const giftMetadata = {
+    giftId: gift.giftId,
+    giftName: gift.name,
+    quantity,
+    context,
+    contextId,
+  };
+
+  const creditEntries = [
+    {
+      userId: receiver._id,
+      type: "gift_received",
+      currency: "diamonds",
+      amount: split.hostDiamonds,
+      relatedUserId: sender._id,
+      relatedEntityType: "gift",
+      relatedEntityId: gift._id,
+      description: `Received ${quantity}x ${gift.name} from ${senderName}`,
+      metadata: { ...giftMetadata, senderId: sender._id, coins: totalCost, split },
+    },
+  ];
+
+  if (agency) {
+    creditEntries.push({
+      userId: agency.owner,
+      type: "agency_commission",
+      currency: "diamonds",
+      amount: split.agencyDiamonds,
+      relatedUserId: receiver._id,
+      relatedEntityType: "gift",
+      relatedEntityId: gift._id,
+      description: `${agency.commissionRate}% commission on ${quantity}x ${gift.name} to ${receiverName}`,
+      metadata: {
+        ...giftMetadata,
+        agencyId: agency._id,
+        hostId: receiver._id,
+        commissionRate: agency.commissionRate,
+      },
+    });
+  }
+
+  const { debitTransaction, creditTransactions } = await walletService.transfer(
+    {
+      userId: sender._id,
+      type: "gift_sent",
+      currency: "coins",
+      amount: totalCost,
+      relatedUserId: receiver._id,
+      relatedEntityType: "gift",
+      relatedEntityId: gift._id,
+      description: `Sent ${quantity}x ${gift.name} to ${receiverName}`,
+      payment,
+      metadata: { ...giftMetadata, ...metadata, receiverId: receiver._id, split },
+      ipAddress,
+      userAgent,
+    },
+    creditEntries
+  );
+
+  const receiverTransaction =
+    creditTransactions.find((t) => t.type === "gift_received") || null;
+
+  // Create gift sent records (one for each quantity). The ledger already
+  // holds the transfer, so a failure here is logged, not surfaced
+  const isLive = context === "live" && mongoose.isValidObjectId(contextId);
+  let giftsSent = [];
+  try {
+    giftsSent = await GiftSent.insertMany(
+      Array.from({ length: quantity }, () => ({
+        author: sender._id,
+        authorId: sender._id.toString(),
+        receiver: receiver._id,
+        receiverId: receiver._id.toString(),
+        gift: gift._id,
+        giftId: gift.giftId,
+        diamondsQuantity: gift.coins,
+        context,
+        liveStream: isLive ? contextId : undefined,
+        liveStreamId: contextId,
+      }))
+    );
+  } catch (recordError) {
+    console.error(`Error recording gifts sent for transaction ${debitTransaction._id}:`, recordError);
+  }
+
+  // Counters below are derived stats; a failure must not fail a settled gift
+  try {
+    // Rankings (Rich & Host)
+    await User.updateOne({ _id: sender._id }, { $inc: { "gamification.creditsSent": totalCost } });
+    await User.updateOne({ _id: receiver._id }, { $inc: { "gamification.giftsReceived": totalCost } });
+    await Ranking.addScore(sender._id, "rich", totalCost);
+    await Ranking.addScore(receiver._id, "host", split.grossDiamonds);
+
+    if (agency) {
+      await Agency.updateOne(
+        { _id: agency._id },
+        { $inc: { totalEarnings: split.hostDiamonds, totalCommission: split.agencyDiamonds } }
+      );
+      await AgencyMember.updateOne(
+        { user: receiver._id, agency: agency._id },
+        { $inc: { hostEarnings: split.hostDiamonds } }
+      );
+    }
+
+    if (isLive) {
+      await LiveStream.updateOne(
+        { _id: contextId },
+        { $inc: { streamingDiamonds: split.grossDiamonds } }
+      );
+
+      const giftSender = await GiftSender.getOrCreate(
+        sender._id.toString(),
+        senderName,
+        receiver._id.toString(),
+        contextId
+      );
+      await GiftSender.updateOne(
+        { _id: giftSender._id },
+        { $inc: { diamonds: split.grossDiamonds } }
+      );
+
+      // Counts toward the receiver's side if they are the host of a live
+      // in a PK battle
+      await recordGiftScore(contextId, receiver._id, totalCost);
+    }
+  } catch (statsError) {
+    console.error("Error updating gift stats:", statsError);
+  }
+
+  emitAppEvent(APP_EVENTS.GIFT_SENT, {
+    userId: sender._id,
+    count: quantity,
+    giftId: gift.giftId,
+    receiverId: receiver._id.toString(),
+    coins: totalCost,
+    context,
+    contextId,
+  });
+
+  return {
+    totalCost,
+    split,
+    giftsSent,
+    debitTransaction,
+    receiverTransaction,
+  };
+}
+
+module.exports = {
+  GIFT_REVENUE_SPLIT,
+  calculateGiftSplit,
+  getReceiverAgency,
+  sendGift,
+};
@@ -0,0 +1,289 @@
+const Hashtag = require("../models/Hashtag");
+const Post = require("../models/Post");
+const User = require("../models/User");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Hashtag Service
+ * Extracts hashtags from posts, stories and lives, keeps per-tag usage
+ * counters and computes the trending list.
+ *
+ * Every use of a tag is added to the tag's current hourly bucket. The
+ * trending job compares the last few hours against the rest of the week
+ * (velocity), so a tag trends by suddenly being used more than usual, not
+ * by being popular all the time.
+ */
+
+const HASHTAG_CONFIG = {
+  maxTagsPerItem: 30,
+  // Hourly buckets kept per tag (the longest window)
+  bucketHours: 168,
+  // Recent window scored against the rest of the week
+  trendingWindowHours: envNumber("HASHTAG_TRENDING_WINDOW_HOURS", 6),
+  minRecentUses: envNumber("HASHTAG_TRENDING_MIN_USES", 3),
+  trendingSize: envNumber("HASHTAG_TRENDING_SIZE", 50),
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const TAG_PATTERN = /^[\p{L}\p{N}_]{1,30}$/u;
+const HASHTAG_IN_TEXT = /#([\p{L}\p{N}_]{1,30})/gu;
+
+const startOfHour = (date) => new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+
+/**
+ * Normalize a tag: no leading "#", lowercase
+ * @returns {string|null} null when the tag isn't valid
+ */
+function normalizeTag(raw) {
+  if (typeof raw !== "string") return null;
+  const tag = raw.trim().replace(/^#+/, "").toLowerCase();
+  return TAG_PATTERN.test(tag) ? tag : null;
+}
+
+/**
+ * Hashtags written in free text ("great day #Beach #sun" -> ["beach", "sun"])
+ */
+function extractHashtags(text) {
+  if (!text) return [];
+  return [...text.matchAll(HASHTAG_IN_TEXT)].map((match) => match[1].toLowerCase());
+}
+
+/**
+ * Merge explicit tags with tags written in text fields
+ * @param {Object} params
+ * @param {string[]} [params.tags] - Tags the client sent
+ * @param {string[]} [params.texts] - Captions, titles, content...
+ * @returns {string[]} Unique normalized tags
+ */
+function collectTags({ tags = [], texts = [] }) {
+  const all = [
+    ...(Array.isArray(tags) ? tags : []).map(normalizeTag),
+    ...texts.flatMap(extractHashtags),
+  ].filter(Boolean);
+  return [...new Set(all)].slice(0, HASHTAG_CONFIG.maxTagsPerItem);
+}
+
+/**
+ * Add uses to a tag's current hourly bucket
+ */
+async function addToBucket(tag, hour, count) {
+  const increment = () =>
+    Hashtag.updateOne({ tag, "buckets.hour": hour }, { $inc: { "buckets.$.count": count } });
+
+  if ((await increment()).matchedCount) return;
+
+  const pushed = await Hashtag.updateOne(
+    { tag, "buckets.hour": { $ne: hour } },
+    { $push: { buckets: { $each: [{ hour, count }], $slice: -HASHTAG_CONFIG.bucketHours } } }
+  );
+  // Another request opened the bucket first
+  if (!pushed.matchedCount) await increment();
+}
+
+/**
+ * Count one use of each tag
+ * @param {string[]} tags - Normalized tags
+ * @param {"posts"|"stories"|"lives"} source
+ * @returns {Promise<Array>} The hashtag documents
+ */
+async function recordUsage(tags, source) {
+  if (!Hashtag.HASHTAG_SOURCES.includes(source)) {
+    throw new Error(`Unknown hashtag source: ${source}`);
+  }
+  const now = new Date();
+  const hour = startOfHour(now);
+
+  const upsert = (tag) =>
+    Hashtag.findOneAndUpdate(
+      { tag },
+      { $inc: { [`counts.${source}`]: 1, totalUses: 1 }, $set: { lastUsedAt: now } },
+      { upsert: true, new: true, setDefaultsOnInsert: true, projection: { buckets: 0 } }
+    );
+
+  return Promise.all(
+    tags.map(async (tag) => {
+      let hashtag;
+      try {
+        hashtag = await upsert(tag);
+      } catch (error) {
+        // Two requests created the same new tag at once
+        if (error.code !== 11000) throw error;
+        hashtag = await upsert(tag);
+      }
+      await addToBucket(tag, hour, 1);
+      return hashtag;
+    })
+  );
+}
+
+/**
+ * Take back tags content no longer carries (edited or deleted)
+ * Window counts keep the original uses; only the content counters drop.
+ */
+async function releaseTags(tags, source) {
+  if (tags.length === 0) return;
+  await Hashtag.updateMany(
+    { tag: { $in: tags }, [`counts.${source}`]: { $gt: 0 } },
+    { $inc: { [`counts.${source}`]: -1 } }
+  );
+}
+
+/**
+ * Apply a content item's tag change: new tags count as uses, dropped tags
+ * are released
+ */
+async function syncTags({ source, previous = [], next = [] }) {
+  const added = next.filter((tag) => !previous.includes(tag));
+  const removed = previous.filter((tag) => !next.includes(tag));
+  const [hashtags] = await Promise.all([recordUsage(added, source), releaseTags(removed, source)]);
+  return hashtags;
+}
+
+/**
+ * Sum bucket counts from `since` on
+ */
+const usesSince = (buckets, since) =>
+  buckets.reduce((sum, bucket) => (bucket.hour >= since ? sum + bucket.count : sum), 0);
+
+/**
+ * Velocity score: how far recent uses are above what the rest of the week
+ * predicts, scaled down for tags with a big baseline
+ */
+function velocityScore(recent, baseline) {
+  if (recent < HASHTAG_CONFIG.minRecentUses) return 0;
+  const baselineHours = HASHTAG_CONFIG.bucketHours - HASHTAG_CONFIG.trendingWindowHours;
+  const expected = (baseline * HASHTAG_CONFIG.trendingWindowHours) / baselineHours;
+  return Math.max((recent - expected) / Math.sqrt(expected + 1), 0);
+}
+
+/**
+ * Refresh window counts and trending scores, and rank the trending list
+ * @returns {Promise<{scored: number, trending: number}>}
+ */
+async function computeTrending() {
+  const now = new Date();
+  const hour = startOfHour(now);
+  const since = (hours) => new Date(hour.getTime() - (hours - 1) * HOUR_MS);
+  const weekStart = since(HASHTAG_CONFIG.bucketHours);
+
+  // Tags unused for a week drop out entirely
+  await Hashtag.updateMany(
+    {
+      lastUsedAt: { $lt: weekStart },
+      $or: [{ "windowCounts.lastWeek": { $gt: 0 } }, { trendingRank: { $ne: null } }],
+    },
+    {
+      $set: {
+        buckets: [],
+        windowCounts: { lastHour: 0, lastDay: 0, lastWeek: 0 },
+        trendingScore: 0,
+        trendingRank: null,
+      },
+    }
+  );
+
+  const scores = [];
+  let operations = [];
+  const flush = async () => {
+    if (operations.length) await Hashtag.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  const cursor = Hashtag.find({ lastUsedAt: { $gte: weekStart } })
+    .select("buckets isBlocked")
+    .lean()
+    .cursor();
+
+  for await (const hashtag of cursor) {
+    const buckets = hashtag.buckets.filter((bucket) => bucket.hour >= weekStart);
+    const lastWeek = usesSince(buckets, weekStart);
+    const recent = usesSince(buckets, since(HASHTAG_CONFIG.trendingWindowHours));
+    const trendingScore = velocityScore(recent, lastWeek - recent);
+
+    if (trendingScore > 0 && !hashtag.isBlocked) {
+      scores.push({ _id: hashtag._id, trendingScore });
+    }
+    operations.push({
+      updateOne: {
+        filter: { _id: hashtag._id },
+        update: {
+          $set: {
+            "windowCounts.lastHour": usesSince(buckets, since(1)),
+            "windowCounts.lastDay": usesSince(buckets, since(24)),
+            "windowCounts.lastWeek": lastWeek,
+            trendingScore,
+            trendingComputedAt: now,
+          },
+          $pull: { buckets: { hour: { $lt: weekStart } } },
+        },
+      },
+    });
+    if (operations.length >= 500) await flush();
+  }
+  await flush();
+
+  const trending = scores
+    .sort((a, b) => b.trendingScore - a.trendingScore)
+    .slice(0, HASHTAG_CONFIG.trendingSize);
+
+  await Hashtag.updateMany(
+    { trendingRank: { $ne: null }, _id: { $nin: trending.map((t) => t._id) } },
+    { $set: { trendingRank: null } }
+  );
+  if (trending.length) {
+    await Hashtag.bulkWrite(
+      trending.map((t, index) => ({
+        updateOne: { filter: { _id: t._id }, update: { $set: { trendingRank: index + 1 } } },
+      })),
+      { ordered: false }
+    );
+  }
+
+  return { scored: scores.length, trending: trending.length };
+}
+
+/**
+ * Posts carrying a tag that the viewer may see
+ * @param {Object} params
+ * @param {Object} params.viewer - User document
+ * @param {string} params.tag - Normalized tag
+ * @param {"recent"|"top"} [params.sort]
+ */
+async function getTagPosts({ viewer, tag, sort = "recent", page = 1, limit = 20 }) {
+  const blockedBy = await User.find({ blockedUsers: viewer._id }).distinct("_id");
+
+  return Post.find({
+    tags: tag,
+    isActive: true,
+    deletedAt: null,
+    moderationStatus: "approved",
+    userId: { $nin: [...(viewer.blockedUsers || []), ...blockedBy] },
+    _id: { $nin: viewer.hiddenPosts || [] },
+    $or: [
+      { isPublic: true },
+      { isPublic: false, userId: { $in: viewer.following || [] } },
+      { userId: viewer._id },
+    ],
+  })
+    .populate(
+      "userId",
+      "displayName photoURL gamification.isMVP profile.username profile.firstName profile.lastName"
+    )
+    .sort(sort === "top" ? { likes: -1, comments: -1, createdAt: -1 } : { createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .lean();
+}
+
+module.exports = {
+  HASHTAG_CONFIG,
+  normalizeTag,
+  extractHashtags,
+  collectTags,
+  recordUsage,
+  releaseTags,
+  syncTags,
+  computeTrending,
+  getTagPosts,
+};
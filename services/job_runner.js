@@ -0,0 +1,312 @@
+const os = require("os");
+const { randomUUID } = require("crypto");
+const cron = require("node-cron");
+const moment = require("moment");
+const JobRun = require("../models/JobRun");
+const JobLock = require("../models/JobLock");
+const { APIError } = require("../middleware/errorHandler");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Job Runner
+ * Runs cron jobs so that several server instances and restarts don't
+ * double-run or skip them.
+ *
+ * - Lock: a job runs once at a time across all instances (a Mongo lease,
+ *   renewed while it runs). Runs that miss the lock skip that tick.
+ * - Runs: every execution is a JobRun with its status and counts.
+ * - Slots: periodic jobs (daily/hourly) cover one slot per run. Slots with
+ *   no completed run are caught up, oldest first, on start and on the next
+ *   tick - so a day the server was down for still gets paid. Slots whose
+ *   runs ended partial are run again until one succeeds (within the
+ *   catch-up window).
+ * - Idempotency: handlers key their side effects by slot
+ *   (e.g. "vip_daily:<userId>:<date>"), so rerunning a slot only finishes
+ *   what an earlier run didn't.
+ *
+ * A handler receives { scheduledFor, slotKey, run } and returns its counts
+ * ({ processed, succeeded, skipped, failed }) plus any job-specific details.
+ */
+
+const JOB_CONFIG = {
+  leaseMs: envNumber("JOB_LOCK_LEASE_SECONDS", 300) * 1000,
+  // Most missed slots a job catches up on at once
+  maxCatchUpSlots: envNumber("JOB_MAX_CATCH_UP_SLOTS", 7),
+};
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const PERIODS = {
+  daily: { unit: "day", keyFormat: "YYYY-MM-DD" },
+  hourly: { unit: "hour", keyFormat: "YYYY-MM-DDTHH" },
+};
+
+// name -> job definition
+const jobs = new Map();
+
+/**
+ * Register a job
+ * @param {Object} definition
+ * @param {string} definition.name - Unique job name
+ * @param {string} definition.description
+ * @param {string} definition.schedule - node-cron expression
+ * @param {"daily"|"hourly"} [definition.period] - Slot size; enables catch-up
+ * @param {Function} definition.handler - async ({ scheduledFor, slotKey, run }) => counts
+ */
+function defineJob({ name, description, schedule, period = null, handler }) {
+  if (jobs.has(name)) {
+    throw new Error(`Job already defined: ${name}`);
+  }
+  if (period && !PERIODS[period]) {
+    throw new Error(`Unknown job period: ${period}`);
+  }
+  const job = { name, description, schedule, period, handler };
+  jobs.set(name, job);
+  return job;
+}
+
+const slotStart = (job, date) => moment(date).startOf(PERIODS[job.period].unit).toDate();
+
+const slotKeyFor = (job, scheduledFor) =>
+  job.period ? moment(scheduledFor).format(PERIODS[job.period].keyFormat) : null;
+
+/**
+ * Slots up to the current one that have no completed run, or only partial
+ * ones, oldest first
+ */
+async function pendingSlots(job) {
+  const { unit } = PERIODS[job.period];
+  const current = moment(slotStart(job, new Date()));
+  const last = await JobRun.findLastCompleted(job.name);
+
+  if (!last) return [current.toDate()];
+
+  const windowStart = current.clone().subtract(JOB_CONFIG.maxCatchUpSlots - 1, unit);
+  const slots = await JobRun.findUnfinishedSlots(job.name, windowStart.toDate());
+  for (
+    let slot = moment(last.scheduledFor).add(1, unit);
+    !slot.isAfter(current);
+    slot = slot.add(1, unit)
+  ) {
+    slots.push(slot.toDate());
+  }
+  return slots
+    .sort((a, b) => a - b)
+    .slice(-JOB_CONFIG.maxCatchUpSlots);
+}
+
+/**
+ * Take the job's lock and keep renewing it
+ * @returns {Promise<Function|null>} release function, or null if another
+ *   instance holds the lock
+ */
+async function acquireLock(job) {
+  // A token per acquisition: a second run on this instance can't re-enter
+  // the lease or release it from under the first
+  const owner = `${INSTANCE_ID}:${randomUUID()}`;
+  if (!(await JobLock.acquire(job.name, owner, JOB_CONFIG.leaseMs))) {
+    return null;
+  }
+
+  const timer = setInterval(async () => {
+    try {
+      if (!(await JobLock.renew(job.name, owner, JOB_CONFIG.leaseMs))) {
+        console.warn(`[Jobs] ${job.name} lost its lock while running`);
+      }
+    } catch (error) {
+      console.error(`[Jobs] ${job.name} lock renewal error:`, error.message);
+    }
+  }, JOB_CONFIG.leaseMs / 3);
+  timer.unref?.();
+
+  return async () => {
+    clearInterval(timer);
+    try {
+      await JobLock.release(job.name, owner);
+    } catch (error) {
+      console.error(`[Jobs] ${job.name} lock release error:`, error.message);
+    }
+  };
+}
+
+/**
+ * Execute a created run and record how it ended
+ * Handler errors end the run as failed; they are not rethrown.
+ */
+async function executeRun(job, run) {
+  let status = "succeeded";
+  let counts = {};
+  let details = {};
+  let errorMessage = null;
+
+  try {
+    const { processed = 0, succeeded = 0, skipped = 0, failed = 0, ...rest } =
+      (await job.handler({
+        scheduledFor: run.scheduledFor,
+        slotKey: slotKeyFor(job, run.scheduledFor),
+        run,
+      })) || {};
+    counts = { processed, succeeded, skipped, failed };
+    details = rest;
+    if (failed > 0) status = "partial";
+  } catch (error) {
+    status = "failed";
+    errorMessage = error.message;
+    console.error(`❌ Job ${job.name} failed:`, error);
+  }
+
+  const finishedAt = new Date();
+  Object.assign(run, {
+    status,
+    counts,
+    details,
+    error: errorMessage,
+    finishedAt,
+    durationMs: finishedAt - run.startedAt,
+  });
+  await JobRun.updateOne(
+    { _id: run._id },
+    {
+      $set: {
+        status,
+        counts,
+        details,
+        error: errorMessage,
+        finishedAt,
+        durationMs: run.durationMs,
+      },
+    }
+  );
+  return run;
+}
+
+const createRun = (job, { trigger, scheduledFor, triggeredBy = null }) =>
+  JobRun.create({
+    job: job.name,
+    scheduledFor,
+    trigger,
+    triggeredBy,
+    instanceId: INSTANCE_ID,
+    startedAt: new Date(),
+  });
+
+/**
+ * Run a job for its due slots (or once, for jobs without a period)
+ * @param {"schedule"|"catch_up"} trigger - How the current slot's run is labelled
+ * @returns {Promise<Array>} Finished runs (empty if another instance has the lock)
+ */
+async function runDue(job, trigger = "schedule") {
+  const release = await acquireLock(job);
+  if (!release) return [];
+
+  const runs = [];
+  try {
+    if (!job.period) {
+      runs.push(await executeRun(job, await createRun(job, { trigger, scheduledFor: new Date() })));
+      return runs;
+    }
+
+    const current = slotStart(job, new Date()).getTime();
+    for (const scheduledFor of await pendingSlots(job)) {
+      const slotTrigger = scheduledFor.getTime() === current ? trigger : "catch_up";
+      const run = await executeRun(job, await createRun(job, { trigger: slotTrigger, scheduledFor }));
+      runs.push(run);
+      // Leave later slots for the next tick rather than run them out of order
+      if (run.status === "failed") break;
+    }
+    return runs;
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Schedule a job, and catch up on missed slots right away
+ */
+function scheduleJob(job) {
+  cron.schedule(job.schedule, async () => {
+    try {
+      await runDue(job, "schedule");
+    } catch (error) {
+      console.error(`❌ Job ${job.name} scheduling error:`, error);
+    }
+  });
+
+  if (job.period) {
+    runDue(job, "catch_up").catch((error) =>
+      console.error(`❌ Job ${job.name} catch-up error:`, error)
+    );
+  }
+}
+
+/**
+ * Start a job by hand (admin)
+ * Returns once the run has started; the job finishes in the background.
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {Date} [options.scheduledFor] - Slot to (re)run for periodic jobs; defaults to the current one
+ * @param {string} [options.triggeredBy] - Admin user id
+ */
+async function triggerJob(name, { scheduledFor, triggeredBy } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new APIError("Job not found", 404, "JOB_NOT_FOUND");
+  }
+
+  const now = new Date();
+  const slot = job.period ? slotStart(job, scheduledFor || now) : now;
+  if (slot > now) {
+    throw new APIError("Can't run a job for a future slot", 400, "INVALID_JOB_SLOT");
+  }
+
+  const release = await acquireLock(job);
+  if (!release) {
+    throw new APIError("Job is already running", 409, "JOB_RUNNING");
+  }
+
+  let run;
+  try {
+    run = await createRun(job, { trigger: "manual", scheduledFor: slot, triggeredBy });
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  executeRun(job, run)
+    .catch((error) => console.error(`❌ Job ${job.name} manual run error:`, error))
+    .finally(release);
+
+  return run;
+}
+
+/**
+ * Registered jobs with their latest run and lock state
+ */
+async function listJobs() {
+  return Promise.all(
+    [...jobs.values()].map(async (job) => {
+      const [lastRun, lock] = await Promise.all([
+        JobRun.findOne({ job: job.name }).sort({ startedAt: -1 }).lean(),
+        JobLock.findById(job.name).lean(),
+      ]);
+      return {
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        period: job.period,
+        lastRun,
+        running: Boolean(lock && lock.lockedUntil > new Date()),
+        lockedBy: lock && lock.lockedUntil > new Date() ? lock.owner : null,
+      };
+    })
+  );
+}
+
+module.exports = {
+  JOB_CONFIG,
+  defineJob,
+  scheduleJob,
+  runDue,
+  triggerJob,
+  listJobs,
+};
@@ -0,0 +1,44 @@
+const LiveViewer = require("../models/LiveViewer");
+const { endBattlesForLive } = require("./pk_battle_service");
+const { APP_EVENTS, emitAppEvent } = require("./event_bus");
+const { emitToLive } = require("../config/socket");
+
+/**
+ * Live Service
+ * What happens when a live ends, however it ends: the host ends it, an
+ * admin force-ends it, or the ghost cleanup closes an abandoned party.
+ */
+
+/**
+ * Close out a live that has just been marked as not streaming
+ * Callers must flip `streaming` off with a conditional update first, so this
+ * runs once per live.
+ * @param {Object} liveStream - The ended live
+ * @param {Object} [options]
+ * @param {Date} [options.endedAt] - When streaming actually stopped (defaults to now)
+ * @param {Object} [options.endedEvent] - Extra fields for the "live:ended" socket event
+ */
+async function finishLive(liveStream, { endedAt = new Date(), endedEvent = {} } = {}) {
+  const liveStreamId = liveStream._id.toString();
+
+  await endBattlesForLive(liveStream._id);
+
+  // Update all viewers
+  await LiveViewer.updateMany(
+    { liveId: liveStreamId, watching: true },
+    { watching: false, leftAt: endedAt }
+  );
+
+  emitAppEvent(APP_EVENTS.LIVE_MINUTES_STREAMED, {
+    userId: liveStream.author,
+    count: Math.max(0, Math.floor((endedAt.getTime() - liveStream.createdAt.getTime()) / 60000)),
+    liveStreamId,
+    liveType: liveStream.liveType,
+  });
+
+  emitToLive(liveStreamId, "live:ended", { liveStreamId, ...endedEvent });
+}
+
+module.exports = {
+  finishLive,
+};
@@ -0,0 +1,135 @@
+const LiveStream = require("../models/LiveStream");
+const Gift = require("../models/Gift");
+const User = require("../models/User");
+const Agency = require("../models/Agency");
+const Ranking = require("../models/Ranking");
+const walletService = require("./wallet_service");
+const { calculateGiftSplit, getReceiverAgency } = require("./gift_service");
+const { APIError } = require("../middleware/errorHandler");
+
+/**
+ * Live Ticket Service
+ * One-time coin tickets for private lives. The ticket price is the coin
+ * value of the live's privateLivePrice gift, and the host is paid in
+ * diamonds with the same split as gifts.
+ */
+
+/**
+ * Get the ticket gift for a private live (null if the live is invite only)
+ */
+async function getTicketGift(liveStream) {
+  if (!liveStream.privateLivePrice) return null;
+  return Gift.findById(liveStream.privateLivePrice);
+}
+
+/**
+ * Charge a viewer for a private live ticket and grant access
+ * Access is recorded before charging so concurrent joins can't pay twice.
+ * Throws InsufficientFundsError (from the wallet service) if the viewer
+ * can't afford it; access is withdrawn in that case.
+ * @returns {Promise<{price: number, debitTransaction: Object}|null>} null if already bought
+ */
+async function buyTicket({ liveStream, viewer, ipAddress, userAgent }) {
+  const viewerId = viewer._id.toString();
+
+  const gift = await getTicketGift(liveStream);
+  if (!gift) {
+    throw new APIError("This live is invite only", 403, "PRIVATE_LIVE_INVITE_ONLY");
+  }
+
+  const granted = await LiveStream.updateOne(
+    { _id: liveStream._id, paidViewersId: { $ne: viewerId } },
+    { $addToSet: { paidViewersId: viewerId } }
+  );
+  if (granted.modifiedCount === 0) {
+    return null;
+  }
+
+  const host = await User.findById(liveStream.author).select("displayName agency");
+  const price = gift.coins;
+  const agency = host ? await getReceiverAgency(host) : null;
+  const split = calculateGiftSplit(price, agency?.commissionRate || 0);
+  const metadata = {
+    liveStreamId: liveStream._id,
+    ticketGiftId: gift.giftId,
+    split,
+  };
+
+  const creditEntries = [
+    {
+      userId: liveStream.author,
+      type: "live_ticket_earning",
+      currency: "diamonds",
+      amount: split.hostDiamonds,
+      relatedUserId: viewer._id,
+      relatedEntityType: "live_stream",
+      relatedEntityId: liveStream._id,
+      description: `Private live ticket from ${viewer.displayName || "a viewer"}`,
+      metadata,
+    },
+  ];
+  if (agency) {
+    creditEntries.push({
+      userId: agency.owner,
+      type: "agency_commission",
+      currency: "diamonds",
+      amount: split.agencyDiamonds,
+      relatedUserId: liveStream.author,
+      relatedEntityType: "live_stream",
+      relatedEntityId: liveStream._id,
+      description: `${agency.commissionRate}% commission on a private live ticket`,
+      metadata: { ...metadata, agencyId: agency._id, commissionRate: agency.commissionRate },
+    });
+  }
+
+  let debitTransaction;
+  try {
+    ({ debitTransaction } = await walletService.transfer(
+      {
+        userId: viewer._id,
+        type: "live_ticket",
+        currency: "coins",
+        amount: price,
+        relatedUserId: liveStream.author,
+        relatedEntityType: "live_stream",
+        relatedEntityId: liveStream._id,
+        description: `Ticket for ${host?.displayName || "a"}'s private live`,
+        metadata,
+        ipAddress,
+        userAgent,
+      },
+      creditEntries
+    ));
+  } catch (error) {
+    await LiveStream.updateOne(
+      { _id: liveStream._id },
+      { $pull: { paidViewersId: viewerId } }
+    );
+    throw error;
+  }
+
+  // Counters below are derived stats; a failure must not fail a paid ticket
+  try {
+    await LiveStream.updateOne(
+      { _id: liveStream._id },
+      { $inc: { streamingDiamonds: split.grossDiamonds } }
+    );
+    await Ranking.addScore(viewer._id, "rich", price);
+    await Ranking.addScore(liveStream.author, "host", split.grossDiamonds);
+    if (agency) {
+      await Agency.updateOne(
+        { _id: agency._id },
+        { $inc: { totalEarnings: split.hostDiamonds, totalCommission: split.agencyDiamonds } }
+      );
+    }
+  } catch (statsError) {
+    console.error("Error updating live ticket stats:", statsError);
+  }
+
+  return { price, debitTransaction };
+}
+
+module.exports = {
+  getTicketGift,
+  buyTicket,
+};
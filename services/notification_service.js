@@ -1,8 +1,10 @@
 const Notification = require("../models/Notification");
 const User = require("../models/User");
+const { dispatchPush } = require("./push_dispatcher");
 
 /**
  * Create in-app notification (persisted to DB for notification center)
+ * and push it to the user's devices unless `push` is false
  * Does not throw - logs errors so main flow isn't broken
  */
 async function createNotification({
@@ -11,6 +13,7 @@ async function createNotification({
   title,
   body = "",
   data = {},
+  push = true,
 }) {
   try {
     if (!userId || !type || !title) {
@@ -26,6 +29,10 @@ async function createNotification({
       data,
     });
 
+    if (push) {
+      dispatchPush(notification);
+    }
+
     return notification;
   } catch (error) {
     console.error("[NotificationService] createNotification error:", error.message);
@@ -78,6 +85,21 @@ async function notifyNewFollower({ followedUserId, followerId, followerName }) {
   });
 }
 
+/**
+ * Notify user when they're mentioned in a comment
+ */
+async function notifyCommentMention({ mentionedUserId, postId, commentId, mentionerId, mentionerName, commentPreview }) {
+  if (mentionedUserId.toString() === mentionerId.toString()) return null;
+
+  await createNotification({
+    userId: mentionedUserId,
+    type: "mention",
+    title: "New mention",
+    body: `${mentionerName || "Someone"} mentioned you: ${(commentPreview || "").slice(0, 50)}${(commentPreview || "").length > 50 ? "..." : ""}`,
+    data: { postId, commentId, mentionerId },
+  });
+}
+
 /**
  * Notify user when they receive a gift
  */
@@ -108,11 +130,54 @@ async function notifyNewChatMessage({ recipientId, senderId, senderName, chatId,
   });
 }
 
+/**
+ * Notify a callee about a call they didn't pick up
+ */
+async function notifyMissedCall({ recipientId, callerId, callerName, callId, chatId, callType }) {
+  await createNotification({
+    userId: recipientId,
+    type: "call",
+    title: "Missed call",
+    body: `You missed a${callType === "video" ? " video" : "n audio"} call from ${callerName || "someone"}`,
+    data: { callerId, callId, chatId, callType },
+  });
+}
+
+/**
+ * Remind a user their subscription ends soon
+ */
+async function notifySubscriptionExpiring({ userId, subscriptionId, name, endDate }) {
+  await createNotification({
+    userId,
+    type: "system",
+    title: `Your ${name} is ending soon`,
+    body: `It expires on ${endDate.toISOString().slice(0, 10)}. Renew to keep your perks.`,
+    data: { kind: "subscription_expiring", subscriptionId, endDate },
+  });
+}
+
+/**
+ * Tell a user their subscription has ended
+ */
+async function notifySubscriptionExpired({ userId, subscriptionId, name }) {
+  await createNotification({
+    userId,
+    type: "system",
+    title: `Your ${name} has expired`,
+    body: "Renew any time to get your perks back.",
+    data: { kind: "subscription_expired", subscriptionId },
+  });
+}
+
 module.exports = {
   createNotification,
   notifyPostLiked,
   notifyPostCommented,
   notifyNewFollower,
+  notifyCommentMention,
   notifyGiftReceived,
   notifyNewChatMessage,
+  notifyMissedCall,
+  notifySubscriptionExpiring,
+  notifySubscriptionExpired,
 };
@@ -0,0 +1,243 @@
+const axios = require("axios");
+const { APIError } = require("../middleware/errorHandler");
+
+/**
+ * Payout Provider Service
+ * Sends host withdrawal money out of the platform.
+ *
+ * Each provider implements:
+ *   payout({ withdrawal, user }) => Promise<{
+ *     status: "paid" | "processing",  // processing = provider accepted, not settled yet
+ *     reference: string,              // provider transfer id/reference
+ *     recipientCode?: string,
+ *     raw?: Object,
+ *   }>
+ * and throws on failure, and
+ *   getPayoutStatus({ withdrawal }) => Promise<{
+ *     status: "paid" | "processing" | "failed" | "not_found",
+ *     reference?: string,
+ *   }>
+ * which says what the provider did with a withdrawal's payout, so a payout
+ * whose outcome is unknown (timeout, crash) can be checked before it is
+ * retried or refunded.
+ *
+ * Providers can be swapped with registerPayoutProvider(), or Paystack
+ * replaced by a fake that pays everything by setting PAYOUT_PROVIDER=fake
+ * outside production (local development without a Paystack key).
+ */
+
+const PAYSTACK_API_URL = "https://api.paystack.co";
+
+// Paystack transfer statuses that mean no money went out
+const PAYSTACK_FAILED_STATUSES = ["failed", "reversed", "abandoned", "blocked", "rejected"];
+
+// Transfer reference for a withdrawal (makes retries idempotent on Paystack's side)
+const transferReference = (withdrawal) => `wd_${withdrawal._id}`;
+
+const paystackHeaders = () => {
+  const secretKey = process.env.PAYSTACK_SECRET_KEY;
+  if (!secretKey) {
+    throw new APIError("Paystack not configured", 500, "PAYOUT_NOT_CONFIGURED");
+  }
+  return {
+    Authorization: `Bearer ${secretKey}`,
+    "Content-Type": "application/json",
+  };
+};
+
+/**
+ * Paystack transfers (create recipient, then initiate transfer)
+ */
+const paystackTransferProvider = {
+  async payout({ withdrawal }) {
+    const headers = paystackHeaders();
+    const details = withdrawal.payoutDetails || {};
+
+    let recipientCode = details.recipientCode;
+    if (!recipientCode) {
+      const recipient = await axios.post(
+        `${PAYSTACK_API_URL}/transferrecipient`,
+        {
+          type: withdrawal.currency === "GHS" ? "ghipss" : "nuban",
+          name: details.accountName,
+          account_number: details.accountNumber,
+          bank_code: details.bankCode,
+          currency: withdrawal.currency,
+        },
+        { headers, timeout: 10000 }
+      );
+      recipientCode = recipient.data.data.recipient_code;
+    }
+
+    const response = await axios.post(
+      `${PAYSTACK_API_URL}/transfer`,
+      {
+        source: "balance",
+        amount: Math.round(withdrawal.payoutAmount * 100), // Convert to kobo/pesewas
+        recipient: recipientCode,
+        reference: transferReference(withdrawal),
+        reason: "Host earnings withdrawal",
+      },
+      { headers, timeout: 10000 }
+    );
+
+    const transfer = response.data.data;
+
+    return {
+      status: transfer.status === "success" ? "paid" : "processing",
+      reference: transfer.reference || transfer.transfer_code,
+      recipientCode,
+      raw: transfer,
+    };
+  },
+
+  async getPayoutStatus({ withdrawal }) {
+    const headers = paystackHeaders();
+    const reference = transferReference(withdrawal);
+
+    try {
+      const response = await axios.get(`${PAYSTACK_API_URL}/transfer/verify/${reference}`, {
+        headers,
+        timeout: 10000,
+      });
+      const transfer = response.data.data;
+
+      let status = "processing";
+      if (transfer.status === "success") status = "paid";
+      else if (PAYSTACK_FAILED_STATUSES.includes(transfer.status)) status = "failed";
+
+      return { status, reference: transfer.reference || reference };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { status: "not_found" };
+      }
+      throw error;
+    }
+  },
+};
+
+/**
+ * Manual payouts (money sent outside the app, admin marks it paid)
+ */
+const manualPayoutProvider = {
+  async payout({ withdrawal }) {
+    return {
+      status: "processing",
+      reference: `manual_${withdrawal._id}`,
+    };
+  },
+
+  // Manual payouts go out when an admin marks them paid
+  async getPayoutStatus({ withdrawal }) {
+    return withdrawal.providerReference
+      ? { status: "processing", reference: withdrawal.providerReference }
+      : { status: "not_found" };
+  },
+};
+
+/**
+ * Create a fake provider for local development
+ * Every payout is paid at once.
+ */
+function createFakePayoutProvider() {
+  return {
+    async payout({ withdrawal }) {
+      return {
+        status: "paid",
+        reference: `fake_${withdrawal._id}`,
+        raw: {},
+      };
+    },
+
+    async getPayoutStatus({ withdrawal }) {
+      return withdrawal.providerReference
+        ? { status: "paid", reference: withdrawal.providerReference }
+        : { status: "not_found" };
+    },
+  };
+}
+
+const defaultProviders = () => {
+  if (process.env.PAYOUT_PROVIDER === "fake" && process.env.NODE_ENV !== "production") {
+    return {
+      paystack: createFakePayoutProvider(),
+      manual: manualPayoutProvider,
+    };
+  }
+  return {
+    paystack: paystackTransferProvider,
+    manual: manualPayoutProvider,
+  };
+};
+
+let providers = defaultProviders();
+
+/**
+ * Replace the provider used for a payout method
+ * @param {string} method - 'paystack' | 'manual'
+ * @param {Object} provider - Object with an async payout(params) method
+ */
+function registerPayoutProvider(method, provider) {
+  if (
+    !provider ||
+    typeof provider.payout !== "function" ||
+    typeof provider.getPayoutStatus !== "function"
+  ) {
+    throw new Error("Payout provider must implement payout() and getPayoutStatus()");
+  }
+  providers[method] = provider;
+}
+
+/**
+ * Restore the default providers
+ */
+function resetPayoutProviders() {
+  providers = defaultProviders();
+}
+
+function providerFor(withdrawal) {
+  const provider = providers[withdrawal.payoutMethod];
+  if (!provider) {
+    throw new APIError(
+      `No payout provider for ${withdrawal.payoutMethod}`,
+      500,
+      "PAYOUT_NOT_CONFIGURED"
+    );
+  }
+  return provider;
+}
+
+/**
+ * Send a withdrawal's money through its payout method
+ */
+async function sendPayout({ withdrawal, user }) {
+  return providerFor(withdrawal).payout({ withdrawal, user });
+}
+
+/**
+ * Ask the payout method what happened to a withdrawal's payout
+ */
+async function getPayoutStatus({ withdrawal }) {
+  return providerFor(withdrawal).getPayoutStatus({ withdrawal });
+}
+
+/**
+ * Whether a payout error means nothing was sent
+ * The provider refused the request (4xx) or it never left the app. Timeouts,
+ * dropped connections and 5xx errors leave the outcome unknown.
+ */
+function isDefinitePayoutFailure(error) {
+  if (error instanceof APIError) return true;
+  const status = error.response?.status;
+  return Boolean(status && status >= 400 && status < 500);
+}
+
+module.exports = {
+  sendPayout,
+  getPayoutStatus,
+  isDefinitePayoutFailure,
+  registerPayoutProvider,
+  resetPayoutProviders,
+  paystackTransferProvider,
+  manualPayoutProvider,
+};
@@ -0,0 +1,218 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const Transaction = require("../models/Transaction");
+const walletService = require("./wallet_service");
+const CoinPackage = require("../models/CoinPackage");
+const { APIError } = require("../middleware/errorHandler");
+
+/**
+ * Paystack Service
+ * Wraps the Paystack API and owns coin fulfilment for Paystack charges.
+ * Both POST /paystack/verify and the Paystack webhook go through
+ * fulfilCharge(), so a reference can only ever be credited once.
+ */
+
+const PAYSTACK_API_URL = "https://api.paystack.co";
+
+const getSecretKey = () => {
+  const secretKey = process.env.PAYSTACK_SECRET_KEY;
+  if (!secretKey) {
+    throw new APIError("Paystack not configured", 500, "PAYSTACK_NOT_CONFIGURED");
+  }
+  return secretKey;
+};
+
+/**
+ * Check the x-paystack-signature header (HMAC SHA512 of the raw body)
+ * @param {Buffer|string} rawBody - Unparsed request body
+ * @param {string} signature - Value of the x-paystack-signature header
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(rawBody, signature) {
+  if (!rawBody || !signature) return false;
+
+  const expected = crypto
+    .createHmac("sha512", getSecretKey())
+    .update(rawBody)
+    .digest("hex");
+
+  const expectedBuffer = Buffer.from(expected, "utf8");
+  const signatureBuffer = Buffer.from(String(signature), "utf8");
+
+  return (
+    expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer)
+  );
+}
+
+/**
+ * Initialize a Paystack transaction for a coin package
+ * The charge amount comes from the package's local price, never the client.
+ */
+async function initializeTransaction({ user, email, currency, coinPackage }) {
+  const price = coinPackage.localPrices?.get(currency);
+  if (!price) {
+    throw new APIError(
+      `Package ${coinPackage.productId} is not available in ${currency}`,
+      400,
+      "CURRENCY_NOT_SUPPORTED"
+    );
+  }
+
+  const amount = Math.round(price * 100); // Convert to kobo/pesewas/cents
+
+  const response = await axios.post(
+    `${PAYSTACK_API_URL}/transaction/initialize`,
+    {
+      amount,
+      email,
+      currency,
+      metadata: {
+        userId: user._id.toString(),
+        packageId: coinPackage.productId,
+        expectedAmount: amount,
+        expectedCurrency: currency,
+      },
+    },
+    {
+      headers: {
+        Authorization: `Bearer ${getSecretKey()}`,
+        "Content-Type": "application/json",
+      },
+    }
+  );
+
+  if (!response.data.status) {
+    throw new APIError(
+      response.data.message || "Paystack initialization failed",
+      400,
+      "PAYSTACK_INIT_FAILED"
+    );
+  }
+
+  return { ...response.data.data, amount };
+}
+
+/**
+ * Fetch a transaction from Paystack by reference
+ */
+async function fetchTransaction(reference) {
+  const response = await axios.get(
+    `${PAYSTACK_API_URL}/transaction/verify/${encodeURIComponent(reference)}`,
+    {
+      headers: {
+        Authorization: `Bearer ${getSecretKey()}`,
+      },
+    }
+  );
+
+  if (!response.data.status) {
+    throw new APIError(
+      response.data.message || "Paystack verification failed",
+      400,
+      "PAYSTACK_VERIFY_FAILED"
+    );
+  }
+
+  return response.data.data;
+}
+
+/**
+ * Find the ledger row for an already-credited reference
+ */
+function findFulfilment(reference) {
+  return Transaction.findOne({
+    type: "purchase",
+    "payment.method": "paystack",
+    "payment.transactionId": reference,
+  });
+}
+
+/**
+ * Credit coins for a successful Paystack charge, exactly once
+ * @param {Object} charge - Paystack transaction object (verify API or webhook data)
+ * @param {Object} options
+ * @param {string} options.source - 'verify' | 'webhook'
+ * @param {string} options.ipAddress
+ * @param {string} options.userAgent
+ * @returns {Promise<{status: string, transaction?: Object, coinPackage?: Object}>}
+ *   status is one of: fulfilled, already_fulfilled, not_successful,
+ *   unknown_package, amount_mismatch, missing_user
+ */
+async function fulfilCharge(charge, { source, ipAddress, userAgent } = {}) {
+  const { reference } = charge;
+
+  if (charge.status !== "success") {
+    return { status: "not_successful" };
+  }
+
+  const existing = await findFulfilment(reference);
+  if (existing) {
+    return { status: "already_fulfilled", transaction: existing };
+  }
+
+  const metadata = charge.metadata || {};
+  if (!metadata.userId) {
+    return { status: "missing_user" };
+  }
+
+  const coinPackage = await CoinPackage.getByProductId(metadata.packageId);
+  if (!coinPackage) {
+    return { status: "unknown_package" };
+  }
+
+  // metadata is set server-side at initialize, so it is the price we quoted
+  if (
+    charge.currency !== metadata.expectedCurrency ||
+    Number(charge.amount) < Number(metadata.expectedAmount)
+  ) {
+    console.warn(
+      `⚠️ Paystack amount mismatch for ${reference}: paid ${charge.amount} ${charge.currency}, expected ${metadata.expectedAmount} ${metadata.expectedCurrency}`
+    );
+    return { status: "amount_mismatch", coinPackage };
+  }
+
+  const coinAmount = coinPackage.coins + coinPackage.bonusCoins;
+
+  try {
+    const transaction = await walletService.credit({
+      userId: metadata.userId,
+      type: "purchase",
+      currency: "coins",
+      amount: coinAmount,
+      description: `Paystack purchase - ${coinPackage.displayName} (${coinAmount} coins)`,
+      payment: {
+        method: "paystack",
+        transactionId: reference,
+        productId: coinPackage.productId,
+        amount: charge.amount / 100, // Convert from kobo back to amount
+        currency: charge.currency,
+        status: "completed",
+      },
+      metadata: {
+        packageId: coinPackage.productId,
+        coins: coinPackage.coins,
+        bonusCoins: coinPackage.bonusCoins,
+        fulfilledBy: source,
+        paidAt: charge.paid_at || charge.paidAt,
+      },
+      ipAddress,
+      userAgent,
+    });
+
+    return { status: "fulfilled", transaction, coinPackage };
+  } catch (error) {
+    // Unique index on (method, transactionId): verify and webhook raced
+    if (error.code === 11000) {
+      return { status: "already_fulfilled", transaction: await findFulfilment(reference) };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  verifyWebhookSignature,
+  initializeTransaction,
+  fetchTransaction,
+  fulfilCharge,
+};
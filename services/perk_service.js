@@ -0,0 +1,165 @@
+const Subscription = require("../models/Subscription");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Perk Service
+ * What VIP, MVP and Guardian subscriptions unlock, and what a user has now.
+ *
+ * A user's perks start from BASE_PERKS and combine every active
+ * subscription: flags are on if any tier grants them, limits take the
+ * highest value, and effects/colours come from the highest-priority tier.
+ */
+
+const PERK_CONFIG = {
+  // How long a user's resolved perks are reused
+  cacheTtlMs: envNumber("PERK_CACHE_TTL_SECONDS", 60) * 1000,
+  maxCachedUsers: 5000,
+};
+
+// What everyone gets
+const BASE_PERKS = {
+  // Profile visits aren't shown to the visited user (privacy.invisibleMode)
+  invisibleVisits: false,
+  // Can't be removed from a party by its host
+  antiKick: false,
+  // Effect shown to the room on live:join
+  entranceEffect: null,
+  // Colour of the user's comments in lives
+  liveChatColor: null,
+  // Chat messages per minute
+  messagesPerMinute: 30,
+  // Most seats in a party the user hosts
+  partySeats: 9,
+};
+
+// Perks per "<type>:<tier>", lowest priority first (a later tier's effect
+// and colour win over an earlier one's)
+const PERK_CATALOGUE = {
+  "guardian:silver": {
+    entranceEffect: "guardian_silver",
+  },
+  "vip:normal": {
+    entranceEffect: "vip_normal",
+    liveChatColor: "#5DADE2",
+    messagesPerMinute: 45,
+  },
+  "guardian:gold": {
+    entranceEffect: "guardian_gold",
+    liveChatColor: "#F4D03F",
+    messagesPerMinute: 45,
+  },
+  "mvp:premium": {
+    invisibleVisits: true,
+    entranceEffect: "mvp",
+    liveChatColor: "#AF7AC5",
+    messagesPerMinute: 60,
+    partySeats: 12,
+  },
+  "vip:super": {
+    invisibleVisits: true,
+    entranceEffect: "vip_super",
+    liveChatColor: "#48C9B0",
+    messagesPerMinute: 60,
+    partySeats: 12,
+  },
+  "guardian:king": {
+    antiKick: true,
+    entranceEffect: "guardian_king",
+    liveChatColor: "#E67E22",
+    messagesPerMinute: 60,
+    partySeats: 12,
+  },
+  "vip:diamond": {
+    invisibleVisits: true,
+    antiKick: true,
+    entranceEffect: "vip_diamond",
+    liveChatColor: "#EC407A",
+    messagesPerMinute: 90,
+    partySeats: 16,
+  },
+};
+
+const PRIORITY = Object.keys(PERK_CATALOGUE);
+
+// userId -> { perks, expiresAt }
+const perkCache = new Map();
+
+/**
+ * Combine the base perks with what the given subscriptions unlock
+ * @param {Object[]} subscriptions - Active subscriptions ({ type, tier })
+ */
+function resolvePerks(subscriptions) {
+  const perks = { ...BASE_PERKS };
+
+  const entries = subscriptions
+    .map((subscription) => `${subscription.type}:${subscription.tier}`)
+    .filter((key) => PERK_CATALOGUE[key])
+    .sort((a, b) => PRIORITY.indexOf(a) - PRIORITY.indexOf(b));
+
+  for (const key of entries) {
+    for (const [perk, value] of Object.entries(PERK_CATALOGUE[key])) {
+      if (typeof value === "boolean") {
+        perks[perk] = perks[perk] || value;
+      } else if (typeof value === "number") {
+        perks[perk] = Math.max(perks[perk], value);
+      } else {
+        perks[perk] = value;
+      }
+    }
+  }
+  return perks;
+}
+
+/**
+ * A user's current perks and the subscriptions they come from
+ */
+async function getPerkDetails(userId) {
+  const subscriptions = Object.values(await Subscription.findActiveByType(userId));
+  return {
+    perks: resolvePerks(subscriptions),
+    subscriptions: subscriptions.map(({ _id, type, tier, endDate }) => ({
+      _id,
+      type,
+      tier,
+      endDate,
+    })),
+  };
+}
+
+/**
+ * A user's current perks (cached briefly; never past a subscription's end)
+ */
+async function getPerks(userId) {
+  const key = userId.toString();
+  const now = Date.now();
+  const cached = perkCache.get(key);
+  if (cached && cached.expiresAt > now) return cached.perks;
+
+  const { perks, subscriptions } = await getPerkDetails(userId);
+  const expiresAt = Math.min(
+    now + PERK_CONFIG.cacheTtlMs,
+    ...subscriptions.map((subscription) => subscription.endDate.getTime())
+  );
+
+  if (perkCache.size >= PERK_CONFIG.maxCachedUsers) {
+    perkCache.delete(perkCache.keys().next().value);
+  }
+  perkCache.set(key, { perks, expiresAt });
+  return perks;
+}
+
+/**
+ * Drop a user's cached perks (after their subscriptions change)
+ */
+function invalidatePerks(userId) {
+  perkCache.delete(userId.toString());
+}
+
+module.exports = {
+  BASE_PERKS,
+  PERK_CATALOGUE,
+  resolvePerks,
+  getPerkDetails,
+  getPerks,
+  invalidatePerks,
+};
@@ -0,0 +1,404 @@
+const PKBattle = require("../models/PKBattle");
+const LiveStream = require("../models/LiveStream");
+const { APIError } = require("../middleware/errorHandler");
+const { emitToUser, emitToLive } = require("../config/socket");
+const { envNumber } = require("../utils/env");
+
+/**
+ * PK Battle Service
+ * Runs timed gift battles between two live hosts.
+ *
+ * Scores are the gift coins each side receives while the battle is active.
+ * Battles end on a timer; settleDueBattles() (run by cron) catches anything
+ * a timer missed, e.g. after a restart.
+ *
+ * Socket events (to both lives' live:${id} rooms unless noted):
+ *   pk:invited            -> receiving host's user_${id} room
+ *   pk:declined / pk:cancelled / pk:expired -> both hosts' user rooms
+ *   pk:started, pk:score, pk:ended, pk:finished
+ */
+
+const PK_CONFIG = {
+  defaultDurationSeconds: envNumber("PK_DEFAULT_DURATION_SECONDS", 300),
+  minDurationSeconds: 60,
+  maxDurationSeconds: 900,
+  defaultPunishmentSeconds: envNumber("PK_DEFAULT_PUNISHMENT_SECONDS", 60),
+  maxPunishmentSeconds: 300,
+  inviteTtlSeconds: envNumber("PK_INVITE_TTL_SECONDS", 30),
+};
+
+// battleId -> timeout for the battle's next phase
+const timers = new Map();
+
+function schedule(battleId, at, fn) {
+  clearSchedule(battleId);
+  const timer = setTimeout(() => {
+    timers.delete(battleId.toString());
+    fn(battleId).catch((error) =>
+      console.error(`❌ PK battle ${battleId} timer error:`, error.message)
+    );
+  }, Math.max(0, at.getTime() - Date.now()));
+  timer.unref?.();
+  timers.set(battleId.toString(), timer);
+}
+
+function clearSchedule(battleId) {
+  const timer = timers.get(battleId.toString());
+  if (timer) {
+    clearTimeout(timer);
+    timers.delete(battleId.toString());
+  }
+}
+
+/**
+ * Public view of a battle for socket events and API responses
+ */
+function serializeBattle(battle) {
+  return {
+    battleId: battle._id.toString(),
+    status: battle.status,
+    requester: {
+      userId: battle.requester.toString(),
+      liveStreamId: battle.requesterLive.toString(),
+      score: battle.scores.requester,
+    },
+    receiver: {
+      userId: battle.receiver.toString(),
+      liveStreamId: battle.receiverLive.toString(),
+      score: battle.scores.receiver,
+    },
+    durationSeconds: battle.durationSeconds,
+    punishmentSeconds: battle.punishmentSeconds,
+    startedAt: battle.startedAt,
+    endsAt: battle.endsAt,
+    punishmentEndsAt: battle.punishmentEndsAt,
+    winner: battle.winner,
+    winnerId: battle.winnerId,
+  };
+}
+
+function broadcast(battle, event) {
+  const data = serializeBattle(battle);
+  emitToLive(battle.requesterLive, event, data);
+  emitToLive(battle.receiverLive, event, data);
+}
+
+function notifyHosts(battle, event) {
+  const data = serializeBattle(battle);
+  emitToUser(battle.requester, event, data);
+  emitToUser(battle.receiver, event, data);
+}
+
+/**
+ * Release both lives from a battle
+ */
+async function releaseLives(battle) {
+  await LiveStream.updateMany(
+    { _id: { $in: [battle.requesterLive, battle.receiverLive] } },
+    { $set: { isPKBattle: false }, $unset: { pkRequester: "", pkReceiver: "" } }
+  );
+}
+
+/**
+ * Invite another live host to a battle
+ */
+async function inviteBattle({ requester, liveStreamId, targetLiveStreamId, durationSeconds, punishmentSeconds }) {
+  if (liveStreamId.toString() === targetLiveStreamId.toString()) {
+    throw new APIError("Cannot battle your own live", 400, "PK_SAME_LIVE");
+  }
+
+  const [requesterLive, receiverLive] = await Promise.all([
+    LiveStream.findById(liveStreamId),
+    LiveStream.findById(targetLiveStreamId),
+  ]);
+
+  if (!requesterLive || !receiverLive) {
+    throw new APIError("Live stream not found", 404, "LIVE_NOT_FOUND");
+  }
+  if (requesterLive.authorId !== requester._id.toString()) {
+    throw new APIError("Only the host can start a battle", 403, "NOT_LIVE_HOST");
+  }
+  if (receiverLive.authorId === requester._id.toString()) {
+    throw new APIError("Cannot battle your own live", 400, "PK_SAME_LIVE");
+  }
+  if (!requesterLive.streaming || !receiverLive.streaming) {
+    throw new APIError("Both lives must be streaming", 400, "LIVE_NOT_STREAMING");
+  }
+
+  const [requesterBusy, receiverBusy] = await Promise.all([
+    PKBattle.findOpenForLive(requesterLive._id),
+    PKBattle.findOpenForLive(receiverLive._id),
+  ]);
+  if (requesterBusy || receiverBusy || requesterLive.isPKBattle || receiverLive.isPKBattle) {
+    throw new APIError("One of the lives is already in a battle", 400, "PK_BUSY");
+  }
+
+  const battle = await PKBattle.create({
+    requester: requester._id,
+    requesterLive: requesterLive._id,
+    receiver: receiverLive.author,
+    receiverLive: receiverLive._id,
+    durationSeconds: durationSeconds || PK_CONFIG.defaultDurationSeconds,
+    punishmentSeconds:
+      punishmentSeconds !== undefined ? punishmentSeconds : PK_CONFIG.defaultPunishmentSeconds,
+    inviteExpiresAt: new Date(Date.now() + PK_CONFIG.inviteTtlSeconds * 1000),
+  });
+
+  emitToUser(battle.receiver, "pk:invited", {
+    ...serializeBattle(battle),
+    inviteExpiresAt: battle.inviteExpiresAt,
+    requesterName: requester.displayName,
+    requesterPhoto: requester.photoURL,
+  });
+  schedule(battle._id, battle.inviteExpiresAt, expireInvite);
+
+  return battle;
+}
+
+/**
+ * Expire an invite nobody answered
+ */
+async function expireInvite(battleId) {
+  const battle = await PKBattle.findOneAndUpdate(
+    { _id: battleId, status: "invited", inviteExpiresAt: { $lte: new Date() } },
+    { $set: { status: "expired" } },
+    { new: true }
+  );
+  if (battle) notifyHosts(battle, "pk:expired");
+  return battle;
+}
+
+/**
+ * Accept or decline an invite (invited host only)
+ */
+async function respondToBattle({ battleId, user, accept }) {
+  const now = new Date();
+  const battle = await PKBattle.findOne({ _id: battleId, receiver: user._id });
+
+  if (!battle) {
+    throw new APIError("Battle not found", 404, "PK_NOT_FOUND");
+  }
+  if (battle.status !== "invited" || battle.inviteExpiresAt <= now) {
+    throw new APIError("Invite is no longer open", 400, "PK_INVITE_CLOSED");
+  }
+
+  if (!accept) {
+    const declined = await PKBattle.findOneAndUpdate(
+      { _id: battle._id, status: "invited" },
+      { $set: { status: "declined", respondedAt: now } },
+      { new: true }
+    );
+    if (!declined) {
+      throw new APIError("Invite is no longer open", 400, "PK_INVITE_CLOSED");
+    }
+    clearSchedule(battle._id);
+    notifyHosts(declined, "pk:declined");
+    return declined;
+  }
+
+  // Claim both lives; a live can only be in one active battle
+  const pkFields = { isPKBattle: true, pkRequester: battle.requester, pkReceiver: battle.receiver };
+  const claimed = await LiveStream.updateMany(
+    {
+      _id: { $in: [battle.requesterLive, battle.receiverLive] },
+      streaming: true,
+      isPKBattle: { $ne: true },
+    },
+    { $set: pkFields }
+  );
+  if (claimed.modifiedCount !== 2) {
+    await LiveStream.updateMany(
+      {
+        _id: { $in: [battle.requesterLive, battle.receiverLive] },
+        pkRequester: battle.requester,
+        pkReceiver: battle.receiver,
+      },
+      { $set: { isPKBattle: false }, $unset: { pkRequester: "", pkReceiver: "" } }
+    );
+    throw new APIError("One of the lives is unavailable for a battle", 400, "PK_BUSY");
+  }
+
+  const endsAt = new Date(now.getTime() + battle.durationSeconds * 1000);
+  const started = await PKBattle.findOneAndUpdate(
+    { _id: battle._id, status: "invited" },
+    { $set: { status: "active", respondedAt: now, startedAt: now, endsAt } },
+    { new: true }
+  );
+  if (!started) {
+    await releaseLives(battle);
+    throw new APIError("Invite is no longer open", 400, "PK_INVITE_CLOSED");
+  }
+
+  broadcast(started, "pk:started");
+  schedule(started._id, endsAt, (id) => endBattle(id));
+
+  return started;
+}
+
+/**
+ * Withdraw an invite (inviting host only)
+ */
+async function cancelInvite({ battleId, user }) {
+  const battle = await PKBattle.findOneAndUpdate(
+    { _id: battleId, requester: user._id, status: "invited" },
+    { $set: { status: "cancelled" } },
+    { new: true }
+  );
+  if (!battle) {
+    throw new APIError("Invite not found or no longer open", 400, "PK_INVITE_CLOSED");
+  }
+  clearSchedule(battle._id);
+  notifyHosts(battle, "pk:cancelled");
+  return battle;
+}
+
+/**
+ * Add gift coins to the side a live is on, if it's in an active battle
+ * Only gifts to the battling host count, not gifts to seat guests.
+ * @returns {Promise<Object|null>} Updated battle, or null if not scored
+ */
+async function recordGiftScore(liveStreamId, receiverId, coins) {
+  if (!coins) return null;
+
+  const battle = await PKBattle.findOpenForLive(liveStreamId, ["active"]);
+  if (!battle) return null;
+
+  const side = battle.sideOf(liveStreamId);
+  if (!side || battle[side].toString() !== receiverId.toString()) return null;
+  const updated = await PKBattle.findOneAndUpdate(
+    { _id: battle._id, status: "active", endsAt: { $gt: new Date() } },
+    { $inc: { [`scores.${side}`]: coins } },
+    { new: true }
+  );
+
+  if (updated) broadcast(updated, "pk:score");
+  return updated;
+}
+
+/**
+ * Close the battle window, pick the winner and start the punishment phase
+ * @param {string} battleId
+ * @param {string} reason - 'timeout' | 'live_ended'
+ */
+async function endBattle(battleId, reason = "timeout") {
+  const battle = await PKBattle.findOne({ _id: battleId, status: "active" });
+  if (!battle) return null;
+
+  const { requester, receiver } = battle.scores;
+  const winner = requester === receiver ? "draw" : requester > receiver ? "requester" : "receiver";
+  const now = new Date();
+  const hasPunishment = reason === "timeout" && winner !== "draw" && battle.punishmentSeconds > 0;
+
+  const update = {
+    winner,
+    winnerId: winner === "draw" ? null : battle[winner],
+    endReason: reason,
+  };
+  if (hasPunishment) {
+    update.status = "punishment";
+    update.punishmentEndsAt = new Date(now.getTime() + battle.punishmentSeconds * 1000);
+  } else {
+    update.status = "ended";
+    update.endedAt = now;
+  }
+
+  const ended = await PKBattle.findOneAndUpdate(
+    { _id: battle._id, status: "active" },
+    { $set: update },
+    { new: true }
+  );
+  if (!ended) return null;
+
+  clearSchedule(ended._id);
+  broadcast(ended, "pk:ended");
+
+  if (hasPunishment) {
+    schedule(ended._id, ended.punishmentEndsAt, finishBattle);
+  } else {
+    await releaseLives(ended);
+    broadcast(ended, "pk:finished");
+  }
+
+  return ended;
+}
+
+/**
+ * End the punishment phase and release both lives
+ */
+async function finishBattle(battleId) {
+  const battle = await PKBattle.findOneAndUpdate(
+    { _id: battleId, status: "punishment" },
+    { $set: { status: "ended", endedAt: new Date() } },
+    { new: true }
+  );
+  if (!battle) return null;
+
+  clearSchedule(battle._id);
+  await releaseLives(battle);
+  broadcast(battle, "pk:finished");
+  return battle;
+}
+
+/**
+ * Close out any battle a live is in (e.g. the host ended the live)
+ */
+async function endBattlesForLive(liveStreamId) {
+  const battle = await PKBattle.findOpenForLive(liveStreamId);
+  if (!battle) return null;
+
+  if (battle.status === "invited") {
+    const closed = await PKBattle.findOneAndUpdate(
+      { _id: battle._id, status: "invited" },
+      { $set: { status: "cancelled" } },
+      { new: true }
+    );
+    if (closed) {
+      clearSchedule(closed._id);
+      notifyHosts(closed, "pk:cancelled");
+    }
+    return closed;
+  }
+  if (battle.status === "active") {
+    return endBattle(battle._id, "live_ended");
+  }
+  return finishBattle(battle._id);
+}
+
+/**
+ * Settle battles whose timers were missed (expired invites, finished windows)
+ * @returns {Promise<{expired: number, ended: number, finished: number}>}
+ */
+async function settleDueBattles() {
+  const now = new Date();
+  const stats = { expired: 0, ended: 0, finished: 0 };
+
+  const [invites, active, punishing] = await Promise.all([
+    PKBattle.find({ status: "invited", inviteExpiresAt: { $lte: now } }).select("_id"),
+    PKBattle.find({ status: "active", endsAt: { $lte: now } }).select("_id"),
+    PKBattle.find({ status: "punishment", punishmentEndsAt: { $lte: now } }).select("_id"),
+  ]);
+
+  for (const { _id } of invites) {
+    if (await expireInvite(_id)) stats.expired++;
+  }
+  for (const { _id } of active) {
+    if (await endBattle(_id)) stats.ended++;
+  }
+  for (const { _id } of punishing) {
+    if (await finishBattle(_id)) stats.finished++;
+  }
+
+  return stats;
+}
+
+module.exports = {
+  PK_CONFIG,
+  serializeBattle,
+  inviteBattle,
+  respondToBattle,
+  cancelInvite,
+  recordGiftScore,
+  endBattle,
+  endBattlesForLive,
+  settleDueBattles,
+};
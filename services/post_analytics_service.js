@@ -0,0 +1,395 @@
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const PostView = require("../models/PostView");
+const Comment = require("../models/Comment");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Post Analytics Service
+ * Records post impressions in batches and builds creator analytics.
+ *
+ * Terms:
+ *   impression - the post was on screen (every report counts)
+ *   view       - first impression by a user within a dedupe window
+ *   reach      - distinct users who ever viewed the post
+ *
+ * Lifetime counters are kept on the post; follower split and daily series
+ * come from PostView records, so they only go back PostView.RETENTION_DAYS.
+ */
+
+const ANALYTICS_CONFIG = {
+  viewWindowMs: envNumber("POST_VIEW_WINDOW_HOURS", 24) * 60 * 60 * 1000,
+  // A video watched this far in one report counts as completed
+  completionRatio: 0.95,
+  // Cap for one report's watch time when the video length is unknown
+  maxWatchTimeMs: 60 * 60 * 1000,
+  topPostsLimit: 5,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+/**
+ * Record one post's impressions for a viewer
+ * @returns {Promise<boolean>} whether this started a new view
+ */
+async function recordPostView({ post, viewer, impressions, watchTimeMs, now }) {
+  const windowStart = new Date(
+    Math.floor(now.getTime() / ANALYTICS_CONFIG.viewWindowMs) * ANALYTICS_CONFIG.viewWindowMs
+  );
+  const key = { postId: post._id, viewer: viewer._id, windowStart };
+  const isVideo = post.type === "video";
+
+  const upsert = () =>
+    PostView.updateOne(
+      key,
+      {
+        $inc: { impressions, watchTimeMs: isVideo ? watchTimeMs : 0 },
+        $set: { lastViewedAt: now },
+        $setOnInsert: {
+          postAuthor: post.userId,
+          isFollower: (viewer.following || []).some((id) => id.toString() === post.userId.toString()),
+          day: startOfDay(now),
+          firstViewedAt: now,
+        },
+      },
+      { upsert: true }
+    );
+
+  let result;
+  try {
+    result = await upsert();
+  } catch (error) {
+    // Two batches opened the same window at once
+    if (error.code !== 11000) throw error;
+    result = await upsert();
+  }
+  const isNewView = result.upsertedCount > 0;
+
+  // Reach: the first view of this post by this viewer that we still know of
+  const isNewViewer =
+    isNewView &&
+    !(await PostView.exists({
+      postId: post._id,
+      viewer: viewer._id,
+      windowStart: { $ne: windowStart },
+    }));
+
+  const completionMs = post.videoDuration * 1000 * ANALYTICS_CONFIG.completionRatio;
+  let completed = false;
+  if (isVideo && post.videoDuration > 0 && watchTimeMs >= completionMs) {
+    const marked = await PostView.updateOne({ ...key, completed: false }, { $set: { completed: true } });
+    completed = marked.modifiedCount > 0;
+  }
+
+  await Post.updateOne(
+    { _id: post._id },
+    {
+      $inc: {
+        views: isNewView ? 1 : 0,
+        "analytics.impressions": impressions,
+        "analytics.reach": isNewViewer ? 1 : 0,
+        "analytics.watchTimeMs": isVideo ? watchTimeMs : 0,
+        "analytics.completedViews": completed ? 1 : 0,
+      },
+    }
+  );
+  return isNewView;
+}
+
+/**
+ * Record a batch of impressions reported by a client
+ * Reports for the same post are merged; the viewer's own posts and posts
+ * they can't see are ignored.
+ * @param {Object} params
+ * @param {Object} params.viewer - User document
+ * @param {Array<{postId: string, watchTimeMs?: number}>} params.views
+ * @returns {Promise<{recorded: number, newViews: number}>}
+ */
+async function recordViews({ viewer, views }) {
+  const merged = new Map();
+  views.forEach(({ postId, watchTimeMs = 0 }) => {
+    const entry = merged.get(postId) || { impressions: 0, watchTimeMs: 0 };
+    entry.impressions += 1;
+    entry.watchTimeMs += Math.max(Number(watchTimeMs) || 0, 0);
+    merged.set(postId, entry);
+  });
+
+  const posts = await Post.find({
+    _id: { $in: [...merged.keys()] },
+    isActive: true,
+    deletedAt: null,
+    userId: { $ne: viewer._id, $nin: viewer.blockedUsers || [] },
+    $or: [{ isPublic: true }, { userId: { $in: viewer.following || [] } }],
+  })
+    .select("userId type videoDuration")
+    .lean();
+
+  const now = new Date();
+  const results = await Promise.all(
+    posts.map((post) => {
+      const entry = merged.get(post._id.toString());
+      const maxWatchTimeMs =
+        post.videoDuration > 0
+          ? post.videoDuration * 1000 * entry.impressions
+          : ANALYTICS_CONFIG.maxWatchTimeMs;
+      return recordPostView({
+        post,
+        viewer,
+        impressions: entry.impressions,
+        watchTimeMs: Math.round(Math.min(entry.watchTimeMs, maxWatchTimeMs)),
+        now,
+      });
+    })
+  );
+
+  return { recorded: posts.length, newViews: results.filter(Boolean).length };
+}
+
+/**
+ * Clamp an analytics date range to what PostView records still cover
+ */
+function resolveRange(startDate, endDate) {
+  const end = endDate || new Date();
+  const oldest = end.getTime() - PostView.RETENTION_DAYS * DAY_MS;
+  const start = startDate ? startDate.getTime() : end.getTime() - 30 * DAY_MS;
+  return { start: startOfDay(new Date(Math.max(start, oldest))), end };
+}
+
+const dayKey = (field) => ({ $dateToString: { format: "%Y-%m-%d", date: field } });
+
+/**
+ * Follower split and daily series from view records
+ * @param {Object} match - PostView filter (by postId or postAuthor)
+ */
+async function aggregateViews(match) {
+  const [result] = await PostView.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        split: [
+          {
+            $group: {
+              _id: { isFollower: "$isFollower", viewer: "$viewer" },
+              views: { $sum: 1 },
+              impressions: { $sum: "$impressions" },
+              watchTimeMs: { $sum: "$watchTimeMs" },
+            },
+          },
+          {
+            $group: {
+              _id: "$_id.isFollower",
+              viewers: { $sum: 1 },
+              views: { $sum: "$views" },
+              impressions: { $sum: "$impressions" },
+              watchTimeMs: { $sum: "$watchTimeMs" },
+            },
+          },
+        ],
+        series: [
+          {
+            $group: {
+              _id: { day: dayKey("$day"), viewer: "$viewer" },
+              views: { $sum: 1 },
+              impressions: { $sum: "$impressions" },
+              watchTimeMs: { $sum: "$watchTimeMs" },
+            },
+          },
+          {
+            $group: {
+              _id: "$_id.day",
+              viewers: { $sum: 1 },
+              views: { $sum: "$views" },
+              impressions: { $sum: "$impressions" },
+              watchTimeMs: { $sum: "$watchTimeMs" },
+            },
+          },
+        ],
+        reach: [{ $group: { _id: "$viewer" } }, { $count: "viewers" }],
+      },
+    },
+  ]);
+
+  const emptySplit = { viewers: 0, views: 0, impressions: 0, watchTimeMs: 0 };
+  const splitFor = (isFollower) => {
+    const row = result.split.find((r) => r._id === isFollower);
+    if (!row) return emptySplit;
+    const { _id, ...stats } = row;
+    return stats;
+  };
+
+  return {
+    reach: result.reach[0]?.viewers || 0,
+    followerSplit: { followers: splitFor(true), nonFollowers: splitFor(false) },
+    series: new Map(result.series.map((row) => [row._id, row])),
+  };
+}
+
+/**
+ * Comments per day on the given posts
+ */
+async function aggregateComments(postIds, start, end) {
+  const rows = await Comment.aggregate([
+    {
+      $match: {
+        postId: { $in: postIds },
+        isDeleted: false,
+        createdAt: { $gte: start, $lte: end },
+      },
+    },
+    { $group: { _id: dayKey("$createdAt"), comments: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((row) => [row._id, row.comments]));
+}
+
+/**
+ * One entry per day in the range, zero-filled
+ */
+function buildDailySeries(start, end, views, comments) {
+  const series = [];
+  for (let day = start.getTime(); day <= end.getTime(); day += DAY_MS) {
+    const date = new Date(day).toISOString().slice(0, 10);
+    const row = views.get(date);
+    series.push({
+      date,
+      views: row?.views || 0,
+      viewers: row?.viewers || 0,
+      impressions: row?.impressions || 0,
+      watchTimeMs: row?.watchTimeMs || 0,
+      comments: comments.get(date) || 0,
+    });
+  }
+  return series;
+}
+
+const engagementRate = (engagement, reach) =>
+  reach > 0 ? Math.round((engagement / reach) * 10000) / 100 : 0;
+
+/**
+ * Analytics for one post
+ * @param {Object} params.post - Post document (owned by the caller)
+ */
+async function getPostAnalytics({ post, startDate, endDate }) {
+  const { start, end } = resolveRange(startDate, endDate);
+  const [viewStats, comments] = await Promise.all([
+    aggregateViews({ postId: post._id, day: { $gte: start, $lte: end } }),
+    aggregateComments([post._id], start, end),
+  ]);
+
+  const analytics = post.analytics || {};
+  const engagement = post.likes + post.comments + post.shares;
+
+  return {
+    postId: post._id,
+    type: post.type,
+    createdAt: post.createdAt,
+    lifetime: {
+      impressions: analytics.impressions || 0,
+      reach: analytics.reach || 0,
+      views: post.views,
+      likes: post.likes,
+      comments: post.comments,
+      shares: post.shares,
+      engagement,
+      engagementRate: engagementRate(engagement, analytics.reach || 0),
+      ...(post.type === "video" && {
+        watchTimeMs: analytics.watchTimeMs || 0,
+        avgWatchTimeMs: post.views > 0 ? Math.round((analytics.watchTimeMs || 0) / post.views) : 0,
+        completedViews: analytics.completedViews || 0,
+      }),
+    },
+    range: {
+      startDate: start,
+      endDate: end,
+      reach: viewStats.reach,
+      followerSplit: viewStats.followerSplit,
+      daily: buildDailySeries(start, end, viewStats.series, comments),
+    },
+  };
+}
+
+/**
+ * Analytics across all of a creator's posts
+ */
+async function getCreatorAnalytics({ userId, startDate, endDate }) {
+  const { start, end } = resolveRange(startDate, endDate);
+  const authorId = new mongoose.Types.ObjectId(userId.toString());
+
+  const [totals] = await Post.aggregate([
+    { $match: { userId: authorId, isActive: true, deletedAt: null } },
+    {
+      $group: {
+        _id: null,
+        posts: { $sum: 1 },
+        postIds: { $push: "$_id" },
+        views: { $sum: "$views" },
+        likes: { $sum: "$likes" },
+        comments: { $sum: "$comments" },
+        shares: { $sum: "$shares" },
+        impressions: { $sum: "$analytics.impressions" },
+        reach: { $sum: "$analytics.reach" },
+        watchTimeMs: { $sum: "$analytics.watchTimeMs" },
+      },
+    },
+  ]);
+
+  const postIds = totals?.postIds || [];
+  const [viewStats, comments, topViews] = await Promise.all([
+    aggregateViews({ postAuthor: authorId, day: { $gte: start, $lte: end } }),
+    aggregateComments(postIds, start, end),
+    PostView.aggregate([
+      { $match: { postAuthor: authorId, day: { $gte: start, $lte: end } } },
+      { $group: { _id: "$postId", views: { $sum: 1 }, impressions: { $sum: "$impressions" } } },
+      { $sort: { views: -1 } },
+      { $limit: ANALYTICS_CONFIG.topPostsLimit },
+    ]),
+  ]);
+
+  const topPostDocs = await Post.find({
+    _id: { $in: topViews.map((row) => row._id) },
+    isActive: true,
+    deletedAt: null,
+  })
+    .select("type content imageUrls videoThumbnail likes comments shares createdAt")
+    .lean();
+  const topPosts = topViews
+    .map((row) => {
+      const post = topPostDocs.find((p) => p._id.equals(row._id));
+      return post && { ...post, rangeViews: row.views, rangeImpressions: row.impressions };
+    })
+    .filter(Boolean);
+
+  const engagement = (totals?.likes || 0) + (totals?.comments || 0) + (totals?.shares || 0);
+
+  return {
+    lifetime: {
+      posts: totals?.posts || 0,
+      impressions: totals?.impressions || 0,
+      // Sum of per-post reach; a user who saw two posts counts twice
+      reach: totals?.reach || 0,
+      views: totals?.views || 0,
+      likes: totals?.likes || 0,
+      comments: totals?.comments || 0,
+      shares: totals?.shares || 0,
+      watchTimeMs: totals?.watchTimeMs || 0,
+      engagement,
+      engagementRate: engagementRate(engagement, totals?.reach || 0),
+    },
+    range: {
+      startDate: start,
+      endDate: end,
+      reach: viewStats.reach,
+      followerSplit: viewStats.followerSplit,
+      daily: buildDailySeries(start, end, viewStats.series, comments),
+      topPosts,
+    },
+  };
+}
+
+module.exports = {
+  ANALYTICS_CONFIG,
+  recordViews,
+  getPostAnalytics,
+  getCreatorAnalytics,
+};
@@ -0,0 +1,424 @@
+const PricingConfig = require("../models/PricingConfig");
+const { APIError } = require("../middleware/errorHandler");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Pricing Service
+ * Reads the price catalogue (PricingConfig versions) for purchases, fees and
+ * rewards, and manages its versions for admins.
+ *
+ * Until a version exists the catalogue is DEFAULT_PRICING. A user's prices
+ * are the catalogue's, with a currency override and then a region override
+ * applied, less the best promotion running for the product. Promotions
+ * don't stack, and nothing but prices is overridden or discounted.
+ */
+
+const PRICING_CONFIG = {
+  // How long the catalogue in force is reused
+  cacheTtlMs: envNumber("PRICING_CACHE_TTL_SECONDS", 60) * 1000,
+};
+
+// Prices and rewards before any version was created
+const DEFAULT_PRICING = {
+  prices: {
+    vip: { normal: 95000, super: 100000, diamond: 250000 },
+    guardian: { silver: 15000, gold: 30000, king: 150000 },
+    mvpPackages: [
+      { durationDays: 30, months: 1, cost: 7085 },
+      { durationDays: 90, months: 3, cost: 20000 },
+      { durationDays: 180, months: 6, cost: 38000 },
+      { durationDays: 365, months: 12, cost: 70000 },
+    ],
+    fanClub: { joinFee: 100, renewalFee: 300, nameChangeFee: 10000 },
+  },
+  rewards: {
+    vipDailyCoins: { normal: 3500, super: 16000, diamond: 35000 },
+    mvpDaily: { coins: 1000, xp: 100 },
+    dailyLogin: [
+      { day: 1, coins: 100, diamonds: 0 },
+      { day: 2, coins: 150, diamonds: 0 },
+      { day: 3, coins: 200, diamonds: 0 },
+      { day: 4, coins: 250, diamonds: 0 },
+      { day: 5, coins: 300, diamonds: 0 },
+      { day: 6, coins: 400, diamonds: 0 },
+      { day: 7, coins: 500, diamonds: 10 }, // Bonus on day 7
+    ],
+    dailyLoginXp: 10,
+    ranking: [
+      { upToRank: 1, coins: 500 },
+      { upToRank: 2, coins: 300 },
+      { upToRank: 3, coins: 100 },
+      { upToRank: 4, coins: 80 },
+      { upToRank: 5, coins: 70 },
+      { upToRank: 6, coins: 60 },
+      { upToRank: 7, coins: 50 },
+      { upToRank: 8, coins: 45 },
+      { upToRank: 9, coins: 40 },
+      { upToRank: 10, coins: 35 },
+      { upToRank: 20, coins: 30 },
+      { upToRank: 30, coins: 20 },
+      { upToRank: 40, coins: 10 },
+    ],
+  },
+};
+
+const FAN_CLUB_FEES = ["joinFee", "renewalFee", "nameChangeFee"];
+
+// Catalogue in force: { catalogue, expiresAt }
+let cachedCatalogue = null;
+
+/**
+ * Copy of base with patch laid over it (arrays are replaced, not merged)
+ */
+function mergePrices(base, patch) {
+  if (patch === undefined) return base;
+  if (Array.isArray(patch) || patch === null || typeof patch !== "object") return patch;
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(patch)) {
+    merged[key] = mergePrices(base?.[key], value);
+  }
+  return merged;
+}
+
+/**
+ * The catalogue version in force (cached briefly; never past the next
+ * version's effectiveFrom)
+ * @returns {Promise<Object>} { version, effectiveFrom, prices, rewards, overrides, promotions }
+ *   version is 0 for the defaults
+ */
+async function getCatalogue() {
+  const now = Date.now();
+  if (cachedCatalogue && cachedCatalogue.expiresAt > now) return cachedCatalogue.catalogue;
+
+  const at = new Date(now);
+  const [config, next] = await Promise.all([
+    PricingConfig.findEffective(at),
+    PricingConfig.findNextScheduled(at),
+  ]);
+
+  const catalogue = config
+    ? {
+        version: config.version,
+        effectiveFrom: config.effectiveFrom,
+        prices: config.prices,
+        rewards: config.rewards,
+        overrides: config.overrides || [],
+        promotions: config.promotions || [],
+      }
+    : { version: 0, effectiveFrom: null, ...DEFAULT_PRICING, overrides: [], promotions: [] };
+
+  cachedCatalogue = {
+    catalogue,
+    expiresAt: Math.min(now + PRICING_CONFIG.cacheTtlMs, next ? next.effectiveFrom.getTime() : Infinity),
+  };
+  return catalogue;
+}
+
+/**
+ * Drop the cached catalogue (after a version changes)
+ */
+function invalidatePricing() {
+  cachedCatalogue = null;
+}
+
+/**
+ * Region and currency a user's prices are looked up by
+ */
+function pricingContext(user) {
+  return {
+    region: user?.profile?.location?.country?.trim().toUpperCase() || null,
+    currency: user?.profile?.preferences?.currency?.trim().toUpperCase() || null,
+  };
+}
+
+/**
+ * A catalogue's prices for a region/currency
+ */
+function resolvePrices(catalogue, { region, currency }) {
+  const currencyOverride = currency && catalogue.overrides.find((o) => !o.region && o.currency === currency);
+  const regionOverride =
+    region &&
+    (catalogue.overrides.find((o) => o.region === region && o.currency === currency) ||
+      catalogue.overrides.find((o) => o.region === region && !o.currency));
+
+  let prices = catalogue.prices;
+  if (currencyOverride) prices = mergePrices(prices, currencyOverride.prices);
+  if (regionOverride) prices = mergePrices(prices, regionOverride.prices);
+  return prices;
+}
+
+/**
+ * Best promotion running for a product
+ */
+function findPromotion(catalogue, product, now = new Date()) {
+  return catalogue.promotions
+    .filter(
+      (promotion) =>
+        promotion.startsAt <= now &&
+        promotion.endsAt > now &&
+        (!promotion.products?.length || promotion.products.includes(product))
+    )
+    .reduce((best, promotion) => (!best || promotion.discountPercent > best.discountPercent ? promotion : best), null);
+}
+
+/**
+ * What a product costs once its promotion is taken off
+ */
+function quote(catalogue, product, listPrice, now) {
+  const promotion = findPromotion(catalogue, product, now);
+  const discountPercent = promotion ? promotion.discountPercent : 0;
+  return {
+    listPrice,
+    discountPercent,
+    promotion: promotion ? { name: promotion.name, endsAt: promotion.endsAt } : null,
+    cost: Math.round((listPrice * (100 - discountPercent)) / 100),
+    pricingVersion: catalogue.version,
+  };
+}
+
+/**
+ * Price of a VIP, MVP or Guardian term for a user
+ * VIP and Guardian are priced per month; MVP by package (durationDays).
+ * @param {Object} user - User document (for region/currency)
+ * @param {Object} term - { type, tier, months } or { type: "mvp", durationDays }
+ * @returns {Promise<Object>} { months, listPrice, discountPercent, promotion, cost, pricingVersion }
+ */
+async function quoteSubscription(user, { type, tier, months, durationDays }) {
+  const catalogue = await getCatalogue();
+  const prices = resolvePrices(catalogue, pricingContext(user));
+
+  if (type === "mvp") {
+    const selected = prices.mvpPackages.find((mvpPackage) => mvpPackage.durationDays === Number(durationDays));
+    if (!selected) {
+      throw new APIError("Invalid MVP duration", 400, "INVALID_DURATION");
+    }
+    return { months: selected.months, ...quote(catalogue, "mvp", selected.cost) };
+  }
+
+  const monthly = prices[type]?.[tier];
+  if (monthly === undefined) {
+    throw new APIError("Invalid subscription tier", 400, "INVALID_TIER");
+  }
+  return { months, ...quote(catalogue, type, monthly * months) };
+}
+
+/**
+ * A fan club fee for a user
+ * @param {Object} user - User document (for region/currency)
+ * @param {"joinFee"|"renewalFee"|"nameChangeFee"} fee
+ */
+async function quoteFanClubFee(user, fee) {
+  const catalogue = await getCatalogue();
+  const prices = resolvePrices(catalogue, pricingContext(user));
+  return quote(catalogue, "fanclub", prices.fanClub[fee]);
+}
+
+/**
+ * A user's price list, with the promotions running now taken off
+ */
+async function getPriceList(user) {
+  const catalogue = await getCatalogue();
+  const prices = resolvePrices(catalogue, pricingContext(user));
+  const now = new Date();
+  const sale = (product, amount) => quote(catalogue, product, amount, now).cost;
+  const saleTiers = (product) =>
+    Object.fromEntries(Object.entries(prices[product]).map(([tier, cost]) => [tier, sale(product, cost)]));
+
+  return {
+    version: catalogue.version,
+    effectiveFrom: catalogue.effectiveFrom,
+    prices,
+    salePrices: {
+      vip: saleTiers("vip"),
+      guardian: saleTiers("guardian"),
+      mvpPackages: prices.mvpPackages.map((mvpPackage) => ({
+        ...mvpPackage,
+        cost: sale("mvp", mvpPackage.cost),
+      })),
+      fanClub: Object.fromEntries(FAN_CLUB_FEES.map((fee) => [fee, sale("fanclub", prices.fanClub[fee])])),
+    },
+    promotions: catalogue.promotions
+      .filter((promotion) => promotion.startsAt <= now && promotion.endsAt > now)
+      .map(({ name, startsAt, endsAt, discountPercent, products }) => ({
+        name,
+        startsAt,
+        endsAt,
+        discountPercent,
+        products,
+      })),
+  };
+}
+
+/**
+ * Rewards in the catalogue in force (the same for everyone)
+ */
+async function getRewards() {
+  return (await getCatalogue()).rewards;
+}
+
+// ============================================
+// Versions (admin)
+// ============================================
+
+const invalidPricing = (error) => new APIError(error.message, 400, "INVALID_PRICING");
+
+/**
+ * Versions, newest first
+ */
+async function listVersions({ page = 1, limit = 20 } = {}) {
+  const now = new Date();
+  const [versions, total, current] = await Promise.all([
+    PricingConfig.find()
+      .sort({ version: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("createdBy updatedBy", "displayName")
+      .lean(),
+    PricingConfig.countDocuments(),
+    PricingConfig.findEffective(now),
+  ]);
+
+  return {
+    versions: versions.map((version) => ({
+      ...version,
+      state: versionState(version, current, now),
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * "scheduled" (not yet in force, editable), "active" or "superseded"
+ */
+function versionState(version, current, now = new Date()) {
+  if (version.effectiveFrom > now) return "scheduled";
+  return current && current._id.equals(version._id) ? "active" : "superseded";
+}
+
+async function getVersion(id) {
+  const version = await PricingConfig.findById(id).populate("createdBy updatedBy", "displayName").lean();
+  if (!version) {
+    throw new APIError("Pricing version not found", 404, "PRICING_NOT_FOUND");
+  }
+  const current = await PricingConfig.findEffective();
+  return { ...version, state: versionState(version, current) };
+}
+
+function checkEffectiveFrom(effectiveFrom, now) {
+  if (effectiveFrom && new Date(effectiveFrom) < now) {
+    throw new APIError("effectiveFrom can't be in the past", 400, "INVALID_EFFECTIVE_FROM");
+  }
+}
+
+/**
+ * Create a version. Prices and rewards not given are copied from the
+ * catalogue in force; overrides and promotions start empty unless given.
+ * @param {Object} fields - { effectiveFrom, notes, prices, rewards, overrides, promotions }
+ * @param {string} adminId
+ */
+async function createVersion(fields, adminId) {
+  const now = new Date();
+  checkEffectiveFrom(fields.effectiveFrom, now);
+
+  const base = await getCatalogue();
+  const document = {
+    effectiveFrom: fields.effectiveFrom || now,
+    notes: fields.notes,
+    prices: mergePrices(base.prices, fields.prices),
+    rewards: mergePrices(base.rewards, fields.rewards),
+    overrides: fields.overrides || [],
+    promotions: fields.promotions || [],
+    createdBy: adminId,
+    updatedBy: adminId,
+  };
+
+  // Two admins creating at once: the loser takes the next number
+  for (let attempt = 0; ; attempt++) {
+    const latest = await PricingConfig.findOne().sort({ version: -1 }).select("version").lean();
+    try {
+      const version = await PricingConfig.create({ ...document, version: (latest?.version || 0) + 1 });
+      invalidatePricing();
+      return version;
+    } catch (error) {
+      if (error.name === "ValidationError") throw invalidPricing(error);
+      if (error.code !== 11000 || attempt >= 2) throw error;
+    }
+  }
+}
+
+/**
+ * Edit a version that hasn't taken effect yet
+ * prices and rewards are merged into the version's; overrides and
+ * promotions, when given, replace its lists.
+ */
+async function updateVersion(id, fields, adminId) {
+  const now = new Date();
+  const version = await PricingConfig.findById(id);
+  if (!version) {
+    throw new APIError("Pricing version not found", 404, "PRICING_NOT_FOUND");
+  }
+  if (version.effectiveFrom <= now) {
+    throw new APIError(
+      "This version is already in force; create a new version instead",
+      409,
+      "PRICING_VERSION_LOCKED"
+    );
+  }
+  checkEffectiveFrom(fields.effectiveFrom, now);
+
+  const current = version.toObject();
+  if (fields.effectiveFrom) version.effectiveFrom = fields.effectiveFrom;
+  if (fields.notes !== undefined) version.notes = fields.notes;
+  if (fields.prices) version.prices = mergePrices(current.prices, fields.prices);
+  if (fields.rewards) version.rewards = mergePrices(current.rewards, fields.rewards);
+  if (fields.overrides) version.overrides = fields.overrides;
+  if (fields.promotions) version.promotions = fields.promotions;
+  version.updatedBy = adminId;
+
+  try {
+    await version.save();
+  } catch (error) {
+    if (error.name === "ValidationError") throw invalidPricing(error);
+    throw error;
+  }
+  invalidatePricing();
+  return version;
+}
+
+/**
+ * Delete a version that hasn't taken effect yet
+ */
+async function deleteVersion(id) {
+  const { deletedCount } = await PricingConfig.deleteOne({ _id: id, effectiveFrom: { $gt: new Date() } });
+  if (!deletedCount) {
+    const exists = await PricingConfig.exists({ _id: id });
+    if (!exists) {
+      throw new APIError("Pricing version not found", 404, "PRICING_NOT_FOUND");
+    }
+    throw new APIError("Versions that took effect are kept as history", 409, "PRICING_VERSION_LOCKED");
+  }
+  invalidatePricing();
+}
+
+module.exports = {
+  PRICING_CONFIG,
+  DEFAULT_PRICING,
+  FAN_CLUB_FEES,
+  getCatalogue,
+  invalidatePricing,
+  quoteSubscription,
+  quoteFanClubFee,
+  getPriceList,
+  getRewards,
+  listVersions,
+  getVersion,
+  createVersion,
+  updateVersion,
+  deleteVersion,
+};
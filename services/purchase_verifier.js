@@ -0,0 +1,290 @@
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const { APIError } = require("../middleware/errorHandler");
+
+/**
+ * Purchase Verifier Service
+ * Verifies in-app purchase receipts with Google Play and the App Store.
+ *
+ * Each store is backed by a verifier object implementing:
+ *   verify({ productId, token, transactionId }) => Promise<{
+ *     valid: boolean,
+ *     reason?: string,
+ *     transactionId: string,   // store's own transaction/order id
+ *     productId: string,
+ *     purchasedAt?: Date,
+ *     environment?: string,
+ *     raw?: Object,
+ *   }>
+ *
+ * Verifiers can be swapped with registerVerifier() (e.g. the fake verifier
+ * in tests), or globally by setting IAP_VERIFIER=fake outside production.
+ */
+
+const GOOGLE_TOKEN_URL = "https://oauth2.googleapis.com/token";
+const GOOGLE_PUBLISHER_SCOPE = "https://www.googleapis.com/auth/androidpublisher";
+const APP_STORE_PRODUCTION_URL = "https://buy.itunes.apple.com/verifyReceipt";
+const APP_STORE_SANDBOX_URL = "https://sandbox.itunes.apple.com/verifyReceipt";
+
+// Cached Google OAuth access token
+let googleAccessToken = null;
+let googleAccessTokenExpiresAt = 0;
+
+/**
+ * Get an OAuth access token for the Android Publisher API using the
+ * configured service account
+ */
+async function getGoogleAccessToken() {
+  if (googleAccessToken && Date.now() < googleAccessTokenExpiresAt - 60 * 1000) {
+    return googleAccessToken;
+  }
+
+  const clientEmail = process.env.GOOGLE_PLAY_CLIENT_EMAIL;
+  const privateKey = process.env.GOOGLE_PLAY_PRIVATE_KEY?.replace(/\\n/g, "\n");
+
+  if (!clientEmail || !privateKey) {
+    throw new APIError("Google Play verification not configured", 500, "VERIFIER_NOT_CONFIGURED");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const assertion = jwt.sign(
+    {
+      iss: clientEmail,
+      scope: GOOGLE_PUBLISHER_SCOPE,
+      aud: GOOGLE_TOKEN_URL,
+      iat: now,
+      exp: now + 3600,
+    },
+    privateKey,
+    { algorithm: "RS256" }
+  );
+
+  const response = await axios.post(
+    GOOGLE_TOKEN_URL,
+    new URLSearchParams({
+      grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+      assertion,
+    }).toString(),
+    {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      timeout: 10000,
+    }
+  );
+
+  googleAccessToken = response.data.access_token;
+  googleAccessTokenExpiresAt = Date.now() + (response.data.expires_in || 3600) * 1000;
+
+  return googleAccessToken;
+}
+
+/**
+ * Google Play verifier (Android Publisher API, purchases.products.get)
+ */
+const googlePlayVerifier = {
+  async verify({ productId, token }) {
+    const packageName = process.env.GOOGLE_PLAY_PACKAGE_NAME;
+    if (!packageName) {
+      throw new APIError("Google Play verification not configured", 500, "VERIFIER_NOT_CONFIGURED");
+    }
+
+    const accessToken = await getGoogleAccessToken();
+
+    let purchase;
+    try {
+      const response = await axios.get(
+        `https://androidpublisher.googleapis.com/androidpublisher/v3/applications/${encodeURIComponent(
+          packageName
+        )}/purchases/products/${encodeURIComponent(productId)}/tokens/${encodeURIComponent(token)}`,
+        {
+          headers: { Authorization: `Bearer ${accessToken}` },
+          timeout: 10000,
+        }
+      );
+      purchase = response.data;
+    } catch (error) {
+      // 400/404 mean Google does not know this token for this product
+      if (error.response && [400, 404, 410].includes(error.response.status)) {
+        return { valid: false, reason: "Purchase token not recognised by Google Play" };
+      }
+      throw error;
+    }
+
+    // purchaseState: 0 = purchased, 1 = cancelled, 2 = pending
+    if (purchase.purchaseState !== 0) {
+      return {
+        valid: false,
+        reason: purchase.purchaseState === 2 ? "Purchase is still pending" : "Purchase was cancelled",
+        raw: purchase,
+      };
+    }
+
+    return {
+      valid: true,
+      // orderId is the stable store transaction id (GPA.xxxx-xxxx-xxxx-xxxxx)
+      transactionId: purchase.orderId || token,
+      productId,
+      purchasedAt: purchase.purchaseTimeMillis ? new Date(Number(purchase.purchaseTimeMillis)) : new Date(),
+      environment: purchase.purchaseType === 0 ? "sandbox" : "production",
+      raw: purchase,
+    };
+  },
+};
+
+/**
+ * Post a receipt to Apple's verifyReceipt endpoint
+ */
+async function postAppStoreReceipt(url, receipt, sharedSecret) {
+  const response = await axios.post(
+    url,
+    {
+      "receipt-data": receipt,
+      password: sharedSecret,
+      "exclude-old-transactions": true,
+    },
+    { timeout: 10000 }
+  );
+  return response.data;
+}
+
+/**
+ * App Store verifier (verifyReceipt, with sandbox fallback)
+ */
+const appStoreVerifier = {
+  async verify({ productId, token, transactionId }) {
+    const sharedSecret = process.env.APP_STORE_SHARED_SECRET;
+    if (!sharedSecret) {
+      throw new APIError("App Store verification not configured", 500, "VERIFIER_NOT_CONFIGURED");
+    }
+
+    let environment = "production";
+    let result = await postAppStoreReceipt(APP_STORE_PRODUCTION_URL, token, sharedSecret);
+
+    // 21007: sandbox receipt sent to production, retry against sandbox
+    if (result.status === 21007) {
+      environment = "sandbox";
+      result = await postAppStoreReceipt(APP_STORE_SANDBOX_URL, token, sharedSecret);
+    }
+
+    if (result.status !== 0) {
+      return { valid: false, reason: `App Store rejected receipt (status ${result.status})`, raw: result };
+    }
+
+    const bundleId = process.env.APP_STORE_BUNDLE_ID;
+    if (bundleId && result.receipt?.bundle_id !== bundleId) {
+      return { valid: false, reason: "Receipt belongs to a different app", raw: result };
+    }
+
+    const inApp = (result.receipt?.in_app || []).filter(
+      (item) => item.product_id === productId && !item.cancellation_date
+    );
+
+    // Prefer the transaction the client is finishing, else the most recent one
+    const purchase = transactionId
+      ? inApp.find((item) => item.transaction_id === transactionId)
+      : inApp.sort((a, b) => Number(b.purchase_date_ms) - Number(a.purchase_date_ms))[0];
+
+    if (!purchase) {
+      return { valid: false, reason: "Receipt does not contain this product", raw: result };
+    }
+
+    return {
+      valid: true,
+      transactionId: purchase.transaction_id,
+      productId,
+      purchasedAt: purchase.purchase_date_ms ? new Date(Number(purchase.purchase_date_ms)) : new Date(),
+      environment,
+      raw: purchase,
+    };
+  },
+};
+
+/**
+ * Create a local fake verifier (for tests and local development)
+ * By default every token is valid and is its own transaction id.
+ * @param {Object} options
+ * @param {Function} options.isValid - (payload) => boolean
+ * @param {Function} options.transactionIdFor - (payload) => string
+ */
+function createFakeVerifier({ isValid, transactionIdFor } = {}) {
+  return {
+    async verify(payload) {
+      if (isValid && !isValid(payload)) {
+        return { valid: false, reason: "Rejected by fake verifier" };
+      }
+
+      return {
+        valid: true,
+        transactionId: transactionIdFor
+          ? transactionIdFor(payload)
+          : payload.transactionId || `fake_${payload.token}`,
+        productId: payload.productId,
+        purchasedAt: new Date(),
+        environment: "fake",
+        raw: {},
+      };
+    },
+  };
+}
+
+const defaultVerifiers = () => {
+  if (process.env.IAP_VERIFIER === "fake" && process.env.NODE_ENV !== "production") {
+    return {
+      google_play: createFakeVerifier(),
+      app_store: createFakeVerifier(),
+    };
+  }
+  return {
+    google_play: googlePlayVerifier,
+    app_store: appStoreVerifier,
+  };
+};
+
+let verifiers = defaultVerifiers();
+
+/**
+ * Replace the verifier used for a store
+ * @param {string} store - 'google_play' | 'app_store'
+ * @param {Object} verifier - Object with an async verify(payload) method
+ */
+function registerVerifier(store, verifier) {
+  if (!verifier || typeof verifier.verify !== "function") {
+    throw new Error("Verifier must implement verify()");
+  }
+  verifiers[store] = verifier;
+}
+
+/**
+ * Restore the default verifiers
+ */
+function resetVerifiers() {
+  verifiers = defaultVerifiers();
+}
+
+/**
+ * Verify a store purchase
+ * @param {string} store - 'google_play' | 'app_store'
+ * @param {Object} payload - { productId, token, transactionId? }
+ */
+async function verifyPurchase(store, payload) {
+  const verifier = verifiers[store];
+  if (!verifier) {
+    throw new APIError(`No purchase verifier for ${store}`, 500, "VERIFIER_NOT_CONFIGURED");
+  }
+
+  const result = await verifier.verify(payload);
+
+  if (result.valid && !result.transactionId) {
+    throw new APIError("Verifier returned no transaction id", 500, "VERIFIER_ERROR");
+  }
+
+  return result;
+}
+
+module.exports = {
+  verifyPurchase,
+  registerVerifier,
+  resetVerifiers,
+  createFakeVerifier,
+  googlePlayVerifier,
+  appStoreVerifier,
+};
@@ -0,0 +1,404 @@
+const admin = require("firebase-admin");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Push Dispatcher
+ * Fans a notification out to every push token on a user's devices.
+ *
+ * Each transport implements:
+ *   send({ tokens, title, body, data, collapseKey }) => Promise<{
+ *     results: Array<{ token: string, success: boolean, invalidToken?: boolean }>,
+ *   }>
+ * Tokens reported as invalid are removed from the user's devices.
+ *
+ * Transports can be swapped with registerPushTransport(), or FCM replaced
+ * by a fake that logs pushes instead of sending them by setting
+ * PUSH_TRANSPORT=fake outside production (local development without
+ * Firebase credentials).
+ *
+ * Collapsible notifications (likes on one post, new followers, ...) are sent
+ * right away; any more of the same kind in the next
+ * PUSH_COLLAPSE_WINDOW_SECONDS are held and sent as one summary push that
+ * replaces it on the device. The window is kept in memory, so collapsing is
+ * per server instance; held pushes are flushed on shutdown.
+ *
+ * Pushes that land in the user's quiet hours are deferred (marked on the
+ * notification) and sent by sendDeferredPushes() once the quiet hours end.
+ */
+
+const PUSH_CONFIG = {
+  collapseWindowMs: envNumber("PUSH_COLLAPSE_WINDOW_SECONDS", 60) * 1000,
+  // Deferred pushes older than this are dropped rather than sent late
+  deferredMaxAgeMs: envNumber("PUSH_DEFERRED_MAX_AGE_HOURS", 24) * 60 * 60 * 1000,
+};
+
+// FCM error codes meaning the token will never work again
+const INVALID_TOKEN_CODES = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+/**
+ * Notification types collapsed into one push per key during the window
+ */
+const COLLAPSE_RULES = {
+  like: {
+    key: (data) => data.postId,
+    summary: (count) => `${count} people liked your post`,
+  },
+  comment: {
+    key: (data) => data.postId,
+    summary: (count) => `${count} new comments on your post`,
+  },
+  follow: {
+    key: () => "followers",
+    summary: (count) => `${count} people started following you`,
+  },
+  gift: {
+    key: () => "gifts",
+    summary: (count) => `You received ${count} gifts`,
+  },
+};
+
+/**
+ * Firebase Cloud Messaging (uses the app initialized in config/firebase.js)
+ */
+const fcmTransport = {
+  async send({ tokens, title, body, data, collapseKey }) {
+    const response = await admin.messaging().sendEachForMulticast({
+      tokens,
+      notification: { title, body },
+      data,
+      android: collapseKey ? { collapseKey } : undefined,
+      apns: collapseKey ? { headers: { "apns-collapse-id": collapseKey } } : undefined,
+    });
+
+    return {
+      results: response.responses.map((result, index) => ({
+        token: tokens[index],
+        success: result.success,
+        invalidToken:
+          !result.success && INVALID_TOKEN_CODES.includes(result.error?.code),
+      })),
+    };
+  },
+};
+
+/**
+ * Create a fake transport for local development
+ * Every token accepts the push, which is logged instead of sent.
+ */
+function createFakePushTransport() {
+  return {
+    async send({ tokens, title, body }) {
+      console.log(`[PushDispatcher] Fake push to ${tokens.length} device(s): ${title} - ${body}`);
+      return {
+        results: tokens.map((token) => ({ token, success: true, invalidToken: false })),
+      };
+    },
+  };
+}
+
+const defaultTransport = () =>
+  process.env.PUSH_TRANSPORT === "fake" && process.env.NODE_ENV !== "production"
+    ? createFakePushTransport()
+    : fcmTransport;
+
+let transport = defaultTransport();
+
+// userId:type:key -> { notification, count, held, notificationIds, collapseKey, timer }
+const pendingBursts = new Map();
+
+/**
+ * Replace the push transport
+ * @param {Object} newTransport - Object with an async send(message) method
+ */
+function registerPushTransport(newTransport) {
+  if (!newTransport || typeof newTransport.send !== "function") {
+    throw new Error("Push transport must implement send()");
+  }
+  transport = newTransport;
+}
+
+/**
+ * Restore the default transport and drop any held bursts
+ */
+function resetPushTransport() {
+  for (const burst of pendingBursts.values()) clearTimeout(burst.timer);
+  pendingBursts.clear();
+  transport = defaultTransport();
+}
+
+/**
+ * Parse "HH:mm" into minutes after midnight
+ */
+function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Whether `date` falls inside the user's quiet hours (in their timezone)
+ */
+function isInQuietHours(user, date = new Date()) {
+  const quietHours = user.profile?.preferences?.notifications?.quietHours;
+  if (!quietHours?.enabled) return false;
+
+  const start = parseClockTime(quietHours.start);
+  const end = parseClockTime(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat("en-GB", {
+      timeZone: user.profile?.preferences?.timezone || "UTC",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(date);
+  } catch (error) {
+    // Unknown timezone
+    return false;
+  }
+
+  const hour = Number(parts.find((p) => p.type === "hour").value);
+  const minute = Number(parts.find((p) => p.type === "minute").value);
+  const now = hour * 60 + minute;
+
+  // Windows like 22:00-07:00 wrap past midnight
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * FCM data values must be strings
+ */
+function toDataPayload(notification) {
+  const data = {
+    type: notification.type,
+    notificationId: notification._id?.toString() || "",
+  };
+  for (const [key, value] of Object.entries(notification.data || {})) {
+    if (value === undefined || value === null) continue;
+    data[key] = typeof value === "string" ? value : JSON.stringify(value);
+  }
+  return data;
+}
+
+/**
+ * Send one push to all of a user's devices and prune invalid tokens
+ * In quiet hours nothing is sent and the notifications behind the push are
+ * marked deferred.
+ * @param {Object} message
+ * @param {Array} [message.notificationIds] - Notifications the push stands for
+ * @returns {Promise<{sent: number, failed: number, pruned: number, skipped?: string, deferred?: number}>}
+ */
+async function deliver(userId, { title, body, data, collapseKey, notificationIds = [] }) {
+  const user = await User.findById(userId).select(
+    "devices profile.preferences isActive isBlocked"
+  );
+  if (!user || !user.isActive || user.isBlocked) {
+    return { sent: 0, failed: 0, pruned: 0, skipped: "inactive" };
+  }
+  if (user.profile?.preferences?.notifications?.push === false) {
+    return { sent: 0, failed: 0, pruned: 0, skipped: "disabled" };
+  }
+  if (isInQuietHours(user)) {
+    if (notificationIds.length > 0) {
+      await Notification.updateMany(
+        { _id: { $in: notificationIds } },
+        { $set: { pushDeferredAt: new Date() } }
+      );
+    }
+    return { sent: 0, failed: 0, pruned: 0, deferred: notificationIds.length };
+  }
+
+  const tokens = [
+    ...new Set((user.devices || []).map((d) => d.pushToken).filter(Boolean)),
+  ];
+  if (tokens.length === 0) {
+    return { sent: 0, failed: 0, pruned: 0, skipped: "no_tokens" };
+  }
+
+  const { results } = await transport.send({ tokens, title, body, data, collapseKey });
+
+  const invalidTokens = results.filter((r) => r.invalidToken).map((r) => r.token);
+  if (invalidTokens.length > 0) {
+    await User.updateOne(
+      { _id: user._id },
+      { $unset: { "devices.$[device].pushToken": "" } },
+      { arrayFilters: [{ "device.pushToken": { $in: invalidTokens } }] }
+    );
+  }
+
+  const sent = results.filter((r) => r.success).length;
+  return { sent, failed: results.length - sent, pruned: invalidTokens.length };
+}
+
+/**
+ * Close a burst's window, sending one summary push for the notifications
+ * held since its first push
+ */
+async function flushBurst(burstKey) {
+  const burst = pendingBursts.get(burstKey);
+  if (!burst) return;
+  pendingBursts.delete(burstKey);
+
+  const { notification, count, held, notificationIds, collapseKey } = burst;
+  if (held === 0) return;
+  const rule = COLLAPSE_RULES[notification.type];
+
+  try {
+    await deliver(notification.userId, {
+      title: notification.title,
+      body: rule.summary(count),
+      data: { ...toDataPayload(notification), count: String(count) },
+      collapseKey,
+      notificationIds,
+    });
+  } catch (error) {
+    console.error("[PushDispatcher] Burst delivery error:", error.message);
+  }
+}
+
+/**
+ * Push a notification document to its user's devices
+ * Collapsible types are sent at once, then merged with others of the same
+ * kind for the rest of the window.
+ * Does not throw - logs errors so the caller's flow isn't broken.
+ * @param {Object} notification - Notification document ({ userId, type, title, body, data })
+ */
+async function dispatchPush(notification) {
+  try {
+    const rule = COLLAPSE_RULES[notification.type];
+    const key = rule?.key(notification.data || {});
+
+    if (!rule || !key || PUSH_CONFIG.collapseWindowMs <= 0) {
+      return await deliver(notification.userId, {
+        title: notification.title,
+        body: notification.body,
+        data: toDataPayload(notification),
+        notificationIds: [notification._id],
+      });
+    }
+
+    const collapseKey = `${notification.type}_${key}`;
+    const burstKey = `${notification.userId}:${collapseKey}`;
+    const burst = pendingBursts.get(burstKey);
+
+    if (burst) {
+      burst.count += 1;
+      burst.held += 1;
+      burst.notification = notification;
+      burst.notificationIds.push(notification._id);
+      return { queued: true, count: burst.count };
+    }
+
+    const timer = setTimeout(() => flushBurst(burstKey), PUSH_CONFIG.collapseWindowMs);
+    timer.unref?.();
+    pendingBursts.set(burstKey, {
+      notification,
+      count: 1,
+      held: 0,
+      notificationIds: [],
+      collapseKey,
+      timer,
+    });
+
+    return await deliver(notification.userId, {
+      title: notification.title,
+      body: notification.body,
+      data: { ...toDataPayload(notification), count: "1" },
+      collapseKey,
+      notificationIds: [notification._id],
+    });
+  } catch (error) {
+    console.error("[PushDispatcher] dispatchPush error:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Send all held bursts now (on shutdown)
+ */
+async function flushPendingPushes() {
+  const keys = [...pendingBursts.keys()];
+  for (const key of keys) {
+    clearTimeout(pendingBursts.get(key).timer);
+    await flushBurst(key);
+  }
+}
+
+/**
+ * Send the pushes deferred by quiet hours, one per user: the notification
+ * itself, or a summary if several are waiting. Users still in quiet hours
+ * stay deferred; pushes past deferredMaxAgeMs are dropped.
+ */
+async function sendDeferredPushes(now = new Date()) {
+  const counts = { processed: 0, succeeded: 0, skipped: 0, failed: 0 };
+  let sent = 0;
+  let dropped = 0;
+
+  const userIds = await Notification.distinct("userId", { pushDeferredAt: { $ne: null } });
+
+  for (const userId of userIds) {
+    counts.processed++;
+    try {
+      const waiting = await Notification.find({ userId, pushDeferredAt: { $ne: null } })
+        .sort({ createdAt: 1 })
+        .select("userId type title body data createdAt")
+        .lean();
+
+      const claimed = await Notification.updateMany(
+        { _id: { $in: waiting.map((n) => n._id) }, pushDeferredAt: { $ne: null } },
+        { $set: { pushDeferredAt: null } }
+      );
+      if (!claimed.modifiedCount) {
+        counts.skipped++;
+        continue;
+      }
+
+      const cutoff = now.getTime() - PUSH_CONFIG.deferredMaxAgeMs;
+      const fresh = waiting.filter((n) => n.createdAt.getTime() >= cutoff);
+      dropped += waiting.length - fresh.length;
+      if (fresh.length === 0) {
+        counts.skipped++;
+        continue;
+      }
+
+      const latest = fresh[fresh.length - 1];
+      const result = await deliver(userId, {
+        title: fresh.length === 1 ? latest.title : "New notifications",
+        body: fresh.length === 1 ? latest.body : `You have ${fresh.length} new notifications`,
+        data: { ...toDataPayload(latest), count: String(fresh.length) },
+        collapseKey: "deferred",
+        notificationIds: fresh.map((n) => n._id),
+      });
+
+      if (result.skipped || result.deferred) {
+        counts.skipped++;
+      } else {
+        counts.succeeded++;
+        sent += fresh.length;
+      }
+    } catch (error) {
+      counts.failed++;
+      console.error(`[PushDispatcher] Deferred push error for user ${userId}:`, error.message);
+    }
+  }
+
+  return { ...counts, sent, dropped };
+}
+
+module.exports = {
+  PUSH_CONFIG,
+  dispatchPush,
+  flushPendingPushes,
+  sendDeferredPushes,
+  isInQuietHours,
+  registerPushTransport,
+  resetPushTransport,
+  fcmTransport,
+};
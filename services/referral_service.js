@@ -0,0 +1,288 @@
+const Invitation = require("../models/Invitation");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { grantReward } = require("./reward_service");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Referral Service
+ * Attributes new accounts to the referral code used at signup and pays both
+ * parties once the new account reaches the reward milestone.
+ *
+ * Attributions are rejected when the invitee shares a device or an IP
+ * cluster (same /24 for IPv4, /64 for IPv6) with the inviter, or a device
+ * with someone the inviter already referred.
+ */
+
+const REFERRAL_CONFIG = {
+  inviterCoins: envNumber("REFERRAL_INVITER_COINS", 100),
+  inviteeCoins: envNumber("REFERRAL_INVITEE_COINS", 50),
+  // Invitee must have used the app on this many different days
+  activeDays: envNumber("REFERRAL_ACTIVE_DAYS", 3),
+  // Pending attributions that never reach the milestone are dropped after this
+  expireDays: envNumber("REFERRAL_EXPIRE_DAYS", 30),
+  requireVerified: process.env.REFERRAL_REQUIRE_VERIFIED === "true",
+  // How far back to look at the inviter's sessions for IP matches
+  ipLookbackDays: 90,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reduce an IP address to its network cluster
+ */
+function getIpCluster(ip) {
+  if (!ip) return null;
+  const address = ip.replace(/^::ffff:/, "");
+
+  if (address.includes(".")) {
+    return address.split(".").slice(0, 3).join(".");
+  }
+  if (address.includes(":")) {
+    return address.split(":").slice(0, 4).join(":").toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * Work out why an attribution should be rejected (null if it's fine)
+ */
+async function findAbuseReason({ invitation, invitee, deviceId, ipAddress }) {
+  const inviterId = invitation.userId;
+
+  if (inviterId.toString() === invitee._id.toString()) {
+    return "self_referral";
+  }
+
+  const since = new Date(Date.now() - REFERRAL_CONFIG.ipLookbackDays * DAY_MS);
+  const [inviter, inviterSessions] = await Promise.all([
+    User.findById(inviterId).select("devices.deviceId isActive isBlocked"),
+    Session.find({ userId: inviterId, startTime: { $gte: since } })
+      .select("ipAddress deviceInfo.deviceId")
+      .lean(),
+  ]);
+
+  if (!inviter || !inviter.isActive || inviter.isBlocked) {
+    return "inviter_unavailable";
+  }
+
+  if (deviceId) {
+    const inviterDevices = new Set([
+      ...(inviter.devices || []).map((d) => d.deviceId),
+      ...inviterSessions.map((s) => s.deviceInfo?.deviceId),
+    ]);
+    if (inviterDevices.has(deviceId)) {
+      return "shared_device";
+    }
+
+    const deviceReused = invitation.invitedUsers.some((entry) => entry.deviceId === deviceId);
+    if (deviceReused) {
+      return "shared_device";
+    }
+  }
+
+  const cluster = getIpCluster(ipAddress);
+  if (cluster && inviterSessions.some((s) => getIpCluster(s.ipAddress) === cluster)) {
+    return "shared_ip_cluster";
+  }
+
+  return null;
+}
+
+/**
+ * Record that a new account signed up with a referral code
+ * Never throws for bad codes; the signup must go through regardless.
+ * @returns {Promise<{status: string, reason?: string}>}
+ */
+async function attributeReferral({ invitee, referralCode, deviceId, ipAddress }) {
+  const code = (referralCode || "").trim().toUpperCase();
+  if (!code) return { status: "none" };
+
+  const invitation = await Invitation.findOne({ referralCode: code });
+  if (!invitation) {
+    return { status: "invalid_code" };
+  }
+
+  const alreadyAttributed = await Invitation.exists({
+    "invitedUsers.invitedUserId": invitee._id,
+  });
+  if (alreadyAttributed) {
+    return { status: "already_attributed" };
+  }
+
+  const reason = await findAbuseReason({ invitation, invitee, deviceId, ipAddress });
+
+  await Invitation.updateOne(
+    { _id: invitation._id },
+    {
+      $push: {
+        invitedUsers: {
+          invitedUserId: invitee._id,
+          invitedAt: new Date(),
+          status: reason ? "rejected" : "pending",
+          rejectionReason: reason,
+          deviceId,
+          ipAddress,
+        },
+      },
+      ...(reason ? {} : { $inc: { totalInvites: 1 } }),
+    }
+  );
+
+  if (reason) {
+    console.warn(
+      `🚫 Referral ${code} rejected for ${invitee._id}: ${reason}`
+    );
+    return { status: "rejected", reason };
+  }
+
+  return { status: "pending" };
+}
+
+/**
+ * Whether an invitee has reached the reward milestone
+ */
+function hasReachedMilestone(invitee) {
+  if (!invitee.isActive || invitee.isBlocked || invitee.deletedAt) return false;
+  if (REFERRAL_CONFIG.requireVerified && !invitee.emailVerified && !invitee.phoneNumber) {
+    return false;
+  }
+
+  return (invitee.activeDayCount || 0) >= REFERRAL_CONFIG.activeDays;
+}
+
+/**
+ * Set an attribution's status, only if it is still pending
+ * @returns {Promise<boolean>} Whether this call made the change
+ */
+async function settleAttribution(invitationId, invitedUserId, update) {
+  const result = await Invitation.updateOne(
+    {
+      _id: invitationId,
+      invitedUsers: { $elemMatch: { invitedUserId, status: "pending" } },
+    },
+    update
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Pay both parties of a pending attribution
+ */
+async function rewardAttribution(invitation, entry) {
+  const { inviterCoins, inviteeCoins } = REFERRAL_CONFIG;
+  const now = new Date();
+
+  // Claim first so concurrent runs can't both pay out
+  const claimed = await settleAttribution(invitation._id, entry.invitedUserId, {
+    $set: {
+      "invitedUsers.$.status": "rewarded",
+      "invitedUsers.$.rewardClaimed": true,
+      "invitedUsers.$.rewardedAt": now,
+    },
+    $inc: { "totalRewards.coins": inviterCoins },
+  });
+  if (!claimed) return false;
+
+  const common = {
+    source: "invitation",
+    relatedEntityType: "invitation",
+    relatedEntityId: invitation._id,
+    metadata: { invitationId: invitation._id },
+  };
+  // Keyed per attribution, so the retry after a failed payout only pays
+  // the side that's missing
+  const key = `invitation:${invitation._id}:${entry.invitedUserId}`;
+
+  try {
+    await grantReward({
+      ...common,
+      userId: invitation.userId,
+      amounts: { coins: inviterCoins },
+      relatedUserId: entry.invitedUserId,
+      description: "Invitation reward",
+      idempotencyKey: `${key}:inviter`,
+    });
+    await grantReward({
+      ...common,
+      userId: entry.invitedUserId,
+      amounts: { coins: inviteeCoins },
+      relatedUserId: invitation.userId,
+      description: "Welcome reward for joining with an invite",
+      idempotencyKey: `${key}:invitee`,
+    });
+  } catch (error) {
+    // Put it back to pending so the next run retries
+    await Invitation.updateOne(
+      {
+        _id: invitation._id,
+        invitedUsers: { $elemMatch: { invitedUserId: entry.invitedUserId, status: "rewarded" } },
+      },
+      {
+        $set: {
+          "invitedUsers.$.status": "pending",
+          "invitedUsers.$.rewardClaimed": false,
+          "invitedUsers.$.rewardedAt": null,
+        },
+        $inc: { "totalRewards.coins": -inviterCoins },
+      }
+    );
+    throw error;
+  }
+
+  return true;
+}
+
+/**
+ * Check every pending attribution: reward those whose invitee reached the
+ * milestone and drop those that have waited too long
+ * @returns {Promise<{rewarded: number, expired: number, failed: number}>}
+ */
+async function processPendingReferrals() {
+  const stats = { rewarded: 0, expired: 0, failed: 0 };
+  const expireBefore = Date.now() - REFERRAL_CONFIG.expireDays * DAY_MS;
+
+  const invitations = await Invitation.find({ "invitedUsers.status": "pending" });
+
+  for (const invitation of invitations) {
+    const pending = invitation.invitedUsers.filter((e) => e.status === "pending");
+    const invitees = await User.find({
+      _id: { $in: pending.map((e) => e.invitedUserId) },
+    }).select("isActive isBlocked deletedAt emailVerified phoneNumber activeDayCount");
+
+    for (const entry of pending) {
+      const invitee = invitees.find((u) => u._id.toString() === entry.invitedUserId.toString());
+
+      try {
+        if (invitee && hasReachedMilestone(invitee)) {
+          if (await rewardAttribution(invitation, entry)) stats.rewarded++;
+        } else if (!invitee || entry.invitedAt.getTime() < expireBefore) {
+          const expired = await settleAttribution(invitation._id, entry.invitedUserId, {
+            $set: {
+              "invitedUsers.$.status": "rejected",
+              "invitedUsers.$.rejectionReason": invitee ? "milestone_not_reached" : "invitee_deleted",
+            },
+            $inc: { totalInvites: -1 },
+          });
+          if (expired) stats.expired++;
+        }
+      } catch (error) {
+        stats.failed++;
+        console.error(
+          `❌ Referral reward failed for ${entry.invitedUserId}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  return stats;
+}
+
+module.exports = {
+  REFERRAL_CONFIG,
+  getIpCluster,
+  attributeReferral,
+  hasReachedMilestone,
+  processPendingReferrals,
+};
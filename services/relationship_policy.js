@@ -0,0 +1,177 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { APIError } = require("../middleware/errorHandler");
+
+/**
+ * Relationship Policy
+ * Answers "can A <action> B?" for everything one user does to another, so
+ * chats, calls, gifts, story replies, mentions and profile views all apply
+ * the same rules and return the same error codes.
+ *
+ * Rules, in order:
+ *   1. Admins and the user themself are always allowed
+ *   2. A block in either direction denies every action (USER_UNAVAILABLE,
+ *      worded so the blocked user can't tell they were blocked)
+ *   3. The target's privacy setting for the action:
+ *        everyone  - anyone
+ *        followers - users who follow the target
+ *        friends   - mutual followers
+ *        nobody    - no one
+ *      Users on the target's close friends list pass followers and friends.
+ */
+
+const RELATIONSHIP_ACTIONS = {
+  MESSAGE: "message",
+  CALL: "call",
+  VIEW: "view",
+  GIFT: "gift",
+  MENTION: "mention",
+};
+
+// Who-can level for an action, read from the target's privacy settings
+const ACTION_AUDIENCE = {
+  message: (privacy) => privacy?.messageWhoCan || "everyone",
+  call: (privacy) => privacy?.callWhoCan || "everyone",
+  view: (privacy) => (privacy?.profileVisible === false ? "nobody" : "everyone"),
+  gift: () => "everyone",
+  mention: () => "everyone",
+};
+
+const DENIALS = {
+  not_found: { statusCode: 404, code: "USER_NOT_FOUND", message: "User not found" },
+  blocked: { statusCode: 403, code: "USER_UNAVAILABLE", message: "This user is not available" },
+  message: { statusCode: 403, code: "MESSAGE_NOT_ALLOWED", message: "This user doesn't accept messages from you" },
+  call: { statusCode: 403, code: "CALL_NOT_ALLOWED", message: "This user doesn't accept calls from you" },
+  view: { statusCode: 403, code: "PROFILE_PRIVATE", message: "This profile is private" },
+  gift: { statusCode: 403, code: "GIFT_NOT_ALLOWED", message: "You can't send gifts to this user" },
+  mention: { statusCode: 403, code: "MENTION_NOT_ALLOWED", message: "You can't mention this user" },
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+/**
+ * Load how each target relates to the actor, without pulling whole
+ * follower lists into memory
+ * @param {Object} actor - User document (needs _id and blockedUsers)
+ * @param {Array<string|ObjectId>} targetIds
+ * @returns {Promise<Map<string, Object>>} targetId -> relationship
+ */
+async function getRelationships(actor, targetIds) {
+  const actorId = toObjectId(actor._id);
+  const ids = [...new Set(targetIds.map(String))].filter((id) => mongoose.isValidObjectId(id));
+  if (ids.length === 0) return new Map();
+
+  const inList = (field) => ({ $in: [actorId, { $ifNull: [`$${field}`, []] }] });
+  const rows = await User.aggregate([
+    {
+      $match: {
+        _id: { $in: ids.map(toObjectId) },
+        isActive: true,
+        isBlocked: { $ne: true },
+        deletedAt: null,
+      },
+    },
+    {
+      $project: {
+        privacy: "$profile.preferences.privacy",
+        blocksActor: inList("blockedUsers"),
+        followedByActor: inList("followers"),
+        followsActor: inList("following"),
+        actorIsCloseFriend: inList("closeFriends"),
+      },
+    },
+  ]);
+
+  const actorBlocks = new Set((actor.blockedUsers || []).map(String));
+  return new Map(
+    rows.map((row) => {
+      const id = row._id.toString();
+      return [
+        id,
+        {
+          userId: id,
+          privacy: row.privacy || {},
+          blocked: row.blocksActor || actorBlocks.has(id),
+          follows: row.followedByActor,
+          mutual: row.followedByActor && row.followsActor,
+          closeFriend: row.actorIsCloseFriend,
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * Decide one action against a loaded relationship
+ * @returns {Object|null} the denial ({ statusCode, code, message }) or null if allowed
+ */
+function evaluate(actor, relationship, action) {
+  if (!ACTION_AUDIENCE[action]) {
+    throw new Error(`Unknown relationship action: ${action}`);
+  }
+  if (!relationship) return DENIALS.not_found;
+  if (actor.role === "admin" || relationship.userId === actor._id.toString()) return null;
+  if (relationship.blocked) return DENIALS.blocked;
+
+  switch (ACTION_AUDIENCE[action](relationship.privacy)) {
+    case "nobody":
+      return DENIALS[action];
+    case "followers":
+      return relationship.follows || relationship.closeFriend ? null : DENIALS[action];
+    case "friends":
+      return relationship.mutual || relationship.closeFriend ? null : DENIALS[action];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether actor may perform action on one target
+ * @returns {Promise<{allowed: boolean, statusCode?: number, code?: string, message?: string}>}
+ */
+async function checkPermission(actor, targetId, action) {
+  const relationships = await getRelationships(actor, [targetId]);
+  const denial = evaluate(actor, relationships.get(targetId.toString()), action);
+  return denial ? { allowed: false, ...denial } : { allowed: true };
+}
+
+/**
+ * Like checkPermission, but throws an APIError when denied
+ */
+async function assertPermission(actor, targetId, action) {
+  const result = await checkPermission(actor, targetId, action);
+  if (!result.allowed) {
+    throw new APIError(result.message, result.statusCode, result.code);
+  }
+}
+
+/**
+ * Split targets into those the actor may act on and those it may not
+ * @returns {Promise<{allowed: string[], denied: Array<{userId: string, statusCode: number, code: string, message: string}>}>}
+ */
+async function filterPermitted(actor, targetIds, action) {
+  const ids = [...new Set(targetIds.map(String))];
+  const relationships = await getRelationships(actor, ids);
+
+  const allowed = [];
+  const denied = [];
+  ids.forEach((id) => {
+    const denial = evaluate(actor, relationships.get(id), action);
+    if (denial) {
+      denied.push({ userId: id, ...denial });
+    } else {
+      allowed.push(id);
+    }
+  });
+
+  return { allowed, denied };
+}
+
+module.exports = {
+  RELATIONSHIP_ACTIONS,
+  getRelationships,
+  evaluate,
+  checkPermission,
+  assertPermission,
+  filterPermitted,
+};
@@ -0,0 +1,156 @@
+const User = require("../models/User");
+const Transaction = require("../models/Transaction");
+const walletService = require("./wallet_service");
+const { APIError } = require("../middleware/errorHandler");
+
+/**
+ * Reward Service
+ * The one way system rewards (daily login, VIP/MVP daily, rankings, tasks,
+ * invitations) are granted.
+ *
+ * Each currency in a grant is its own wallet credit of type "reward",
+ * tagged with the grant's source - XP included, as ledger currency "xp" -
+ * so the ledger is the reward history.
+ *
+ * A grant with an idempotencyKey keys each currency "<key>:<currency>", so
+ * retrying a grant that failed halfway only pays what's missing.
+ */
+
+const { REWARD_SOURCES } = Transaction;
+
+const REWARD_CURRENCIES = ["coins", "diamonds", "xp"];
+
+/**
+ * XP after the MVP double-XP boost
+ */
+async function boostXp(userId, xp) {
+  const user = await User.findById(userId)
+    .select("gamification.isMVP gamification.mvpExpiresAt")
+    .lean();
+  const gamification = user?.gamification;
+  const hasMVP =
+    gamification?.isMVP && gamification.mvpExpiresAt && gamification.mvpExpiresAt > new Date();
+  return hasMVP ? xp * 2 : xp;
+}
+
+/**
+ * Grant a reward
+ * @param {Object} grant
+ * @param {string} grant.userId
+ * @param {string} grant.source - One of REWARD_SOURCES
+ * @param {Object} grant.amounts - { coins, diamonds, xp }; missing or zero amounts are skipped
+ * @param {string} grant.description
+ * @param {string} [grant.idempotencyKey] - Identifies the grant; a repeat pays nothing twice
+ * @param {boolean} [grant.applyXpBoost=true] - Double XP for active MVPs
+ * @param {Object} [grant.metadata]
+ * @param {*} [grant.relatedUserId] - Also relatedEntityType / relatedEntityId
+ * @returns {Promise<{granted: Object, transactions: Object[], duplicate: boolean}>}
+ *   duplicate is true when every currency had already been paid
+ */
+async function grantReward({
+  userId,
+  source,
+  amounts = {},
+  description,
+  idempotencyKey,
+  applyXpBoost = true,
+  metadata = {},
+  ...related
+}) {
+  if (!REWARD_SOURCES.includes(source)) {
+    throw new APIError(`Unknown reward source: ${source}`, 400, "INVALID_REWARD_SOURCE");
+  }
+
+  const granted = {};
+  for (const currency of REWARD_CURRENCIES) {
+    if (amounts[currency] > 0) granted[currency] = amounts[currency];
+  }
+  if (granted.xp && applyXpBoost) {
+    granted.xp = await boostXp(userId, granted.xp);
+  }
+
+  const transactions = [];
+  let duplicates = 0;
+  for (const [currency, amount] of Object.entries(granted)) {
+    try {
+      transactions.push(
+        await walletService.credit({
+          ...related,
+          userId,
+          type: "reward",
+          source,
+          currency,
+          amount,
+          description,
+          idempotencyKey: idempotencyKey ? `${idempotencyKey}:${currency}` : undefined,
+          metadata,
+        })
+      );
+    } catch (error) {
+      if (error.code !== "DUPLICATE_TRANSACTION") throw error;
+      duplicates++;
+    }
+  }
+
+  return {
+    granted,
+    transactions,
+    duplicate: duplicates > 0 && transactions.length === 0,
+  };
+}
+
+/**
+ * A user's reward history from the ledger, newest first
+ * @param {Object} options
+ * @param {string} options.userId
+ * @param {string} [options.source] - Only this source
+ * @param {string} [options.currency] - Only this currency
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ */
+async function getRewardHistory({ userId, source, currency, page = 1, limit = 20 }) {
+  const filter = { userId, type: "reward", status: "completed" };
+  if (source) filter.source = source;
+  if (currency) filter.currency = currency;
+
+  const [rows, total] = await Promise.all([
+    Transaction.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("source currency amount balanceAfter description metadata relatedUserId createdAt")
+      .populate("relatedUserId", "displayName photoURL username")
+      .lean(),
+    Transaction.countDocuments(filter),
+  ]);
+
+  const rewards = rows.map((row) => ({
+    _id: row._id,
+    // Rows written before source was a field carry it in metadata
+    source: row.source || row.metadata?.source || null,
+    currency: row.currency,
+    amount: row.amount,
+    balanceAfter: row.balanceAfter,
+    description: row.description,
+    relatedUser: row.relatedUserId,
+    metadata: row.metadata,
+    createdAt: row.createdAt,
+  }));
+
+  return {
+    rewards,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+module.exports = {
+  REWARD_SOURCES,
+  REWARD_CURRENCIES,
+  grantReward,
+  getRewardHistory,
+};
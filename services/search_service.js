@@ -0,0 +1,415 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const LiveStream = require("../models/LiveStream");
+const Chat = require("../models/Chat");
+const Hashtag = require("../models/Hashtag");
+const { APIError } = require("../middleware/errorHandler");
+const { normalizeTag } = require("./hashtag_service");
+
+/**
+ * Search Service
+ * Global search with one ranked, cursor-paginated section per result type.
+ *
+ * Every section computes a relevance `score` and pages by (score, _id)
+ * descending, so the cursor is the last item's score and id. Sections only
+ * return what the viewer could open anyway: no blocked users (either way),
+ * private profiles, private posts from people they don't follow, private
+ * lives they have no access to, or other people's chats. Email and phone
+ * only match exactly, and only when the owner shows them on their profile.
+ */
+
+const SEARCH_TYPES = ["users", "posts", "hashtags", "lives", "chats"];
+
+const SEARCH_CONFIG = {
+  defaultLimit: 10,
+  maxLimit: 50,
+  // Users matched by name when searching lives by host or chats by member
+  maxNameMatches: 200,
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Encode/decode the opaque pagination cursor
+ */
+function encodeCursor(item) {
+  return Buffer.from(JSON.stringify({ s: item.score, id: item._id.toString() })).toString(
+    "base64url"
+  );
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const { s, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof s !== "number" || !mongoose.isValidObjectId(id)) throw new Error();
+    return { score: s, id };
+  } catch (error) {
+    throw new APIError("Invalid cursor", 400, "INVALID_CURSOR");
+  }
+}
+
+/**
+ * Pipeline stages that page a scored result set by (score, _id) descending
+ */
+function pageStages(cursor, limit) {
+  const stages = [];
+  if (cursor) {
+    const id = new mongoose.Types.ObjectId(cursor.id);
+    stages.push({
+      $match: {
+        $or: [{ score: { $lt: cursor.score } }, { score: cursor.score, _id: { $lt: id } }],
+      },
+    });
+  }
+  stages.push({ $sort: { score: -1, _id: -1 } }, { $limit: limit + 1 });
+  return stages;
+}
+
+function toSection(rows, limit) {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+  };
+}
+
+/**
+ * Text relevance: exact > prefix > contains (0 when the field doesn't match)
+ */
+const textScore = (field, q, weight) => {
+  const lower = q.toLowerCase();
+  const value = { $toLower: { $ifNull: [field, ""] } };
+  return {
+    $switch: {
+      branches: [
+        { case: { $eq: [value, lower] }, then: weight * 3 },
+        { case: { $eq: [{ $indexOfCP: [value, lower] }, 0] }, then: weight * 2 },
+        { case: { $gt: [{ $indexOfCP: [value, lower] }, 0] }, then: weight },
+      ],
+      default: 0,
+    },
+  };
+};
+
+// Popularity boost that orders equally relevant results without swamping relevance
+const popularity = (expr, weight) => ({
+  $multiply: [{ $log10: { $add: [{ $max: [expr, 0] }, 1] } }, weight],
+});
+
+/**
+ * Users the viewer must never see: ones they blocked and ones who blocked them
+ */
+async function getHiddenUserIds(viewer) {
+  const blockedBy = await User.find({ blockedUsers: viewer._id }).distinct("_id");
+  return [...(viewer.blockedUsers || []), ...blockedBy];
+}
+
+/**
+ * Active users whose username or display name matches (for host/member search)
+ */
+function findUserIdsByName(regex) {
+  return User.find({
+    isActive: true,
+    deletedAt: null,
+    $or: [{ displayName: regex }, { "profile.username": regex }],
+  })
+    .limit(SEARCH_CONFIG.maxNameMatches)
+    .distinct("_id");
+}
+
+async function searchUsers({ viewer, q, regex, hiddenIds, cursor, limit }) {
+  const normalized = q.toLowerCase();
+  const rows = await User.aggregate([
+    {
+      $match: {
+        _id: { $ne: viewer._id, $nin: hiddenIds },
+        isActive: true,
+        isBlocked: { $ne: true },
+        deletedAt: null,
+        "profile.preferences.privacy.profileVisible": { $ne: false },
+        $or: [
+          { displayName: regex },
+          { "profile.username": regex },
+          { email: normalized, "profile.preferences.privacy.showEmail": true },
+          { phoneNumber: q, "profile.preferences.privacy.showPhone": true },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        score: {
+          $add: [
+            { $max: [textScore("$profile.username", q, 30), textScore("$displayName", q, 20)] },
+            popularity({ $size: { $ifNull: ["$followers", []] } }, 2),
+          ],
+        },
+      },
+    },
+    ...pageStages(cursor, limit),
+    {
+      $project: {
+        score: 1,
+        displayName: 1,
+        photoURL: 1,
+        username: "$profile.username",
+        bio: "$profile.bio",
+        followersCount: { $size: { $ifNull: ["$followers", []] } },
+        isFollowing: { $in: [viewer._id, { $ifNull: ["$followers", []] }] },
+      },
+    },
+  ]);
+  return toSection(rows, limit);
+}
+
+async function searchPosts({ viewer, q, regex, hiddenIds, cursor, limit }) {
+  const tag = q.replace(/^#/, "").toLowerCase();
+  const rows = await Post.aggregate([
+    {
+      $match: {
+        isActive: true,
+        deletedAt: null,
+        moderationStatus: "approved",
+        userId: { $nin: hiddenIds },
+        _id: { $nin: viewer.hiddenPosts || [] },
+        $and: [
+          {
+            $or: [
+              { isPublic: true },
+              { userId: { $in: viewer.following || [] } },
+              { userId: viewer._id },
+            ],
+          },
+          { $or: [{ content: regex }, { tags: tag }] },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        score: {
+          $add: [
+            { $cond: [{ $in: [tag, { $ifNull: ["$tags", []] }] }, 40, 0] },
+            { $cond: [{ $gt: [textScore("$content", q, 1), 0] }, 20, 0] },
+            popularity({ $add: ["$likes", "$comments", "$shares"] }, 4),
+          ],
+        },
+      },
+    },
+    ...pageStages(cursor, limit),
+    {
+      $lookup: {
+        from: "users",
+        localField: "userId",
+        foreignField: "_id",
+        as: "author",
+        pipeline: [{ $project: { displayName: 1, photoURL: 1, username: "$profile.username" } }],
+      },
+    },
+    {
+      $project: {
+        score: 1,
+        type: 1,
+        content: 1,
+        imageUrls: 1,
+        videoThumbnail: 1,
+        tags: 1,
+        likes: 1,
+        comments: 1,
+        createdAt: 1,
+        author: { $first: "$author" },
+      },
+    },
+  ]);
+  return toSection(rows, limit);
+}
+
+async function searchHashtags({ q, cursor, limit }) {
+  const tag = normalizeTag(q);
+  if (!tag) return { items: [], nextCursor: null };
+
+  const rows = await Hashtag.aggregate([
+    { $match: { tag: new RegExp(`^${escapeRegex(tag)}`), isBlocked: false } },
+    {
+      $addFields: {
+        score: {
+          $add: [{ $cond: [{ $eq: ["$tag", tag] }, 100, 0] }, popularity("$totalUses", 10)],
+        },
+      },
+    },
+    ...pageStages(cursor, limit),
+    { $project: { score: 1, tag: 1, counts: 1, totalUses: 1, trendingRank: 1, lastUsedAt: 1 } },
+  ]);
+  return toSection(rows, limit);
+}
+
+async function searchLives({ viewer, q, regex, hiddenIds, cursor, limit }) {
+  const viewerId = viewer._id.toString();
+  const hostIds = await findUserIdsByName(regex);
+
+  const rows = await LiveStream.aggregate([
+    {
+      $match: {
+        streaming: true,
+        author: { $nin: hiddenIds },
+        removedUsersId: { $ne: viewerId },
+        $and: [
+          { $or: [{ title: regex }, { author: { $in: hostIds } }] },
+          {
+            $or: [
+              { private: { $ne: true } },
+              { authorId: viewerId },
+              { privateViewersId: viewerId },
+              { paidViewersId: viewerId },
+              // Priced private lives are listed; joining asks for a ticket
+              { privateLivePrice: { $ne: null } },
+            ],
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        score: {
+          $add: [
+            textScore("$title", q, 20),
+            { $cond: [{ $in: ["$author", hostIds] }, 30, 0] },
+            popularity("$viewersCount", 5),
+          ],
+        },
+      },
+    },
+    ...pageStages(cursor, limit),
+    {
+      $lookup: {
+        from: "users",
+        localField: "author",
+        foreignField: "_id",
+        as: "author",
+        pipeline: [{ $project: { displayName: 1, photoURL: 1, username: "$profile.username" } }],
+      },
+    },
+    {
+      $project: {
+        score: 1,
+        title: 1,
+        liveType: 1,
+        partyType: 1,
+        private: 1,
+        viewersCount: 1,
+        createdAt: 1,
+        author: { $first: "$author" },
+      },
+    },
+  ]);
+  return toSection(rows, limit);
+}
+
+async function searchChats({ viewer, q, regex, cursor, limit }) {
+  const memberIds = await findUserIdsByName(regex);
+
+  const rows = await Chat.aggregate([
+    {
+      $match: {
+        members: { $elemMatch: { userId: viewer._id, isActive: true } },
+        status: "active",
+        deletedAt: null,
+        $or: [
+          { name: regex },
+          { members: { $elemMatch: { userId: { $in: memberIds, $ne: viewer._id }, isActive: true } } },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        // Name relevance first, then the most recently active chat
+        score: {
+          $add: [
+            {
+              $multiply: [
+                {
+                  $max: [
+                    textScore("$name", q, 1),
+                    { $cond: [{ $gt: [{ $size: { $setIntersection: ["$members.userId", memberIds] } }, 0] }, 1, 0] },
+                  ],
+                },
+                1e13,
+              ],
+            },
+            { $toLong: { $ifNull: ["$lastMessage.timestamp", "$createdAt"] } },
+          ],
+        },
+      },
+    },
+    ...pageStages(cursor, limit),
+    {
+      $lookup: {
+        from: "users",
+        localField: "members.userId",
+        foreignField: "_id",
+        as: "memberUsers",
+        pipeline: [{ $project: { displayName: 1, photoURL: 1, username: "$profile.username" } }],
+      },
+    },
+    {
+      $project: {
+        score: 1,
+        type: 1,
+        name: 1,
+        avatar: 1,
+        lastMessage: 1,
+        members: "$memberUsers",
+      },
+    },
+  ]);
+  return toSection(rows, limit);
+}
+
+const SECTION_SEARCHES = {
+  users: searchUsers,
+  posts: searchPosts,
+  hashtags: searchHashtags,
+  lives: searchLives,
+  chats: searchChats,
+};
+
+/**
+ * Run a search
+ * @param {Object} params
+ * @param {Object} params.viewer - User document of the searcher
+ * @param {string} params.q
+ * @param {string} [params.type] - one section only; required to use a cursor
+ * @param {string} [params.cursor]
+ * @param {number} [params.limit] - per section
+ * @returns {Promise<Object>} { users: { items, nextCursor }, posts: ..., ... }
+ */
+async function search({ viewer, q, type, cursor, limit = SEARCH_CONFIG.defaultLimit }) {
+  if (cursor && !type) {
+    throw new APIError("A cursor needs a result type", 400, "CURSOR_REQUIRES_TYPE");
+  }
+
+  const query = q.trim();
+  const context = {
+    viewer,
+    q: query,
+    regex: new RegExp(escapeRegex(query), "i"),
+    hiddenIds: await getHiddenUserIds(viewer),
+    cursor: decodeCursor(cursor),
+    limit: Math.min(limit, SEARCH_CONFIG.maxLimit),
+  };
+
+  const types = type ? [type] : SEARCH_TYPES;
+  const sections = await Promise.all(types.map((t) => SECTION_SEARCHES[t](context)));
+
+  return types.reduce((results, t, i) => {
+    results[t] = sections[i];
+    return results;
+  }, {});
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  SEARCH_CONFIG,
+  search,
+};
@@ -0,0 +1,454 @@
+const moment = require("moment");
+const User = require("../models/User");
+const Subscription = require("../models/Subscription");
+const walletService = require("./wallet_service");
+const notificationService = require("./notification_service");
+const { invalidatePerks } = require("./perk_service");
+const { DEFAULT_PRICING } = require("./pricing_service");
+const { APIError } = require("../middleware/errorHandler");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Subscription Service
+ * Buys, renews, upgrades and expires VIP, MVP and Guardian subscriptions.
+ *
+ * Buying while a subscription of that type is active:
+ * - same tier: a renewal - the months are added to the current end date
+ * - higher tier: an upgrade - the new term starts now, and the unused part
+ *   of the current one is credited against its price
+ * - lower tier: refused until the current one ends
+ *
+ * Subscription rows are the source of truth. The user's gamification flags
+ * (isNormalVip, mvpExpiresAt, guardianType, ...) are rewritten from them
+ * after every change, and the expiry sweep ends terms and sends the
+ * "expiring soon" / "expired" notices.
+ */
+
+const SUBSCRIPTION_CONFIG = {
+  // How long before the end date the "expiring soon" notice goes out
+  expiryNoticeHours: envNumber("SUBSCRIPTION_EXPIRY_NOTICE_HOURS", 72),
+};
+
+const { SUBSCRIPTION_TIERS } = Subscription;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addMonths = (date, months) => moment(date).add(months, "months").toDate();
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Name shown to users ("Diamond VIP", "MVP", "Gold Guardian")
+ */
+function subscriptionName({ type, tier }) {
+  if (type === "mvp") return "MVP";
+  return `${capitalize(tier)} ${type === "vip" ? "VIP" : "Guardian"}`;
+}
+
+/**
+ * Coins paid for a subscription's current term
+ * Rows from before pricePaid was recorded are valued at the original
+ * monthly list price (what was charged then).
+ */
+function pricePaidFor(subscription) {
+  if (subscription.pricePaid !== null && subscription.pricePaid !== undefined) {
+    return subscription.pricePaid;
+  }
+  const { prices } = DEFAULT_PRICING;
+  const monthly =
+    subscription.type === "mvp"
+      ? prices.mvpPackages.find((mvpPackage) => mvpPackage.months === 1).cost
+      : prices[subscription.type]?.[subscription.tier] || 0;
+  const termDays = (subscription.endDate - subscription.startDate) / DAY_MS;
+  return Math.round((monthly * termDays) / 30);
+}
+
+/**
+ * Coins' worth of the unused part of a subscription
+ */
+function remainingValue(subscription, now = new Date()) {
+  const term = subscription.endDate - subscription.startDate;
+  const remaining = subscription.endDate - now;
+  if (term <= 0 || remaining <= 0) return 0;
+  return Math.floor(pricePaidFor(subscription) * Math.min(1, remaining / term));
+}
+
+/**
+ * Work out what buying a term means for the user's current subscription
+ * @returns {Promise<Object>} { action: "new"|"renewal"|"upgrade", current,
+ *   credit, charge, startDate, endDate }
+ */
+async function planPurchase({ userId, type, tier, months, cost, targetUserId = null }, now) {
+  const tiers = SUBSCRIPTION_TIERS[type];
+  if (!tiers || !tiers.includes(tier)) {
+    throw new APIError("Invalid subscription tier", 400, "INVALID_TIER");
+  }
+
+  const current = (await Subscription.findActiveByType(userId, now))[type] || null;
+  if (!current) {
+    return {
+      action: "new",
+      current,
+      credit: 0,
+      charge: cost,
+      startDate: now,
+      endDate: addMonths(now, months),
+    };
+  }
+
+  if (type === "guardian" && String(current.targetUserId) !== String(targetUserId)) {
+    throw new APIError(
+      "You're already guarding another user until your current Guardian ends",
+      409,
+      "GUARDIAN_ACTIVE"
+    );
+  }
+
+  const step = tiers.indexOf(tier) - tiers.indexOf(current.tier);
+  if (step < 0) {
+    throw new APIError(
+      `Your ${subscriptionName(current)} is active until ${current.endDate.toISOString()}; a lower tier can be bought once it ends`,
+      409,
+      "SUBSCRIPTION_DOWNGRADE"
+    );
+  }
+
+  if (step === 0) {
+    return {
+      action: "renewal",
+      current,
+      credit: 0,
+      charge: cost,
+      startDate: current.startDate,
+      endDate: addMonths(current.endDate, months),
+    };
+  }
+
+  const credit = Math.min(cost, remainingValue(current, now));
+  return {
+    action: "upgrade",
+    current,
+    credit,
+    charge: cost - credit,
+    startDate: now,
+    endDate: addMonths(now, months),
+  };
+}
+
+const changedError = () =>
+  new APIError("Your subscription changed, please try again", 409, "SUBSCRIPTION_CHANGED");
+
+/**
+ * Write a planned purchase to the Subscription rows
+ */
+async function applyPlan(plan, { userId, type, tier, months, cost, targetUserId = null }, now) {
+  const { action, current } = plan;
+
+  if (action === "renewal") {
+    const renewed = await Subscription.findOneAndUpdate(
+      { _id: current._id, status: "active", endDate: current.endDate },
+      {
+        $set: {
+          endDate: plan.endDate,
+          pricePaid: pricePaidFor(current) + cost,
+          expiryNoticeSentAt: null,
+        },
+        $push: {
+          renewals: {
+            months,
+            charged: plan.charge,
+            previousEndDate: current.endDate,
+            renewedAt: now,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!renewed) throw changedError();
+    return renewed;
+  }
+
+  const fields = {
+    userId,
+    type,
+    tier,
+    targetUserId,
+    startDate: now,
+    endDate: plan.endDate,
+    pricePaid: cost,
+    paymentMethod: "coins",
+    status: "active",
+  };
+
+  if (action === "new") {
+    // Terms that ended but haven't been swept yet: close them quietly, the
+    // user has just bought a new one
+    await Subscription.updateMany(
+      { userId, type, status: "active", endDate: { $lte: now } },
+      { $set: { status: "expired", expiredAt: now } }
+    );
+    return Subscription.create(fields);
+  }
+
+  // Upgrade: end the current term now and start the new one
+  const replaced = await Subscription.findOneAndUpdate(
+    { _id: current._id, status: "active", endDate: current.endDate },
+    { $set: { status: "upgraded", endDate: now } }
+  );
+  if (!replaced) throw changedError();
+
+  try {
+    return await Subscription.create({
+      ...fields,
+      upgradedFrom: current._id,
+      proratedCredit: plan.credit,
+    });
+  } catch (error) {
+    await Subscription.updateOne(
+      { _id: current._id },
+      { $set: { status: "active", endDate: current.endDate } }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Rewrite a user's legacy membership flags from their active subscriptions
+ * (and drop their cached perks)
+ * @returns {Promise<Object>} The flags written (gamification field -> value)
+ */
+async function syncUserFlags(userId) {
+  const flags = Subscription.deriveUserFlags(await Subscription.findActiveByType(userId));
+
+  const $set = {};
+  for (const [field, value] of Object.entries(flags)) {
+    $set[`gamification.${field}`] = value;
+  }
+  await User.updateOne({ _id: userId }, { $set });
+  invalidatePerks(userId);
+
+  return flags;
+}
+
+/**
+ * Buy a subscription term (new, renewal or upgrade) and pay for it in coins
+ * If recording the subscription fails, the payment is refunded - including
+ * when a concurrent purchase created the active subscription first
+ * (SUBSCRIPTION_CHANGED).
+ * @param {Object} purchase
+ * @param {string} purchase.userId
+ * @param {"vip"|"mvp"|"guardian"} purchase.type
+ * @param {string} purchase.tier
+ * @param {number} purchase.months
+ * @param {number} purchase.cost - Price of the term being bought (see pricing_service.quoteSubscription)
+ * @param {string} [purchase.targetUserId] - Guarded user (guardian)
+ * @param {Object} [purchase.payment] - Extra ledger fields (description, metadata, ipAddress, userAgent)
+ * @returns {Promise<{action: string, subscription: Object, charged: number,
+ *   proratedCredit: number, transaction: Object|null, flags: Object}>}
+ */
+async function purchase({ userId, type, tier, months, cost, targetUserId = null, payment = {} }) {
+  const now = new Date();
+  const options = { userId, type, tier, months, cost, targetUserId };
+  const plan = await planPurchase(options, now);
+
+  // Fails with InsufficientFundsError
+  let transaction = null;
+  if (plan.charge > 0) {
+    transaction = await walletService.debit({
+      ...payment,
+      userId,
+      type: `${type}_purchase`,
+      currency: "coins",
+      amount: plan.charge,
+      relatedEntityType: type,
+      relatedUserId: targetUserId,
+      metadata: {
+        ...payment.metadata,
+        tier,
+        months,
+        action: plan.action,
+        proratedCredit: plan.credit,
+      },
+    });
+  }
+
+  let subscription;
+  try {
+    subscription = await applyPlan(plan, options, now);
+  } catch (error) {
+    if (transaction) {
+      await walletService.credit({
+        userId,
+        type: "refund",
+        currency: "coins",
+        amount: plan.charge,
+        description: `Refund: ${transaction.description || `${subscriptionName(options)} purchase`}`,
+        metadata: { refundOf: transaction._id },
+      });
+    }
+    // Another purchase made the type's active subscription first
+    if (error.code === 11000) throw changedError();
+    throw error;
+  }
+
+  const flags = await syncUserFlags(userId);
+
+  return {
+    action: plan.action,
+    subscription,
+    charged: plan.charge,
+    proratedCredit: plan.credit,
+    transaction,
+    flags,
+  };
+}
+
+/**
+ * Send "expiring soon" notices and end subscriptions past their end date
+ * Each row is claimed with a conditional update first, so a notice or an
+ * expiry is only handled once.
+ */
+async function sweepSubscriptions(now = new Date()) {
+  const counts = { processed: 0, succeeded: 0, skipped: 0, failed: 0 };
+  let noticesSent = 0;
+  let expired = 0;
+
+  const noticeBy = new Date(now.getTime() + SUBSCRIPTION_CONFIG.expiryNoticeHours * 60 * 60 * 1000);
+  const ending = Subscription.find({
+    status: "active",
+    endDate: { $gt: now, $lte: noticeBy },
+    expiryNoticeSentAt: null,
+  })
+    .lean()
+    .cursor();
+
+  for await (const subscription of ending) {
+    counts.processed++;
+    try {
+      const claimed = await Subscription.updateOne(
+        {
+          _id: subscription._id,
+          status: "active",
+          endDate: subscription.endDate,
+          expiryNoticeSentAt: null,
+        },
+        { $set: { expiryNoticeSentAt: now } }
+      );
+      if (!claimed.modifiedCount) {
+        counts.skipped++;
+        continue;
+      }
+
+      await notificationService.notifySubscriptionExpiring({
+        userId: subscription.userId,
+        subscriptionId: subscription._id,
+        name: subscriptionName(subscription),
+        endDate: subscription.endDate,
+      });
+      noticesSent++;
+      counts.succeeded++;
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ Subscription ${subscription._id} expiry notice error:`, error);
+    }
+  }
+
+  const due = Subscription.find({ status: "active", endDate: { $lte: now } })
+    .lean()
+    .cursor();
+
+  for await (const subscription of due) {
+    counts.processed++;
+    try {
+      const claimed = await Subscription.updateOne(
+        { _id: subscription._id, status: "active", endDate: { $lte: now } },
+        { $set: { status: "expired", expiredAt: now } }
+      );
+      if (!claimed.modifiedCount) {
+        counts.skipped++;
+        continue;
+      }
+
+      await syncUserFlags(subscription.userId);
+      if (subscription.type === "guardian" && subscription.targetUserId) {
+        await User.updateOne(
+          { _id: subscription.targetUserId, "gamification.guardedByUserId": subscription.userId },
+          { $set: { "gamification.guardedByUserId": null } }
+        );
+      }
+
+      await notificationService.notifySubscriptionExpired({
+        userId: subscription.userId,
+        subscriptionId: subscription._id,
+        name: subscriptionName(subscription),
+      });
+      expired++;
+      counts.succeeded++;
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ Subscription ${subscription._id} expiry error:`, error);
+    }
+  }
+
+  return { ...counts, noticesSent, expired };
+}
+
+/**
+ * Close duplicate active subscriptions left by older data, then make sure
+ * the one-active-per-type index exists (run at startup, after connecting)
+ * Older purchases created a new active row every time, so a user can have
+ * several of a type. The latest-ending one is kept - it is the one
+ * findActiveByType already used - and the rest are expired.
+ * Throws if the index can't be built, so the server doesn't start without it.
+ * @returns {Promise<{expired: number}>}
+ */
+async function ensureSubscriptionIndexes(now = new Date()) {
+  const duplicates = await Subscription.aggregate([
+    { $match: { status: "active" } },
+    { $sort: { endDate: -1, createdAt: -1 } },
+    { $group: { _id: { userId: "$userId", type: "$type" }, ids: { $push: "$_id" } } },
+    { $match: { "ids.1": { $exists: true } } },
+  ]);
+
+  let expired = 0;
+  const affectedUsers = new Set();
+  for (const { _id: group, ids } of duplicates) {
+    const [kept, ...superseded] = ids;
+    const result = await Subscription.updateMany(
+      { _id: { $in: superseded }, status: "active" },
+      { $set: { status: "expired", expiredAt: now, "metadata.supersededBy": kept } }
+    );
+    expired += result.modifiedCount;
+    affectedUsers.add(String(group.userId));
+  }
+
+  for (const userId of affectedUsers) {
+    await syncUserFlags(userId);
+  }
+  if (expired > 0) {
+    console.log(`🎫 Expired ${expired} duplicate active subscriptions for ${affectedUsers.size} users`);
+  }
+
+  await Subscription.createIndexes();
+  const indexes = await Subscription.collection.indexes();
+  const oneActivePerType = indexes.some(
+    (index) =>
+      index.unique &&
+      index.partialFilterExpression?.status === "active" &&
+      JSON.stringify(index.key) === JSON.stringify({ userId: 1, type: 1 })
+  );
+  if (!oneActivePerType) {
+    throw new Error("Subscription index { userId, type } (unique while active) is missing");
+  }
+
+  return { expired };
+}
+
+module.exports = {
+  SUBSCRIPTION_CONFIG,
+  subscriptionName,
+  purchase,
+  syncUserFlags,
+  sweepSubscriptions,
+  ensureSubscriptionIndexes,
+};
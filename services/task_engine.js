@@ -0,0 +1,196 @@
+const moment = require("moment");
+const Task = require("../models/Task");
+const UserTask = require("../models/UserTask");
+const { APP_EVENTS, onAppEvent } = require("./event_bus");
+const { emitToUser } = require("../config/socket");
+
+/**
+ * Task Engine
+ * Listens to app events and advances UserTask progress for every active Task
+ * whose requirement.action matches the event.
+ *
+ * requirement.conditions (optional) filter and weight events:
+ *   { context: "live" }               attribute must equal the value
+ *   { liveType: ["party", "audio"] }  attribute must be one of the values
+ *   { coins: { min: 100 } }           numeric attribute in range (min/max)
+ *   { countBy: "coins" }              progress by this numeric attribute
+ *                                     instead of the event's count
+ *
+ * Daily tasks reset at the end of the day and weekly tasks at the end of the
+ * ISO week; the window end is stored on UserTask.expiresAt.
+ */
+
+const RESET_UNITS = {
+  daily: "day",
+  weekly: "isoWeek",
+};
+
+let started = false;
+
+/**
+ * When progress on a task started at `date` expires (null = never)
+ */
+function getTaskExpiry(task, date = new Date()) {
+  const unit = RESET_UNITS[task.type];
+  return unit ? moment(date).endOf(unit).toDate() : null;
+}
+
+/**
+ * Whether a UserTask belongs to a period that has already ended
+ */
+function isUserTaskExpired(userTask, date = new Date()) {
+  return !!(userTask?.expiresAt && userTask.expiresAt <= date);
+}
+
+/**
+ * Check an event payload against a task's conditions
+ */
+function matchesConditions(conditions, payload) {
+  if (!conditions) return true;
+
+  return Object.entries(conditions).every(([key, expected]) => {
+    if (key === "countBy") return true;
+
+    const actual = payload[key];
+    if (Array.isArray(expected)) {
+      return expected.map(String).includes(String(actual));
+    }
+    if (expected && typeof expected === "object") {
+      if (typeof actual !== "number") return false;
+      if (expected.min !== undefined && actual < expected.min) return false;
+      if (expected.max !== undefined && actual > expected.max) return false;
+      return true;
+    }
+    return String(actual) === String(expected);
+  });
+}
+
+/**
+ * How much an event advances a task
+ */
+function getIncrement(task, payload) {
+  const countBy = task.requirement.conditions?.countBy;
+  const value = countBy ? payload[countBy] : payload.count;
+  return Math.max(0, Math.floor(Number(value) || 0));
+}
+
+/**
+ * Add progress to one user's task, completing it when the target is reached
+ * @returns {Promise<Object|null>} Updated UserTask, or null if already completed this period
+ */
+async function advanceTask(task, userId, increment) {
+  const now = new Date();
+  const expiresAt = getTaskExpiry(task, now);
+
+  // Start a fresh period if the previous daily/weekly window has ended
+  if (expiresAt) {
+    await UserTask.updateOne(
+      { user: userId, task: task._id, expiresAt: { $lte: now } },
+      {
+        $set: {
+          progress: 0,
+          isCompleted: false,
+          completedAt: null,
+          isClaimed: false,
+          claimedAt: null,
+          expiresAt,
+        },
+      }
+    );
+  }
+
+  let userTask = null;
+  // A duplicate key means either the task is already completed (the filter
+  // excludes it, so upsert tries to insert) or a concurrent first insert won;
+  // one retry settles which.
+  for (let attempt = 0; attempt < 2 && !userTask; attempt++) {
+    try {
+      userTask = await UserTask.findOneAndUpdate(
+        { user: userId, task: task._id, isCompleted: false },
+        {
+          $inc: { progress: increment },
+          $set: { updatedAt: now },
+          $setOnInsert: { expiresAt },
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (!userTask || userTask.progress < task.requirement.target) {
+    return userTask;
+  }
+
+  const completed = await UserTask.findOneAndUpdate(
+    { _id: userTask._id, isCompleted: false },
+    {
+      $set: {
+        isCompleted: true,
+        completedAt: now,
+        progress: task.requirement.target,
+      },
+    },
+    { new: true }
+  );
+
+  if (completed) {
+    emitToUser(userId, "task:completed", {
+      taskId: task._id.toString(),
+      title: task.title,
+      type: task.type,
+      rewards: task.rewards,
+      completedAt: completed.completedAt,
+    });
+  }
+
+  return completed || userTask;
+}
+
+/**
+ * Apply one app event to every matching active task
+ */
+async function handleEvent(action, payload) {
+  const tasks = await Task.getActiveTasksByAction(action);
+
+  for (const task of tasks) {
+    if (!matchesConditions(task.requirement.conditions, payload)) continue;
+
+    const increment = getIncrement(task, payload);
+    if (increment <= 0) continue;
+
+    try {
+      await advanceTask(task, payload.userId, increment);
+    } catch (error) {
+      console.error(
+        `[TaskEngine] Failed to advance task ${task._id} for ${payload.userId}:`,
+        error.message
+      );
+    }
+  }
+}
+
+/**
+ * Subscribe the engine to all app events
+ * Should be called during server initialization
+ */
+function startTaskEngine() {
+  if (started) return;
+  started = true;
+
+  for (const action of Object.values(APP_EVENTS)) {
+    onAppEvent(action, (payload) => handleEvent(action, payload));
+  }
+
+  console.log("✅ Task engine started");
+}
+
+module.exports = {
+  startTaskEngine,
+  handleEvent,
+  advanceTask,
+  matchesConditions,
+  getTaskExpiry,
+  isUserTaskExpired,
+};
@@ -0,0 +1,329 @@
+const User = require("../models/User");
+const Transaction = require("../models/Transaction");
+const { APIError } = require("../middleware/errorHandler");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Wallet Service
+ * The only place user balances (coins, diamonds, points) and granted
+ * experience (ledger currency "xp") are changed.
+ *
+ * Every balance change is ledger-first:
+ *   1. insert a pending Transaction row (unique indexes reject replays here,
+ *      before any money moves)
+ *   2. apply a conditional $inc to the user, so a debit only succeeds if the
+ *      balance covers it at write time - concurrent spends can't overspend.
+ *      The same update adds the row's id to user.walletPendingTransactions,
+ *      so whether the balance moved is recorded atomically with the move.
+ *   3. complete the row with the resulting balanceAfter, and drop the id
+ * If the $inc is refused the pending row is removed. If the process dies or
+ * loses the database mid-way, the row stays pending and
+ * reconcilePendingTransactions() settles it from the marker: completed if
+ * the balance moved, failed (freeing its idempotency key) if it didn't.
+ */
+
+const WALLET_CONFIG = {
+  // Pending rows older than this are treated as interrupted
+  pendingTimeoutMs: envNumber("WALLET_PENDING_TIMEOUT_SECONDS", 300) * 1000,
+  reconcileBatchSize: 500,
+};
+
+// Ledger currency -> User.gamification field it moves
+const BALANCE_FIELDS = {
+  coins: "coins",
+  diamonds: "diamonds",
+  points: "points",
+  xp: "experiencePoints",
+};
+
+/**
+ * Raised when a debit is larger than the user's balance
+ */
+class InsufficientFundsError extends APIError {
+  constructor(currency, required, available) {
+    super(`Insufficient ${currency}`, 400, `INSUFFICIENT_${currency.toUpperCase()}`);
+    this.name = "InsufficientFundsError";
+    this.currency = currency;
+    this.required = required;
+    this.available = available;
+  }
+
+  /**
+   * Response body matching the existing insufficient-coins responses
+   */
+  toResponse() {
+    return {
+      success: false,
+      message: this.message,
+      code: this.code,
+      data: {
+        required: this.required,
+        current: this.available,
+        shortfall: this.required - this.available,
+      },
+    };
+  }
+}
+
+/**
+ * Apply a signed amount to a user's balance and record it in the ledger
+ * @param {Object} entry - Transaction fields; amount is signed
+ * @param {Object} options
+ * @param {boolean} options.allowNegative - Skip the balance check (admin adjustments)
+ * @returns {Promise<Object>} Completed transaction
+ */
+async function applyEntry(entry, { allowNegative = false } = {}) {
+  const { userId, currency, amount } = entry;
+
+  if (!BALANCE_FIELDS[currency]) {
+    throw new APIError(`Unknown currency: ${currency}`, 400, "INVALID_CURRENCY");
+  }
+  if (!Number.isFinite(amount) || amount === 0) {
+    throw new APIError("Amount must be a non-zero number", 400, "INVALID_AMOUNT");
+  }
+
+  const balanceField = BALANCE_FIELDS[currency];
+  const field = `gamification.${balanceField}`;
+
+  let transaction;
+  try {
+    transaction = await Transaction.create({
+      ...entry,
+      balanceAfter: null,
+      status: "pending",
+    });
+  } catch (error) {
+    if (error.code === 11000 && entry.idempotencyKey) {
+      const existing = await Transaction.findOne({ idempotencyKey: entry.idempotencyKey })
+        .select("status")
+        .lean();
+      if (existing?.status === "completed") {
+        throw new APIError("Transaction already applied", 409, "DUPLICATE_TRANSACTION");
+      }
+      // Still pending (in flight, or interrupted and waiting for the
+      // reconciler) - not known to be applied, so callers must not count it
+      throw new APIError("Transaction is still being applied", 409, "TRANSACTION_PENDING");
+    }
+    throw error;
+  }
+
+  const filter = { _id: userId };
+  if (amount < 0 && !allowNegative) {
+    filter[field] = { $gte: -amount };
+  }
+
+  // If this throws, the write may or may not have happened: the row stays
+  // pending for the reconciler rather than guessing
+  const user = await User.findOneAndUpdate(
+    filter,
+    { $inc: { [field]: amount }, $push: { walletPendingTransactions: transaction._id } },
+    { new: true, projection: { gamification: 1 } }
+  );
+
+  if (!user) {
+    await Transaction.deleteOne({ _id: transaction._id });
+
+    const current = await User.findById(userId).select("gamification").lean();
+    if (!current) {
+      throw new APIError("User not found", 404, "USER_NOT_FOUND");
+    }
+    throw new InsufficientFundsError(currency, -amount, current.gamification?.[balanceField] || 0);
+  }
+
+  transaction.balanceAfter = user.gamification[balanceField];
+  transaction.status = "completed";
+  await Transaction.updateOne(
+    { _id: transaction._id },
+    { $set: { balanceAfter: transaction.balanceAfter, status: "completed" } }
+  );
+  await User.updateOne({ _id: userId }, { $pull: { walletPendingTransactions: transaction._id } });
+
+  return transaction;
+}
+
+/**
+ * Settle ledger rows left pending by an interrupted balance change
+ * A row whose id is in the user's walletPendingTransactions moved the
+ * balance and is completed; any other is failed, and its idempotency key is
+ * released so the operation can be retried.
+ * @returns {Promise<{processed: number, succeeded: number, skipped: number, failed: number, completed: number, voided: number}>}
+ */
+async function reconcilePendingTransactions(now = new Date()) {
+  const counts = { processed: 0, succeeded: 0, skipped: 0, failed: 0 };
+  let completed = 0;
+  let voided = 0;
+
+  const stale = Transaction.find({
+    status: "pending",
+    createdAt: { $lt: new Date(now.getTime() - WALLET_CONFIG.pendingTimeoutMs) },
+  })
+    .sort({ createdAt: 1 })
+    .limit(WALLET_CONFIG.reconcileBatchSize)
+    .select("userId currency idempotencyKey metadata")
+    .lean()
+    .cursor();
+
+  for await (const row of stale) {
+    counts.processed++;
+    try {
+      const applied = await User.findOne({ _id: row.userId, walletPendingTransactions: row._id })
+        .select(`gamification.${BALANCE_FIELDS[row.currency]}`)
+        .lean();
+
+      if (applied) {
+        const settled = await Transaction.updateOne(
+          { _id: row._id, status: "pending" },
+          {
+            $set: {
+              status: "completed",
+              // The exact balance after this row is lost; record the balance now
+              balanceAfter: applied.gamification?.[BALANCE_FIELDS[row.currency]] ?? null,
+              "metadata.reconciledAt": now,
+            },
+          }
+        );
+        await User.updateOne({ _id: row.userId }, { $pull: { walletPendingTransactions: row._id } });
+        if (!settled.modifiedCount) {
+          counts.skipped++;
+          continue;
+        }
+        completed++;
+      } else {
+        const settled = await Transaction.updateOne(
+          { _id: row._id, status: "pending" },
+          {
+            $set: {
+              status: "failed",
+              "metadata.reconciledAt": now,
+              "metadata.idempotencyKey": row.idempotencyKey,
+            },
+            $unset: { idempotencyKey: 1 },
+          }
+        );
+        if (!settled.modifiedCount) {
+          counts.skipped++;
+          continue;
+        }
+        voided++;
+      }
+      counts.succeeded++;
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ Ledger row ${row._id} reconcile error:`, error);
+    }
+  }
+
+  return { ...counts, completed, voided };
+}
+
+/**
+ * Add funds to a user's balance
+ * With an idempotencyKey, a repeat credit throws DUPLICATE_TRANSACTION (409)
+ * and changes nothing; TRANSACTION_PENDING (409) if the first attempt hasn't
+ * completed yet.
+ * @param {Object} entry - Transaction fields (userId, type, amount > 0, currency, ...)
+ */
+async function credit({ currency = "coins", amount, ...entry }) {
+  if (!(amount > 0)) {
+    throw new APIError("Credit amount must be positive", 400, "INVALID_AMOUNT");
+  }
+  return applyEntry({ ...entry, currency, amount });
+}
+
+/**
+ * Remove funds from a user's balance
+ * Throws InsufficientFundsError if the balance doesn't cover it.
+ * @param {Object} entry - Transaction fields (userId, type, amount > 0, currency, ...)
+ */
+async function debit({ currency = "coins", amount, ...entry }) {
+  if (!(amount > 0)) {
+    throw new APIError("Debit amount must be positive", 400, "INVALID_AMOUNT");
+  }
+  return applyEntry({ ...entry, currency, amount: -amount });
+}
+
+/**
+ * Admin balance correction (signed amount, may take the balance negative)
+ */
+async function adjust({ currency = "coins", amount, ...entry }) {
+  return applyEntry(
+    { ...entry, type: "admin_adjustment", currency, amount },
+    { allowNegative: true }
+  );
+}
+
+/**
+ * Debit one user and credit one or more others
+ * If any credit leg fails, the credits already applied are reversed and the
+ * debit is refunded, so funds are never lost or created.
+ * @param {Object} debitEntry - Passed to debit()
+ * @param {Object|Object[]} creditEntries - Passed to credit(); entries with amount 0 are skipped
+ * @returns {Promise<{debitTransaction: Object, creditTransaction: Object, creditTransactions: Object[]}>}
+ */
+async function transfer(debitEntry, creditEntries) {
+  const entries = (Array.isArray(creditEntries) ? creditEntries : [creditEntries]).filter(
+    (entry) => entry.amount > 0
+  );
+
+  const debitTransaction = await debit(debitEntry);
+  const creditTransactions = [];
+
+  try {
+    for (const entry of entries) {
+      creditTransactions.push(await credit(entry));
+    }
+    return {
+      debitTransaction,
+      creditTransaction: creditTransactions[0],
+      creditTransactions,
+    };
+  } catch (error) {
+    console.error("Wallet transfer credit failed, reversing:", error);
+
+    for (const applied of creditTransactions) {
+      await adjust({
+        userId: applied.userId,
+        currency: applied.currency,
+        amount: -applied.amount,
+        description: `Reversal: ${applied.description || "failed transfer"}`,
+        metadata: { reversalOf: applied._id },
+      });
+    }
+
+    await credit({
+      userId: debitTransaction.userId,
+      type: "refund",
+      currency: debitTransaction.currency,
+      amount: -debitTransaction.amount,
+      description: `Refund: ${debitTransaction.description || "failed transfer"}`,
+      metadata: { refundOf: debitTransaction._id },
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get a user's current balances
+ */
+async function getBalances(userId) {
+  const user = await User.findById(userId).select("gamification").lean();
+  if (!user) {
+    throw new APIError("User not found", 404, "USER_NOT_FOUND");
+  }
+  return {
+    coins: user.gamification?.coins || 0,
+    diamonds: user.gamification?.diamonds || 0,
+    points: user.gamification?.points || 0,
+  };
+}
+
+module.exports = {
+  WALLET_CONFIG,
+  InsufficientFundsError,
+  credit,
+  debit,
+  adjust,
+  transfer,
+  getBalances,
+  reconcilePendingTransactions,
+};
@@ -0,0 +1,472 @@
+const Withdrawal = require("../models/Withdrawal");
+const User = require("../models/User");
+const Transaction = require("../models/Transaction");
+const walletService = require("./wallet_service");
+const { sendPayout, getPayoutStatus, isDefinitePayoutFailure } = require("./payout_provider");
+const { APIError } = require("../middleware/errorHandler");
+const { envNumber } = require("../utils/env");
+
+/**
+ * Withdrawal Service
+ * Host diamond cash-outs. Diamonds are debited into escrow when a request is
+ * made, paid out through the payout provider on approval, and refunded on
+ * rejection.
+ *
+ * A request is recorded as "awaiting_escrow" and only becomes reviewable
+ * ("pending") once its escrow debit is attached. If the debit's outcome is
+ * unknown the request is left as it is, and reconcileEscrows() attaches the
+ * escrow or drops the request once the ledger has settled.
+ *
+ * A payout attempt is claimed (status "processing") before anything is
+ * sent, so one withdrawal is never paid out twice at once. Money is only
+ * sent again, or refunded, after the provider confirms the earlier attempt
+ * sent nothing.
+ */
+
+const WITHDRAWAL_CONFIG = {
+  minDiamonds: envNumber("WITHDRAWAL_MIN_DIAMONDS", 10000),
+  feePercent: envNumber("WITHDRAWAL_FEE_PERCENT", 5),
+  currency: process.env.WITHDRAWAL_CURRENCY || "NGN",
+  // Payout currency units per diamond
+  diamondRate: envNumber("WITHDRAWAL_DIAMOND_RATE", 1),
+  // How long a payout attempt is left alone before it is checked again
+  payoutLeaseMinutes: envNumber("WITHDRAWAL_PAYOUT_LEASE_MINUTES", 10),
+  // Requests still awaiting escrow after this are reconciled with the ledger
+  escrowTimeoutMinutes: envNumber("WITHDRAWAL_ESCROW_TIMEOUT_MINUTES", 10),
+};
+
+const escrowKey = (withdrawalId) => `withdrawal_escrow:${withdrawalId}`;
+const refundKey = (withdrawalId) => `withdrawal_refund:${withdrawalId}`;
+
+const pendingError = () =>
+  new APIError("You already have a pending withdrawal", 400, "WITHDRAWAL_PENDING");
+
+/**
+ * Refund a withdrawal's escrowed diamonds (once - keyed by withdrawal)
+ * @returns {Promise<Object|null>} The refund transaction, null if it failed
+ */
+async function refundEscrow(withdrawal, description, escrowTransactionId) {
+  const idempotencyKey = refundKey(withdrawal._id);
+  try {
+    return await walletService.credit({
+      userId: withdrawal.userId,
+      type: "refund",
+      currency: "diamonds",
+      amount: withdrawal.diamonds,
+      relatedEntityType: "withdrawal",
+      relatedEntityId: withdrawal._id,
+      description,
+      idempotencyKey,
+      metadata: { refundOf: escrowTransactionId },
+    });
+  } catch (error) {
+    if (error.code === "DUPLICATE_TRANSACTION") {
+      return Transaction.findOne({ idempotencyKey }).select("_id").lean();
+    }
+    console.error(`❌ Refund failed for withdrawal ${withdrawal._id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Attach the escrow debit to a withdrawal awaiting it and open it for review
+ * If another withdrawal became pending first, the escrow is refunded and
+ * this one is rejected (WITHDRAWAL_PENDING).
+ * @returns {Promise<boolean>} false if the withdrawal wasn't awaiting escrow
+ */
+async function attachEscrow(withdrawal, escrow) {
+  try {
+    const opened = await Withdrawal.updateOne(
+      { _id: withdrawal._id, status: "awaiting_escrow" },
+      { $set: { status: "pending", escrowTransactionId: escrow._id } }
+    );
+    return opened.modifiedCount > 0;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const refund = await refundEscrow(withdrawal, "Withdrawal cancelled: another withdrawal is pending", escrow._id);
+  if (refund) {
+    await Withdrawal.updateOne(
+      { _id: withdrawal._id, status: "awaiting_escrow" },
+      {
+        $set: {
+          status: "rejected",
+          escrowTransactionId: escrow._id,
+          refundTransactionId: refund._id,
+          rejectionReason: "Another withdrawal is pending",
+        },
+      }
+    );
+  }
+  // Without a refund it stays awaiting escrow, and the reconciler retries
+  throw pendingError();
+}
+
+/**
+ * Work out fee and payout for a withdrawal of `diamonds`
+ */
+function quoteWithdrawal(diamonds) {
+  const feeDiamonds = Math.ceil((diamonds * WITHDRAWAL_CONFIG.feePercent) / 100);
+  const netDiamonds = diamonds - feeDiamonds;
+
+  return {
+    diamonds,
+    feeDiamonds,
+    netDiamonds,
+    payoutAmount: Math.round(netDiamonds * WITHDRAWAL_CONFIG.diamondRate * 100) / 100,
+    currency: WITHDRAWAL_CONFIG.currency,
+  };
+}
+
+/**
+ * Request a withdrawal and move the diamonds into escrow
+ * Throws InsufficientFundsError if the host doesn't have the diamonds.
+ */
+async function requestWithdrawal({ user, diamonds, payoutMethod = "paystack", payoutDetails, ipAddress, userAgent }) {
+  if (!user.isHost && user.agency?.role !== "host") {
+    throw new APIError("Only hosts can withdraw diamonds", 403, "HOST_ONLY");
+  }
+
+  if (diamonds < WITHDRAWAL_CONFIG.minDiamonds) {
+    throw new APIError(
+      `Minimum withdrawal is ${WITHDRAWAL_CONFIG.minDiamonds} diamonds`,
+      400,
+      "BELOW_MINIMUM"
+    );
+  }
+
+  const pending = await Withdrawal.exists({
+    userId: user._id,
+    status: { $in: ["awaiting_escrow", "pending"] },
+  });
+  if (pending) {
+    throw pendingError();
+  }
+
+  const quote = quoteWithdrawal(diamonds);
+
+  const withdrawal = await Withdrawal.create({
+    userId: user._id,
+    ...quote,
+    payoutMethod,
+    payoutDetails,
+  });
+
+  let escrow;
+  try {
+    escrow = await walletService.debit({
+      userId: user._id,
+      type: "withdrawal",
+      currency: "diamonds",
+      amount: diamonds,
+      relatedEntityType: "withdrawal",
+      relatedEntityId: withdrawal._id,
+      description: `Withdrawal of ${diamonds} diamonds (${quote.payoutAmount} ${quote.currency})`,
+      metadata: { ...quote, escrow: true },
+      idempotencyKey: escrowKey(withdrawal._id),
+      ipAddress,
+      userAgent,
+    });
+  } catch (error) {
+    // Refused (e.g. InsufficientFundsError): nothing was taken. Any other
+    // error may have taken the diamonds - the reconciler settles it
+    if (error instanceof APIError && error.code !== "TRANSACTION_PENDING") {
+      await Withdrawal.deleteOne({ _id: withdrawal._id });
+    }
+    throw error;
+  }
+
+  await attachEscrow(withdrawal, escrow);
+  return Withdrawal.findById(withdrawal._id);
+}
+
+/**
+ * Settle withdrawals left awaiting escrow by an interrupted request
+ * Run after the wallet reconciler: a completed escrow debit is attached, a
+ * request whose debit never went through is dropped.
+ * @returns {Promise<{processed: number, succeeded: number, skipped: number, failed: number, opened: number, dropped: number}>}
+ */
+async function reconcileEscrows(now = new Date()) {
+  const counts = { processed: 0, succeeded: 0, skipped: 0, failed: 0 };
+  let opened = 0;
+  let dropped = 0;
+
+  const stale = Withdrawal.find({
+    status: "awaiting_escrow",
+    createdAt: { $lt: new Date(now.getTime() - WITHDRAWAL_CONFIG.escrowTimeoutMinutes * 60 * 1000) },
+  }).cursor();
+
+  for await (const withdrawal of stale) {
+    counts.processed++;
+    try {
+      // Voided ledger rows give up their key, so no row means no debit
+      const escrow = await Transaction.findOne({ idempotencyKey: escrowKey(withdrawal._id) })
+        .select("status")
+        .lean();
+
+      if (escrow?.status === "pending") {
+        counts.skipped++;
+        continue;
+      }
+
+      if (escrow?.status === "completed") {
+        if (await attachEscrow(withdrawal, escrow)) opened++;
+      } else {
+        const removed = await Withdrawal.deleteOne({ _id: withdrawal._id, status: "awaiting_escrow" });
+        dropped += removed.deletedCount;
+      }
+      counts.succeeded++;
+    } catch (error) {
+      if (error.code === "WITHDRAWAL_PENDING") {
+        // Refunded and rejected in favour of the host's other withdrawal
+        counts.succeeded++;
+        continue;
+      }
+      counts.failed++;
+      console.error(`❌ Withdrawal ${withdrawal._id} escrow reconcile error:`, error);
+    }
+  }
+
+  return { ...counts, opened, dropped };
+}
+
+/**
+ * Claim a withdrawal for a payout attempt
+ * Pending withdrawals, failed payouts and attempts whose lease ran out (the
+ * server died or the provider never answered) can be claimed; an attempt
+ * in flight can't be claimed twice.
+ * @returns {Promise<{withdrawal: Object, previousStatus: string}|null>}
+ */
+async function claimPayoutAttempt(withdrawalId, statuses, admin) {
+  const now = new Date();
+  const leaseCutoff = new Date(now.getTime() - WITHDRAWAL_CONFIG.payoutLeaseMinutes * 60 * 1000);
+
+  const conditions = statuses.map((status) =>
+    status === "processing" ? { status, payoutAttemptAt: { $lt: leaseCutoff } } : { status }
+  );
+
+  // Only withdrawals whose diamonds are held can be paid out
+  const previous = await Withdrawal.findOneAndUpdate(
+    { _id: withdrawalId, escrowTransactionId: { $ne: null }, $or: conditions },
+    {
+      $set: {
+        status: "processing",
+        payoutAttemptAt: now,
+        reviewedBy: admin._id,
+        reviewedAt: now,
+      },
+    }
+  );
+  if (!previous) return null;
+
+  const withdrawal = await Withdrawal.findById(withdrawalId);
+  return { withdrawal, previousStatus: previous.status };
+}
+
+/**
+ * Write the outcome of a payout attempt, if the attempt still holds the claim
+ */
+async function settleAttempt(withdrawal, fields) {
+  const settled = await Withdrawal.findOneAndUpdate(
+    { _id: withdrawal._id, status: "processing", payoutAttemptAt: withdrawal.payoutAttemptAt },
+    { $set: fields },
+    { new: true }
+  );
+  if (!settled) {
+    throw new APIError("Withdrawal changed during the payout, check it again", 409, "WITHDRAWAL_CHANGED");
+  }
+  return settled;
+}
+
+/**
+ * Fields recording what the provider has done with a payout
+ */
+function payoutStatusFields({ status, reference, recipientCode }) {
+  const fields = { payoutError: null };
+  if (reference) fields.providerReference = reference;
+  if (recipientCode) fields["payoutDetails.recipientCode"] = recipientCode;
+
+  if (status === "paid") {
+    fields.status = "paid";
+    fields.paidAt = new Date();
+  } else if (status === "processing") {
+    fields.status = "approved";
+  } else {
+    fields.status = "failed";
+  }
+  return fields;
+}
+
+/**
+ * Check a claimed payout with the provider
+ * @returns {Promise<Object|null>} The settled withdrawal if the provider
+ *   has the payout (paid or in progress), null if nothing went out
+ */
+async function reconcileAttempt(withdrawal) {
+  const result = await getPayoutStatus({ withdrawal });
+  if (result.status === "paid" || result.status === "processing") {
+    return settleAttempt(withdrawal, payoutStatusFields(result));
+  }
+  return null;
+}
+
+/**
+ * Approve a withdrawal and send the payout
+ * A failed payout, or one whose outcome is unknown, is checked with the
+ * provider first and only sent again if nothing went out.
+ */
+async function approveWithdrawal(withdrawalId, admin) {
+  const claim = await claimPayoutAttempt(withdrawalId, ["pending", "processing", "failed"], admin);
+  if (!claim) {
+    throw new APIError("Withdrawal not found, closed or being paid out", 400, "INVALID_STATUS");
+  }
+  const { withdrawal, previousStatus } = claim;
+
+  try {
+    if (previousStatus !== "pending") {
+      const reconciled = await reconcileAttempt(withdrawal);
+      if (reconciled) return reconciled;
+    }
+
+    const user = await User.findById(withdrawal.userId);
+    const result = await sendPayout({ withdrawal, user });
+    return await settleAttempt(withdrawal, payoutStatusFields(result));
+  } catch (error) {
+    if (error.code === "WITHDRAWAL_CHANGED") throw error;
+
+    const payoutError = error.response?.data?.message || error.message;
+    console.error(`❌ Payout failed for withdrawal ${withdrawal._id}:`, payoutError);
+
+    // Unknown outcome: stays processing until the lease runs out, and the
+    // next attempt asks the provider before sending anything
+    const fields = isDefinitePayoutFailure(error) ? { status: "failed", payoutError } : { payoutError };
+    return settleAttempt(withdrawal, fields);
+  }
+}
+
+/**
+ * Mark an approved withdrawal as paid (manual payouts, or provider settled)
+ */
+async function markWithdrawalPaid(withdrawalId, admin, reference) {
+  const update = {
+    status: "paid",
+    paidAt: new Date(),
+    reviewedBy: admin._id,
+    payoutError: null,
+  };
+  if (reference) update.providerReference = reference;
+
+  const withdrawal = await Withdrawal.findOneAndUpdate(
+    { _id: withdrawalId, status: "approved" },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    throw new APIError("Only approved withdrawals can be marked paid", 400, "INVALID_STATUS");
+  }
+  return withdrawal;
+}
+
+/**
+ * Reject a withdrawal and refund the escrowed diamonds
+ * Pending withdrawals are rejected outright. A failed payout is checked with
+ * the provider first and only refunded if nothing went out.
+ */
+async function rejectWithdrawal(withdrawalId, admin, reason) {
+  const rejection = {
+    status: "rejected",
+    reviewedBy: admin._id,
+    reviewedAt: new Date(),
+    rejectionReason: reason || null,
+  };
+
+  let previousStatus = "pending";
+  let withdrawal = await Withdrawal.findOneAndUpdate(
+    { _id: withdrawalId, status: "pending", escrowTransactionId: { $ne: null } },
+    { $set: rejection },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    previousStatus = "failed";
+    const claim = await claimPayoutAttempt(withdrawalId, ["failed"], admin);
+    if (!claim) {
+      throw new APIError("Withdrawal not found or can no longer be rejected", 400, "INVALID_STATUS");
+    }
+
+    try {
+      const reconciled = await reconcileAttempt(claim.withdrawal);
+      if (reconciled) {
+        throw new APIError(
+          "The provider has this payout, it can't be refunded",
+          409,
+          "PAYOUT_SENT"
+        );
+      }
+    } catch (error) {
+      if (error.code !== "PAYOUT_SENT" && error.code !== "WITHDRAWAL_CHANGED") {
+        // Couldn't ask the provider: leave it failed for another try
+        await settleAttempt(claim.withdrawal, { status: "failed" });
+      }
+      throw error;
+    }
+
+    withdrawal = await settleAttempt(claim.withdrawal, rejection);
+  }
+
+  // Keyed by withdrawal, so a refund retried after a failure pays once
+  const refund = await refundEscrow(
+    withdrawal,
+    `Withdrawal rejected${reason ? `: ${reason}` : ""}`,
+    withdrawal.escrowTransactionId
+  );
+
+  if (!refund) {
+    // Not refunded: put it back so the rejection can be retried
+    await Withdrawal.updateOne(
+      { _id: withdrawal._id, status: "rejected" },
+      { $set: { status: previousStatus, rejectionReason: null } }
+    );
+    throw new APIError("Refund failed, the withdrawal can be rejected again", 500, "REFUND_FAILED");
+  }
+
+  withdrawal.refundTransactionId = refund._id;
+  await withdrawal.save();
+  return withdrawal;
+}
+
+/**
+ * Run an action over several withdrawals, collecting per-item results
+ */
+async function processBulk(withdrawalIds, action) {
+  const succeeded = [];
+  const failed = [];
+
+  for (const id of withdrawalIds) {
+    try {
+      const withdrawal = await action(id);
+      succeeded.push({
+        id,
+        status: withdrawal.status,
+        payoutError: withdrawal.payoutError || undefined,
+      });
+    } catch (error) {
+      failed.push({ id, message: error.message, code: error.code });
+    }
+  }
+
+  return { succeeded, failed };
+}
+
+module.exports = {
+  WITHDRAWAL_CONFIG,
+  quoteWithdrawal,
+  requestWithdrawal,
+  approveWithdrawal,
+  markWithdrawalPaid,
+  rejectWithdrawal,
+  processBulk,
+  reconcileEscrows,
+};
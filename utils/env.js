@@ -0,0 +1,18 @@
+/**
+ * Environment Helpers
+ */
+
+/**
+ * Read a numeric environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Used when unset or not a number
+ * @returns {number}
+ */
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+module.exports = {
+  envNumber,
+};